@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named NNN_description.js, numbered in the order they apply. Each exports
+// up(db) and down(db), async functions given the store (config/stores) to run them on, whose
+// dialect tells SQLite and PostgreSQL apart; the migration and its record in schema_migrations are
+// applied or undone in one transaction.
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// The database was migrated by a newer version of the app than this one
+class SchemaVersionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaVersionError';
+  }
+}
+
+// Held on PostgreSQL while a migration runs, so replicas starting together apply each one once
+const POSTGRES_LOCK_ID = 7203114;
+
+// The migrations in dir, oldest first: { version, name, up, down }
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Applies and undoes the numbered migrations of a database store, recording the applied ones in
+// schema_migrations
+class Migrator {
+  constructor(store, migrations = loadMigrations()) {
+    this.store = store;
+    this.migrations = migrations;
+  }
+
+  async applied(db = this.store) {
+    await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+    )`);
+    return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  }
+
+  // Every migration known to this version of the app or applied to the database, oldest first,
+  // with applied_at null for the pending ones and known false for those only the database has
+  async status() {
+    const applied = new Map((await this.applied()).map(row => [row.version, row]));
+    const known = this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.get(migration.version)?.applied_at || null,
+      known: true
+    }));
+    const unknown = [...applied.values()]
+      .filter(row => !this.migrations.some(migration => migration.version === row.version))
+      .map(row => ({ ...row, known: false }));
+    return [...known, ...unknown].sort((a, b) => a.version - b.version);
+  }
+
+  // Reject with a SchemaVersionError if the database has migrations this version of the app does
+  // not know, which means a newer version migrated it: running against it could lose data.
+  async check() {
+    const unknown = (await this.status()).filter(migration => !migration.known);
+    if (unknown.length > 0) {
+      const versions = unknown.map(migration => `${migration.version} (${migration.name})`).join(', ');
+      throw new SchemaVersionError(
+        `The database has migrations this version of the app does not know: ${versions}. ` +
+        'It was upgraded by a newer version; run that version, or undo them with its migrate:down.'
+      );
+    }
+  }
+
+  // Apply the pending migrations, up to version to when given. Resolves with those applied.
+  async up({ to = Infinity } = {}) {
+    await this.check();
+    const status = await this.status();
+    const pending = this.migrations.filter(migration =>
+      migration.version <= to && !status.find(row => row.version === migration.version).applied_at
+    );
+
+    const applied = [];
+    for (const migration of pending) {
+      await this.transaction(migration, async (db, isApplied) => {
+        if (isApplied) {
+          return; // Another process applied it meanwhile
+        }
+        await migration.up(db);
+        await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        applied.push(migration);
+      });
+    }
+    return applied;
+  }
+
+  // Undo the latest applied migration, or every one after version to when given. Resolves with
+  // those undone, latest first.
+  async down({ to = null } = {}) {
+    await this.check();
+    const applied = (await this.status()).filter(migration => migration.applied_at);
+    const undo = (to === null ? applied.slice(-1) : applied.filter(migration => migration.version > to)).reverse();
+
+    const undone = [];
+    for (const { version } of undo) {
+      const migration = this.migrations.find(known => known.version === version);
+      await this.transaction(migration, async (db, isApplied) => {
+        if (!isApplied) {
+          return; // Another process undid it meanwhile
+        }
+        await migration.down(db);
+        await db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        undone.push(migration);
+      });
+    }
+    return undone;
+  }
+
+  // Run work(db, isApplied) in a transaction, with isApplied read inside it: SQLite's transactions
+  // already exclude other writers, and on PostgreSQL a lock is taken first
+  async transaction(migration, work) {
+    try {
+      await this.store.transaction(async (db) => {
+        if (db.dialect === 'postgres') {
+          await db.get('SELECT pg_advisory_xact_lock(?)', [POSTGRES_LOCK_ID]);
+        }
+        const isApplied = Boolean(await db.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]));
+        await work(db, isApplied);
+      });
+    } catch (error) {
+      error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  Migrator,
+  SchemaVersionError,
+  loadMigrations,
+  MIGRATIONS_DIR
+};
@@ -0,0 +1,126 @@
+const { Pool, types } = require('pg');
+
+// Results read as they do from SQLite: 64-bit integers (counts, serial ids) and numerics (sums,
+// averages) as numbers, dates and timestamps as the 'YYYY-MM-DD HH:MM:SS' text they were stored as
+const PARSERS = {
+  20: value => parseInt(value, 10),
+  1700: value => parseFloat(value),
+  1082: value => value,
+  1114: value => value
+};
+const typeParsers = {
+  getTypeParser: (oid, format) => PARSERS[oid] || types.getTypeParser(oid, format)
+};
+
+// Statements are written with ? placeholders, as for SQLite; PostgreSQL numbers them ($1, $2, ...).
+// Question marks inside quoted strings and identifiers are left alone.
+function toNumberedPlaceholders(sql) {
+  let count = 0;
+  let quote = null;
+  let result = '';
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      result += `$${++count}`;
+      continue;
+    }
+    result += char;
+  }
+  return result;
+}
+
+// The statements of the pool, or of one client inside a transaction
+class PostgresConnection {
+  constructor(queryable) {
+    this.dialect = 'postgres';
+    this.queryable = queryable;
+  }
+
+  // Resolves with { changes }, the number of rows changed
+  async run(sql, params = []) {
+    const result = await this.queryable.query(toNumberedPlaceholders(sql), params);
+    return { changes: result.rowCount };
+  }
+
+  // Resolves with the first row, or undefined when there is none
+  async get(sql, params = []) {
+    const result = await this.queryable.query(toNumberedPlaceholders(sql), params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.queryable.query(toNumberedPlaceholders(sql), params);
+    return result.rows;
+  }
+
+  // Several statements at once, without parameters
+  async exec(sql) {
+    await this.queryable.query(sql);
+  }
+
+  // Already in a transaction: work joins it
+  transaction(work) {
+    return work(this);
+  }
+}
+
+// A PostgreSQL database, which several backend processes can share. Connections are pooled and
+// use UTC, so CURRENT_TIMESTAMP gives the same times as in SQLite.
+class PostgresStore extends PostgresConnection {
+  constructor(connectionString) {
+    const pool = new Pool({
+      connectionString,
+      max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+      types: typeParsers
+    });
+    super(pool);
+    this.pool = pool;
+    this.connectionString = connectionString;
+
+    pool.on('connect', (client) => {
+      client.query('SET TIME ZONE \'UTC\'').catch(error => console.error('Error setting the time zone:', error.message));
+    });
+    // A connection that breaks while idle is dropped by the pool; it is not fatal
+    pool.on('error', (error) => {
+      console.error('PostgreSQL connection error:', error.message);
+    });
+  }
+
+  // Where the database is, without the credentials
+  describe() {
+    try {
+      const url = new URL(this.connectionString);
+      return `PostgreSQL ${url.hostname}${url.port ? `:${url.port}` : ''}${url.pathname}`;
+    } catch (error) {
+      return 'PostgreSQL';
+    }
+  }
+
+  // Run work(connection) in a transaction on one connection, committed when it resolves and rolled
+  // back when it rejects. Resolves with what work resolves with.
+  async transaction(work) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await work(new PostgresConnection(client));
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  close() {
+    return this.pool.end();
+  }
+}
+
+module.exports = PostgresStore;
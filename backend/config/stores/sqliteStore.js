@@ -0,0 +1,113 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// A SQLite database file, used by one backend process. Statements use ? placeholders.
+//
+// There is one connection, so a transaction is open for every statement made on it. Transactions
+// take turns, and statements made outside the open one wait for it to end rather than being made
+// part of it; the transaction's own statements go straight to the connection.
+class SqliteStore {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    // Settles when the last transaction started has ended
+    this.transactionQueue = Promise.resolve();
+    this.db = new sqlite3.Database(filename, (err) => {
+      if (err) {
+        console.error('Error opening database:', err.message);
+      } else {
+        console.log('Connected to SQLite database.');
+      }
+    });
+  }
+
+  describe() {
+    return `SQLite ${this.filename}`;
+  }
+
+  // Resolves with { changes }, the number of rows changed
+  run(sql, params = []) {
+    return this.afterTransactions(() => this.runNow(sql, params));
+  }
+
+  // Resolves with the first row, or undefined when there is none
+  get(sql, params = []) {
+    return this.afterTransactions(() => this.getNow(sql, params));
+  }
+
+  all(sql, params = []) {
+    return this.afterTransactions(() => this.allNow(sql, params));
+  }
+
+  // Several statements at once, without parameters
+  exec(sql) {
+    return this.afterTransactions(() => this.execNow(sql));
+  }
+
+  // Run statement once the transactions started so far have ended
+  afterTransactions(statement) {
+    return this.transactionQueue.then(statement);
+  }
+
+  runNow(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  getNow(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  allNow(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  execNow(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Run work(store) in a transaction, committed when it resolves and rolled back when it rejects.
+  // Resolves with what work resolves with. Transactions started within work join this one.
+  transaction(work) {
+    const result = this.transactionQueue.then(async () => {
+      const transaction = Object.create(this, {
+        run: { value: (sql, params) => this.runNow(sql, params) },
+        get: { value: (sql, params) => this.getNow(sql, params) },
+        all: { value: (sql, params) => this.allNow(sql, params) },
+        exec: { value: (sql) => this.execNow(sql) },
+        transaction: { value: (inner) => inner(transaction) }
+      });
+      await transaction.run('BEGIN IMMEDIATE');
+      try {
+        const value = await work(transaction);
+        await transaction.run('COMMIT');
+        return value;
+      } catch (error) {
+        await transaction.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,226 @@
+const adminSession = require('../services/adminSession');
+const logger = require('../config/logger');
+
+// The cookie a browser's sign-in token is kept in
+const COOKIE_NAME = 'auth_token';
+// The cookie a browser's admin session is kept in (see services/adminSession)
+const ADMIN_COOKIE_NAME = 'admin_token';
+// The cookie naming the single sign-on a browser started, so only that browser can finish it
+const SSO_COOKIE_NAME = 'sso_state';
+
+// Requests that change something must say they come from a script (the frontend sets
+// X-Requested-With on every request) when signed in by cookie. Forms on other sites cannot set
+// the header, so they cannot act with the cookie.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The cookies of a request by name, without a cookie-parsing dependency
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Not ours; a malformed cookie is ignored
+    }
+  });
+  return cookies;
+}
+
+// The sign-in token of a request: an Authorization: Bearer header for API clients, the cookie for
+// browsers. Returns { token, fromCookie }, token null when there is none.
+function getToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return { token: header.slice(7).trim() || null, fromCookie: false };
+  }
+  return { token: parseCookies(req)[COOKIE_NAME] || null, fromCookie: true };
+}
+
+// Cookies are sent over HTTPS only in production, unless COOKIE_SECURE says otherwise
+function isSecureCookie() {
+  if (process.env.COOKIE_SECURE !== undefined) {
+    return process.env.COOKIE_SECURE === 'true';
+  }
+  return process.env.NODE_ENV === 'production';
+}
+
+function setSessionCookie(res, { token, expires_at: expiresAt }) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isSecureCookie(),
+    path: '/',
+    expires: new Date(`${expiresAt.replace(' ', 'T')}Z`)
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'lax', secure: isSecureCookie(), path: '/' });
+}
+
+// The admin session of a request: an X-Admin-Token header for API clients, the cookie for browsers
+function getAdminToken(req) {
+  return req.get('X-Admin-Token') || parseCookies(req)[ADMIN_COOKIE_NAME] || null;
+}
+
+function setAdminCookie(res, { token, expires_at: expiresAt }) {
+  res.cookie(ADMIN_COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: isSecureCookie(),
+    path: '/',
+    expires: new Date(expiresAt)
+  });
+}
+
+function clearAdminCookie(res) {
+  res.clearCookie(ADMIN_COOKIE_NAME, { httpOnly: true, sameSite: 'strict', secure: isSecureCookie(), path: '/' });
+}
+
+// The single sign-on this browser started (the id of its SsoRequest); sent only to the sign-in
+// routes, and for as long as the provider has to answer
+function getSsoState(req) {
+  return parseCookies(req)[SSO_COOKIE_NAME] || null;
+}
+
+function setSsoCookie(res, requestId) {
+  res.cookie(SSO_COOKIE_NAME, requestId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isSecureCookie(),
+    path: '/api/auth',
+    maxAge: 10 * 60 * 1000
+  });
+}
+
+function clearSsoCookie(res) {
+  res.clearCookie(SSO_COOKIE_NAME, { httpOnly: true, sameSite: 'lax', secure: isSecureCookie(), path: '/api/auth' });
+}
+
+// Sign a user in: a new sign-in token, in a cookie for browsers and in the response for API
+// clients (send it as Authorization: Bearer)
+async function signIn(req, res, user) {
+  const { User, AuthSession } = req.app.locals.models;
+
+  const session = await AuthSession.create(user.id);
+  await User.recordLogin(user.id);
+  // Sign-ins that have expired are only cleared now and then
+  AuthSession.deleteExpired().catch(error => logger.warn('Clearing expired sign-ins failed:', error.message));
+
+  setSessionCookie(res, session);
+  return { user: await User.getById(user.id), token: session.token, expires_at: session.expires_at };
+}
+
+// Let only signed-in users through, with their user as req.user and their token as req.authToken
+const authenticate = async (req, res, next) => {
+  try {
+    const { token, fromCookie } = getToken(req);
+    const user = token ? await req.app.locals.models.AuthSession.getUser(token) : null;
+    if (!user) {
+      if (token && fromCookie) {
+        clearSessionCookie(res);
+      }
+      return res.status(401).json({ error: 'Sign in to continue' });
+    }
+
+    if (fromCookie && !SAFE_METHODS.includes(req.method) && !req.get('X-Requested-With')) {
+      logger.warn('Cookie-authenticated request without X-Requested-With refused', {
+        url: req.originalUrl,
+        method: req.method
+      });
+      return res.status(403).json({ error: 'Requests must be sent by the app' });
+    }
+
+    req.user = user;
+    req.authToken = token;
+    next();
+  } catch (error) {
+    logger.error('Authentication error:', error.message);
+    res.status(500).json({ error: 'Failed to check sign-in' });
+  }
+};
+
+// Let only admins through; goes after authenticate
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this' });
+  }
+  next();
+};
+
+// Whether the signed-in user is an admin who has unlocked admin mode. Responds 403 and returns
+// false if not; sets when admin mode locks again as req.adminExpiresAt if so. The server checks
+// this whatever the app shows.
+function checkAdminSession(req, res) {
+  if (req.user?.role !== 'admin') {
+    res.status(403).json({ error: 'Only admins can do this' });
+    return false;
+  }
+
+  const expiresAt = adminSession.verify(getAdminToken(req), req.user, req.authToken);
+  if (!expiresAt) {
+    res.status(403).json({ error: 'Unlock admin mode to do this', adminLocked: true });
+    return false;
+  }
+  req.adminExpiresAt = expiresAt;
+  return true;
+}
+
+// Let only admins who have unlocked admin mode through (see checkAdminSession); goes after authenticate
+const requireAdminSession = (req, res, next) => {
+  if (checkAdminSession(req, res)) {
+    next();
+  }
+};
+
+// Whether a user may see and use a conversation: only its owner can
+function ownsSession(user, session) {
+  return Boolean(user && session && session.user_id === user.id);
+}
+
+// The session sessionId if it is the signed-in user's, or null if it does not exist or is
+// someone else's; the two are not told apart, so other users' sessions cannot be discovered
+async function getOwnSession(req, sessionId) {
+  const session = await req.app.locals.models.Session.getById(sessionId);
+  return ownsSession(req.user, session) ? session : null;
+}
+
+// The attachment id if the signed-in user uploaded it, or null
+async function getOwnAttachment(req, id) {
+  const attachment = await req.app.locals.models.Attachment.getById(id);
+  return attachment && req.user && attachment.user_id === req.user.id ? attachment : null;
+}
+
+// Whether the signed-in user may see something kept for a session (sessionId), such as a document
+// or image: they may if it is their session's. Things kept for no session (null) are shared.
+async function canAccessSessionItem(req, sessionId) {
+  return !sessionId || Boolean(await getOwnSession(req, sessionId));
+}
+
+module.exports = {
+  COOKIE_NAME,
+  parseCookies,
+  getToken,
+  setSessionCookie,
+  clearSessionCookie,
+  signIn,
+  getAdminToken,
+  setAdminCookie,
+  clearAdminCookie,
+  getSsoState,
+  setSsoCookie,
+  clearSsoCookie,
+  authenticate,
+  requireAdmin,
+  requireAdminSession,
+  checkAdminSession,
+  ownsSession,
+  getOwnSession,
+  getOwnAttachment,
+  canAccessSessionItem
+};
@@ -1,6 +1,54 @@
 const Joi = require('joi');
 const validator = require('validator');
 const logger = require('../config/logger');
+const providerRegistry = require('../services/providerRegistry');
+
+// Generation parameters accepted per request and as session defaults.
+// OpenAI allows temperatures up to 2; Anthropic requests are capped at 1.
+const generationParamFields = {
+  temperature: Joi.number().min(0).max(2),
+  maxTokens: Joi.number().integer().min(1).max(8000),
+  topP: Joi.number().min(0).max(1),
+  stop: Joi.array().items(Joi.string().min(1).max(100)).max(4),
+  presencePenalty: Joi.number().min(-2).max(2),
+  frequencyPenalty: Joi.number().min(-2).max(2)
+};
+
+// Persona fields shared by create and update
+const personaFields = {
+  name: Joi.string().min(1).max(100).trim(),
+  systemPrompt: Joi.string().max(20000).allow(''),
+  defaultModel: Joi.string().max(100).allow(null, ''),
+  generationParams: Joi.object(generationParamFields).allow(null),
+  avatar: Joi.string().max(500).allow(null, '')
+};
+
+// User account fields. Usernames are shown in the app, so they are kept to a safe set of characters.
+const accountFields = {
+  username: Joi.string().min(3).max(50).trim().pattern(/^[a-zA-Z0-9._@-]+$/)
+    .messages({ 'string.pattern.base': 'Usernames may contain letters, digits and . _ @ - only' }),
+  password: Joi.string().min(8).max(200),
+  role: Joi.string().valid('admin', 'user')
+};
+
+// Prompt template fields. Names double as slash commands, so they cannot contain spaces.
+const templateFields = {
+  name: Joi.string().min(1).max(50).pattern(/^[a-zA-Z0-9_-]+$/),
+  description: Joi.string().max(200).allow(''),
+  content: Joi.string().min(1).max(20000)
+};
+
+const importedTemplate = Joi.object({
+  name: templateFields.name.required(),
+  description: templateFields.description.allow(null),
+  content: templateFields.content.required()
+}).unknown(true);
+
+// Files uploaded with POST /attachments, sent along with a message
+const attachmentIds = Joi.array().items(Joi.string().uuid()).max(5).unique();
+
+// Images made at once by an image model, the candidates to choose from
+const imageCount = Joi.number().integer().min(1).max(4);
 
 // Validation schemas
 const schemas = {
@@ -9,8 +57,114 @@ const schemas = {
     message: Joi.string().required().min(1).max(10000).trim(),
     model: Joi.string().required().min(1).max(100),
     sessionId: Joi.string().uuid().optional(),
-    temperature: Joi.number().min(0).max(2).optional(),
-    maxTokens: Joi.number().min(1).max(8000).optional()
+    attachmentIds: attachmentIds.optional(),
+    ...generationParamFields,
+    requestId: Joi.string().uuid().optional(),
+    personaId: Joi.string().uuid().optional(),
+    // Number of images to generate with an image model
+    imageCount: imageCount.optional()
+  }),
+
+  // Send one message to several models at once (compare mode)
+  compareMessage: Joi.object({
+    message: Joi.string().required().min(1).max(10000).trim(),
+    models: Joi.array().items(Joi.string().min(1).max(100)).min(2).max(4).unique().required(),
+    sessionId: Joi.string().uuid().optional(),
+    attachmentIds: attachmentIds.optional(),
+    ...generationParamFields,
+    requestId: Joi.string().uuid().optional(),
+    personaId: Joi.string().uuid().optional()
+  }),
+
+  // Pick the reply of a comparison to continue with
+  comparisonWinner: Joi.object({
+    messageId: Joi.string().uuid().required()
+  }),
+
+  // Edit a user message; the edited text is answered with the given model.
+  // Without attachmentIds the edit keeps the original's attachments.
+  messageEdit: Joi.object({
+    message: Joi.string().required().min(1).max(10000).trim(),
+    model: Joi.string().required().min(1).max(100),
+    attachmentIds: attachmentIds.optional(),
+    ...generationParamFields,
+    requestId: Joi.string().uuid().optional()
+  }),
+
+  // Regenerate a reply, optionally with a different model
+  regenerateMessage: Joi.object({
+    model: Joi.string().min(1).max(100),
+    ...generationParamFields,
+    requestId: Joi.string().uuid().optional()
+  }),
+
+  // Edit an image with a prompt; the mask is a PNG data URL whose transparent areas are changed
+  imageEdit: Joi.object({
+    model: Joi.string().required().min(1).max(100),
+    prompt: Joi.string().required().min(1).max(4000).trim(),
+    mask: Joi.string().pattern(/^data:image\/png;base64,/).max(8 * 1024 * 1024).optional(),
+    count: imageCount.optional(),
+    requestId: Joi.string().uuid().optional()
+  }),
+
+  // Make variations of an image
+  imageVariation: Joi.object({
+    model: Joi.string().required().min(1).max(100),
+    count: imageCount.optional(),
+    requestId: Joi.string().uuid().optional()
+  }),
+
+  // Show another of an image message's candidates
+  imageCandidate: Joi.object({
+    index: Joi.number().integer().min(0).max(3).required()
+  }),
+
+  // Show the branch of a conversation that goes through a message
+  branchSelection: Joi.object({
+    messageId: Joi.string().uuid().required()
+  }),
+
+  // Session memory: opt in to summarizing older messages, or correct the summary
+  sessionMemory: Joi.object({
+    enabled: Joi.boolean(),
+    summary: Joi.string().min(1).max(20000)
+  }).min(1),
+
+  // Session default generation parameters; null clears a value
+  generationParams: Joi.object(
+    Object.fromEntries(Object.entries(generationParamFields).map(([key, field]) => [key, field.allow(null)]))
+  ),
+
+  // Persona validation
+  persona: Joi.object({
+    ...personaFields,
+    name: personaFields.name.required()
+  }),
+
+  personaUpdate: Joi.object(personaFields).min(1),
+
+  // Prompt template validation
+  template: Joi.object({
+    ...templateFields,
+    name: templateFields.name.required(),
+    content: templateFields.content.required()
+  }),
+
+  templateUpdate: Joi.object(templateFields).min(1),
+
+  // Template import: an export file ({ version, templates: [...] }) or a bare array of templates
+  templateImport: Joi.alternatives().try(
+    Joi.object({
+      version: Joi.number(),
+      exported_at: Joi.string(),
+      templates: Joi.array().items(importedTemplate).max(500).required()
+    }),
+    Joi.array().items(importedTemplate).max(500)
+  ),
+
+  // Cancel an in-flight generation
+  cancelGeneration: Joi.object({
+    requestId: Joi.string().uuid().required()
   }),
 
   // Settings validation
@@ -25,13 +179,122 @@ const schemas = {
 
   // API key validation
   apiKey: Joi.object({
-    provider: Joi.string().valid('openai', 'anthropic').required(),
+    provider: Joi.string().custom((value, helpers) => (
+      providerRegistry.has(value) ? value : helpers.error('any.invalid')
+    )).required(),
     apiKey: Joi.string().required().min(10).max(200)
   }),
 
   // Session ID validation
   sessionId: Joi.object({
     id: Joi.string().uuid().required()
+  }),
+
+  // Message ID validation
+  messageId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  // Attachment ID validation
+  attachmentId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  // Document ID validation
+  documentId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  // Media ID validation
+  mediaId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  // Comparison ID validation
+  comparisonId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  // Job ID validation
+  jobId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  // Conversation search: the words to find and the filters (dates are YYYY-MM-DD, both included)
+  searchQuery: Joi.object({
+    q: Joi.string().required().min(1).max(200).trim(),
+    model: Joi.string().min(1).max(100),
+    role: Joi.string().valid('user', 'assistant'),
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    sessionId: Joi.string().uuid(),
+    limit: Joi.number().integer().min(1).max(50).default(20)
+  }),
+
+  // A page of conversations: cursor is the next_cursor of the page before; offset skips
+  // conversations instead, for callers that count pages
+  sessionPage: Joi.object({
+    cursor: Joi.string().max(500),
+    offset: Joi.number().integer().min(0).default(0),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  // A page of a conversation's messages: the limit messages before the message before, the latest
+  // when not given; include extends the page back to that message
+  messagePage: Joi.object({
+    before: Joi.string().uuid(),
+    include: Joi.string().uuid(),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  }),
+
+  // Document chunk ID validation (chunks are numbered by the full-text index)
+  chunkId: Joi.object({
+    chunkId: Joi.number().integer().positive().required()
+  }),
+
+  // Signing in. Passwords are checked as typed, so they are not trimmed or escaped.
+  login: Joi.object({
+    username: Joi.string().required().min(1).max(100).trim(),
+    password: Joi.string().required().min(1).max(200)
+  }),
+
+  // Creating the first admin account with the setup token from the server log
+  accountSetup: Joi.object({
+    setupToken: Joi.string().required().min(1).max(200).trim(),
+    username: accountFields.username.required(),
+    password: accountFields.password.required()
+  }),
+
+  // Changing one's own password
+  passwordChange: Joi.object({
+    currentPassword: Joi.string().required().min(1).max(200),
+    newPassword: accountFields.password.required()
+  }),
+
+  // A user account made by an admin: with a password, or for a single sign-on provider
+  // (authProvider) to be linked at its user's first sign-in, which only regular users' accounts are
+  user: Joi.object({
+    username: accountFields.username.required(),
+    password: accountFields.password,
+    authProvider: Joi.string().valid('oidc', 'saml'),
+    role: accountFields.role.when('authProvider', { is: Joi.exist(), then: Joi.invalid('admin') })
+  }).xor('password', 'authProvider'),
+
+  // Changing another user's role or setting a new password for them
+  userUpdate: Joi.object({
+    password: accountFields.password,
+    role: accountFields.role
+  }).or('password', 'role'),
+
+  // Unlocking admin mode: the ADMIN_SECRET, or the admin's password when there is none
+  adminUnlock: Joi.object({
+    secret: Joi.string().min(1).max(500),
+    password: Joi.string().min(1).max(200)
+  }).xor('secret', 'password'),
+
+  // User ID validation
+  userId: Joi.object({
+    id: Joi.string().uuid().required()
   })
 };
 
@@ -94,6 +357,37 @@ const validateParams = (schema) => {
   };
 };
 
+// Query string validation middleware. The validated values (with defaults filled in and
+// numbers converted) replace req.query.
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Query validation failed', {
+        url: req.originalUrl,
+        method: req.method,
+        errors
+      });
+
+      return res.status(400).json({
+        error: 'Invalid query',
+        details: errors
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
 // Sanitization middleware
 const sanitize = (req, res, next) => {
   // Sanitize string inputs
@@ -157,6 +451,7 @@ module.exports = {
   schemas,
   validate,
   validateParams,
+  validateQuery,
   sanitize,
   createRateLimit
 };
\ No newline at end of file
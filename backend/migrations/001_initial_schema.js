@@ -0,0 +1,405 @@
+// The schema as it was before versioned migrations, for new databases and for those created by
+// earlier versions of the app: tables that are missing are created and columns added since are
+// added, so it can run against a database in any of its earlier states. PostgreSQL databases have
+// no earlier states and get the schema of postgresTables.
+
+const tables = [
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    title TEXT,
+    model_used TEXT,
+    generation_params TEXT,
+    persona_id TEXT,
+    active_message_id TEXT,
+    summarize_history INTEGER DEFAULT 0
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    model TEXT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    token_count INTEGER DEFAULT 0,
+    content_type TEXT DEFAULT 'text',
+    image_metadata TEXT,
+    status TEXT DEFAULT 'complete',
+    generation_params TEXT,
+    parent_id TEXT,
+    citations TEXT,
+    tool_data TEXT,
+    fallback TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS personas (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    system_prompt TEXT NOT NULL DEFAULT '',
+    default_model TEXT,
+    generation_params TEXT,
+    avatar TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT DEFAULT '',
+    content TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS session_memories (
+    session_id TEXT PRIMARY KEY,
+    summary TEXT NOT NULL,
+    covered_message_id TEXT,
+    model TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS usage_log (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    model TEXT NOT NULL,
+    purpose TEXT NOT NULL,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('image', 'text')),
+    size INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS message_attachments (
+    message_id TEXT NOT NULL,
+    attachment_id TEXT NOT NULL,
+    position INTEGER DEFAULT 0,
+    PRIMARY KEY (message_id, attachment_id),
+    FOREIGN KEY (message_id) REFERENCES messages (id),
+    FOREIGN KEY (attachment_id) REFERENCES attachments (id)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    chunk_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS media (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    has_thumbnail INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    session_id TEXT,
+    message_id TEXT,
+    payload TEXT,
+    progress TEXT,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  )`,
+
+  // One prompt answered by several models side by side, and the answer picked. Kept when the
+  // session is deleted, for the head-to-head statistics of the report.
+  `CREATE TABLE IF NOT EXISTS comparisons (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    user_message_id TEXT,
+    entries TEXT NOT NULL,
+    winner_model TEXT,
+    winner_message_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    decided_at DATETIME
+  )`,
+  
+  // Full-text index of the documents' text, ranked with BM25
+  `CREATE VIRTUAL TABLE IF NOT EXISTS document_chunks USING fts5(
+    content,
+    document_id UNINDEXED,
+    position UNINDEXED,
+    tokenize = 'porter unicode61'
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS api_keys (
+    provider TEXT PRIMARY KEY,
+    key_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+// The same tables in PostgreSQL. Timestamps are stored without a time zone, to the second, and
+// read back as text, as in SQLite. messages and jobs have a rowid column, which SQLite gives every
+// table, to keep rows created in the same second in order, and document_chunks is a plain table
+// with an expression index for full-text search. There are no foreign keys, which SQLite does not
+// enforce either: deleting a session leaves its documents and comparisons behind.
+const postgresTables = [
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    title TEXT,
+    model_used TEXT,
+    generation_params TEXT,
+    persona_id TEXT,
+    active_message_id TEXT,
+    summarize_history INTEGER DEFAULT 0
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    rowid BIGSERIAL,
+    session_id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    model TEXT,
+    timestamp TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    token_count INTEGER DEFAULT 0,
+    content_type TEXT DEFAULT 'text',
+    image_metadata TEXT,
+    status TEXT DEFAULT 'complete',
+    generation_params TEXT,
+    parent_id TEXT,
+    citations TEXT,
+    tool_data TEXT,
+    fallback TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS messages_session_id ON messages (session_id, timestamp, rowid)',
+
+  `CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS personas (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    system_prompt TEXT NOT NULL DEFAULT '',
+    default_model TEXT,
+    generation_params TEXT,
+    avatar TEXT,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    content TEXT NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Template names are unique regardless of case, as with SQLite's COLLATE NOCASE
+  'CREATE UNIQUE INDEX IF NOT EXISTS templates_name ON templates (LOWER(name))',
+
+  `CREATE TABLE IF NOT EXISTS session_memories (
+    session_id TEXT PRIMARY KEY,
+    summary TEXT NOT NULL,
+    covered_message_id TEXT,
+    model TEXT,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS usage_log (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    model TEXT NOT NULL,
+    purpose TEXT NOT NULL,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('image', 'text')),
+    size INTEGER NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS message_attachments (
+    message_id TEXT NOT NULL,
+    attachment_id TEXT NOT NULL,
+    position INTEGER DEFAULT 0,
+    PRIMARY KEY (message_id, attachment_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    chunk_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS media (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    has_thumbnail INTEGER DEFAULT 0,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    rowid BIGSERIAL,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    session_id TEXT,
+    message_id TEXT,
+    payload TEXT,
+    progress TEXT,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP(0),
+    finished_at TIMESTAMP(0)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS comparisons (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    user_message_id TEXT,
+    entries TEXT NOT NULL,
+    winner_model TEXT,
+    winner_message_id TEXT,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP(0)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS document_chunks (
+    rowid BIGSERIAL PRIMARY KEY,
+    content TEXT NOT NULL,
+    document_id TEXT NOT NULL,
+    position INTEGER NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS document_chunks_document_id ON document_chunks (document_id)',
+  'CREATE INDEX IF NOT EXISTS document_chunks_search ON document_chunks USING GIN (to_tsvector(\'english\', content))',
+
+  `CREATE TABLE IF NOT EXISTS api_keys (
+    provider TEXT PRIMARY KEY,
+    key_hash TEXT NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+// Columns added after their tables were first released, [table, column, definition]
+const addedColumns = [
+  ['messages', 'content_type', "TEXT DEFAULT 'text'"],
+  ['messages', 'image_metadata', 'TEXT'],
+  ['messages', 'status', "TEXT DEFAULT 'complete'"],
+  ['messages', 'generation_params', 'TEXT'],
+  ['sessions', 'generation_params', 'TEXT'],
+  ['sessions', 'persona_id', 'TEXT'],
+  ['messages', 'parent_id', 'TEXT'],
+  ['sessions', 'active_message_id', 'TEXT'],
+  ['sessions', 'summarize_history', 'INTEGER DEFAULT 0'],
+  ['messages', 'citations', 'TEXT'],
+  ['messages', 'tool_data', 'TEXT'],
+  ['messages', 'fallback', 'TEXT']
+];
+
+// Data to fill in when a column is added to an existing table
+const backfills = {
+  // Existing conversations are flat lists: each message follows the one before it
+  'messages.parent_id': `
+    UPDATE messages SET parent_id = (
+      SELECT prev.id FROM messages prev
+      WHERE prev.session_id = messages.session_id
+        AND (prev.timestamp < messages.timestamp
+          OR (prev.timestamp = messages.timestamp AND prev.rowid < messages.rowid))
+      ORDER BY prev.timestamp DESC, prev.rowid DESC
+      LIMIT 1
+    )
+  `
+};
+
+// Table names of the CREATE statements, in order
+const tableNames = tables.map(sql => sql.match(/CREATE (?:VIRTUAL )?TABLE IF NOT EXISTS (\w+)/)[1]);
+
+async function up(db) {
+  if (db.dialect === 'postgres') {
+    for (const sql of postgresTables) {
+      await db.run(sql);
+    }
+    return;
+  }
+
+  for (const sql of tables) {
+    await db.run(sql);
+  }
+
+  for (const [table, column, definition] of addedColumns) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) {
+      continue;
+    }
+
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    if (backfills[`${table}.${column}`]) {
+      await db.run(backfills[`${table}.${column}`]);
+    }
+  }
+}
+
+async function down(db) {
+  for (const table of [...tableNames].reverse()) {
+    await db.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
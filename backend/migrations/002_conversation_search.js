@@ -0,0 +1,102 @@
+// Full-text indexes for searching conversations: the text messages and the session titles, kept in
+// step with their tables by triggers and filled in from the conversations already there. Only text
+// messages are searchable. PostgreSQL searches the tables themselves, through expression indexes.
+
+const tables = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    content,
+    message_id UNINDEXED,
+    session_id UNINDEXED,
+    tokenize = 'porter unicode61'
+  )`,
+
+  `CREATE VIRTUAL TABLE IF NOT EXISTS sessions_fts USING fts5(
+    title,
+    session_id UNINDEXED,
+    tokenize = 'porter unicode61'
+  )`
+];
+
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages
+    WHEN new.content_type = 'text'
+  BEGIN
+    INSERT INTO messages_fts (content, message_id, session_id) VALUES (new.content, new.id, new.session_id);
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content, content_type ON messages
+  BEGIN
+    DELETE FROM messages_fts WHERE message_id = old.id;
+    INSERT INTO messages_fts (content, message_id, session_id)
+      SELECT new.content, new.id, new.session_id WHERE new.content_type = 'text';
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages
+  BEGIN
+    DELETE FROM messages_fts WHERE message_id = old.id;
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS sessions_fts_insert AFTER INSERT ON sessions
+  BEGIN
+    INSERT INTO sessions_fts (title, session_id) VALUES (COALESCE(new.title, ''), new.id);
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS sessions_fts_update AFTER UPDATE OF title ON sessions
+  BEGIN
+    DELETE FROM sessions_fts WHERE session_id = old.id;
+    INSERT INTO sessions_fts (title, session_id) VALUES (COALESCE(new.title, ''), new.id);
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS sessions_fts_delete AFTER DELETE ON sessions
+  BEGIN
+    DELETE FROM sessions_fts WHERE session_id = old.id;
+  END`
+];
+
+// Index what is already there; the indexes may have been made and filled before this migration existed
+const backfills = [
+  `INSERT INTO messages_fts (content, message_id, session_id)
+    SELECT content, id, session_id FROM messages
+    WHERE content_type = 'text' AND NOT EXISTS (SELECT 1 FROM messages_fts LIMIT 1)`,
+  `INSERT INTO sessions_fts (title, session_id)
+    SELECT COALESCE(title, ''), id FROM sessions
+    WHERE NOT EXISTS (SELECT 1 FROM sessions_fts LIMIT 1)`
+];
+
+// The PostgreSQL indexes; Message.search and Session.searchTitles use the same expressions
+const postgresIndexes = [
+  `CREATE INDEX IF NOT EXISTS messages_search ON messages USING GIN (to_tsvector('english', content))
+    WHERE content_type = 'text'`,
+  'CREATE INDEX IF NOT EXISTS sessions_search ON sessions USING GIN (to_tsvector(\'english\', COALESCE(title, \'\')))'
+];
+
+async function up(db) {
+  if (db.dialect === 'postgres') {
+    for (const sql of postgresIndexes) {
+      await db.run(sql);
+    }
+    return;
+  }
+
+  for (const sql of [...tables, ...triggers, ...backfills]) {
+    await db.run(sql);
+  }
+}
+
+async function down(db) {
+  if (db.dialect === 'postgres') {
+    await db.run('DROP INDEX IF EXISTS messages_search');
+    await db.run('DROP INDEX IF EXISTS sessions_search');
+    return;
+  }
+
+  const names = ['messages_fts_insert', 'messages_fts_update', 'messages_fts_delete',
+    'sessions_fts_insert', 'sessions_fts_update', 'sessions_fts_delete'];
+  for (const name of names) {
+    await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+  }
+  await db.run('DROP TABLE IF EXISTS messages_fts');
+  await db.run('DROP TABLE IF EXISTS sessions_fts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// The settings a new installation starts with. Settings already set are left as they are.
+
+const defaultSettings = [
+  ['default_model', 'gpt-3.5-turbo'],
+  ['max_tokens', '2000'],
+  ['temperature', '0.7'],
+  ['logging_enabled', 'true'],
+  ['summarization_model', 'claude-3-haiku'],
+  ['retrieval_top_k', '4'],
+  ['tools_enabled', 'true'],
+  ['llm_max_retries', '2'],
+  ['llm_retry_delay_ms', '1000'],
+  ['fallback_chains', '']
+];
+
+async function up(db) {
+  for (const [key, value] of defaultSettings) {
+    await db.run('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO NOTHING', [key, value]);
+  }
+}
+
+// Settings that were changed from their defaults are kept
+async function down(db) {
+  for (const [key, value] of defaultSettings) {
+    await db.run('DELETE FROM settings WHERE key = ? AND value = ?', [key, value]);
+  }
+}
+
+module.exports = { up, down };
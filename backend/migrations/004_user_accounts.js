@@ -0,0 +1,57 @@
+// User accounts: who may sign in, their signed-in browsers and API clients, and who owns each
+// conversation and upload. Conversations and uploads from before accounts existed have no owner
+// until the first admin is set up, who gets them (see routes/auth.js).
+
+function tables(timestamp) {
+  return [
+    `CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('admin', 'user')),
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_login_at ${timestamp}
+    )`,
+    // Usernames are unique regardless of case
+    'CREATE UNIQUE INDEX IF NOT EXISTS users_username ON users (LOWER(username))',
+
+    // A sign-in, known by the SHA-256 of its token; the token itself is only given to the client
+    `CREATE TABLE IF NOT EXISTS auth_sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      expires_at ${timestamp} NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS auth_sessions_user_id ON auth_sessions (user_id)'
+  ];
+}
+
+// [table, index] of the owner columns added to existing tables
+const ownedTables = [
+  ['sessions', 'sessions_user_id'],
+  ['attachments', 'attachments_user_id']
+];
+
+async function up(db) {
+  for (const sql of tables(db.dialect === 'postgres' ? 'TIMESTAMP(0)' : 'DATETIME')) {
+    await db.run(sql);
+  }
+
+  for (const [table, index] of ownedTables) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN user_id TEXT`);
+    await db.run(`CREATE INDEX IF NOT EXISTS ${index} ON ${table} (user_id)`);
+  }
+}
+
+async function down(db) {
+  for (const [table, index] of ownedTables) {
+    await db.run(`DROP INDEX IF EXISTS ${index}`);
+    await db.run(`ALTER TABLE ${table} DROP COLUMN user_id`);
+  }
+
+  await db.run('DROP TABLE IF EXISTS auth_sessions');
+  await db.run('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Single sign-on: users who sign in through an OpenID Connect or SAML identity provider are known
+// by the provider ('oidc' or 'saml') and the id it gives them (OIDC's sub claim, SAML's NameID).
+// They have no password; their password_hash is empty, which never matches. A sign-in under way is
+// remembered between the redirect to the provider and its answer.
+
+function tables(timestamp) {
+  return [
+    // A sign-in started with the provider: the state (OIDC) or RelayState (SAML) it is known by,
+    // or the ID of a SAML request, whose answer must name it
+    `CREATE TABLE IF NOT EXISTS sso_requests (
+      id TEXT PRIMARY KEY,
+      protocol TEXT NOT NULL,
+      purpose TEXT NOT NULL DEFAULT 'login',
+      user_id TEXT,
+      nonce TEXT,
+      code_verifier TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`
+  ];
+}
+
+async function up(db) {
+  await db.run('ALTER TABLE users ADD COLUMN auth_provider TEXT');
+  await db.run('ALTER TABLE users ADD COLUMN external_id TEXT');
+  await db.run('CREATE UNIQUE INDEX IF NOT EXISTS users_external_identity ON users (auth_provider, external_id)');
+
+  for (const sql of tables(db.dialect === 'postgres' ? 'TIMESTAMP(0)' : 'DATETIME')) {
+    await db.run(sql);
+  }
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS sso_requests');
+
+  await db.run('DROP INDEX IF EXISTS users_external_identity');
+  await db.run('ALTER TABLE users DROP COLUMN external_id');
+  await db.run('ALTER TABLE users DROP COLUMN auth_provider');
+}
+
+module.exports = { up, down };
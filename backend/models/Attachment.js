@@ -0,0 +1,123 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Files uploaded with a message: images (kind 'image') are sent to vision models as image content,
+// text files (kind 'text') are sent as text. An attachment is uploaded before the message it goes
+// with is sent, and linked to it through message_attachments; an edited message shares its
+// original's attachments. An attachment belongs to the user who uploaded it. The file itself is kept by services/attachmentStorage under the attachment's id.
+class Attachment {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ filename, mimeType, kind, size, userId = null }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO attachments (id, filename, mime_type, kind, size, user_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, filename, mimeType, kind, size, userId]);
+    return {
+      id,
+      filename,
+      mime_type: mimeType,
+      kind,
+      size,
+      user_id: userId,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async getById(id) {
+    const row = await this.db.get('SELECT * FROM attachments WHERE id = ?', [id]);
+    return row || null;
+  }
+
+  // Attachments with these ids, in the order given; unknown ids are left out
+  async getByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const sql = `SELECT * FROM attachments WHERE id IN (${ids.map(() => '?').join(', ')})`;
+    const rows = await this.db.all(sql, ids);
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  getByMessageId(messageId) {
+    const sql = `
+      SELECT a.* FROM attachments a
+      JOIN message_attachments ma ON ma.attachment_id = a.id
+      WHERE ma.message_id = ?
+      ORDER BY ma.position ASC
+    `;
+
+    return this.db.all(sql, [messageId]);
+  }
+
+  // Ids of the attachments linked to a session's messages
+  async getIdsBySessionId(sessionId) {
+    const sql = `
+      SELECT DISTINCT ma.attachment_id FROM message_attachments ma
+      JOIN messages m ON m.id = ma.message_id
+      WHERE m.session_id = ?
+    `;
+
+    const rows = await this.db.all(sql, [sessionId]);
+    return rows.map(row => row.attachment_id);
+  }
+
+  async linkToMessage(messageId, attachmentIds) {
+    if (attachmentIds.length === 0) {
+      return { changes: 0 };
+    }
+
+    const sql = `
+      INSERT INTO message_attachments (message_id, attachment_id, position)
+      VALUES ${attachmentIds.map(() => '(?, ?, ?)').join(', ')}
+      ON CONFLICT DO NOTHING
+    `;
+    const params = attachmentIds.flatMap((id, position) => [messageId, id, position]);
+
+    return this.db.run(sql, params);
+  }
+
+  // Delete the attachments that no message uses (only those in ids, when given, only those of the
+  // user userId, when given, and only those uploaded more than olderThanHours ago, when given).
+  // Resolves with the deleted ids, whose files are then the caller's to remove.
+  async deleteUnlinked({ ids = null, userId = null, olderThanHours = null } = {}) {
+    if (ids && ids.length === 0) {
+      return [];
+    }
+
+    const conditions = ['id NOT IN (SELECT attachment_id FROM message_attachments)'];
+    const params = [];
+    if (ids) {
+      conditions.push(`id IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (olderThanHours !== null) {
+      // In the YYYY-MM-DD HH:MM:SS (UTC) form of CURRENT_TIMESTAMP
+      const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+      conditions.push('created_at < ?');
+      params.push(cutoff);
+    }
+    const where = conditions.join(' AND ');
+
+    const rows = await this.db.all(`SELECT id FROM attachments WHERE ${where}`, params);
+    const deletedIds = rows.map(row => row.id);
+    if (deletedIds.length === 0) {
+      return [];
+    }
+
+    await this.db.run(`DELETE FROM attachments WHERE id IN (${deletedIds.map(() => '?').join(', ')})`, deletedIds);
+    return deletedIds;
+  }
+}
+
+module.exports = Attachment;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// How long a sign-in lasts
+const DEFAULT_SESSION_HOURS = 24 * 7;
+
+// The id a token is stored under. Only its hash is kept, so the table does not give sign-ins away.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// In the YYYY-MM-DD HH:MM:SS (UTC) form of CURRENT_TIMESTAMP
+function toTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// A signed-in browser or API client: a random token given out at sign-in (as a cookie or for an
+// Authorization: Bearer header) that stands for the user until it expires or they sign out.
+// Sign-ins last AUTH_SESSION_HOURS (a week by default).
+class AuthSession {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Sign a user in. Resolves with the token, which cannot be recovered later, and when it expires.
+  async create(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const hours = parseFloat(process.env.AUTH_SESSION_HOURS) || DEFAULT_SESSION_HOURS;
+    const expiresAt = toTimestamp(new Date(Date.now() + hours * 60 * 60 * 1000));
+
+    await this.db.run(
+      'INSERT INTO auth_sessions (id, user_id, expires_at) VALUES (?, ?, ?)',
+      [hashToken(token), userId, expiresAt]
+    );
+    return { token, expires_at: expiresAt };
+  }
+
+  // The user a token signs in, or null if it is unknown or has expired
+  async getUser(token) {
+    const sql = `
+      SELECT u.id, u.username, u.role, u.auth_provider, u.created_at, u.updated_at, u.last_login_at
+      FROM auth_sessions a
+      JOIN users u ON u.id = a.user_id
+      WHERE a.id = ? AND a.expires_at > ?
+    `;
+
+    const row = await this.db.get(sql, [hashToken(token), toTimestamp(new Date())]);
+    return row || null;
+  }
+
+  // Sign out
+  delete(token) {
+    return this.db.run('DELETE FROM auth_sessions WHERE id = ?', [hashToken(token)]);
+  }
+
+  // Sign a user out everywhere, but for the sign-in of exceptToken when given
+  deleteByUserId(userId, { exceptToken = null } = {}) {
+    return this.db.run(
+      'DELETE FROM auth_sessions WHERE user_id = ? AND id != ?',
+      [userId, exceptToken ? hashToken(exceptToken) : '']
+    );
+  }
+
+  deleteExpired() {
+    return this.db.run('DELETE FROM auth_sessions WHERE expires_at <= ?', [toTimestamp(new Date())]);
+  }
+}
+
+module.exports = AuthSession;
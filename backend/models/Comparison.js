@@ -0,0 +1,59 @@
+const { v4: uuidv4 } = require('uuid');
+
+function parseRow(row) {
+  if (row) {
+    row.entries = row.entries ? JSON.parse(row.entries) : [];
+  }
+  return row;
+}
+
+// A prompt sent to several models at once (compare mode). entries holds one answer per model:
+// { model, message_id, latency_ms, first_token_ms, tokens, error }, where model is the model that
+// answered and message_id is null if it failed. The answer the user continues with is the winner.
+class Comparison {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ sessionId, userMessageId, entries }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO comparisons (id, session_id, user_message_id, entries)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, sessionId, userMessageId, JSON.stringify(entries)]);
+    return this.getById(id);
+  }
+
+  async getById(id) {
+    const row = await this.db.get('SELECT * FROM comparisons WHERE id = ?', [id]);
+    return parseRow(row) || null;
+  }
+
+  // Record the answer picked; picking again replaces the earlier choice
+  async setWinner(id, { model, messageId }) {
+    const sql = `
+      UPDATE comparisons
+      SET winner_model = ?, winner_message_id = ?, decided_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    await this.db.run(sql, [model, messageId, id]);
+    return this.getById(id);
+  }
+
+  // Comparisons whose winner was picked, oldest first
+  async getDecided() {
+    const sql = `
+      SELECT * FROM comparisons
+      WHERE winner_model IS NOT NULL
+      ORDER BY decided_at ASC
+    `;
+
+    const rows = await this.db.all(sql);
+    return rows.map(parseRow);
+  }
+}
+
+module.exports = Comparison;
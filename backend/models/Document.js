@@ -0,0 +1,99 @@
+const { v4: uuidv4 } = require('uuid');
+const { toTsquery } = require('../services/searchIndex');
+
+// Documents uploaded for retrieval: those with a session_id belong to that conversation, those
+// without one form the shared knowledge base every conversation searches. Only their text is
+// kept, split into chunks in document_chunks, whose rowid is the chunk's id: an FTS5 table in
+// SQLite, a table with a full-text index in PostgreSQL.
+class Document {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // chunks are the document's text in order; they are stored with their position
+  async create({ sessionId = null, filename, mimeType, size }, chunks) {
+    const id = uuidv4();
+
+    // The document and its chunks are stored together or not at all
+    await this.db.transaction(async (db) => {
+      await db.run(
+        'INSERT INTO documents (id, session_id, filename, mime_type, size, chunk_count) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, sessionId, filename, mimeType, size, chunks.length]
+      );
+      for (const [position, content] of chunks.entries()) {
+        await db.run('INSERT INTO document_chunks (content, document_id, position) VALUES (?, ?, ?)', [content, id, position]);
+      }
+    });
+
+    return {
+      id,
+      session_id: sessionId,
+      filename,
+      mime_type: mimeType,
+      size,
+      chunk_count: chunks.length,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async getById(id) {
+    const row = await this.db.get('SELECT * FROM documents WHERE id = ?', [id]);
+    return row || null;
+  }
+
+  // A session's documents, or the knowledge base's when sessionId is null; newest first
+  list(sessionId = null) {
+    const sql = sessionId
+      ? 'SELECT * FROM documents WHERE session_id = ? ORDER BY created_at DESC'
+      : 'SELECT * FROM documents WHERE session_id IS NULL ORDER BY created_at DESC';
+
+    return this.db.all(sql, sessionId ? [sessionId] : []);
+  }
+
+  async getChunk(chunkId) {
+    const sql = 'SELECT rowid AS id, document_id, position, content FROM document_chunks WHERE rowid = ?';
+    const row = await this.db.get(sql, [chunkId]);
+    return row || null;
+  }
+
+  // The chunks of a session's documents and the knowledge base that best match an FTS5 query,
+  // best first, with their document's file name. Lower scores are better matches: BM25 in SQLite,
+  // the negated ts_rank in PostgreSQL.
+  search(sessionId, query, limit) {
+    if (this.db.dialect === 'postgres') {
+      // The expression of the document_chunks_search index (migration 001)
+      const document = 'to_tsvector(\'english\', c.content)';
+      const sql = `
+        SELECT c.rowid AS id, c.document_id, c.position, c.content, d.filename,
+          -ts_rank(${document}, q.query) AS score
+        FROM document_chunks c
+        JOIN documents d ON d.id = c.document_id
+        CROSS JOIN to_tsquery('english', ?) AS q(query)
+        WHERE ${document} @@ q.query AND (d.session_id = ? OR d.session_id IS NULL)
+        ORDER BY score
+        LIMIT ?
+      `;
+      return this.db.all(sql, [toTsquery(query), sessionId, limit]);
+    }
+
+    const sql = `
+      SELECT document_chunks.rowid AS id, document_chunks.document_id, document_chunks.position,
+        document_chunks.content, d.filename, bm25(document_chunks) AS score
+      FROM document_chunks
+      JOIN documents d ON d.id = document_chunks.document_id
+      WHERE document_chunks MATCH ? AND (d.session_id = ? OR d.session_id IS NULL)
+      ORDER BY score
+      LIMIT ?
+    `;
+    return this.db.all(sql, [query, sessionId, limit]);
+  }
+
+  delete(id) {
+    return this.db.transaction(async (db) => {
+      await db.run('DELETE FROM document_chunks WHERE document_id = ?', [id]);
+      return db.run('DELETE FROM documents WHERE id = ?', [id]);
+    });
+  }
+}
+
+module.exports = Document;
@@ -0,0 +1,69 @@
+const { v4: uuidv4 } = require('uuid');
+
+function parseRow(row) {
+  if (row) {
+    row.payload = row.payload ? JSON.parse(row.payload) : null;
+  }
+  return row;
+}
+
+// Work done in the background by services/jobQueue, such as generating images. A job fills in
+// the pending message it was queued for (message_id). Its status goes from 'queued' to 'running'
+// and ends as 'completed', 'failed' or 'cancelled'.
+class Job {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ type, sessionId = null, messageId = null, payload = null }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO jobs (id, type, status, session_id, message_id, payload)
+      VALUES (?, ?, 'queued', ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, type, sessionId, messageId, payload ? JSON.stringify(payload) : null]);
+    return this.getById(id);
+  }
+
+  async getById(id) {
+    const row = await this.db.get('SELECT * FROM jobs WHERE id = ?', [id]);
+    return parseRow(row) || null;
+  }
+
+  // Jobs that were queued or running, oldest first
+  async getUnfinished() {
+    const sql = `
+      SELECT * FROM jobs
+      WHERE status IN ('queued', 'running')
+      ORDER BY created_at ASC, rowid ASC
+    `;
+
+    const rows = await this.db.all(sql);
+    return rows.map(parseRow);
+  }
+
+  // updates are column values: status, progress, error, attempts, started_at, finished_at
+  update(id, updates) {
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    const sql = `
+      UPDATE jobs
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    return this.db.run(sql, [...values, id]);
+  }
+
+  // Delete a session's jobs. Resolves with the deleted ids, so running ones can be cancelled.
+  async deleteBySessionId(sessionId) {
+    const rows = await this.db.all('SELECT id FROM jobs WHERE session_id = ?', [sessionId]);
+    await this.db.run('DELETE FROM jobs WHERE session_id = ?', [sessionId]);
+    return rows.map(row => row.id);
+  }
+}
+
+module.exports = Job;
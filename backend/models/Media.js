@@ -0,0 +1,47 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Images generated by the models. The files are kept by services/mediaStorage under the media's id,
+// with a smaller copy under `${id}-thumbnail` when has_thumbnail is set.
+class Media {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ sessionId = null, mimeType, size, width = null, height = null, hasThumbnail = false }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO media (id, session_id, mime_type, size, width, height, has_thumbnail)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, sessionId, mimeType, size, width, height, hasThumbnail ? 1 : 0]);
+    return {
+      id,
+      session_id: sessionId,
+      mime_type: mimeType,
+      size,
+      width,
+      height,
+      has_thumbnail: hasThumbnail ? 1 : 0,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async getById(id) {
+    const row = await this.db.get('SELECT * FROM media WHERE id = ?', [id]);
+    return row || null;
+  }
+
+  delete(id) {
+    return this.db.run('DELETE FROM media WHERE id = ?', [id]);
+  }
+
+  // Delete a session's media. Resolves with the deleted ids, whose files are then the caller's to remove.
+  async deleteBySessionId(sessionId) {
+    const rows = await this.db.all('SELECT id FROM media WHERE session_id = ?', [sessionId]);
+    await this.db.run('DELETE FROM media WHERE session_id = ?', [sessionId]);
+    return rows.map(row => row.id);
+  }
+}
+
+module.exports = Media;
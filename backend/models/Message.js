@@ -1,151 +1,332 @@
 const { v4: uuidv4 } = require('uuid');
+const { MATCH_START, MATCH_END, toTsquery } = require('../services/searchIndex');
 
+// JSON columns are stored as text; rows from before they existed get their defaults
+function parseRow(row) {
+  if (row) {
+    row.content_type = row.content_type || 'text'; // Default for existing messages
+    row.status = row.status || 'complete';
+    row.image_metadata = row.image_metadata ? JSON.parse(row.image_metadata) : null;
+    row.generation_params = row.generation_params ? JSON.parse(row.generation_params) : null;
+    row.citations = row.citations ? JSON.parse(row.citations) : null;
+    row.tool_data = row.tool_data ? JSON.parse(row.tool_data) : null;
+    row.fallback = row.fallback ? JSON.parse(row.fallback) : null;
+  }
+  return row;
+}
+
+// The files attached to each message, by message id, from rows of message_id and the attachment's columns
+function groupAttachments(attachmentRows) {
+  const attachments = new Map();
+  attachmentRows.forEach(({ message_id: messageId, ...attachment }) => {
+    if (!attachments.has(messageId)) {
+      attachments.set(messageId, []);
+    }
+    attachments.get(messageId).push(attachment);
+  });
+  return attachments;
+}
+
+// The branch of rows (a session's messages, oldest first) ending at leafId, or at the most recent
+// message when leafId is not given or not found, from the first message on. Each message gets its
+// sibling_ids, itself included, oldest first.
+function walkBranch(rows, leafId) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const siblings = new Map();
+  rows.forEach(row => {
+    const key = row.parent_id || null;
+    if (!siblings.has(key)) {
+      siblings.set(key, []);
+    }
+    siblings.get(key).push(row.id);
+  });
+
+  const branch = [];
+  let current = (leafId && byId.get(leafId)) || rows[rows.length - 1];
+  while (current) {
+    branch.unshift({ ...current, sibling_ids: siblings.get(current.parent_id || null) });
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+  return branch;
+}
+
+// Messages form a tree through parent_id: editing a user message or regenerating a reply adds a
+// sibling instead of replacing it. A conversation shows one branch, from the root to a leaf.
 class Message {
   constructor(db) {
     this.db = db;
   }
 
-  create(sessionId, content, role, model = null, tokenCount = 0, contentType = 'text', imageMetadata = null) {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      const sql = `
-        INSERT INTO messages (id, session_id, content, role, model, token_count, content_type, image_metadata) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-      
-      const imageMetaString = imageMetadata ? JSON.stringify(imageMetadata) : null;
-      
-      this.db.run(sql, [id, sessionId, content, role, model, tokenCount, contentType, imageMetaString], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          // Update session's updated_at timestamp
-          const updateSessionSql = `
-            UPDATE sessions 
-            SET updated_at = CURRENT_TIMESTAMP, model_used = COALESCE(?, model_used)
-            WHERE id = ?
-          `;
-          
-          resolve({
-            id,
-            session_id: sessionId,
-            content,
-            role,
-            model,
-            token_count: tokenCount,
-            content_type: contentType,
-            image_metadata: imageMetadata,
-            timestamp: new Date().toISOString()
-          });
-        }
-      });
-    });
+  // Options:
+  //   status           - 'complete' (default), 'interrupted' for replies that were cancelled mid-generation,
+  //                      'pending' for replies a background job is making and 'failed' when that job failed
+  //   generationParams - the generation parameters (temperature, max_tokens, ...) the reply was generated with
+  //   parentId         - the message this one follows; null for the first message of a conversation
+  //   citations        - the document chunks a reply was given, as made by documentIndex.toCitations
+  //   toolData         - for a 'tool_call' message, { calls: [{ id, name, arguments }] };
+  //                      for a 'tool_result' message, { call_id, name, is_error }
+  //   fallback         - for a reply given by a fallback model, { from, reason }: the model asked
+  //                      and why it did not answer
+  async create(sessionId, content, role, model = null, tokenCount = 0, contentType = 'text', imageMetadata = null, options = {}) {
+    const id = uuidv4();
+    const status = options.status || 'complete';
+    const generationParams = options.generationParams || null;
+    const parentId = options.parentId || null;
+    const citations = options.citations?.length ? options.citations : null;
+    const toolData = options.toolData || null;
+    const fallback = options.fallback || null;
+    const sql = `
+      INSERT INTO messages (id, session_id, content, role, model, token_count, content_type, image_metadata, status, generation_params, parent_id, citations, tool_data, fallback) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const imageMetaString = imageMetadata ? JSON.stringify(imageMetadata) : null;
+    const generationParamsString = generationParams ? JSON.stringify(generationParams) : null;
+
+    const citationsString = citations ? JSON.stringify(citations) : null;
+    const toolDataString = toolData ? JSON.stringify(toolData) : null;
+    const fallbackString = fallback ? JSON.stringify(fallback) : null;
+
+    await this.db.run(sql, [id, sessionId, content, role, model, tokenCount, contentType, imageMetaString, status, generationParamsString, parentId, citationsString, toolDataString, fallbackString]);
+    return {
+      id,
+      session_id: sessionId,
+      content,
+      role,
+      model,
+      token_count: tokenCount,
+      content_type: contentType,
+      image_metadata: imageMetadata,
+      status,
+      generation_params: generationParams,
+      parent_id: parentId,
+      citations,
+      tool_data: toolData,
+      fallback,
+      timestamp: new Date().toISOString()
+    };
   }
 
-  getBySessionId(sessionId, limit = 100) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT * FROM messages 
-        WHERE session_id = ? 
-        ORDER BY timestamp ASC
-        LIMIT ?
-      `;
-      
-      this.db.all(sql, [sessionId, limit], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Parse image metadata for rows that have it
-          const processedRows = rows.map(row => ({
-            ...row,
-            content_type: row.content_type || 'text', // Default for existing messages
-            image_metadata: row.image_metadata ? JSON.parse(row.image_metadata) : null
-          }));
-          resolve(processedRows);
-        }
-      });
-    });
+  // Every message of a session, all branches included, oldest first; the first limit when given
+  async getBySessionId(sessionId, limit = null) {
+    const sql = `
+      SELECT * FROM messages 
+      WHERE session_id = ? 
+      ORDER BY timestamp ASC, rowid ASC
+      ${limit ? 'LIMIT ?' : ''}
+    `;
+
+    const rows = await this.db.all(sql, limit ? [sessionId, limit] : [sessionId]);
+    return rows.map(parseRow);
   }
 
-  getById(id) {
-    return new Promise((resolve, reject) => {
-      const sql = 'SELECT * FROM messages WHERE id = ?';
-      
-      this.db.get(sql, [id], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          if (row) {
-            row.content_type = row.content_type || 'text';
-            row.image_metadata = row.image_metadata ? JSON.parse(row.image_metadata) : null;
-          }
-          resolve(row);
-        }
-      });
-    });
+  // Every message of a session, all branches included, oldest first.
+  // Each message lists the files attached to it (attachments), in the order they were attached.
+  async getTree(sessionId) {
+    const sql = `
+      SELECT * FROM messages 
+      WHERE session_id = ? 
+      ORDER BY timestamp ASC, rowid ASC
+    `;
+    const attachmentsSql = `
+      SELECT ma.message_id, a.id, a.filename, a.mime_type, a.kind, a.size
+      FROM message_attachments ma
+      JOIN attachments a ON a.id = ma.attachment_id
+      JOIN messages m ON m.id = ma.message_id
+      WHERE m.session_id = ?
+      ORDER BY ma.position ASC
+    `;
+
+    const rows = await this.db.all(sql, [sessionId]);
+    const attachments = groupAttachments(await this.db.all(attachmentsSql, [sessionId]));
+    return rows.map(row => ({ ...parseRow(row), attachments: attachments.get(row.id) || [] }));
+  }
+
+  // The branch ending at leafId (the most recent message when not given), from the first message on.
+  // Each message lists its sibling_ids, itself included, oldest first, so alternatives can be shown.
+  async getBranch(sessionId, leafId = null) {
+    const rows = await this.getTree(sessionId);
+    return walkBranch(rows, leafId);
+  }
+
+  // A page of the branch ending at leafId (see getBranch), oldest first: the limit messages just
+  // before the message before, or the latest ones when before is not given. include extends the
+  // page back to that message when it is on the branch, so it can be shown. Only the page is read
+  // in full. Resolves with { messages, total, hasMore, nextCursor }, total counting the whole
+  // branch and nextCursor being the before of the page of older messages; or with null when
+  // before is not on the branch.
+  async getBranchPage(sessionId, leafId = null, { before = null, include = null, limit = 50 } = {}) {
+    const links = await this.db.all(
+      'SELECT id, parent_id FROM messages WHERE session_id = ? ORDER BY timestamp ASC, rowid ASC',
+      [sessionId]
+    );
+    const branch = walkBranch(links, leafId);
+
+    const end = before ? branch.findIndex(message => message.id === before) : branch.length;
+    if (end === -1) {
+      return null;
+    }
+    let start = Math.max(0, end - limit);
+    const includeIndex = include ? branch.findIndex(message => message.id === include) : -1;
+    if (includeIndex !== -1 && includeIndex < start) {
+      start = includeIndex;
+    }
+
+    const page = branch.slice(start, end);
+    const rows = await this.getByIds(page.map(message => message.id));
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return {
+      messages: page.map(message => ({ ...byId.get(message.id), sibling_ids: message.sibling_ids })),
+      total: branch.length,
+      hasMore: start > 0,
+      nextCursor: start > 0 ? branch[start].id : null
+    };
+  }
+
+  // Messages by id, in no particular order, each listing the files attached to it (attachments)
+  async getByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const sql = `SELECT * FROM messages WHERE id IN (${placeholders})`;
+    const attachmentsSql = `
+      SELECT ma.message_id, a.id, a.filename, a.mime_type, a.kind, a.size
+      FROM message_attachments ma
+      JOIN attachments a ON a.id = ma.attachment_id
+      WHERE ma.message_id IN (${placeholders})
+      ORDER BY ma.position ASC
+    `;
+
+    const rows = await this.db.all(sql, ids);
+    const attachments = groupAttachments(await this.db.all(attachmentsSql, ids));
+    return rows.map(row => ({ ...parseRow(row), attachments: attachments.get(row.id) || [] }));
+  }
+
+  // The leaf reached from messageId by always following its most recent reply,
+  // used to show a branch when switching to one of its messages
+  async getBranchLeaf(sessionId, messageId) {
+    const rows = await this.getTree(sessionId);
+    let leaf = rows.find(row => row.id === messageId);
+    if (!leaf) {
+      return null;
+    }
+
+    let children;
+    while ((children = rows.filter(row => row.parent_id === leaf.id)).length > 0) {
+      leaf = children[children.length - 1];
+    }
+    return leaf;
+  }
+
+  async getById(id) {
+    return parseRow(await this.db.get('SELECT * FROM messages WHERE id = ?', [id]));
   }
 
   update(id, updates) {
-    return new Promise((resolve, reject) => {
-      // Handle image_metadata serialization if it's being updated
-      if (updates.image_metadata && typeof updates.image_metadata === 'object') {
-        updates.image_metadata = JSON.stringify(updates.image_metadata);
-      }
-      
-      const fields = Object.keys(updates);
-      const values = Object.values(updates);
-      const setClause = fields.map(field => `${field} = ?`).join(', ');
-      
-      const sql = `UPDATE messages SET ${setClause} WHERE id = ?`;
-      
-      this.db.run(sql, [...values, id], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
-    });
+    // Handle image_metadata serialization if it's being updated
+    if (updates.image_metadata && typeof updates.image_metadata === 'object') {
+      updates.image_metadata = JSON.stringify(updates.image_metadata);
+    }
+
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    return this.db.run(`UPDATE messages SET ${setClause} WHERE id = ?`, [...values, id]);
   }
 
   delete(id) {
-    return new Promise((resolve, reject) => {
-      const sql = 'DELETE FROM messages WHERE id = ?';
-      
-      this.db.run(sql, [id], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
-    });
+    return this.db.run('DELETE FROM messages WHERE id = ?', [id]);
   }
 
-  getUsageStats() {
-    return new Promise((resolve, reject) => {
+  // Text messages matching an FTS5 query (see searchIndex.buildMatchQuery), best match first, with
+  // their session's title and a snippet of the text around the matches, marked with
+  // searchIndex.MATCH_START and MATCH_END. Filters: userId (whose sessions to search), sessionId,
+  // excludeSessionId, model, role, and from and to (dates, YYYY-MM-DD, both included).
+  search(query, { userId = null, sessionId = null, excludeSessionId = null, model = null, role = null, from = null, to = null, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+    const filters = [
+      [userId, 's.user_id = ?'],
+      [sessionId, 'm.session_id = ?'],
+      [excludeSessionId, 'm.session_id != ?'],
+      [model, 'm.model = ?'],
+      [role, 'm.role = ?'],
+      [from, 'date(m.timestamp) >= ?'],
+      [to, 'date(m.timestamp) <= ?']
+    ];
+    filters.filter(([value]) => value).forEach(([value, condition]) => {
+      conditions.push(condition);
+      params.push(value);
+    });
+
+    if (this.db.dialect === 'postgres') {
+      // The expression of the messages_search index (migration 002)
+      const document = 'to_tsvector(\'english\', m.content)';
       const sql = `
-        SELECT 
-          model,
-          COUNT(*) as message_count,
-          SUM(token_count) as total_tokens,
-          DATE(timestamp) as date,
-          content_type
-        FROM messages 
-        WHERE role = 'assistant'
-        GROUP BY model, DATE(timestamp), content_type
-        ORDER BY date DESC
+        SELECT m.id, m.session_id, m.role, m.model, m.timestamp, s.title AS session_title,
+          ts_headline('english', m.content, q.query, ?) AS snippet
+        FROM messages m
+        JOIN sessions s ON s.id = m.session_id
+        CROSS JOIN to_tsquery('english', ?) AS q(query)
+        WHERE ${['m.content_type = \'text\'', `${document} @@ q.query`, ...conditions].join(' AND ')}
+        ORDER BY ts_rank(${document}, q.query) DESC, m.timestamp DESC
+        LIMIT ?
       `;
-      
-      this.db.all(sql, [], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+      const options = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=24, MinWords=12`;
+      return this.db.all(sql, [options, toTsquery(query), ...params, limit]);
+    }
+
+    const sql = `
+      SELECT m.id, m.session_id, m.role, m.model, m.timestamp, s.title AS session_title,
+        snippet(messages_fts, 0, ?, ?, '…', 24) AS snippet
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.message_id
+      JOIN sessions s ON s.id = m.session_id
+      WHERE ${['messages_fts MATCH ?', ...conditions].join(' AND ')}
+      ORDER BY bm25(messages_fts), m.timestamp DESC
+      LIMIT ?
+    `;
+    return this.db.all(sql, [MATCH_START, MATCH_END, query, ...params, limit]);
+  }
+
+  // Generated image messages whose image is still the provider's URL or a data URL rather than
+  // stored media, oldest first
+  async getUnstoredImages() {
+    const sql = `
+      SELECT * FROM messages
+      WHERE content_type = 'image' AND status = 'complete' AND content NOT LIKE '/api/media/%'
+      ORDER BY timestamp ASC
+    `;
+
+    const rows = await this.db.all(sql);
+    return rows.map(parseRow);
+  }
+
+  // Point an image message at where its image is now kept. status is left as it is unless given.
+  setImage(id, content, imageMetadata, status = null) {
+    const sql = 'UPDATE messages SET content = ?, image_metadata = ?, status = COALESCE(?, status) WHERE id = ?';
+    return this.db.run(sql, [content, JSON.stringify(imageMetadata), status, id]);
+  }
+
+  getUsageStats() {
+    const sql = `
+      SELECT 
+        model,
+        COUNT(*) as message_count,
+        SUM(token_count) as total_tokens,
+        DATE(timestamp) as date,
+        content_type
+      FROM messages 
+      WHERE role = 'assistant'
+      GROUP BY model, DATE(timestamp), content_type
+      ORDER BY date DESC
+    `;
+
+    return this.db.all(sql);
   }
 }
 
-module.exports = Message; 
\ No newline at end of file
+module.exports = Message;
@@ -0,0 +1,76 @@
+const { v4: uuidv4 } = require('uuid');
+
+// A named assistant persona: a system prompt plus the model and generation parameters
+// new conversations with it start from
+function parseRow(row) {
+  if (row) {
+    row.generation_params = row.generation_params ? JSON.parse(row.generation_params) : null;
+  }
+  return row;
+}
+
+class Persona {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ name, systemPrompt = '', defaultModel = null, generationParams = null, avatar = null }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO personas (id, name, system_prompt, default_model, generation_params, avatar) 
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const generationParamsString = generationParams ? JSON.stringify(generationParams) : null;
+
+    await this.db.run(sql, [id, name, systemPrompt, defaultModel, generationParamsString, avatar]);
+    return {
+      id,
+      name,
+      system_prompt: systemPrompt,
+      default_model: defaultModel,
+      generation_params: generationParams,
+      avatar,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  async getAll() {
+    const rows = await this.db.all('SELECT * FROM personas ORDER BY LOWER(name) ASC');
+    return rows.map(parseRow);
+  }
+
+  async getById(id) {
+    return parseRow(await this.db.get('SELECT * FROM personas WHERE id = ?', [id]));
+  }
+
+  update(id, updates) {
+    // Handle generation_params serialization if it's being updated
+    if (updates.generation_params && typeof updates.generation_params === 'object') {
+      updates.generation_params = JSON.stringify(updates.generation_params);
+    }
+
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    const sql = `
+      UPDATE personas 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    return this.db.run(sql, [...values, id]);
+  }
+
+  delete(id) {
+    return this.db.transaction(async (db) => {
+      // Sessions keep their messages but no longer use the persona
+      await db.run('UPDATE sessions SET persona_id = NULL WHERE persona_id = ?', [id]);
+      return db.run('DELETE FROM personas WHERE id = ?', [id]);
+    });
+  }
+}
+
+module.exports = Persona;
@@ -1,119 +1,242 @@
 const { v4: uuidv4 } = require('uuid');
+const { MATCH_START, MATCH_END, toTsquery } = require('../services/searchIndex');
+
+// generation_params holds the session's default generation parameters as JSON
+function parseRow(row) {
+  if (row) {
+    row.generation_params = row.generation_params ? JSON.parse(row.generation_params) : null;
+    row.summarize_history = !!row.summarize_history;
+  }
+  return row;
+}
+
+// Page cursors point just past the last session of a page, by when it was updated and its id (to
+// tell sessions updated at the same time apart). They are opaque to clients.
+function encodeCursor(session) {
+  return Buffer.from(JSON.stringify([session.updated_at, session.id])).toString('base64url');
+}
+
+// The [updated_at, id] of a cursor, or null if it is not one
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(position) && position.length === 2 && position.every(value => typeof value === 'string')
+      ? position
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
 
 class Session {
   constructor(db) {
     this.db = db;
   }
 
-  create(title = null, modelUsed = null) {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      const sql = `
-        INSERT INTO sessions (id, title, model_used) 
-        VALUES (?, ?, ?)
-      `;
-      
-      this.db.run(sql, [id, title, modelUsed], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({
-            id,
-            title,
-            model_used: modelUsed,
-            created_at: new Date().toISOString()
-          });
-        }
-      });
-    });
+  // userId is the user the conversation belongs to
+  async create(title = null, modelUsed = null, personaId = null, userId = null) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO sessions (id, title, model_used, persona_id, user_id) 
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, title, modelUsed, personaId, userId]);
+    return {
+      id,
+      title,
+      model_used: modelUsed,
+      generation_params: null,
+      persona_id: personaId,
+      user_id: userId,
+      summarize_history: false,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async getAll(limit = 50) {
+    const sql = `
+      SELECT s.*, 
+             COUNT(m.id) as message_count,
+             MAX(m.timestamp) as last_message_at,
+             p.name as persona_name,
+             p.avatar as persona_avatar
+      FROM sessions s
+      LEFT JOIN messages m ON s.id = m.session_id
+      LEFT JOIN personas p ON s.persona_id = p.id
+      GROUP BY s.id, p.id
+      ORDER BY s.updated_at DESC
+      LIMIT ?
+    `;
+
+    const rows = await this.db.all(sql, [limit]);
+    return rows.map(parseRow);
+  }
+
+  // A page of sessions, most recently updated first: the limit sessions after cursor (the
+  // nextCursor of the page before), or after the first offset sessions, or from the start. userId
+  // keeps to one user's sessions. Resolves with { sessions, total, hasMore, nextCursor }, total
+  // counting every session (of the user); or with null when cursor is not valid.
+  async getPage({ userId = null, cursor = null, offset = 0, limit = 50 } = {}) {
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+      return null;
+    }
+
+    const owner = userId ? ['s.user_id = ?'] : [];
+    const conditions = position ? [...owner, '(s.updated_at < ? OR (s.updated_at = ? AND s.id < ?))'] : owner;
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const params = [...(userId ? [userId] : []), ...(position ? [position[0], position[0], position[1]] : [])];
+    const sql = `
+      SELECT s.*, 
+             COUNT(m.id) as message_count,
+             MAX(m.timestamp) as last_message_at,
+             p.name as persona_name,
+             p.avatar as persona_avatar
+      FROM sessions s
+      LEFT JOIN messages m ON s.id = m.session_id
+      LEFT JOIN personas p ON s.persona_id = p.id
+      ${where}
+      GROUP BY s.id, p.id
+      ORDER BY s.updated_at DESC, s.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    // One more than asked for, to know whether there are more
+    const rows = await this.db.all(sql, [...params, limit + 1, position ? 0 : offset]);
+    const count = userId
+      ? await this.db.get('SELECT COUNT(*) AS total FROM sessions WHERE user_id = ?', [userId])
+      : await this.db.get('SELECT COUNT(*) AS total FROM sessions');
+
+    const sessions = rows.slice(0, limit).map(parseRow);
+    const hasMore = rows.length > limit;
+    return {
+      sessions,
+      total: count.total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sessions[sessions.length - 1]) : null
+    };
   }
 
-  getAll(limit = 50) {
-    return new Promise((resolve, reject) => {
+  // Sessions whose title matches an FTS5 query (see searchIndex.buildMatchQuery), best match first.
+  // The title comes marked with searchIndex.MATCH_START and MATCH_END as highlighted_title.
+  // Filters: userId (the user the sessions belong to), model (the model last used), and from and
+  // to (dates the session was last updated within, YYYY-MM-DD, both included).
+  searchTitles(query, { userId = null, model = null, from = null, to = null, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (userId) {
+      conditions.push('s.user_id = ?');
+      params.push(userId);
+    }
+    if (model) {
+      conditions.push('s.model_used = ?');
+      params.push(model);
+    }
+    if (from) {
+      conditions.push('date(s.updated_at) >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('date(s.updated_at) <= ?');
+      params.push(to);
+    }
+
+    if (this.db.dialect === 'postgres') {
+      // The expression of the sessions_search index (migration 002)
+      const document = 'to_tsvector(\'english\', COALESCE(s.title, \'\'))';
       const sql = `
-        SELECT s.*, 
-               COUNT(m.id) as message_count,
-               MAX(m.timestamp) as last_message_at
-        FROM sessions s
-        LEFT JOIN messages m ON s.id = m.session_id
-        GROUP BY s.id
-        ORDER BY s.updated_at DESC
+        SELECT s.id, s.title, s.model_used, s.created_at, s.updated_at,
+          ts_headline('english', s.title, q.query, ?) AS highlighted_title
+        FROM sessions s, to_tsquery('english', ?) q(query)
+        WHERE ${[`${document} @@ q.query`, ...conditions].join(' AND ')}
+        ORDER BY ts_rank(${document}, q.query) DESC, s.updated_at DESC
         LIMIT ?
       `;
-      
-      this.db.all(sql, [limit], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+      const options = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+      return this.db.all(sql, [options, toTsquery(query), ...params, limit]);
+    }
+
+    const sql = `
+      SELECT s.id, s.title, s.model_used, s.created_at, s.updated_at,
+        highlight(sessions_fts, 0, ?, ?) AS highlighted_title
+      FROM sessions_fts
+      JOIN sessions s ON s.id = sessions_fts.session_id
+      WHERE ${['sessions_fts MATCH ?', ...conditions].join(' AND ')}
+      ORDER BY bm25(sessions_fts), s.updated_at DESC
+      LIMIT ?
+    `;
+    return this.db.all(sql, [MATCH_START, MATCH_END, query, ...params, limit]);
   }
 
-  getById(id) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT s.*,
-               COUNT(m.id) as message_count
-        FROM sessions s
-        LEFT JOIN messages m ON s.id = m.session_id
-        WHERE s.id = ?
-        GROUP BY s.id
-      `;
-      
-      this.db.get(sql, [id], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+  async getById(id) {
+    const sql = `
+      SELECT s.*,
+             COUNT(m.id) as message_count,
+             p.name as persona_name,
+             p.avatar as persona_avatar
+      FROM sessions s
+      LEFT JOIN messages m ON s.id = m.session_id
+      LEFT JOIN personas p ON s.persona_id = p.id
+      WHERE s.id = ?
+      GROUP BY s.id, p.id
+    `;
+
+    return parseRow(await this.db.get(sql, [id]));
+  }
+
+  // Ids of a user's sessions
+  async getIdsByUserId(userId) {
+    const rows = await this.db.all('SELECT id FROM sessions WHERE user_id = ?', [userId]);
+    return rows.map(row => row.id);
   }
 
   update(id, updates) {
-    return new Promise((resolve, reject) => {
-      const fields = Object.keys(updates);
-      const values = Object.values(updates);
-      const setClause = fields.map(field => `${field} = ?`).join(', ');
-      
-      const sql = `
-        UPDATE sessions 
-        SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `;
-      
-      this.db.run(sql, [...values, id], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
-    });
+    // Handle generation_params serialization if it's being updated
+    if (updates.generation_params && typeof updates.generation_params === 'object') {
+      updates.generation_params = JSON.stringify(updates.generation_params);
+    }
+
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    const sql = `
+      UPDATE sessions 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    return this.db.run(sql, [...values, id]);
+  }
+
+  // Set the message the conversation's shown branch ends at. Switching branches is not
+  // activity, so updated_at is left alone.
+  setActiveMessage(id, messageId) {
+    return this.db.run('UPDATE sessions SET active_message_id = ? WHERE id = ?', [messageId, id]);
+  }
+
+  // Opt a session in or out of summarizing its older messages. A setting, not activity,
+  // so updated_at is left alone.
+  setSummarizeHistory(id, enabled) {
+    return this.db.run('UPDATE sessions SET summarize_history = ? WHERE id = ?', [enabled ? 1 : 0, id]);
   }
 
   delete(id) {
-    return new Promise((resolve, reject) => {
-      // First delete associated messages
-      this.db.run('DELETE FROM messages WHERE session_id = ?', [id], (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        // Then delete the session
-        this.db.run('DELETE FROM sessions WHERE id = ?', [id], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ changes: this.changes });
-          }
-        });
-      });
+    return this.db.transaction(async (db) => {
+      // First delete associated messages, their links to attachments, the conversation summary and
+      // the session's documents. The attachments themselves may be shared with other messages; see
+      // Attachment.deleteUnlinked.
+      await db.run('DELETE FROM message_attachments WHERE message_id IN (SELECT id FROM messages WHERE session_id = ?)', [id]);
+      await db.run('DELETE FROM messages WHERE session_id = ?', [id]);
+      await db.run('DELETE FROM session_memories WHERE session_id = ?', [id]);
+      await db.run('DELETE FROM document_chunks WHERE document_id IN (SELECT id FROM documents WHERE session_id = ?)', [id]);
+      await db.run('DELETE FROM documents WHERE session_id = ?', [id]);
+
+      // Then delete the session
+      return db.run('DELETE FROM sessions WHERE id = ?', [id]);
     });
   }
 }
 
-module.exports = Session; 
\ No newline at end of file
+module.exports = Session;
@@ -0,0 +1,45 @@
+// A session's memory: a rolling summary of its earliest messages, sent in their place once a
+// conversation grows long. covered_message_id is the last message the summary includes; the summary
+// only applies to branches that go through that message.
+class SessionMemory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getBySessionId(sessionId) {
+    const row = await this.db.get('SELECT * FROM session_memories WHERE session_id = ?', [sessionId]);
+    return row || null;
+  }
+
+  // Create or replace the session's summary
+  save(sessionId, { summary, coveredMessageId, model }) {
+    const sql = `
+      INSERT INTO session_memories (session_id, summary, covered_message_id, model)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(session_id) DO UPDATE SET
+        summary = excluded.summary,
+        covered_message_id = excluded.covered_message_id,
+        model = excluded.model,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return this.db.run(sql, [sessionId, summary, coveredMessageId, model]);
+  }
+
+  // Replace the summary's text, e.g. after the user corrected it; what it covers stays the same
+  updateSummary(sessionId, summary) {
+    const sql = `
+      UPDATE session_memories
+      SET summary = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE session_id = ?
+    `;
+
+    return this.db.run(sql, [summary, sessionId]);
+  }
+
+  delete(sessionId) {
+    return this.db.run('DELETE FROM session_memories WHERE session_id = ?', [sessionId]);
+  }
+}
+
+module.exports = SessionMemory;
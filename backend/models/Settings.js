@@ -1,143 +1,50 @@
 const crypto = require('crypto');
+const providerRegistry = require('../services/providerRegistry');
+
+// Insert a setting or, if it is already set, change it
+const UPSERT_SETTING = `
+  INSERT INTO settings (key, value, updated_at) 
+  VALUES (?, ?, CURRENT_TIMESTAMP)
+  ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+`;
 
 class Settings {
   constructor(db) {
     this.db = db;
   }
 
-  get(key) {
-    return new Promise((resolve, reject) => {
-      const sql = 'SELECT value FROM settings WHERE key = ?';
-      
-      this.db.get(sql, [key], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? row.value : null);
-        }
-      });
-    });
+  async get(key) {
+    const row = await this.db.get('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? row.value : null;
   }
 
-  getAll() {
-    return new Promise((resolve, reject) => {
-      const sql = 'SELECT key, value FROM settings';
-      
-      this.db.all(sql, [], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          const settings = {};
-          rows.forEach(row => {
-            settings[row.key] = row.value;
-          });
-          resolve(settings);
-        }
-      });
+  async getAll() {
+    const rows = await this.db.all('SELECT key, value FROM settings');
+    const settings = {};
+    rows.forEach(row => {
+      settings[row.key] = row.value;
     });
+    return settings;
   }
 
-  set(key, value) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        INSERT OR REPLACE INTO settings (key, value, updated_at) 
-        VALUES (?, ?, CURRENT_TIMESTAMP)
-      `;
-      
-      this.db.run(sql, [key, value], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ key, value });
-        }
-      });
-    });
+  async set(key, value) {
+    await this.db.run(UPSERT_SETTING, [key, value]);
+    return { key, value };
   }
 
-  setMultiple(settings) {
-    return new Promise((resolve, reject) => {
-      const entries = Object.entries(settings);
-      if (entries.length === 0) {
-        resolve(settings);
-        return;
-      }
-
-      const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO settings (key, value, updated_at) 
-        VALUES (?, ?, CURRENT_TIMESTAMP)
-      `);
-
-      let completed = 0;
-      let hasError = false;
-      let transactionStarted = false;
-
-      const cleanup = (error) => {
-        if (hasError) return;
-        hasError = true;
-        
-        stmt.finalize(() => {
-          if (transactionStarted) {
-            this.db.run(error ? 'ROLLBACK' : 'COMMIT', (commitErr) => {
-              if (error) {
-                reject(error);
-              } else if (commitErr) {
-                reject(commitErr);
-              } else {
-                resolve(settings);
-              }
-            });
-          } else {
-            if (error) {
-              reject(error);
-            } else {
-              resolve(settings);
-            }
-          }
-        });
-      };
-
-      try {
-        this.db.serialize(() => {
-          this.db.run('BEGIN TRANSACTION', (err) => {
-            if (err) {
-              cleanup(err);
-              return;
-            }
-            transactionStarted = true;
-            
-            entries.forEach(([key, value]) => {
-              stmt.run(key, value, (runErr) => {
-                if (runErr && !hasError) {
-                  cleanup(runErr);
-                  return;
-                }
-                
-                completed++;
-                if (completed === entries.length && !hasError) {
-                  cleanup();
-                }
-              });
-            });
-          });
-        });
-      } catch (error) {
-        cleanup(error);
+  // Set several settings at once: all of them or, if one fails, none
+  async setMultiple(settings) {
+    const entries = Object.entries(settings);
+    await this.db.transaction(async (db) => {
+      for (const [key, value] of entries) {
+        await db.run(UPSERT_SETTING, [key, value]);
       }
     });
+    return settings;
   }
 
   delete(key) {
-    return new Promise((resolve, reject) => {
-      const sql = 'DELETE FROM settings WHERE key = ?';
-      
-      this.db.run(sql, [key], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
-    });
+    return this.db.run('DELETE FROM settings WHERE key = ?', [key]);
   }
 
   // Generate encryption key from environment or use default (should be set in production)
@@ -174,119 +81,70 @@ class Settings {
   }
 
   // API Key management with AES-256 encryption
-  setApiKey(provider, apiKey) {
-    return new Promise((resolve, reject) => {
-      try {
-        const encryptedKey = this.encryptApiKey(apiKey);
-        const sql = `
-          INSERT OR REPLACE INTO api_keys (provider, key_hash, updated_at) 
-          VALUES (?, ?, CURRENT_TIMESTAMP)
-        `;
-        
-        this.db.run(sql, [provider, encryptedKey], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ provider, set: true });
-          }
-        });
-      } catch (error) {
-        reject(new Error('Failed to encrypt API key: ' + error.message));
-      }
-    });
+  async setApiKey(provider, apiKey) {
+    let encryptedKey;
+    try {
+      encryptedKey = this.encryptApiKey(apiKey);
+    } catch (error) {
+      throw new Error('Failed to encrypt API key: ' + error.message);
+    }
+
+    const sql = `
+      INSERT INTO api_keys (provider, key_hash, updated_at) 
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (provider) DO UPDATE SET key_hash = excluded.key_hash, updated_at = excluded.updated_at
+    `;
+    await this.db.run(sql, [provider, encryptedKey]);
+    return { provider, set: true };
   }
 
-  getApiKey(provider) {
-    return new Promise((resolve, reject) => {
-      // For security, we don't return the actual key, just whether it's set
-      const sql = 'SELECT provider FROM api_keys WHERE provider = ?';
-      
-      this.db.get(sql, [provider], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(!!row);
-        }
-      });
-    });
+  async getApiKey(provider) {
+    // For security, we don't return the actual key, just whether it's set
+    const row = await this.db.get('SELECT provider FROM api_keys WHERE provider = ?', [provider]);
+    return !!row;
   }
 
-  getAllApiKeys() {
-    return new Promise((resolve, reject) => {
-      const sql = 'SELECT provider, created_at, updated_at FROM api_keys';
-      
-      this.db.all(sql, [], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          const apiKeys = {};
-          rows.forEach(row => {
-            apiKeys[row.provider] = {
-              isSet: true,
-              created_at: row.created_at,
-              updated_at: row.updated_at
-            };
-          });
-          resolve(apiKeys);
-        }
-      });
+  async getAllApiKeys() {
+    const rows = await this.db.all('SELECT provider, created_at, updated_at FROM api_keys');
+    const apiKeys = {};
+    rows.forEach(row => {
+      apiKeys[row.provider] = {
+        isSet: true,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      };
     });
+    return apiKeys;
   }
 
   deleteApiKey(provider) {
-    return new Promise((resolve, reject) => {
-      const sql = 'DELETE FROM api_keys WHERE provider = ?';
-      
-      this.db.run(sql, [provider], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
-    });
+    return this.db.run('DELETE FROM api_keys WHERE provider = ?', [provider]);
   }
 
   // Get actual API key for internal use (not exposed via API)
-  getActualApiKey(provider) {
-    return new Promise((resolve, reject) => {
-      // First try to get from database
-      const sql = 'SELECT key_hash FROM api_keys WHERE provider = ?';
-      
-      this.db.get(sql, [provider], (err, row) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        if (row && row.key_hash) {
-          // Decrypt the stored key using AES-256
-          try {
-            const decryptedKey = this.decryptApiKey(row.key_hash);
-            resolve(decryptedKey);
-          } catch (decodeError) {
-            // Log error without exposing sensitive details
-            // Fallback to environment variables
-            this.getEnvApiKey(provider, resolve);
-          }
-        } else {
-          // Fallback to environment variables if no stored key
-          this.getEnvApiKey(provider, resolve);
-        }
-      });
-    });
+  async getActualApiKey(provider) {
+    // First try to get from database
+    const row = await this.db.get('SELECT key_hash FROM api_keys WHERE provider = ?', [provider]);
+
+    if (row && row.key_hash) {
+      // Decrypt the stored key using AES-256
+      try {
+        return this.decryptApiKey(row.key_hash);
+      } catch (decodeError) {
+        // Log error without exposing sensitive details
+        // Fallback to environment variables
+        return this.getEnvApiKey(provider);
+      }
+    }
+    // Fallback to environment variables if no stored key
+    return this.getEnvApiKey(provider);
   }
 
   // Helper method to get API key from environment variables
-  getEnvApiKey(provider, resolve) {
-    const envKeys = {
-      'openai': process.env.OPENAI_API_KEY,
-      'anthropic': process.env.ANTHROPIC_API_KEY
-    };
-    
-    const envKey = envKeys[provider] || null;
-    resolve(envKey);
+  getEnvApiKey(provider) {
+    const envVar = providerRegistry.get(provider)?.envKey;
+    return (envVar && process.env[envVar]) || null;
   }
 }
 
-module.exports = Settings; 
\ No newline at end of file
+module.exports = Settings;
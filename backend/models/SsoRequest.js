@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// How long the provider has to answer a sign-in
+const REQUEST_MINUTES = 10;
+
+// In the YYYY-MM-DD HH:MM:SS (UTC) form of CURRENT_TIMESTAMP
+function toTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Single sign-ons under way: made when the browser is sent to the identity provider and taken,
+// once, when the provider sends it back. purpose is 'login', or 'unlock' for an admin unlocking
+// admin mode (user_id is theirs). OIDC requests keep the nonce and PKCE code verifier to check the
+// answer with; SAML keeps the IDs of its requests here as well (see services/saml.js).
+class SsoRequest {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Start a sign-in. Resolves with the request, its id the random value to send as the state.
+  async create({ protocol, purpose = 'login', userId = null, nonce = null, codeVerifier = null, id = null }) {
+    const request = {
+      id: id || crypto.randomBytes(24).toString('base64url'),
+      protocol,
+      purpose,
+      user_id: userId,
+      nonce,
+      code_verifier: codeVerifier
+    };
+
+    await this.db.run(
+      'INSERT INTO sso_requests (id, protocol, purpose, user_id, nonce, code_verifier) VALUES (?, ?, ?, ?, ?, ?)',
+      [request.id, protocol, purpose, userId, nonce, codeVerifier]
+    );
+    return request;
+  }
+
+  // The request id of protocol if it has not expired, without using it up
+  async get(protocol, id) {
+    const row = await this.db.get(
+      'SELECT * FROM sso_requests WHERE id = ? AND protocol = ? AND created_at > ?',
+      [id, protocol, toTimestamp(new Date(Date.now() - REQUEST_MINUTES * 60 * 1000))]
+    );
+    return row || null;
+  }
+
+  // The request id of protocol, which can be taken only once, or null if it is unknown, taken or
+  // has expired
+  async take(protocol, id) {
+    if (typeof id !== 'string' || !id) {
+      return null;
+    }
+    const request = await this.get(protocol, id);
+    if (!request) {
+      return null;
+    }
+    // Whoever deletes it takes it, should the answer arrive twice at once
+    const result = await this.db.run('DELETE FROM sso_requests WHERE id = ?', [id]);
+    return result.changes > 0 ? request : null;
+  }
+
+  deleteExpired() {
+    return this.db.run(
+      'DELETE FROM sso_requests WHERE created_at <= ?',
+      [toTimestamp(new Date(Date.now() - REQUEST_MINUTES * 60 * 1000))]
+    );
+  }
+}
+
+module.exports = SsoRequest;
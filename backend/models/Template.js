@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Names of the {{variable}} placeholders in a template, in order of first appearance
+function extractVariables(content) {
+  const variables = [];
+  const pattern = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+  let match;
+
+  while ((match = pattern.exec(content || '')) !== null) {
+    if (!variables.includes(match[1])) {
+      variables.push(match[1]);
+    }
+  }
+  return variables;
+}
+
+function withVariables(row) {
+  if (row) {
+    row.variables = extractVariables(row.content);
+  }
+  return row;
+}
+
+class Template {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ name, description = '', content }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO templates (id, name, description, content) 
+      VALUES (?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, name, description, content]);
+    return withVariables({
+      id,
+      name,
+      description,
+      content,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async getAll() {
+    const rows = await this.db.all('SELECT * FROM templates ORDER BY LOWER(name) ASC');
+    return rows.map(withVariables);
+  }
+
+  async getById(id) {
+    return withVariables(await this.db.get('SELECT * FROM templates WHERE id = ?', [id]));
+  }
+
+  // Names are matched regardless of case, as they are unique regardless of case
+  async getByName(name) {
+    return withVariables(await this.db.get('SELECT * FROM templates WHERE LOWER(name) = LOWER(?)', [name]));
+  }
+
+  update(id, updates) {
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    const sql = `
+      UPDATE templates 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    return this.db.run(sql, [...values, id]);
+  }
+
+  delete(id) {
+    return this.db.run('DELETE FROM templates WHERE id = ?', [id]);
+  }
+}
+
+Template.extractVariables = extractVariables;
+
+module.exports = Template;
@@ -0,0 +1,53 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Token usage of model calls that do not produce a chat message, such as summarizing a
+// conversation's history. Replies are counted from the messages table.
+class UsageLog {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * usage is the provider's usage object; OpenAI reports prompt/completion tokens, Anthropic input/output tokens
+   * @param {{ sessionId?: string | null, model: string, purpose: string, usage?: Record<string, number> | null }} entry
+   */
+  async create({ sessionId = null, model, purpose, usage = {} }) {
+    const id = uuidv4();
+    const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? 0;
+    const completionTokens = usage?.completion_tokens ?? usage?.output_tokens ?? 0;
+    const totalTokens = usage?.total_tokens ?? promptTokens + completionTokens;
+    const sql = `
+      INSERT INTO usage_log (id, session_id, model, purpose, prompt_tokens, completion_tokens, total_tokens)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, sessionId, model, purpose, promptTokens, completionTokens, totalTokens]);
+    return {
+      id,
+      session_id: sessionId,
+      model,
+      purpose,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: totalTokens
+    };
+  }
+
+  getUsageStats() {
+    const sql = `
+      SELECT
+        purpose,
+        model,
+        COUNT(*) as call_count,
+        SUM(total_tokens) as total_tokens,
+        DATE(created_at) as date
+      FROM usage_log
+      GROUP BY purpose, model, DATE(created_at)
+      ORDER BY date DESC
+    `;
+
+    return this.db.all(sql);
+  }
+}
+
+module.exports = UsageLog;
@@ -0,0 +1,134 @@
+const { v4: uuidv4 } = require('uuid');
+
+// The columns a user is shown with; the password hash never leaves the model but through getCredentials
+const COLUMNS = 'id, username, role, auth_provider, created_at, updated_at, last_login_at';
+
+// People who can sign in. An admin manages the other accounts; every user sees only their own
+// conversations. Passwords are kept as hashes made by services/passwords. Users of single sign-on
+// have an auth_provider ('oidc' or 'saml') and the id the provider knows them by instead, and an
+// empty password hash. Accounts an admin makes for single sign-on have no such id until their
+// user first signs in.
+class User {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ username, passwordHash = '', role = 'user', authProvider = null, externalId = null }) {
+    const id = uuidv4();
+    const sql = `
+      INSERT INTO users (id, username, password_hash, role, auth_provider, external_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db.run(sql, [id, username, passwordHash, role, authProvider, externalId]);
+    return {
+      id,
+      username,
+      role,
+      auth_provider: authProvider,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      last_login_at: null
+    };
+  }
+
+  async getById(id) {
+    const row = await this.db.get(`SELECT ${COLUMNS} FROM users WHERE id = ?`, [id]);
+    return row || null;
+  }
+
+  // A user by name, whatever its case, with the password hash to check a sign-in against
+  async getCredentials(username) {
+    const row = await this.db.get(`SELECT ${COLUMNS}, password_hash FROM users WHERE LOWER(username) = LOWER(?)`, [username]);
+    return row || null;
+  }
+
+  // The user a single sign-on provider knows as externalId, or null
+  async getByExternalId(authProvider, externalId) {
+    const row = await this.db.get(
+      `SELECT ${COLUMNS} FROM users WHERE auth_provider = ? AND external_id = ?`,
+      [authProvider, externalId]
+    );
+    return row || null;
+  }
+
+  // The account an admin made by this name, whatever its case, to sign in through a single sign-on
+  // provider, if nobody has signed in to it yet; or null
+  async getUnlinked(authProvider, username) {
+    const row = await this.db.get(
+      `SELECT ${COLUMNS} FROM users WHERE auth_provider = ? AND external_id IS NULL AND LOWER(username) = LOWER(?)`,
+      [authProvider, username]
+    );
+    return row || null;
+  }
+
+  // Tie an account from getUnlinked to the id the provider knows its user by. Only a regular
+  // user's account is linked, and only once; changes is 0 otherwise.
+  link(id, authProvider, externalId) {
+    return this.db.run(
+      `UPDATE users SET external_id = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND auth_provider = ? AND external_id IS NULL AND role = 'user'`,
+      [externalId, id, authProvider]
+    );
+  }
+
+  // Whether a user other than exceptId has this name, whatever its case
+  async isNameTaken(username, exceptId = null) {
+    const row = await this.db.get(
+      'SELECT id FROM users WHERE LOWER(username) = LOWER(?) AND id != ?',
+      [username, exceptId || '']
+    );
+    return Boolean(row);
+  }
+
+  list() {
+    return this.db.all(`SELECT ${COLUMNS} FROM users ORDER BY LOWER(username) ASC`);
+  }
+
+  async count({ role = null } = {}) {
+    const row = role
+      ? await this.db.get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role])
+      : await this.db.get('SELECT COUNT(*) AS count FROM users');
+    return row.count;
+  }
+
+  // Change a user's role and/or password hash
+  update(id, { role, passwordHash }) {
+    const updates = {};
+    if (role !== undefined) {
+      updates.role = role;
+    }
+    if (passwordHash !== undefined) {
+      updates.password_hash = passwordHash;
+    }
+
+    const fields = Object.keys(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+    return this.db.run(
+      `UPDATE users SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...Object.values(updates), id]
+    );
+  }
+
+  recordLogin(id) {
+    return this.db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  // Give the conversations and uploads nobody owns, those from before there were accounts, to a user
+  claimUnowned(id) {
+    return this.db.transaction(async (db) => {
+      await db.run('UPDATE sessions SET user_id = ? WHERE user_id IS NULL', [id]);
+      await db.run('UPDATE attachments SET user_id = ? WHERE user_id IS NULL', [id]);
+    });
+  }
+
+  // Delete a user and their sign-ins. Their conversations are the caller's to delete first.
+  delete(id) {
+    return this.db.transaction(async (db) => {
+      await db.run('DELETE FROM auth_sessions WHERE user_id = ?', [id]);
+      return db.run('DELETE FROM users WHERE id = ?', [id]);
+    });
+  }
+}
+
+module.exports = User;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const adminSession = require('../services/adminSession');
+const { verifyPassword } = require('../services/passwords');
+const { validate, createRateLimit, schemas } = require('../middleware/validation');
+const { requireAdmin, getAdminToken, setAdminCookie, clearAdminCookie } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// Unlock attempts allowed per IP address in 15 minutes, as for signing in
+const unlockLimiter = createRateLimit(15 * 60 * 1000, parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10);
+
+// Whether the signed-in user can unlock admin mode, how (method: 'secret', 'password' or 'sso',
+// see services/adminSession) and whether it is unlocked, until expires_at
+router.get('/admin/status', (req, res) => {
+  const method = req.user.role === 'admin' ? adminSession.getMethod(req.user) : null;
+  if (!method) {
+    return res.json({ available: false, unlocked: false, expires_at: null, method: null });
+  }
+
+  const expiresAt = adminSession.verify(getAdminToken(req), req.user, req.authToken);
+  res.json({
+    available: true,
+    unlocked: Boolean(expiresAt),
+    expires_at: expiresAt,
+    method
+  });
+});
+
+// Unlock admin mode with ADMIN_SECRET, or the admin's password when there is none. The admin
+// session is set as a cookie and returned as token for API clients (send it as X-Admin-Token).
+// Admins of single sign-on unlock it at /api/auth/oidc/login?purpose=unlock instead.
+router.post('/admin/unlock', requireAdmin, unlockLimiter, validate(schemas.adminUnlock), async (req, res) => {
+  try {
+    const { User } = req.app.locals.models;
+    const method = adminSession.getMethod(req.user);
+    if (method === 'sso') {
+      return res.status(400).json({ error: 'Unlock admin mode by signing in with your identity provider again' });
+    }
+    if (!method) {
+      return res.status(400).json({ error: 'Admins who sign in through SAML can unlock admin mode only with ADMIN_SECRET, which is not set' });
+    }
+
+    let valid;
+    if (method === 'secret') {
+      valid = adminSession.checkSecret(req.body.secret);
+    } else {
+      const user = await User.getCredentials(req.user.username);
+      valid = Boolean(user && typeof req.body.password === 'string' &&
+        await verifyPassword(req.body.password, user.password_hash));
+    }
+    // 403, not 401: the user is still signed in
+    if (!valid) {
+      logger.warn('Failed admin unlock', { username: req.user.username, ip: req.ip });
+      return res.status(403).json({
+        error: method === 'secret' ? 'Wrong admin secret' : 'Wrong password'
+      });
+    }
+
+    const session = adminSession.issue(req.user, req.authToken);
+    setAdminCookie(res, session);
+    logger.info(`Admin mode unlocked by ${req.user.username}`);
+    res.json({ unlocked: true, token: session.token, expires_at: session.expires_at, method });
+  } catch (error) {
+    logger.error('Admin unlock error:', error.message);
+    res.status(500).json({ error: 'Failed to unlock admin mode' });
+  }
+});
+
+// Lock admin mode again before it expires. The cookie is cleared; an API client's token stays
+// valid until it expires, so it should be thrown away.
+router.post('/admin/lock', (req, res) => {
+  clearAdminCookie(res);
+  res.json({ unlocked: false });
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const attachmentStorage = require('../services/attachmentStorage');
+const { validateParams, schemas } = require('../middleware/validation');
+const { getOwnAttachment } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const MAX_FILES = 5;
+// Anthropic accepts images of up to 5 MB
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+// Text files are sent in full with every request, so they are kept smaller
+const MAX_TEXT_SIZE = 1024 * 1024;
+// Uploads that were never sent with a message are deleted after a day
+const UNSENT_RETENTION_HOURS = 24;
+
+// Image formats OpenAI and Anthropic both accept, recognised by their leading bytes
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/gif', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'GIF8' },
+  { mimeType: 'image/webp', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+// Browsers send many source files as application/octet-stream, so text files are also known by extension
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/javascript', 'application/x-sh'];
+const TEXT_EXTENSIONS = [
+  '.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.toml', '.ini', '.log',
+  '.html', '.css', '.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.c', '.h',
+  '.cpp', '.hpp', '.cs', '.php', '.swift', '.sh', '.sql'
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Keep non-ASCII file names intact
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_FILES }
+}).array('files', MAX_FILES);
+
+function isUtf8Text(buffer) {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Work out what an uploaded file is: { kind, mimeType }, or { error } when it cannot be attached.
+// Images are recognised by their content rather than the type the browser claims.
+function classifyFile(file) {
+  const image = IMAGE_SIGNATURES.find(signature => signature.matches(file.buffer));
+  if (image) {
+    return { kind: 'image', mimeType: image.mimeType };
+  }
+
+  const extension = path.extname(file.originalname).toLowerCase();
+  const looksLikeText = file.mimetype.startsWith('text/') ||
+    TEXT_MIME_TYPES.includes(file.mimetype) ||
+    TEXT_EXTENSIONS.includes(extension);
+  if (!looksLikeText || !isUtf8Text(file.buffer)) {
+    return { error: `${file.originalname}: only PNG, JPEG, GIF and WebP images and UTF-8 text files can be attached` };
+  }
+  if (file.size > MAX_TEXT_SIZE) {
+    return { error: `${file.originalname}: text files can be at most ${MAX_TEXT_SIZE / 1024 / 1024} MB` };
+  }
+  return { kind: 'text', mimeType: 'text/plain' };
+}
+
+function describeUploadError(error) {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Files can be at most ${MAX_IMAGE_SIZE / 1024 / 1024} MB`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Up to ${MAX_FILES} files can be attached at once, in the "files" field`;
+    default:
+      return error.message;
+  }
+}
+
+// Delete uploads that were never sent; failures are only logged
+async function pruneUnsent(Attachment) {
+  try {
+    const ids = await Attachment.deleteUnlinked({ olderThanHours: UNSENT_RETENTION_HOURS });
+    await Promise.all(ids.map(id => attachmentStorage.remove(id)));
+  } catch (error) {
+    logger.warn('Pruning unsent attachments failed:', error.message);
+  }
+}
+
+// Upload files to attach to the next message (multipart/form-data, field "files").
+// Resolves with the attachments; send their ids as attachmentIds with the message.
+router.post('/attachments', (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: describeUploadError(error) });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const Attachment = req.app.locals.models.Attachment;
+    // upload takes an array of files
+    const files = Array.isArray(req.files) ? req.files : [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files were uploaded' });
+    }
+
+    const classified = files.map(file => ({ file, ...classifyFile(file) }));
+    const rejected = classified.find(entry => entry.error);
+    if (rejected) {
+      return res.status(400).json({ error: rejected.error });
+    }
+
+    const attachments = [];
+    for (const { file, kind, mimeType } of classified) {
+      const attachment = await Attachment.create({
+        filename: file.originalname,
+        mimeType,
+        kind,
+        size: file.size,
+        userId: req.user.id
+      });
+      await attachmentStorage.save(attachment.id, file.buffer);
+      attachments.push(attachment);
+    }
+
+    pruneUnsent(Attachment);
+
+    res.status(201).json({ attachments });
+  } catch (error) {
+    logger.error('Upload attachments error:', error.message);
+    res.status(500).json({ error: 'Failed to upload attachments' });
+  }
+});
+
+// Get an attachment's details
+router.get('/attachments/:id', validateParams(schemas.attachmentId), async (req, res) => {
+  try {
+    const attachment = await getOwnAttachment(req, req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    res.json({ attachment });
+  } catch (error) {
+    logger.error('Get attachment error:', error.message);
+    res.status(500).json({ error: 'Failed to get attachment' });
+  }
+});
+
+// Download an attachment's file. Attachments never change, so they can be cached.
+router.get('/attachments/:id/content', validateParams(schemas.attachmentId), async (req, res) => {
+  try {
+    const attachment = await getOwnAttachment(req, req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const data = await attachmentStorage.read(attachment.id);
+    res.set({
+      'Content-Type': attachment.kind === 'text' ? 'text/plain; charset=utf-8' : attachment.mime_type,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Attachment file not found' });
+    }
+    logger.error('Get attachment content error:', error.message);
+    res.status(500).json({ error: 'Failed to get attachment' });
+  }
+});
+
+// Remove an upload that has not been sent yet; attachments of sent messages stay with them
+router.delete('/attachments/:id', validateParams(schemas.attachmentId), async (req, res) => {
+  try {
+    const Attachment = req.app.locals.models.Attachment;
+
+    const attachment = await getOwnAttachment(req, req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const deletedIds = await Attachment.deleteUnlinked({ ids: [attachment.id] });
+    if (deletedIds.length === 0) {
+      return res.status(409).json({ error: 'This attachment has been sent and can no longer be removed' });
+    }
+    await attachmentStorage.remove(attachment.id);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    logger.error('Delete attachment error:', error.message);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const accountSetup = require('../services/accountSetup');
+const singleSignOn = require('../services/singleSignOn');
+const { hashPassword, verifyPassword } = require('../services/passwords');
+const { validate, createRateLimit, schemas } = require('../middleware/validation');
+const { authenticate, getToken, signIn, clearSessionCookie, clearAdminCookie } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// Sign-in attempts allowed per IP address in 15 minutes, to slow down password guessing
+const loginLimiter = createRateLimit(15 * 60 * 1000, parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10);
+
+// Checked against when there is no such user, so a sign-in takes as long either way and does not
+// tell which usernames exist
+const dummyHashPromise = hashPassword('not the password of anyone');
+
+// Refuse password sign-in and setup when PASSWORD_LOGIN=false
+function requirePasswordLogin(req, res, next) {
+  if (!singleSignOn.isPasswordLoginEnabled()) {
+    return res.status(403).json({ error: 'Sign in with single sign-on' });
+  }
+  next();
+}
+
+// Whether the app needs setting up, who is signed in (null if nobody is), and how one signs in:
+// with a password (passwordLogin) and the single sign-on providers ssoProviders ([{ id, name }])
+router.get('/auth/status', async (req, res) => {
+  try {
+    const { token } = getToken(req);
+    const user = token ? await req.app.locals.models.AuthSession.getUser(token) : null;
+    res.json({
+      setupRequired: accountSetup.isPending(),
+      user,
+      passwordLogin: singleSignOn.isPasswordLoginEnabled(),
+      ssoProviders: singleSignOn.getProviders()
+    });
+  } catch (error) {
+    logger.error('Auth status error:', error.message);
+    res.status(500).json({ error: 'Failed to get sign-in status' });
+  }
+});
+
+// Create the first account, an admin, with the setup token from the server log. It gets the
+// conversations and uploads made before there were accounts, and is signed in.
+router.post('/auth/setup', requirePasswordLogin, loginLimiter, validate(schemas.accountSetup), async (req, res) => {
+  const { User } = req.app.locals.models;
+  const { setupToken, username, password } = req.body;
+
+  if (!accountSetup.isPending()) {
+    return res.status(409).json({ error: 'The app has already been set up; sign in instead' });
+  }
+  // Only one setup may go ahead
+  if (!accountSetup.claim(setupToken.trim())) {
+    return res.status(403).json({ error: 'Wrong setup token; it is printed in the server log' });
+  }
+
+  try {
+    // Another instance of the server may have been set up
+    if ((await User.count()) > 0) {
+      return res.status(409).json({ error: 'The app has already been set up; sign in instead' });
+    }
+
+    const user = await User.create({ username: username.trim(), passwordHash: await hashPassword(password), role: 'admin' });
+    await User.claimUnowned(user.id);
+    logger.info(`Set up with admin account ${user.username}`);
+
+    res.status(201).json(await signIn(req, res, user));
+  } catch (error) {
+    logger.error('Account setup error:', error.message);
+    accountSetup.release();
+    res.status(500).json({ error: 'Failed to create the account' });
+  }
+});
+
+// Sign in with a username and password
+router.post('/auth/login', requirePasswordLogin, loginLimiter, validate(schemas.login), async (req, res) => {
+  try {
+    const { User } = req.app.locals.models;
+    const { username, password } = req.body;
+
+    const user = await User.getCredentials(username.trim());
+    const valid = await verifyPassword(password, user ? user.password_hash : await dummyHashPromise);
+    if (!user || !valid) {
+      logger.warn('Failed sign-in', { username: username.trim(), ip: req.ip });
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    res.json(await signIn(req, res, user));
+  } catch (error) {
+    logger.error('Login error:', error.message);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// Sign out; the token no longer works, nor does admin mode unlocked with it
+router.post('/auth/logout', authenticate, async (req, res) => {
+  try {
+    await req.app.locals.models.AuthSession.delete(req.authToken);
+    clearSessionCookie(res);
+    clearAdminCookie(res);
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    logger.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// The signed-in user
+router.get('/auth/me', authenticate, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Change one's own password. Other sign-ins of the user are signed out; this one stays.
+router.put('/auth/password', authenticate, validate(schemas.passwordChange), async (req, res) => {
+  try {
+    const { User, AuthSession } = req.app.locals.models;
+    const { currentPassword, newPassword } = req.body;
+
+    if (req.user.auth_provider) {
+      return res.status(400).json({ error: 'You sign in through single sign-on; change your password with your identity provider' });
+    }
+
+    const user = await User.getCredentials(req.user.username);
+    if (!user || !(await verifyPassword(currentPassword, user.password_hash))) {
+      return res.status(400).json({ error: 'The current password is wrong' });
+    }
+
+    await User.update(user.id, { passwordHash: await hashPassword(newPassword) });
+    await AuthSession.deleteByUserId(user.id, { exceptToken: req.authToken });
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    logger.error('Change password error:', error.message);
+    res.status(500).json({ error: 'Failed to change the password' });
+  }
+});
+
+module.exports = router;
@@ -1,145 +1,1147 @@
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const validator = require('validator');
 const LLMService = require('../services/llmService');
-const { validate, validateParams, sanitize, schemas } = require('../middleware/validation');
+const providerRegistry = require('../services/providerRegistry');
+const generationParams = require('../services/generationParams');
+const conversationHistory = require('../services/conversationHistory');
+const documentIndex = require('../services/documentIndex');
+const mediaStorage = require('../services/mediaStorage');
+const toolRegistry = require('../services/tools');
+const jobQueue = require('../services/jobQueue');
+const { removeSession } = require('../services/sessionRemoval');
+const HttpError = require('../services/httpError');
+const { validate, validateParams, validateQuery, sanitize, schemas } = require('../middleware/validation');
+const { getOwnSession } = require('../middleware/auth');
 const logger = require('../config/logger');
 
 // Initialize services
 const llmService = new LLMService();
 
-// Chat endpoint with validation
-router.post('/chat', sanitize, validate(schemas.chatMessage), async (req, res) => {
-  try {
-    const { message, model, sessionId, temperature, maxTokens } = req.body;
+// Tool calls a reply may go through before the model is asked to answer without tools
+const MAX_TOOL_STEPS = 5;
 
-    const db = req.app.locals.database.getDatabase();
-    const Session = req.app.locals.models.Session;
-    const Message = req.app.locals.models.Message;
-    const Settings = req.app.locals.models.Settings;
+// In-flight generations, keyed by request id, so another request of the same user can cancel
+// them: { controller, userId }
+const activeGenerations = new Map();
 
-    // Get current session or create new one
-    let currentSession;
-    if (sessionId) {
-      currentSession = await Session.getById(sessionId);
-      if (!currentSession) {
-        return res.status(404).json({ error: 'Session not found' });
+// Register a generation under the client's request id (or a new one).
+// The provider call is aborted if the client disconnects before the reply is sent.
+function trackGeneration(req, res) {
+  const requestId = req.body.requestId || uuidv4();
+  const controller = new AbortController();
+  const generation = { controller, userId: req.user.id };
+  activeGenerations.set(requestId, generation);
+
+  if (req.socket?.destroyed) {
+    controller.abort();
+  }
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+    if (activeGenerations.get(requestId) === generation) {
+      activeGenerations.delete(requestId);
+    }
+  });
+
+  return { requestId, signal: controller.signal };
+}
+
+// Find the signed-in user's session a message belongs to (null if it is not theirs), or create one
+// for them titled after the first message. A new session remembers the persona it was started with.
+async function resolveSession(req, sessionId, message, model, persona = null) {
+  if (sessionId) {
+    return getOwnSession(req, sessionId);
+  }
+
+  // Create new session with appropriate title based on model type
+  const isImageModel = llmService.isImageModel(model);
+  const title = isImageModel 
+    ? `Image: ${message.length > 30 ? message.substring(0, 30) + '...' : message}`
+    : message.length > 50 ? message.substring(0, 50) + '...' : message;
+  return req.app.locals.models.Session.create(title, model, persona ? persona.id : null, req.user.id);
+}
+
+// A message of one of the signed-in user's sessions, or null if it does not exist or is someone else's
+async function getOwnMessage(req, messageId) {
+  const message = await req.app.locals.models.Message.getById(messageId);
+  return message && (await getOwnSession(req, message.session_id)) ? message : null;
+}
+
+// Load the persona a new session should start with. Rejects with a 404-flagged error if it does not exist.
+async function resolvePersona(Persona, personaId) {
+  if (!personaId) {
+    return null;
+  }
+
+  const persona = await Persona.getById(personaId);
+  if (!persona) {
+    throw new HttpError(404, 'Persona not found');
+  }
+  return persona;
+}
+
+// The message a new user message follows: the end of the branch the session is showing
+async function getActiveLeafId(Message, session) {
+  const branch = await Message.getBranch(session.id, session.active_message_id);
+  return branch.length > 0 ? branch[branch.length - 1].id : null;
+}
+
+// Save a user message, with its attachments, after parentId and make it the end of the session's shown branch
+async function saveUserMessage({ Session, Message, Attachment }, session, content, parentId, attachments = []) {
+  const userMessage = await Message.create(session.id, content, 'user', null, 0, 'text', null, { parentId });
+  await Attachment.linkToMessage(userMessage.id, attachments.map(attachment => attachment.id));
+  await Session.setActiveMessage(session.id, userMessage.id);
+  return { ...userMessage, attachments };
+}
+
+// Check that the model can take a message's attachments: image models take a text prompt only,
+// and images need a vision model. Throws a 400-flagged error otherwise.
+function checkAttachments(attachments, model) {
+  let message = null;
+  if (attachments.length > 0 && llmService.isImageModel(model)) {
+    message = `${llmService.formatModelName(model)} takes a text prompt only; remove the attachments to generate an image`;
+  } else if (attachments.some(attachment => attachment.kind === 'image') && !llmService.supportsVision(model)) {
+    message = `${llmService.formatModelName(model)} does not accept images; choose a vision model or remove the images`;
+  }
+
+  if (message) {
+    throw new HttpError(400, message);
+  }
+}
+
+// Load the attachments sent with a message by id and check the model can take them.
+// Rejects with a 404-flagged error if one does not exist or was uploaded by someone else.
+async function resolveAttachments(Attachment, user, attachmentIds = [], model) {
+  const attachments = await Attachment.getByIds(attachmentIds);
+  if (attachments.length !== attachmentIds.length || attachments.some(attachment => attachment.user_id !== user.id)) {
+    throw new HttpError(404, 'Attachment not found');
+  }
+  checkAttachments(attachments, model);
+  return attachments;
+}
+
+// API keys of every registered provider, keyed by provider id
+async function getApiKeys(Settings) {
+  const apiKeys = {};
+  for (const id of providerRegistry.ids()) {
+    apiKeys[id] = await Settings.getActualApiKey(id);
+  }
+  return apiKeys;
+}
+
+// Refresh the models of providers that list them at runtime, such as self-hosted servers
+async function refreshModels(Settings, options = {}) {
+  const settings = await Settings.getAll();
+  const apiKeys = await getApiKeys(Settings);
+  return llmService.refreshModels({ settings, apiKeys }, options);
+}
+
+// Discovered models may not have been listed yet (or may have been added since); check before rejecting one
+async function isKnownModel(Settings, model) {
+  if (llmService.validateModel(model)) {
+    return true;
+  }
+  await refreshModels(Settings, { force: true });
+  return llmService.validateModel(model);
+}
+
+// Call the model for userMessage and save its reply as a child of it.
+// The history sent with text models is the branch ending at userMessage.
+// requestParams are the generation parameters sent with the message; they take precedence over
+// the session's defaults and the global settings, and the merged values are stored on the reply.
+// Text replies are streamed through onDelta when it is given, and each tool call or result saved on
+// the way is passed to onToolStep. If the signal aborts, whatever was generated so far is saved as
+// an interrupted reply. Image models reply with a pending message that a background job fills in
+// (see queueImageReply); they take imageRequest.
+async function generateReply({
+  session,
+  userMessage,
+  model,
+  requestParams,
+  Session,
+  Message,
+  Settings,
+  Persona,
+  SessionMemory,
+  UsageLog,
+  Document,
+  imageRequest = /** @type {ImageRequest} */ ({}),
+  onDelta = null,
+  onToolStep = null,
+  signal = null
+}) {
+  if (llmService.isImageModel(model)) {
+    const aiMessage = await queueImageReply({ session, userMessage, model, Message, imageRequest });
+    await Session.update(session.id, { model_used: model, active_message_id: aiMessage.id });
+    return { response: { usage: null }, aiMessage };
+  }
+
+  const persona = session.persona_id ? await Persona.getById(session.persona_id) : null;
+
+  // Get API keys and settings
+  const { settings, params } = generationParams.resolveGenerationParams({
+    request: requestParams,
+    session: session.generation_params || {},
+    persona: persona?.generation_params || {},
+    settings: await Settings.getAll()
+  });
+  const apiKeys = await getApiKeys(Settings);
+
+  let response, aiMessage;
+
+  try {
+    ({ response, aiMessage } = await callModel({
+      session,
+      userMessage,
+      model,
+      Message,
+      SessionMemory,
+      UsageLog,
+      Document,
+      settings,
+      params,
+      persona,
+      apiKeys,
+      onDelta,
+      onToolStep,
+      signal
+    }));
+  } catch (error) {
+    if (!error.cancelled) {
+      throw error;
+    }
+
+    const partial = error.partial || {};
+    aiMessage = await Message.create(
+      session.id,
+      partial.content || '',
+      'assistant',
+      // A fallback model may have been answering
+      error.model || model,
+      partial.usage?.total_tokens || 0,
+      'text',
+      null,
+      {
+        status: 'interrupted',
+        generationParams: params,
+        // After the tool steps that were saved before the cancel
+        parentId: error.parentId || userMessage.id
       }
-    } else {
-      // Create new session with appropriate title based on model type
-      const isImageModel = llmService.isImageModel(model);
-      const title = isImageModel 
-        ? `Image: ${message.length > 30 ? message.substring(0, 30) + '...' : message}`
-        : message.length > 50 ? message.substring(0, 50) + '...' : message;
-      currentSession = await Session.create(title, model);
+    );
+    response = { usage: partial.usage || null, interrupted: true };
+  }
+
+  // Update session
+  await Session.update(session.id, { model_used: model, active_message_id: aiMessage.id });
+
+  return { response, aiMessage };
+}
+
+// The tools the model may call, or none when it cannot call tools or the tools_enabled setting is off
+function getTools(model, settings) {
+  return settings.tools_enabled !== 'false' && llmService.supportsTools(model) ? toolRegistry.definitions() : [];
+}
+
+// Ask the model for a reply, running the tools it calls and sending their results back until it
+// answers. Each call and result is saved as a message of the branch, after parentId, and passed to
+// onToolStep. After MAX_TOOL_STEPS the model must answer without tools. If the model fails, the
+// models of its fallback chain are tried, and the first that answers carries on with the remaining
+// steps. Resolves with the final response, the id of the message it follows, the model that
+// answered and the fallback that made it answer ({ from, reason }, or null); a cancelled call's
+// error carries that id and model as parentId and model.
+async function runWithTools({ session, model, messages, parentId, tools, Message, settings, params, apiKeys, onDelta, onToolStep, signal }) {
+  let fallback = null;
+
+  for (let step = 0; ; step++) {
+    const toolOptions = tools.length > 0 ? { tools, toolChoice: step < MAX_TOOL_STEPS ? 'auto' : 'none' } : {};
+
+    let response;
+    try {
+      response = await llmService.sendMessage(model, messages, apiKeys, settings, {
+        onDelta,
+        signal,
+        fallbacks: llmService.getFallbacks(model, settings),
+        ...toolOptions
+      });
+    } catch (error) {
+      error.parentId = parentId;
+      error.model = model;
+      throw error;
     }
 
-    // Save user message
-    const userMessage = await Message.create(
-      currentSession.id,
-      message,
-      'user'
+    if (response.fallback) {
+      fallback = fallback || response.fallback;
+      model = response.modelId;
+    }
+
+    if (!response.toolCalls?.length || step === MAX_TOOL_STEPS) {
+      return { response, parentId, model, fallback };
+    }
+
+    const callMessage = await Message.create(
+      session.id,
+      response.content || '',
+      'assistant',
+      model,
+      response.usage?.total_tokens || 0,
+      'tool_call',
+      null,
+      { generationParams: params, parentId, toolData: { calls: response.toolCalls } }
     );
+    onToolStep?.(callMessage);
+    parentId = callMessage.id;
+    messages = [...messages, { role: 'assistant', content: response.content || '', toolCalls: response.toolCalls }];
 
-    // Handle image generation vs text generation differently
-    const isImageModel = llmService.isImageModel(model);
-    
-    let response, aiMessage;
-    
-    if (isImageModel) {
-      // For image generation, we only need the current prompt
-      const messages = [{ role: 'user', content: message }];
-      
-      // Get API keys and settings
-      const settings = await Settings.getAll();
-      const apiKeys = {
-        openai: await Settings.getActualApiKey('openai'),
-        anthropic: await Settings.getActualApiKey('anthropic')
-      };
-
-      console.log(`Generating image with ${model}: ${message.substring(0, 50)}...`);
-      
-      // Generate image
-      response = await llmService.sendMessage(model, messages, apiKeys, settings);
-      
-      // Save AI response with image data
-      aiMessage = await Message.create(
-        currentSession.id,
-        response.content, // This is the image URL
+    for (const call of response.toolCalls) {
+      const result = await toolRegistry.run(call, { Message, session });
+      const resultMessage = await Message.create(
+        session.id,
+        result.content,
         'assistant',
         model,
-        0, // No tokens for images
-        'image',
-        {
-          prompt: response.prompt,
-          revised_prompt: response.revised_prompt,
-          image_url: response.content,
-          size: settings.image_size || (model === 'dall-e-3' ? '1024x1024' : '512x512'),
-          quality: model === 'dall-e-3' ? (settings.image_quality || 'standard') : undefined,
-          style: model === 'dall-e-3' ? (settings.image_style || 'natural') : undefined
-        }
+        0,
+        'tool_result',
+        null,
+        { parentId, toolData: { call_id: call.id, name: call.name, is_error: result.isError } }
       );
-    } else {
-      // For text generation, get conversation history
-      const messageHistory = await Message.getBySessionId(currentSession.id);
-      
-      // Prepare messages for LLM
-      const llmMessages = messageHistory.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-
-      // Get API keys and settings
-      const settings = await Settings.getAll();
-      const apiKeys = {
-        openai: await Settings.getActualApiKey('openai'),
-        anthropic: await Settings.getActualApiKey('anthropic')
-      };
-
-      console.log('API Keys retrieved:', {
-        openai: apiKeys.openai ? 'SET' : 'NOT SET',
-        anthropic: apiKeys.anthropic ? 'SET' : 'NOT SET',
-        selectedModel: model
-      });
+      onToolStep?.(resultMessage);
+      parentId = resultMessage.id;
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: result.content, isError: result.isError });
+    }
+  }
+}
 
-      // Call LLM
-      response = await llmService.sendMessage(model, llmMessages, apiKeys, settings);
+// Keep a generated image in media storage, since the providers' URLs expire. If that fails the
+// provider's URL or data URL is kept instead, so the image can at least be seen for now.
+// The image has been paid for by then, so cancelling the request does not stop it being stored.
+async function storeGeneratedImage(Media, session, response) {
+  try {
+    const media = await mediaStorage.storeImage(Media, response.content, { sessionId: session.id });
+    return { content: mediaStorage.mediaUrl(media.id), metadata: mediaStorage.imageMetadata(media) };
+  } catch (error) {
+    logger.error(`Storing the image generated in session ${session.id} failed:`, error.message);
+    return { content: response.content, metadata: { image_url: response.content } };
+  }
+}
 
-      // Save AI response
-      aiMessage = await Message.create(
-        currentSession.id,
-        response.content,
-        'assistant',
-        model,
-        response.usage?.total_tokens || 0,
-        'text'
+// A stored image that an edit or variation starts from. Throws a 400-flagged error if it is gone.
+async function getSourceMedia(Media, mediaId) {
+  const media = mediaId ? await Media.getById(mediaId) : null;
+  if (!media) {
+    throw new HttpError(400, 'The source image is no longer stored on the server');
+  }
+  return media;
+}
+
+/**
+ * The image an edit or variation starts from, kept in the reply's image_metadata.source
+ * @typedef {{ operation: 'edit' | 'variation', message_id: string, media_id: string, mask_media_id?: string }} ImageSource
+ */
+
+/**
+ * How to make the images of an image reply (see createImages)
+ * @typedef {{ count?: number, source?: ImageSource | null }} ImageRequest
+ */
+
+// Make the images of a reply to userMessage. imageRequest is { count, source }: count images
+// (1-4) are generated from the message as the prompt, or with source, { operation, message_id,
+// media_id, mask_media_id }, made as edits ('edit', with the message as the prompt and the
+// optional mask) or variations ('variation') of an earlier image. Each image is stored, and
+// described by the fields of mediaStorage.imageMetadata and its revised prompt.
+async function createImages({ session, userMessage, model, Media, settings, apiKeys, imageRequest = /** @type {ImageRequest} */ ({}), signal }) {
+  const count = imageRequest.count || 1;
+  const source = imageRequest.source || null;
+  // Messages are stored HTML-escaped; the model gets the prompt as it was typed
+  const prompt = validator.unescape(userMessage.content);
+
+  let response;
+  if (source) {
+    logger.debug(`Making ${count} image ${source.operation}s with ${model} of ${source.media_id}`);
+    const image = await mediaStorage.readForEditing(await getSourceMedia(Media, source.media_id));
+    const mask = source.mask_media_id
+      ? await mediaStorage.readForEditing(await getSourceMedia(Media, source.mask_media_id))
+      : null;
+    response = await llmService.transformImage(model, source.operation, { prompt, image, mask }, apiKeys, settings, { signal, count });
+  } else {
+    logger.debug(`Generating ${count} image(s) with ${model} in session ${session.id}`);
+    response = await llmService.sendMessage(model, [{ role: 'user', content: prompt }], apiKeys, settings, { signal, count });
+  }
+
+  const stored = await Promise.all(response.images.map(image => storeGeneratedImage(Media, session, image)));
+  return {
+    response,
+    images: stored.map((image, index) => ({
+      content: image.content,
+      metadata: { ...image.metadata, revised_prompt: response.images[index].revised_prompt }
+    }))
+  };
+}
+
+// How an image reply describes its images (see createImages): the one shown, the candidates to
+// choose from, the image they were made from and the settings they were made with
+function imageReplyMetadata({ model, prompt, imageRequest = /** @type {ImageRequest} */ ({}), images = [], settings }) {
+  const source = imageRequest.source || null;
+  return {
+    prompt: source?.operation === 'variation' ? null : prompt,
+    ...images[0]?.metadata,
+    candidates: images.length > 1 ? images.map(image => image.metadata) : undefined,
+    selected: images.length > 1 ? 0 : undefined,
+    count: imageRequest.count || 1,
+    // The image this one was made from, for following its lineage
+    source: source || undefined,
+    size: settings.image_size || (model === 'dall-e-3' ? '1024x1024' : '512x512'),
+    quality: model === 'dall-e-3' ? (settings.image_quality || 'standard') : undefined,
+    style: model === 'dall-e-3' ? (settings.image_style || 'natural') : undefined
+  };
+}
+
+// Save a pending image reply to userMessage and queue the job that makes its images.
+// The job's id is kept in the reply's image_metadata.job_id, for following it with GET /jobs/:id.
+async function queueImageReply({ session, userMessage, model, Message, imageRequest = /** @type {ImageRequest} */ ({}) }) {
+  const metadata = {
+    prompt: imageRequest.source?.operation === 'variation' ? null : validator.unescape(userMessage.content),
+    count: imageRequest.count || 1,
+    source: imageRequest.source || undefined
+  };
+  const message = await Message.create(session.id, '', 'assistant', model, 0, 'image', metadata, {
+    status: 'pending',
+    parentId: userMessage.id
+  });
+
+  const job = await jobQueue.enqueue('image', {
+    sessionId: session.id,
+    messageId: message.id,
+    payload: { model, userMessageId: userMessage.id, imageRequest }
+  });
+  message.image_metadata = { ...metadata, job_id: job.id };
+  await Message.setImage(message.id, '', message.image_metadata);
+  return message;
+}
+
+// Make the images of a pending image reply, with the settings and API keys of when the job runs.
+// A job whose conversation was deleted has nothing left to do.
+jobQueue.register('image', {
+  async run(job, { models, signal, progress }) {
+    const { Session, Message, Settings, Media } = models;
+    const { model, userMessageId, imageRequest = {} } = job.payload;
+
+    const message = await Message.getById(job.message_id);
+    const userMessage = await Message.getById(userMessageId);
+    const session = message && await Session.getById(message.session_id);
+    if (!message || !userMessage || !session) {
+      return;
+    }
+
+    const settings = await Settings.getAll();
+    const apiKeys = await getApiKeys(Settings);
+    const count = imageRequest.count || 1;
+    progress(count > 1 ? `Generating ${count} images` : 'Generating the image');
+
+    const { response, images } = await createImages({ session, userMessage, model, Media, settings, apiKeys, imageRequest, signal });
+    await Message.setImage(
+      message.id,
+      images[0].content,
+      { ...imageReplyMetadata({ model, prompt: response.prompt, imageRequest, images, settings }), job_id: job.id },
+      'complete'
+    );
+  },
+
+  // The reply shows why it has no image: it was stopped, or the error
+  async abandon(job, { models, status, error }) {
+    const { Message } = models;
+    const message = await Message.getById(job.message_id);
+    if (message?.status === 'pending') {
+      await Message.setImage(
+        message.id,
+        '',
+        { ...message.image_metadata, error: error || undefined },
+        status === 'cancelled' ? 'interrupted' : 'failed'
       );
     }
+  }
+});
+
+async function callModel({ session, userMessage, model, Message, SessionMemory, UsageLog, Document, settings, params, persona, apiKeys, onDelta, onToolStep, signal }) {
+  let response, aiMessage;
 
-    // Update session
-    await Session.update(currentSession.id, { model_used: model });
+  // Get the conversation history along this branch
+  const messageHistory = await Message.getBranch(session.id, userMessage.id);
+
+  // The passages of the session's documents and the knowledge base that best match the message
+  const excerpts = await documentIndex.retrieve(Document, session.id, userMessage.content, settings);
+  
+  // Prepare messages for LLM: older messages may be replaced by the session's summary, and the
+  // oldest ones are dropped if the conversation still outgrows the context window
+  const conversation = await conversationHistory.buildConversation({
+    llmService,
+    session,
+    branch: messageHistory,
+    persona,
+    model,
+    settings,
+    apiKeys,
+    SessionMemory,
+    UsageLog,
+    signal,
+    excerpts
+  });
+  const context = llmService.fitToContext(model, conversation, settings);
+  if (!context.fits) {
+    throw new HttpError(
+      400,
+      `The message is too long for ${llmService.formatModelName(model)}: ${context.promptTokens} tokens ` +
+      `plus ${context.reservedTokens} for the reply exceed its ${context.contextWindow}-token context window`
+    );
+  }
+  if (context.droppedCount > 0) {
+    logger.info(`Left ${context.droppedCount} older messages of session ${session.id} out of the ${model} context window`);
+  }
+
+  // Call LLM, with any tools it uses
+  let parentId, answeredBy, fallback;
+  ({ response, parentId, model: answeredBy, fallback } = await runWithTools({
+    session,
+    model,
+    messages: context.messages,
+    parentId: userMessage.id,
+    tools: getTools(model, settings),
+    Message,
+    settings,
+    params,
+    apiKeys,
+    onDelta,
+    onToolStep,
+    signal
+  }));
+
+  // Save AI response, under the model that gave it
+  aiMessage = await Message.create(
+    session.id,
+    response.content,
+    'assistant',
+    answeredBy,
+    response.usage?.total_tokens || 0,
+    'text',
+    null,
+    { generationParams: params, parentId, citations: documentIndex.toCitations(excerpts), fallback }
+  );
+
+  return { response, aiMessage };
+}
+
+function getErrorType(error) {
+  return error.message && error.message.includes('API key') ? 'api_key_error' : 'llm_error';
+}
+
+// Chat endpoint with validation
+router.post('/chat', sanitize, validate(schemas.chatMessage), async (req, res) => {
+  try {
+    const { message, model, sessionId, personaId, attachmentIds, imageCount } = req.body;
+
+    const Session = req.app.locals.models.Session;
+    const Message = req.app.locals.models.Message;
+    const Settings = req.app.locals.models.Settings;
+    const Persona = req.app.locals.models.Persona;
+    const SessionMemory = req.app.locals.models.SessionMemory;
+    const UsageLog = req.app.locals.models.UsageLog;
+    const Document = req.app.locals.models.Document;
+    const Attachment = req.app.locals.models.Attachment;
+
+    if (!(await isKnownModel(Settings, model))) {
+      return res.status(400).json({ error: `Unsupported model: ${model}` });
+    }
+    const attachments = await resolveAttachments(Attachment, req.user, attachmentIds, model);
+
+    // Get current session or create new one
+    const persona = sessionId ? null : await resolvePersona(Persona, personaId);
+    const currentSession = await resolveSession(req, sessionId, message, model, persona);
+    if (!currentSession) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Save user message at the end of the branch being shown
+    const userMessage = await saveUserMessage(
+      req.app.locals.models,
+      currentSession,
+      message,
+      await getActiveLeafId(Message, currentSession),
+      attachments
+    );
+
+    const { requestId, signal } = trackGeneration(req, res);
+    const toolMessages = [];
+    const { response, aiMessage } = await generateReply({
+      session: currentSession,
+      userMessage,
+      model,
+      requestParams: generationParams.fromRequest(req.body),
+      Session,
+      Message,
+      Settings,
+      Persona,
+      SessionMemory,
+      UsageLog,
+      Document,
+      imageRequest: { count: imageCount },
+      onToolStep: (toolMessage) => toolMessages.push(toolMessage),
+      signal
+    });
 
     res.json({
       message: aiMessage,
+      userMessage,
+      toolMessages,
+      // Image replies are pending until this background job has made them
+      jobId: aiMessage.image_metadata?.job_id || null,
       session: {
         id: currentSession.id,
-        title: currentSession.title
+        title: currentSession.title,
+        persona_id: currentSession.persona_id || null
       },
-      usage: response.usage || null
+      usage: response.usage || null,
+      requestId,
+      interrupted: !!response.interrupted
     });
 
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
+      error: error.message || 'Internal server error',
+      type: getErrorType(error)
+    });
+  }
+});
+
+// Stream the reply to a user message as Server-Sent Events:
+//   start - the session, the user message being answered and the request id to cancel with
+//   delta - a piece of the assistant's reply ({ content })
+//   tool  - a tool call or tool result saved on the way to the reply ({ message }); deltas sent
+//           before a tool call were its text
+//   done  - the saved assistant message, session and usage; interrupted is set if it was cancelled.
+//           An image reply is pending until the background job jobId has made its images.
+//   error - generation failed ({ error, type })
+// getUserMessage saves (or loads) the user message once the stream has started. Image models
+// are given imageRequest (see createImages).
+async function streamReply(req, res, { session: currentSession, model, getUserMessage, imageRequest = {} }) {
+  const { Session, Message, Settings, Persona, SessionMemory, UsageLog, Document } = req.app.locals.models;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+
+  const sendEvent = (event, data) => {
+    // The client may have disconnected; the reply is still saved
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { requestId, signal } = trackGeneration(req, res);
+
+  const session = {
+    id: currentSession.id,
+    title: currentSession.title,
+    persona_id: currentSession.persona_id || null
+  };
+
+  try {
+    const userMessage = await getUserMessage();
+    sendEvent('start', { session, userMessage, requestId });
+
+    const { response, aiMessage } = await generateReply({
+      session: currentSession,
+      userMessage,
+      model,
+      requestParams: generationParams.fromRequest(req.body),
+      Session,
+      Message,
+      Settings,
+      Persona,
+      SessionMemory,
+      UsageLog,
+      Document,
+      imageRequest,
+      onDelta: (content) => sendEvent('delta', { content }),
+      onToolStep: (message) => sendEvent('tool', { message }),
+      signal
+    });
+
+    sendEvent('done', {
+      message: aiMessage,
+      session,
+      usage: response.usage || null,
+      jobId: aiMessage.image_metadata?.job_id || null,
+      interrupted: !!response.interrupted
+    });
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    sendEvent('error', {
+      error: error.message || 'Internal server error',
+      type: getErrorType(error)
+    });
+  } finally {
+    res.end();
+  }
+}
+
+// Streaming chat endpoint; see streamReply for the events sent
+router.post('/chat/stream', sanitize, validate(schemas.chatMessage), async (req, res) => {
+  const { message, model, sessionId, personaId, attachmentIds, imageCount } = req.body;
+
+  const Session = req.app.locals.models.Session;
+  const Message = req.app.locals.models.Message;
+  const Settings = req.app.locals.models.Settings;
+  const Persona = req.app.locals.models.Persona;
+  const Attachment = req.app.locals.models.Attachment;
+
+  let currentSession, attachments;
+  try {
+    if (!(await isKnownModel(Settings, model))) {
+      return res.status(400).json({ error: `Unsupported model: ${model}` });
+    }
+    attachments = await resolveAttachments(Attachment, req.user, attachmentIds, model);
+    const persona = sessionId ? null : await resolvePersona(Persona, personaId);
+    currentSession = await resolveSession(req, sessionId, message, model, persona);
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    return res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+  }
+
+  if (!currentSession) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  // Save user message at the end of the branch being shown
+  await streamReply(req, res, {
+    session: currentSession,
+    model,
+    getUserMessage: async () => saveUserMessage(
+      req.app.locals.models,
+      currentSession,
+      message,
+      await getActiveLeafId(Message, currentSession),
+      attachments
+    ),
+    imageRequest: { count: imageCount }
+  });
+});
+
+// Compare mode: send one message to 2-4 text models at once. Their replies are saved as
+// alternatives of the user message and streamed side by side as Server-Sent Events:
+//   start  - { session, userMessage, requestId, models }
+//   delta  - { index, content }: text of the reply of models[index]
+//   tool   - { index, message }: a tool call or result saved on the way to that reply
+//   result - { index, model, message, usage, latency_ms, first_token_ms, interrupted }, or
+//            { index, model, error, type, latency_ms } for a model that failed
+//   done   - { session, comparison }, once every model has answered
+//   error  - { error, type }, if the comparison could not be made
+// The first reply is shown until one is picked with PUT /comparisons/:id/winner.
+router.post('/chat/compare', sanitize, validate(schemas.compareMessage), async (req, res) => {
+  const { message, models, sessionId, personaId, attachmentIds } = req.body;
+  const { Session, Message, Settings, Persona, SessionMemory, UsageLog, Document, Attachment, Comparison } = req.app.locals.models;
+
+  let currentSession, attachments;
+  try {
+    for (const model of models) {
+      if (!(await isKnownModel(Settings, model))) {
+        return res.status(400).json({ error: `Unsupported model: ${model}` });
+      }
+      if (llmService.isImageModel(model)) {
+        return res.status(400).json({ error: `${llmService.formatModelName(model)} generates images; compare text models` });
+      }
+    }
+    attachments = await resolveAttachments(Attachment, req.user, attachmentIds, models[0]);
+    models.slice(1).forEach(model => checkAttachments(attachments, model));
+    const persona = sessionId ? null : await resolvePersona(Persona, personaId);
+    currentSession = await resolveSession(req, sessionId, message, models[0], persona);
+  } catch (error) {
+    console.error('Compare error:', error);
+    return res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+  }
+
+  if (!currentSession) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stopping the comparison stops every model
+  const { requestId, signal } = trackGeneration(req, res);
+
+  const session = {
+    id: currentSession.id,
+    title: currentSession.title,
+    persona_id: currentSession.persona_id || null
+  };
+
+  try {
+    const userMessage = await saveUserMessage(
+      req.app.locals.models,
+      currentSession,
+      message,
+      await getActiveLeafId(Message, currentSession),
+      attachments
+    );
+    sendEvent('start', { session, userMessage, requestId, models });
+
+    const requestParams = generationParams.fromRequest(req.body);
+    const results = await Promise.all(models.map(async (model, index) => {
+      const startedAt = Date.now();
+      let firstTokenAt = null;
+
+      try {
+        const { response, aiMessage } = await generateReply({
+          session: currentSession,
+          userMessage,
+          model,
+          requestParams,
+          Session,
+          Message,
+          Settings,
+          Persona,
+          SessionMemory,
+          UsageLog,
+          Document,
+          onDelta: (content) => {
+            firstTokenAt = firstTokenAt || Date.now();
+            sendEvent('delta', { index, content });
+          },
+          onToolStep: (toolMessage) => sendEvent('tool', { index, message: toolMessage }),
+          signal
+        });
+
+        const result = {
+          index,
+          model: aiMessage.model || model,
+          message: aiMessage,
+          usage: response.usage || null,
+          latency_ms: Date.now() - startedAt,
+          first_token_ms: firstTokenAt ? firstTokenAt - startedAt : null,
+          interrupted: !!response.interrupted
+        };
+        sendEvent('result', result);
+        return result;
+      } catch (error) {
+        logger.warn(`Compare: ${model} failed:`, error.message);
+        const result = { index, model, error: error.message || 'Internal server error', type: getErrorType(error), latency_ms: Date.now() - startedAt };
+        sendEvent('result', result);
+        return result;
+      }
+    }));
+
+    const comparison = await Comparison.create({
+      sessionId: currentSession.id,
+      userMessageId: userMessage.id,
+      entries: results.map(result => ({
+        model: result.model,
+        message_id: result.message?.id || null,
+        latency_ms: result.latency_ms,
+        first_token_ms: result.first_token_ms ?? null,
+        tokens: result.message?.token_count || 0,
+        error: result.error || null
+      }))
+    });
+
+    // Each reply made itself the shown branch as it finished; show the first column's instead
+    const firstReply = results.find(result => result.message);
+    if (firstReply) {
+      await Session.setActiveMessage(currentSession.id, firstReply.message.id);
+    }
+
+    sendEvent('done', { session, comparison });
+  } catch (error) {
+    console.error('Compare error:', error);
+    sendEvent('error', {
       error: error.message || 'Internal server error',
-      type: error.message.includes('API key') ? 'api_key_error' : 'llm_error'
+      type: getErrorType(error)
     });
+  } finally {
+    res.end();
   }
 });
 
-// Get available models
-router.get('/models', (req, res) => {
+// Pick the reply of a comparison to continue with: it becomes the shown branch and the choice is
+// recorded for the report. Picking again changes the choice.
+router.put('/comparisons/:id/winner', validateParams(schemas.comparisonId), validate(schemas.comparisonWinner), async (req, res) => {
   try {
-    const models = llmService.getAvailableModels();
+    const { Comparison, Session, Message } = req.app.locals.models;
+
+    const comparison = await Comparison.getById(req.params.id);
+    if (!comparison || !(await getOwnSession(req, comparison.session_id))) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+
+    const entry = comparison.entries.find(candidate => candidate.message_id && candidate.message_id === req.body.messageId);
+    if (!entry) {
+      return res.status(400).json({ error: 'The message is not one of the comparison\'s replies' });
+    }
+
+    const leaf = await Message.getBranchLeaf(comparison.session_id, entry.message_id);
+    if (!leaf) {
+      return res.status(404).json({ error: 'Message not found in this session' });
+    }
+
+    const updated = await Comparison.setWinner(comparison.id, { model: entry.model, messageId: entry.message_id });
+    await Session.setActiveMessage(comparison.session_id, leaf.id);
+    res.json({ comparison: updated, messages: await Message.getBranch(comparison.session_id, leaf.id) });
+  } catch (error) {
+    console.error('Pick comparison winner error:', error);
+    res.status(500).json({ error: 'Failed to pick the winner' });
+  }
+});
+
+// Edit an earlier user message. The edit is saved as a sibling of the original, so the original
+// and the replies that followed it are kept on their own branch, and a reply to the edit is streamed.
+router.post('/messages/:id/edit', validateParams(schemas.messageId), sanitize, validate(schemas.messageEdit), async (req, res) => {
+  const { message, model, attachmentIds } = req.body;
+  const { Session, Message, Settings, Attachment } = req.app.locals.models;
+
+  let original, currentSession, attachments;
+  try {
+    original = await getOwnMessage(req, req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (original.role !== 'user') {
+      return res.status(400).json({ error: 'Only user messages can be edited' });
+    }
+    if (!(await isKnownModel(Settings, model))) {
+      return res.status(400).json({ error: `Unsupported model: ${model}` });
+    }
+    if (attachmentIds) {
+      attachments = await resolveAttachments(Attachment, req.user, attachmentIds, model);
+    } else {
+      attachments = await Attachment.getByMessageId(original.id);
+      checkAttachments(attachments, model);
+    }
+    currentSession = await Session.getById(original.session_id);
+  } catch (error) {
+    console.error('Edit message error:', error);
+    return res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+  }
+
+  await streamReply(req, res, {
+    session: currentSession,
+    model,
+    getUserMessage: () => saveUserMessage(req.app.locals.models, currentSession, message, original.parent_id, attachments)
+  });
+});
+
+// Regenerate an assistant reply (or answer a user message again). The new reply is saved as a
+// sibling of the earlier ones and streamed. The model defaults to the one that wrote the reply.
+router.post('/messages/:id/regenerate', validateParams(schemas.messageId), validate(schemas.regenerateMessage), async (req, res) => {
+  const { Session, Message, Settings, Attachment } = req.app.locals.models;
+
+  let userMessage, currentSession, model, imageRequest;
+  try {
+    const target = await getOwnMessage(req, req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // A reply that used tools follows its tool steps; answer the user message before them
+    userMessage = target;
+    while (userMessage && userMessage.role !== 'user') {
+      userMessage = userMessage.parent_id ? await Message.getById(userMessage.parent_id) : null;
+    }
+    if (!userMessage) {
+      return res.status(400).json({ error: 'This reply has no message to answer' });
+    }
+
+    currentSession = await Session.getById(target.session_id);
+    model = req.body.model || (target.role === 'assistant' ? target.model : null) || currentSession.model_used;
+    if (!(await isKnownModel(Settings, model))) {
+      return res.status(400).json({ error: `Unsupported model: ${model}` });
+    }
+    checkAttachments(await Attachment.getByMessageId(userMessage.id), model);
+
+    // An image is made again the way it was: as many candidates, from the same source image
+    if (target.content_type === 'image' && target.image_metadata) {
+      const { count, source } = target.image_metadata;
+      if (source && !llmService.supportsImageOperation(model, source.operation)) {
+        return res.status(400).json({ error: `${llmService.formatModelName(model)} cannot make image ${source.operation === 'edit' ? 'edits' : 'variations'}` });
+      }
+      imageRequest = { count: count || 1, source };
+    }
+  } catch (error) {
+    console.error('Regenerate message error:', error);
+    return res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+  }
+
+  await streamReply(req, res, {
+    session: currentSession,
+    model,
+    getUserMessage: async () => userMessage,
+    imageRequest
+  });
+});
+
+// The stored image of an image message that an edit or variation starts from. Throws a
+// 400-flagged error if the message is not an image or the image was never stored.
+async function getSourceImage(req, messageId) {
+  const message = await getOwnMessage(req, messageId);
+  if (!message) {
+    return null;
+  }
+  if (message.content_type !== 'image') {
+    throw new HttpError(400, 'Only images can be edited or varied');
+  }
+  if (message.status !== 'complete') {
+    throw new HttpError(400, 'This image has not been generated');
+  }
+  if (!message.image_metadata?.media_id) {
+    throw new HttpError(400, 'This image is not stored on the server; run npm run migrate-images to store it');
+  }
+  return message;
+}
+
+// Edit an image with a prompt and, optionally, a mask: a PNG data URL the size of the image whose
+// transparent areas are the ones to change. The prompt is saved as a user message after the
+// branch being shown and the edited images are streamed like a reply (see streamReply).
+// The mask would be mangled by sanitize, so the prompt is escaped here instead.
+router.post('/messages/:id/image-edits', validateParams(schemas.messageId), validate(schemas.imageEdit), async (req, res) => {
+  const { model, prompt, mask, count } = req.body;
+  const { Session, Message, Media } = req.app.locals.models;
+
+  let original, currentSession;
+  /** @type {ImageSource} */
+  let source;
+  try {
+    original = await getSourceImage(req, req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!llmService.supportsImageOperation(model, 'edit')) {
+      return res.status(400).json({ error: `${llmService.formatModelName(model)} cannot edit images` });
+    }
+    currentSession = await Session.getById(original.session_id);
+
+    // The mask, when there is one, is stored below
+    source = { operation: 'edit', message_id: original.id, media_id: original.image_metadata.media_id, mask_media_id: undefined };
+    if (mask) {
+      const maskMedia = await mediaStorage.storeImage(Media, mask, { sessionId: currentSession.id });
+      const { width, height } = original.image_metadata;
+      if (maskMedia.mime_type !== 'image/png' || (width && (maskMedia.width !== width || maskMedia.height !== height))) {
+        await Media.delete(maskMedia.id);
+        await mediaStorage.remove(maskMedia.id);
+        return res.status(400).json({ error: 'The mask must be a PNG the size of the image' });
+      }
+      source.mask_media_id = maskMedia.id;
+    }
+  } catch (error) {
+    console.error('Image edit error:', error);
+    return res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+  }
+
+  await streamReply(req, res, {
+    session: currentSession,
+    model,
+    getUserMessage: async () => saveUserMessage(
+      req.app.locals.models,
+      currentSession,
+      validator.escape(prompt.trim()),
+      await getActiveLeafId(Message, currentSession),
+      []
+    ),
+    imageRequest: { count, source }
+  });
+});
+
+// Make variations of an image, streamed like a reply to a user message asking for them
+router.post('/messages/:id/image-variations', validateParams(schemas.messageId), validate(schemas.imageVariation), async (req, res) => {
+  const { model, count } = req.body;
+  const { Session, Message } = req.app.locals.models;
+
+  let original, currentSession;
+  try {
+    original = await getSourceImage(req, req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!llmService.supportsImageOperation(model, 'variation')) {
+      return res.status(400).json({ error: `${llmService.formatModelName(model)} cannot make image variations` });
+    }
+    currentSession = await Session.getById(original.session_id);
+  } catch (error) {
+    console.error('Image variation error:', error);
+    return res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+  }
+
+  await streamReply(req, res, {
+    session: currentSession,
+    model,
+    getUserMessage: async () => saveUserMessage(
+      req.app.locals.models,
+      currentSession,
+      'Make variations of this image',
+      await getActiveLeafId(Message, currentSession),
+      []
+    ),
+    imageRequest: { count, source: { operation: 'variation', message_id: original.id, media_id: original.image_metadata.media_id } }
+  });
+});
+
+// Show another of the candidates generated for an image message
+router.put('/messages/:id/candidate', validateParams(schemas.messageId), validate(schemas.imageCandidate), async (req, res) => {
+  try {
+    const { Message } = req.app.locals.models;
+    const { index } = req.body;
+
+    const message = await getOwnMessage(req, req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const candidates = message.image_metadata?.candidates;
+    if (!candidates || !candidates[index]) {
+      return res.status(400).json({ error: 'This image has no such candidate' });
+    }
+
+    // The shown image's own fields are replaced by the candidate's
+    const metadata = { ...message.image_metadata };
+    ['media_id', 'image_url', 'thumbnail_url', 'width', 'height', 'revised_prompt'].forEach(key => delete metadata[key]);
+    const candidate = candidates[index];
+    await Message.setImage(message.id, candidate.image_url, { ...metadata, ...candidate, selected: index });
+    res.json({ message: await Message.getById(message.id) });
+  } catch (error) {
+    console.error('Select candidate error:', error);
+    res.status(500).json({ error: 'Failed to select the candidate' });
+  }
+});
+
+// Cancel an in-flight generation started by /chat or /chat/stream.
+// The interrupted reply is saved and returned by the original request.
+router.post('/chat/cancel', validate(schemas.cancelGeneration), (req, res) => {
+  const { requestId } = req.body;
+  const generation = activeGenerations.get(requestId);
+
+  if (!generation || generation.userId !== req.user.id) {
+    return res.status(404).json({ error: 'No generation in progress for this request' });
+  }
+
+  generation.controller.abort();
+  res.json({ message: 'Generation cancelled', requestId });
+});
+
+// Get available models, including any discovered on self-hosted servers
+router.get('/models', async (req, res) => {
+  try {
+    const models = await refreshModels(req.app.locals.models.Settings, { force: req.query.refresh === 'true' });
     res.json({ models });
   } catch (error) {
     console.error('Models error:', error);
@@ -147,37 +1149,59 @@ router.get('/models', (req, res) => {
   }
 });
 
-// Get chat sessions
-router.get('/sessions', async (req, res) => {
+// Get the registered LLM providers, for the settings UI
+router.get('/providers', (req, res) => {
+  res.json({ providers: providerRegistry.list().map(provider => provider.describe()) });
+});
+
+// How a page of sessions or messages is described to clients. Pass next_cursor back as the cursor
+// (sessions) or before (messages) parameter for the next page.
+function describePage(page, limit) {
+  return {
+    limit,
+    total: page.total,
+    has_more: page.hasMore,
+    next_cursor: page.nextCursor
+  };
+}
+
+// Get the signed-in user's chat sessions, most recently updated first, a page at a time
+router.get('/sessions', validateQuery(schemas.sessionPage), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
+    const { cursor, offset, limit } = req.query;
     const Session = req.app.locals.models.Session;
     
-    const sessions = await Session.getAll(limit);
-    res.json({ sessions });
+    const page = await Session.getPage({ userId: req.user.id, cursor, offset, limit });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.json({ sessions: page.sessions, pagination: describePage(page, limit) });
   } catch (error) {
     console.error('Sessions error:', error);
     res.status(500).json({ error: 'Failed to get sessions' });
   }
 });
 
-// Get session by ID
-router.get('/sessions/:id', async (req, res) => {
+// Get session by ID, with the latest page of the branch it is showing (see the messages route
+// below for the query parameters)
+router.get('/sessions/:id', validateParams(schemas.sessionId), validateQuery(schemas.messagePage), async (req, res) => {
   try {
     const { id } = req.params;
-    const Session = req.app.locals.models.Session;
+    const { include, limit } = req.query;
     const Message = req.app.locals.models.Message;
     
-    const session = await Session.getById(id);
+    const session = await getOwnSession(req, id);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    const messages = await Message.getBySessionId(id);
+    const page = await Message.getBranchPage(id, session.active_message_id, { include, limit });
     
     res.json({
       session,
-      messages
+      messages: page.messages,
+      pagination: describePage(page, limit)
     });
   } catch (error) {
     console.error('Session error:', error);
@@ -185,28 +1209,249 @@ router.get('/sessions/:id', async (req, res) => {
   }
 });
 
-// Get messages for a session
-router.get('/sessions/:id/messages', async (req, res) => {
+// Get messages for a session: a page of the branch it is showing, oldest first. ?before= gives the
+// messages before that one (the latest when not given) and ?include= extends the page back to a
+// message, such as a search result to show.
+router.get('/sessions/:id/messages', validateParams(schemas.sessionId), validateQuery(schemas.messagePage), async (req, res) => {
   try {
     const { id } = req.params;
-    const limit = parseInt(req.query.limit) || 100;
+    const { before, include, limit } = req.query;
     const Message = req.app.locals.models.Message;
     
-    const messages = await Message.getBySessionId(id, limit);
-    res.json({ messages });
+    const session = await getOwnSession(req, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const page = await Message.getBranchPage(id, session.active_message_id, { before, include, limit });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor: the message is not on the branch shown' });
+    }
+
+    res.json({ messages: page.messages, pagination: describePage(page, limit) });
   } catch (error) {
     console.error('Messages error:', error);
     res.status(500).json({ error: 'Failed to get messages' });
   }
 });
 
-// Delete session
-router.delete('/sessions/:id', async (req, res) => {
+// How much of a model's context window the session's shown branch takes, for the next request.
+// ?model= defaults to the model the session last used. droppedCount older messages no longer fit
+// and are left out; fits is false when even the latest message is too long.
+router.get('/sessions/:id/context', validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { Message, Settings, Persona, SessionMemory, UsageLog } = req.app.locals.models;
+
+    const session = await getOwnSession(req, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const model = req.query.model || session.model_used;
+    if (!model || !(await isKnownModel(Settings, model))) {
+      return res.status(400).json({ error: `Unsupported model: ${model}` });
+    }
+    if (llmService.isImageModel(model)) {
+      return res.json({ model, contextWindow: null, promptTokens: 0, reservedTokens: 0, messageCount: 0, droppedCount: 0, fits: true });
+    }
+
+    const persona = session.persona_id ? await Persona.getById(session.persona_id) : null;
+    const { settings } = generationParams.resolveGenerationParams({
+      session: session.generation_params || {},
+      persona: persona?.generation_params || {},
+      settings: await Settings.getAll()
+    });
+
+    const branch = await Message.getBranch(id, session.active_message_id);
+    const conversation = await conversationHistory.buildConversation({
+      llmService,
+      session,
+      branch,
+      persona,
+      model,
+      settings,
+      SessionMemory,
+      UsageLog,
+      summarizeIfNeeded: false
+    });
+    const context = llmService.fitToContext(model, conversation, settings);
+
+    res.json({
+      model,
+      contextWindow: context.contextWindow,
+      promptTokens: context.promptTokens,
+      reservedTokens: context.reservedTokens,
+      messageCount: branch.length,
+      droppedCount: context.droppedCount,
+      fits: context.fits
+    });
+  } catch (error) {
+    console.error('Session context error:', error);
+    res.status(500).json({ error: 'Failed to measure session context' });
+  }
+});
+
+// Set a session's default generation parameters. Values sent as null are cleared,
+// so the global settings apply again.
+router.put('/sessions/:id/params', validateParams(schemas.sessionId), validate(schemas.generationParams), async (req, res) => {
   try {
     const { id } = req.params;
     const Session = req.app.locals.models.Session;
-    
-    const result = await Session.delete(id);
+
+    const session = await getOwnSession(req, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const params = {
+      ...(session.generation_params || {}),
+      ...generationParams.fromRequest(req.body)
+    };
+    Object.entries(generationParams.PARAMS).forEach(([key, requestKey]) => {
+      if (req.body[requestKey] === null) {
+        delete params[key];
+      }
+    });
+
+    await Session.update(id, { generation_params: Object.keys(params).length > 0 ? params : null });
+
+    res.json({
+      message: 'Session parameters updated successfully',
+      session: await Session.getById(id)
+    });
+  } catch (error) {
+    console.error('Update session params error:', error);
+    res.status(500).json({ error: 'Failed to update session parameters' });
+  }
+});
+
+// A session's memory settings and summary. covered_count is how many messages of the shown branch
+// the summary replaces; applies is false when the summary was written on another branch.
+async function describeMemory(Session, Message, SessionMemory, id) {
+  const session = await Session.getById(id);
+  if (!session) {
+    return null;
+  }
+
+  const memory = await SessionMemory.getBySessionId(id);
+  let summary = null;
+  if (memory) {
+    const branch = await Message.getBranch(id, session.active_message_id);
+    const coveredIndex = branch.findIndex(msg => msg.id === memory.covered_message_id);
+    summary = {
+      summary: memory.summary,
+      model: memory.model,
+      updated_at: memory.updated_at,
+      covered_count: coveredIndex + 1,
+      applies: coveredIndex !== -1
+    };
+  }
+
+  return { enabled: session.summarize_history, memory: summary };
+}
+
+// Get a session's memory: whether older messages are summarized, and the summary so far
+router.get('/sessions/:id/memory', validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const { Session, Message, SessionMemory } = req.app.locals.models;
+
+    if (!(await getOwnSession(req, req.params.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(await describeMemory(Session, Message, SessionMemory, req.params.id));
+  } catch (error) {
+    console.error('Session memory error:', error);
+    res.status(500).json({ error: 'Failed to get session memory' });
+  }
+});
+
+// Turn summarization of older messages on or off for a session, or correct its summary
+router.put('/sessions/:id/memory', validateParams(schemas.sessionId), validate(schemas.sessionMemory), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { enabled, summary } = req.body;
+    const { Session, Message, SessionMemory } = req.app.locals.models;
+
+    const session = await getOwnSession(req, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (summary !== undefined) {
+      const result = await SessionMemory.updateSummary(id, summary);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'This conversation has not been summarized yet' });
+      }
+    }
+    if (enabled !== undefined) {
+      await Session.setSummarizeHistory(id, enabled);
+    }
+
+    res.json({
+      message: 'Session memory updated successfully',
+      ...(await describeMemory(Session, Message, SessionMemory, id))
+    });
+  } catch (error) {
+    console.error('Update session memory error:', error);
+    res.status(500).json({ error: 'Failed to update session memory' });
+  }
+});
+
+// Forget a session's summary; older messages are summarized afresh when needed
+router.delete('/sessions/:id/memory', validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { Session, Message, SessionMemory } = req.app.locals.models;
+
+    if (!(await getOwnSession(req, id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await SessionMemory.delete(id);
+    res.json({ message: 'Session memory cleared successfully', ...(await describeMemory(Session, Message, SessionMemory, id)) });
+  } catch (error) {
+    console.error('Clear session memory error:', error);
+    res.status(500).json({ error: 'Failed to clear session memory' });
+  }
+});
+
+// Show another branch of a conversation. The branch continues from messageId along its most
+// recent replies; its messages are returned.
+router.put('/sessions/:id/branch', validateParams(schemas.sessionId), validate(schemas.branchSelection), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const Session = req.app.locals.models.Session;
+    const Message = req.app.locals.models.Message;
+
+    const session = await getOwnSession(req, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const leaf = await Message.getBranchLeaf(id, req.body.messageId);
+    if (!leaf) {
+      return res.status(404).json({ error: 'Message not found in this session' });
+    }
+
+    await Session.setActiveMessage(id, leaf.id);
+    res.json({ messages: await Message.getBranch(id, leaf.id) });
+  } catch (error) {
+    console.error('Select branch error:', error);
+    res.status(500).json({ error: 'Failed to switch branch' });
+  }
+});
+
+// Delete session, with its images, documents and the attachments only it used
+router.delete('/sessions/:id', validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await getOwnSession(req, id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const result = await removeSession(req.app.locals.models, id);
     if (result.changes === 0) {
       return res.status(404).json({ error: 'Session not found' });
     }
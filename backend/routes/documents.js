@@ -0,0 +1,178 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const router = express.Router();
+const documentIndex = require('../services/documentIndex');
+const { validateParams, schemas } = require('../middleware/validation');
+const { getOwnSession, canAccessSessionItem, checkAdminSession } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const MAX_FILES = 5;
+const MAX_DOCUMENT_SIZE = 20 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Keep non-ASCII file names intact
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_DOCUMENT_SIZE, files: MAX_FILES }
+}).array('files', MAX_FILES);
+
+const sessionIdSchema = Joi.string().uuid().allow('');
+
+function describeUploadError(error) {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Documents can be at most ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Up to ${MAX_FILES} documents can be added at once, in the "files" field`;
+    default:
+      return error.message;
+  }
+}
+
+// The session a request is about (sessionId in the body or query), or null for the knowledge base.
+// Responds with an error and resolves undefined when the session id is invalid, unknown or not one
+// of the signed-in user's sessions.
+async function resolveScope(req, res, sessionId) {
+  const { error } = sessionIdSchema.validate(sessionId);
+  if (error) {
+    res.status(400).json({ error: 'Invalid session ID' });
+    return undefined;
+  }
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await getOwnSession(req, sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return undefined;
+  }
+  return session.id;
+}
+
+// Add PDF, Markdown or text files (multipart/form-data, field "files") to a session, given as the
+// sessionId field, or to the knowledge base shared by all sessions and users when it is left out.
+// Their text is split into chunks and indexed for retrieval.
+router.post('/documents', (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: describeUploadError(error) });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const Document = req.app.locals.models.Document;
+    // upload takes an array of files
+    const files = Array.isArray(req.files) ? req.files : [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files were uploaded' });
+    }
+
+    const sessionId = await resolveScope(req, res, req.body.sessionId);
+    if (sessionId === undefined) {
+      return;
+    }
+
+    // Read every file before storing any, so a bad file does not leave the others half added
+    const extracted = [];
+    for (const file of files) {
+      extracted.push({ file, text: await documentIndex.extractText(file) });
+    }
+
+    const documents = [];
+    for (const { file, text } of extracted) {
+      documents.push(await Document.create({
+        sessionId,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      }, documentIndex.chunkText(text)));
+    }
+
+    res.status(201).json({ documents });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Add documents error:', error.message);
+    res.status(500).json({ error: 'Failed to add documents' });
+  }
+});
+
+// A session's documents (?sessionId=...), or the knowledge base's
+router.get('/documents', async (req, res) => {
+  try {
+    const sessionId = await resolveScope(req, res, req.query.sessionId);
+    if (sessionId === undefined) {
+      return;
+    }
+
+    const documents = await req.app.locals.models.Document.list(sessionId);
+    res.json({ documents });
+  } catch (error) {
+    logger.error('Get documents error:', error.message);
+    res.status(500).json({ error: 'Failed to get documents' });
+  }
+});
+
+// A chunk of a document, as cited by an assistant message
+router.get('/documents/chunks/:chunkId', validateParams(schemas.chunkId), async (req, res) => {
+  try {
+    const Document = req.app.locals.models.Document;
+
+    const chunk = await Document.getChunk(req.params.chunkId);
+    const document = chunk && await Document.getById(chunk.document_id);
+    if (!document || !(await canAccessSessionItem(req, document.session_id))) {
+      return res.status(404).json({ error: 'This passage is no longer available' });
+    }
+
+    res.json({ chunk, document });
+  } catch (error) {
+    logger.error('Get document chunk error:', error.message);
+    res.status(500).json({ error: 'Failed to get passage' });
+  }
+});
+
+router.get('/documents/:id', validateParams(schemas.documentId), async (req, res) => {
+  try {
+    const document = await req.app.locals.models.Document.getById(req.params.id);
+    if (!document || !(await canAccessSessionItem(req, document.session_id))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ document });
+  } catch (error) {
+    logger.error('Get document error:', error.message);
+    res.status(500).json({ error: 'Failed to get document' });
+  }
+});
+
+// Remove a document from the index. Replies that cited it keep their citations' excerpts.
+// The knowledge base is everyone's, so only an admin in admin mode removes documents from it.
+router.delete('/documents/:id', validateParams(schemas.documentId), async (req, res) => {
+  try {
+    const Document = req.app.locals.models.Document;
+
+    const document = await Document.getById(req.params.id);
+    if (!document || !(await canAccessSessionItem(req, document.session_id))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (!document.session_id && !checkAdminSession(req, res)) {
+      return;
+    }
+
+    const result = await Document.delete(document.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    logger.error('Delete document error:', error.message);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/jobQueue');
+const { validateParams, schemas } = require('../middleware/validation');
+const { canAccessSessionItem } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// A job as the API shows it. Once it has finished, the message it filled in comes with it.
+async function describeJob(Message, job) {
+  const described = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress || null,
+    error: job.error || null,
+    session_id: job.session_id,
+    message_id: job.message_id,
+    attempts: job.attempts || 0,
+    created_at: job.created_at,
+    started_at: job.started_at || null,
+    finished_at: job.finished_at || null
+  };
+  if (FINISHED.includes(job.status) && job.message_id) {
+    described.message = await Message.getById(job.message_id);
+  }
+  return described;
+}
+
+// A job of one of the signed-in user's sessions, or null
+async function getOwnJob(req, id) {
+  const job = await req.app.locals.models.Job.getById(id);
+  return job && (await canAccessSessionItem(req, job.session_id)) ? job : null;
+}
+
+// A background job's status
+router.get('/jobs/:id', validateParams(schemas.jobId), async (req, res) => {
+  try {
+    const { Message } = req.app.locals.models;
+    const job = await getOwnJob(req, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: await describeJob(Message, job) });
+  } catch (error) {
+    logger.error('Get job error:', error.message);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Follow a job as Server-Sent Events: a 'job' event with its status now and on every change.
+// The stream ends once the job has finished.
+router.get('/jobs/:id/events', validateParams(schemas.jobId), async (req, res) => {
+  const { Message } = req.app.locals.models;
+
+  let job;
+  try {
+    job = await getOwnJob(req, req.params.id);
+  } catch (error) {
+    logger.error('Get job error:', error.message);
+    return res.status(500).json({ error: 'Failed to get job' });
+  }
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+
+  // Updates are sent in order, each once the one before it has been described
+  let sending = Promise.resolve();
+  const send = (update) => {
+    sending = sending.then(async () => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: job\ndata: ${JSON.stringify(await describeJob(Message, update))}\n\n`);
+      if (FINISHED.includes(update.status)) {
+        res.end();
+      }
+    }).catch(error => {
+      logger.error(`Following job ${update.id} failed:`, error.message);
+      res.end();
+    });
+  };
+
+  const onUpdate = (update) => {
+    if (update.id === job.id) {
+      send(update);
+    }
+  };
+  jobQueue.on('update', onUpdate);
+  res.on('close', () => jobQueue.off('update', onUpdate));
+
+  // Proxies drop streams that stay quiet too long while an image is generated
+  const keepAlive = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, 15000);
+  res.on('close', () => clearInterval(keepAlive));
+
+  send(job);
+});
+
+// Stop a queued or running job. Its message is kept, marked as stopped.
+router.post('/jobs/:id/cancel', validateParams(schemas.jobId), async (req, res) => {
+  try {
+    const job = await getOwnJob(req, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!(await jobQueue.cancel(job.id))) {
+      return res.status(409).json({ error: 'The job has already finished' });
+    }
+
+    res.json({ message: 'Job cancelled', id: job.id });
+  } catch (error) {
+    logger.error('Cancel job error:', error.message);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
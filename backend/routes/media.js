@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const mediaStorage = require('../services/mediaStorage');
+const { validateParams, schemas } = require('../middleware/validation');
+const { canAccessSessionItem } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// Send a stored file. Media never changes, so it can be cached.
+function sendMedia(res, data, mimeType) {
+  res.set({
+    'Content-Type': mimeType,
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(data);
+}
+
+// An image of one of the signed-in user's sessions, or null
+async function getOwnMedia(req, id) {
+  const media = await req.app.locals.models.Media.getById(id);
+  return media && (await canAccessSessionItem(req, media.session_id)) ? media : null;
+}
+
+// A generated image
+router.get('/media/:id', validateParams(schemas.mediaId), async (req, res) => {
+  try {
+    const media = await getOwnMedia(req, req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    sendMedia(res, await mediaStorage.read(media.id), media.mime_type);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image file not found' });
+    }
+    logger.error('Get media error:', error.message);
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
+// A smaller copy of a generated image, for showing it in the conversation.
+// Images without a thumbnail are sent whole.
+router.get('/media/:id/thumbnail', validateParams(schemas.mediaId), async (req, res) => {
+  try {
+    const media = await getOwnMedia(req, req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (media.has_thumbnail) {
+      sendMedia(res, await mediaStorage.readThumbnail(media.id), 'image/webp');
+    } else {
+      sendMedia(res, await mediaStorage.read(media.id), media.mime_type);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image file not found' });
+    }
+    logger.error('Get media thumbnail error:', error.message);
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
+module.exports = router;
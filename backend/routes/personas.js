@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { validate, validateParams, schemas } = require('../middleware/validation');
+const { requireAdminSession } = require('../middleware/auth');
+const generationParams = require('../services/generationParams');
+const logger = require('../config/logger');
+
+// Map the camelCase request fields onto persona columns, leaving out fields that were not sent
+function toPersonaFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.systemPrompt !== undefined) fields.system_prompt = body.systemPrompt;
+  if (body.defaultModel !== undefined) fields.default_model = body.defaultModel || null;
+  if (body.avatar !== undefined) fields.avatar = body.avatar || null;
+  if (body.generationParams !== undefined) {
+    const params = body.generationParams ? generationParams.fromRequest(body.generationParams) : {};
+    fields.generation_params = Object.keys(params).length > 0 ? params : null;
+  }
+
+  return fields;
+}
+
+// Get all personas. They are shared, so everyone can use them and only admins in admin mode add,
+// change or remove them.
+router.get('/personas', async (req, res) => {
+  try {
+    const Persona = req.app.locals.models.Persona;
+
+    const personas = await Persona.getAll();
+    res.json({ personas });
+  } catch (error) {
+    logger.error('Get personas error:', error.message);
+    res.status(500).json({ error: 'Failed to get personas' });
+  }
+});
+
+// Get persona by ID
+router.get('/personas/:id', validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const Persona = req.app.locals.models.Persona;
+
+    const persona = await Persona.getById(req.params.id);
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json({ persona });
+  } catch (error) {
+    logger.error('Get persona error:', error.message);
+    res.status(500).json({ error: 'Failed to get persona' });
+  }
+});
+
+// Create persona
+router.post('/personas', requireAdminSession, validate(schemas.persona), async (req, res) => {
+  try {
+    const Persona = req.app.locals.models.Persona;
+    const fields = toPersonaFields(req.body);
+
+    const persona = await Persona.create({
+      name: fields.name,
+      systemPrompt: fields.system_prompt,
+      defaultModel: fields.default_model,
+      generationParams: fields.generation_params,
+      avatar: fields.avatar
+    });
+
+    res.status(201).json({
+      message: 'Persona created successfully',
+      persona
+    });
+  } catch (error) {
+    logger.error('Create persona error:', error.message);
+    res.status(500).json({ error: 'Failed to create persona' });
+  }
+});
+
+// Update persona
+router.put('/personas/:id', requireAdminSession, validateParams(schemas.sessionId), validate(schemas.personaUpdate), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const Persona = req.app.locals.models.Persona;
+
+    const result = await Persona.update(id, toPersonaFields(req.body));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json({
+      message: 'Persona updated successfully',
+      persona: await Persona.getById(id)
+    });
+  } catch (error) {
+    logger.error('Update persona error:', error.message);
+    res.status(500).json({ error: 'Failed to update persona' });
+  }
+});
+
+// Delete persona. Conversations that used it keep their messages.
+router.delete('/personas/:id', requireAdminSession, validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const Persona = req.app.locals.models.Persona;
+
+    const result = await Persona.delete(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json({ message: 'Persona deleted successfully' });
+  } catch (error) {
+    logger.error('Delete persona error:', error.message);
+    res.status(500).json({ error: 'Failed to delete persona' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,70 @@
 const express = require('express');
 const router = express.Router();
+const { validateQuery, schemas } = require('../middleware/validation');
+const { requireAdminSession } = require('../middleware/auth');
+
+// Preference statistics from the comparisons whose winner was picked. Each model's record counts
+// the comparisons it answered in, how many it won and how fast it answered; each pair of models
+// counts how often the first was picked over the second and the other way around.
+function summarizeComparisons(comparisons) {
+  const models = {};
+  const pairs = {};
+
+  comparisons.forEach(comparison => {
+    const answers = comparison.entries.filter(entry => entry.message_id);
+    const winner = comparison.winner_model;
+
+    answers.forEach(entry => {
+      if (!models[entry.model]) {
+        models[entry.model] = { model: entry.model, comparisons: 0, wins: 0, total_latency_ms: 0 };
+      }
+      models[entry.model].comparisons += 1;
+      models[entry.model].total_latency_ms += entry.latency_ms || 0;
+      if (entry.message_id === comparison.winner_message_id) {
+        models[entry.model].wins += 1;
+      }
+    });
+
+    answers.filter(entry => entry.message_id !== comparison.winner_message_id && entry.model !== winner).forEach(entry => {
+      // One record per pair, whichever order the models were in
+      const [model, opponent] = [winner, entry.model].sort();
+      const key = JSON.stringify([model, opponent]);
+      if (!pairs[key]) {
+        pairs[key] = { model, opponent, wins: 0, losses: 0 };
+      }
+      pairs[key][model === winner ? 'wins' : 'losses'] += 1;
+    });
+  });
+
+  return {
+    total: comparisons.length,
+    models: Object.values(models)
+      .map(({ total_latency_ms: totalLatency, ...stats }) => ({
+        ...stats,
+        win_rate: stats.comparisons > 0 ? parseFloat((stats.wins / stats.comparisons).toFixed(3)) : 0,
+        avg_latency_ms: stats.comparisons > 0 ? Math.round(totalLatency / stats.comparisons) : null
+      }))
+      .sort((a, b) => b.win_rate - a.win_rate || b.comparisons - a.comparisons),
+    head_to_head: Object.values(pairs).sort((a, b) => (b.wins + b.losses) - (a.wins + a.losses))
+  };
+}
+
+// The reports cover every user's conversations, so they are for admins in admin mode
+router.use('/report', requireAdminSession);
 
 // Get usage report
 router.get('/report', async (req, res) => {
   try {
     const Session = req.app.locals.models.Session;
     const Message = req.app.locals.models.Message;
+    const UsageLog = req.app.locals.models.UsageLog;
+    const Comparison = req.app.locals.models.Comparison;
     
     // Get basic statistics
     const sessions = await Session.getAll(100);
     const usageStats = await Message.getUsageStats();
+    const backgroundStats = await UsageLog.getUsageStats();
+    const comparisons = await Comparison.getDecided();
     
     // Calculate aggregated data
     const totalSessions = sessions.length;
@@ -43,6 +98,22 @@ router.get('/report', async (req, res) => {
       dailyUsage[stat.date].models_used.add(stat.model);
     });
     
+    // Model calls that are not replies (e.g. summarizing long conversations), one entry per purpose and model
+    const backgroundUsage = {};
+    backgroundStats.forEach(stat => {
+      const key = `${stat.purpose}:${stat.model}`;
+      if (!backgroundUsage[key]) {
+        backgroundUsage[key] = {
+          purpose: stat.purpose,
+          model: stat.model,
+          call_count: 0,
+          total_tokens: 0
+        };
+      }
+      backgroundUsage[key].call_count += stat.call_count;
+      backgroundUsage[key].total_tokens += stat.total_tokens || 0;
+    });
+    
     // Convert sets to arrays for JSON serialization
     Object.keys(dailyUsage).forEach(date => {
       dailyUsage[date].models_used = Array.from(dailyUsage[date].models_used);
@@ -75,10 +146,13 @@ router.get('/report', async (req, res) => {
         total_sessions: totalSessions,
         total_messages: totalMessages,
         avg_messages_per_session: parseFloat(avgMessagesPerSession),
-        total_tokens: Object.values(modelUsage).reduce((sum, model) => sum + (model.total_tokens || 0), 0)
+        total_tokens: Object.values(modelUsage).reduce((sum, model) => sum + (model.total_tokens || 0), 0),
+        background_tokens: Object.values(backgroundUsage).reduce((sum, entry) => sum + entry.total_tokens, 0)
       },
       model_usage: modelUsage,
+      background_usage: Object.values(backgroundUsage).sort((a, b) => b.total_tokens - a.total_tokens),
       top_models: topModels,
+      comparisons: summarizeComparisons(comparisons),
       daily_usage: dailyUsage,
       recent_sessions: recentSessions,
       generated_at: new Date().toISOString()
@@ -90,25 +164,25 @@ router.get('/report', async (req, res) => {
   }
 });
 
-// Get detailed session report
-router.get('/report/sessions', async (req, res) => {
+// Get detailed session report, a page at a time by offset or by cursor (the next_cursor of the page before)
+router.get('/report/sessions', validateQuery(schemas.sessionPage), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const { cursor, offset, limit } = req.query;
     
     const Session = req.app.locals.models.Session;
-    const sessions = await Session.getAll(limit + offset);
-    
-    // Apply pagination
-    const paginatedSessions = sessions.slice(offset, offset + limit);
+    const page = await Session.getPage({ cursor, offset, limit });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     
     res.json({
-      sessions: paginatedSessions,
+      sessions: page.sessions,
       pagination: {
         limit,
-        offset,
-        total: sessions.length,
-        has_more: sessions.length > offset + limit
+        offset: cursor ? null : offset,
+        total: page.total,
+        has_more: page.hasMore,
+        next_cursor: page.nextCursor
       }
     });
     
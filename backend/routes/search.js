@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const searchIndex = require('../services/searchIndex');
+const { validateQuery, schemas } = require('../middleware/validation');
+
+// Search the signed-in user's conversations: sessions whose title matches and text messages that contain all the
+// words of q (the last one as a prefix), best match first. Each result comes with the matched text
+// split into segments ({ text, match }) for highlighting. model, role, from and to filter messages
+// (role leaves out title matches, which have none); sessionId keeps to one session.
+router.get('/search', validateQuery(schemas.searchQuery), async (req, res) => {
+  try {
+    const { Session, Message } = req.app.locals.models;
+    const { q, model, role, from, to, sessionId, limit } = req.query;
+
+    const query = searchIndex.buildMatchQuery(q);
+    if (!query) {
+      return res.json({ query: q, sessions: [], messages: [] });
+    }
+
+    const [sessions, messages] = await Promise.all([
+      role || sessionId ? [] : Session.searchTitles(query, { userId: req.user.id, model, from, to, limit }),
+      Message.search(query, { userId: req.user.id, sessionId, model, role, from, to, limit })
+    ]);
+
+    res.json({
+      query: q,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        title: session.title,
+        model_used: session.model_used,
+        created_at: session.created_at,
+        updated_at: session.updated_at,
+        title_segments: searchIndex.toSegments(session.highlighted_title)
+      })),
+      messages: messages.map(message => ({
+        id: message.id,
+        session_id: message.session_id,
+        session_title: message.session_title,
+        role: message.role,
+        model: message.model,
+        timestamp: message.timestamp,
+        snippet: searchIndex.toSegments(message.snippet)
+      }))
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+module.exports = router;
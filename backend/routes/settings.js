@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { validate, validateParams, sanitize, schemas } = require('../middleware/validation');
+const { requireAdminSession } = require('../middleware/auth');
 const logger = require('../config/logger');
 
-// Get all settings
+// Get all settings. Everyone can read them, as the chat starts from them; only admins in admin mode
+// change them or the provider keys.
 router.get('/settings', async (req, res) => {
   try {
     const Settings = req.app.locals.models.Settings;
@@ -22,7 +24,7 @@ router.get('/settings', async (req, res) => {
 });
 
 // Update settings
-router.put('/settings', async (req, res) => {
+router.put('/settings', requireAdminSession, async (req, res) => {
   try {
     const Settings = req.app.locals.models.Settings;
     const { settings, apiKeys } = req.body;
@@ -75,7 +77,7 @@ router.get('/settings/:key', async (req, res) => {
 });
 
 // Update specific setting
-router.put('/settings/:key', async (req, res) => {
+router.put('/settings/:key', requireAdminSession, async (req, res) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
@@ -94,7 +96,7 @@ router.put('/settings/:key', async (req, res) => {
 });
 
 // Delete setting
-router.delete('/settings/:key', async (req, res) => {
+router.delete('/settings/:key', requireAdminSession, async (req, res) => {
   try {
     const { key } = req.params;
     const Settings = req.app.locals.models.Settings;
@@ -111,43 +113,33 @@ router.delete('/settings/:key', async (req, res) => {
   }
 });
 
-// Test API key
-router.post('/settings/test-api-key', async (req, res) => {
+// Test API key. settings may carry unsaved values of the provider's extra settings (e.g. a base URL);
+// saved values are used for the rest.
+router.post('/settings/test-api-key', requireAdminSession, async (req, res) => {
   try {
-    const { provider, apiKey } = req.body;
+    const { provider, apiKey, settings } = req.body;
     
-    if (!provider || !apiKey) {
-      return res.status(400).json({ error: 'Provider and API key are required' });
-    }
-    
-    const LLMService = require('../services/llmService');
-    const llmService = new LLMService();
-    
-    // Test with a simple message
-    const testMessages = [
-      { role: 'user', content: 'Hello, this is a test message. Please respond with "API key test successful".' }
-    ];
-    
-    const apiKeys = { [provider]: apiKey };
-    const settings = { max_tokens: '50', temperature: '0' };
-    
-    // Determine which model to test based on provider
-    let testModel;
-    if (provider === 'openai') {
-      testModel = 'gpt-3.5-turbo';
-    } else if (provider === 'anthropic') {
-      testModel = 'claude-3-haiku';
-    } else {
+    const providerRegistry = require('../services/providerRegistry');
+    const adapter = providerRegistry.get(provider);
+
+    if (!adapter) {
       return res.status(400).json({ error: 'Unsupported provider' });
     }
-    
-    const response = await llmService.sendMessage(testModel, testMessages, apiKeys, settings);
+
+    if (adapter.requiresApiKey && !apiKey) {
+      return res.status(400).json({ error: 'Provider and API key are required' });
+    }
+
+    const Settings = req.app.locals.models.Settings;
+    const savedSettings = await Settings.getAll();
+    const result = await adapter.validateKey(apiKey, {
+      settings: { ...savedSettings, ...(settings || {}) }
+    });
     
     res.json({
       success: true,
-      message: 'API key is valid',
       provider,
-      testResponse: response.content.substring(0, 100) + '...'
+      ...result
     });
   } catch (error) {
     console.error('Test API key error:', error);
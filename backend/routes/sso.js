@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const oidc = require('../services/oidc');
+const saml = require('../services/saml');
+const singleSignOn = require('../services/singleSignOn');
+const adminSession = require('../services/adminSession');
+const HttpError = require('../services/httpError');
+const { createRateLimit } = require('../middleware/validation');
+const {
+  getToken,
+  signIn,
+  setAdminCookie,
+  getSsoState,
+  setSsoCookie,
+  clearSsoCookie
+} = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// Single sign-on. The browser is sent to the identity provider and comes back to a callback here,
+// which signs it in and sends it on to the app; what went wrong is shown there from the sso_error
+// query parameter, and ?admin=unlocked says admin mode was unlocked.
+
+// Single sign-ons allowed per IP address in 15 minutes, as for signing in
+const ssoLimiter = createRateLimit(15 * 60 * 1000, parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10);
+
+// How recently an admin must have signed in with the provider to unlock admin mode: as long as
+// the provider has to answer (see models/SsoRequest)
+const FRESH_SIGN_IN_MS = 10 * 60 * 1000;
+
+// Send the browser back to the app, with params in the query
+function redirectToApp(res, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  res.redirect(303, `${process.env.FRONTEND_URL || '/'}${query ? `?${query}` : ''}`);
+}
+
+// Send the browser back to the app with what went wrong: the message of errors meant for the
+// user (HttpErrors), something general otherwise
+function failSignIn(res, protocol, error) {
+  if (error instanceof HttpError) {
+    logger.warn(`Refused ${protocol} sign-in:`, error.message);
+    return redirectToApp(res, { sso_error: error.message });
+  }
+  logger.error(`${protocol} sign-in error:`, error.message);
+  redirectToApp(res, { sso_error: 'Single sign-on failed; try again' });
+}
+
+function refused(message) {
+  return new HttpError(403, message);
+}
+
+// The admin signed in in this browser who unlocks admin mode through OpenID Connect, and their
+// sign-in token, or null
+async function getUnlockingAdmin(req) {
+  const { token } = getToken(req);
+  const user = token ? await req.app.locals.models.AuthSession.getUser(token) : null;
+  if (!user || user.role !== 'admin' || adminSession.getMethod(user) !== 'sso') {
+    return null;
+  }
+  return { user, token };
+}
+
+// Sign in the user identity ({ externalId, username, groups, authTime }) is, or for an unlock,
+// unlock admin mode for the admin who started it
+async function finishSignIn(req, res, protocol, request, identity) {
+  const { models } = req.app.locals;
+
+  if (request.purpose === 'unlock') {
+    const admin = await getUnlockingAdmin(req);
+    const known = await models.User.getByExternalId(protocol, identity.externalId);
+    if (!admin || admin.user.id !== request.user_id || !known || known.id !== admin.user.id) {
+      throw refused('Sign in with your own account to unlock admin mode');
+    }
+    // Their groups may have changed since they signed in
+    const user = await singleSignOn.resolveUser(models, protocol, identity);
+    if (user.role !== 'admin') {
+      throw refused('You are no longer an admin');
+    }
+    // The provider may have let them through on an old sign-in despite being asked not to
+    if (!identity.authTime || Date.now() - identity.authTime > FRESH_SIGN_IN_MS) {
+      throw refused('Sign in with your identity provider again to unlock admin mode');
+    }
+
+    setAdminCookie(res, adminSession.issue(user, admin.token));
+    logger.info(`Admin mode unlocked by ${user.username}`);
+    return redirectToApp(res, { admin: 'unlocked' });
+  }
+
+  const user = await singleSignOn.resolveUser(models, protocol, identity);
+  await signIn(req, res, user);
+  logger.info(`${user.username} signed in through ${protocol}`);
+  redirectToApp(res);
+}
+
+// Sign in with OpenID Connect; ?purpose=unlock unlocks admin mode for the signed-in admin instead
+router.get('/auth/oidc/login', ssoLimiter, async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({ error: 'OpenID Connect sign-in is not configured' });
+  }
+
+  try {
+    const { SsoRequest } = req.app.locals.models;
+    const purpose = req.query.purpose === 'unlock' ? 'unlock' : 'login';
+
+    let userId = null;
+    if (purpose === 'unlock') {
+      const admin = await getUnlockingAdmin(req);
+      if (!admin) {
+        throw refused('Only admins who sign in through single sign-on can unlock admin mode this way');
+      }
+      userId = admin.user.id;
+    }
+
+    const { nonce, codeVerifier } = oidc.createRequestSecrets();
+    const request = await SsoRequest.create({ protocol: 'oidc', purpose, userId, nonce, codeVerifier });
+    SsoRequest.deleteExpired().catch(error => logger.warn('Clearing expired sign-ins failed:', error.message));
+
+    setSsoCookie(res, request.id);
+    res.redirect(await oidc.getAuthorizationUrl({
+      state: request.id,
+      nonce,
+      codeVerifier,
+      reauthenticate: purpose === 'unlock'
+    }));
+  } catch (error) {
+    failSignIn(res, 'OIDC', error);
+  }
+});
+
+// Where the provider sends the browser back, with a code to sign in with (or an error)
+router.get('/auth/oidc/callback', ssoLimiter, async (req, res) => {
+  const state = getSsoState(req);
+  clearSsoCookie(res);
+
+  try {
+    // Only in the browser that started it, and only once
+    const request = state && req.query.state === state
+      ? await req.app.locals.models.SsoRequest.take('oidc', state)
+      : null;
+    if (!request) {
+      throw refused('The sign-in expired or was started elsewhere; try again');
+    }
+    if (req.query.error) {
+      throw refused(`The identity provider refused the sign-in: ${req.query.error_description || req.query.error}`);
+    }
+
+    const identity = await oidc.completeSignIn(req.query.code, request);
+    await finishSignIn(req, res, 'oidc', request, identity);
+  } catch (error) {
+    failSignIn(res, 'OIDC', error);
+  }
+});
+
+// Sign in with SAML
+router.get('/auth/saml/login', ssoLimiter, async (req, res) => {
+  if (!saml.isEnabled()) {
+    return res.status(404).json({ error: 'SAML sign-in is not configured' });
+  }
+
+  try {
+    const { models } = req.app.locals;
+    const request = await models.SsoRequest.create({ protocol: 'saml' });
+    models.SsoRequest.deleteExpired().catch(error => logger.warn('Clearing expired sign-ins failed:', error.message));
+
+    res.redirect(await saml.getAuthorizationUrl(models, { relayState: request.id }));
+  } catch (error) {
+    failSignIn(res, 'SAML', error);
+  }
+});
+
+// Where the provider posts its answer. The post comes from the provider's site, which does not
+// bring this app's cookies, so the RelayState is checked against the sign-ins started here but not
+// against the browser, and admin mode cannot be unlocked this way.
+router.post('/auth/saml/callback', ssoLimiter, async (req, res) => {
+  if (!saml.isEnabled()) {
+    return res.status(404).json({ error: 'SAML sign-in is not configured' });
+  }
+
+  try {
+    const { models } = req.app.locals;
+    const request = await models.SsoRequest.take('saml', req.body.RelayState);
+    if (!request) {
+      throw refused('The sign-in expired or was not started here; try again');
+    }
+
+    const identity = await saml.completeSignIn(models, req.body.SAMLResponse);
+    await finishSignIn(req, res, 'saml', request, identity);
+  } catch (error) {
+    failSignIn(res, 'SAML', error);
+  }
+});
+
+// This app's SAML metadata, to register it with the provider
+router.get('/auth/saml/metadata', (req, res) => {
+  if (!saml.isEnabled()) {
+    return res.status(404).json({ error: 'SAML sign-in is not configured' });
+  }
+
+  try {
+    res.type('application/xml').send(saml.getMetadata(req.app.locals.models));
+  } catch (error) {
+    logger.error('SAML metadata error:', error.message);
+    res.status(500).json({ error: 'Failed to create the SAML metadata' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { validate, validateParams, schemas } = require('../middleware/validation');
+const { requireAdminSession } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const EXPORT_VERSION = 1;
+
+// A unique constraint failed, in SQLite or (code 23505) in PostgreSQL
+function isDuplicateName(error) {
+  return error.code === '23505' || Boolean(error.message && error.message.includes('UNIQUE constraint failed'));
+}
+
+// Get all templates, with the variables each one asks for. They are shared, so everyone can use
+// them and only admins in admin mode add, import, change or remove them.
+router.get('/templates', async (req, res) => {
+  try {
+    const Template = req.app.locals.models.Template;
+
+    const templates = await Template.getAll();
+    res.json({ templates });
+  } catch (error) {
+    logger.error('Get templates error:', error.message);
+    res.status(500).json({ error: 'Failed to get templates' });
+  }
+});
+
+// Export all templates as a JSON file that POST /templates/import accepts
+router.get('/templates/export', async (req, res) => {
+  try {
+    const Template = req.app.locals.models.Template;
+
+    const templates = await Template.getAll();
+    const exportData = {
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      templates: templates.map(({ name, description, content }) => ({ name, description, content }))
+    };
+
+    res.setHeader('Content-Disposition', 'attachment; filename="prompt-templates.json"');
+    res.json(exportData);
+  } catch (error) {
+    logger.error('Export templates error:', error.message);
+    res.status(500).json({ error: 'Failed to export templates' });
+  }
+});
+
+// Import templates from an export file. Templates whose name already exists are skipped,
+// or replaced when ?overwrite=true.
+router.post('/templates/import', requireAdminSession, validate(schemas.templateImport), async (req, res) => {
+  try {
+    const Template = req.app.locals.models.Template;
+    const overwrite = req.query.overwrite === 'true';
+    const templates = Array.isArray(req.body) ? req.body : req.body.templates;
+
+    const result = { imported: 0, updated: 0, skipped: 0 };
+
+    for (const { name, description, content } of templates) {
+      const existing = await Template.getByName(name);
+
+      if (!existing) {
+        await Template.create({ name, description: description || '', content });
+        result.imported++;
+      } else if (overwrite) {
+        await Template.update(existing.id, { description: description || '', content });
+        result.updated++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    res.json({
+      message: `Imported ${result.imported}, updated ${result.updated}, skipped ${result.skipped}`,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Import templates error:', error.message);
+    res.status(500).json({ error: 'Failed to import templates' });
+  }
+});
+
+// Get template by ID
+router.get('/templates/:id', validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const Template = req.app.locals.models.Template;
+
+    const template = await Template.getById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template });
+  } catch (error) {
+    logger.error('Get template error:', error.message);
+    res.status(500).json({ error: 'Failed to get template' });
+  }
+});
+
+// Create template
+router.post('/templates', requireAdminSession, validate(schemas.template), async (req, res) => {
+  try {
+    const { name, description, content } = req.body;
+    const Template = req.app.locals.models.Template;
+
+    const template = await Template.create({ name, description: description || '', content });
+    res.status(201).json({
+      message: 'Template created successfully',
+      template
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    logger.error('Create template error:', error.message);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// Update template
+router.put('/templates/:id', requireAdminSession, validateParams(schemas.sessionId), validate(schemas.templateUpdate), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const Template = req.app.locals.models.Template;
+
+    const updates = {};
+    ['name', 'description', 'content'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const result = await Template.update(id, updates);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      message: 'Template updated successfully',
+      template: await Template.getById(id)
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    logger.error('Update template error:', error.message);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Delete template
+router.delete('/templates/:id', requireAdminSession, validateParams(schemas.sessionId), async (req, res) => {
+  try {
+    const Template = req.app.locals.models.Template;
+
+    const result = await Template.delete(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    logger.error('Delete template error:', error.message);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { hashPassword } = require('../services/passwords');
+const { removeUserData } = require('../services/sessionRemoval');
+const singleSignOn = require('../services/singleSignOn');
+const { validate, validateParams, schemas } = require('../middleware/validation');
+const { requireAdminSession } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// A unique index refused the name: SQLite's error, or PostgreSQL's unique_violation
+function isDuplicateName(error) {
+  return error.code === '23505' || Boolean(error.message && error.message.includes('UNIQUE constraint failed'));
+}
+
+// Managing the accounts is for admins in admin mode. There is always an admin left: the last one
+// can be neither demoted nor deleted.
+router.use('/users', requireAdminSession);
+
+router.get('/users', async (req, res) => {
+  try {
+    const users = await req.app.locals.models.User.list();
+    res.json({ users });
+  } catch (error) {
+    logger.error('Get users error:', error.message);
+    res.status(500).json({ error: 'Failed to get users' });
+  }
+});
+
+// Create an account; the admin passes the password on to its user. An account for a single sign-on
+// provider (authProvider) has no password and is named as the provider knows its user.
+router.post('/users', validate(schemas.user), async (req, res) => {
+  try {
+    const { User } = req.app.locals.models;
+    const username = req.body.username.trim();
+    const { authProvider } = req.body;
+
+    if (authProvider && !singleSignOn.getProviders().some(provider => provider.id === authProvider)) {
+      return res.status(400).json({ error: 'That single sign-on provider is not configured' });
+    }
+    if (await User.isNameTaken(username)) {
+      return res.status(409).json({ error: `There is already a user named "${username}"` });
+    }
+
+    const { id } = await User.create({
+      username,
+      passwordHash: authProvider ? '' : await hashPassword(req.body.password),
+      role: req.body.role || 'user',
+      authProvider: authProvider || null
+    });
+    // As GET /users shows it, with the times the database recorded
+    res.status(201).json({ message: 'User created successfully', user: await User.getById(id) });
+  } catch (error) {
+    // Another request may have taken the name meanwhile
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'There is already a user with that name' });
+    }
+    logger.error('Create user error:', error.message);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change a user's role, or set a new password for them, which signs them out everywhere
+router.put('/users/:id', validateParams(schemas.userId), validate(schemas.userUpdate), async (req, res) => {
+  try {
+    const { User, AuthSession } = req.app.locals.models;
+    const { role, password } = req.body;
+
+    const user = await User.getById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (role === 'user' && user.role === 'admin' && (await User.count({ role: 'admin' })) === 1) {
+      return res.status(400).json({ error: 'The last admin cannot be made a regular user' });
+    }
+    if (password && user.auth_provider) {
+      return res.status(400).json({ error: `${user.username} signs in through single sign-on and has no password` });
+    }
+
+    await User.update(user.id, {
+      role,
+      passwordHash: password ? await hashPassword(password) : undefined
+    });
+    if (password) {
+      await AuthSession.deleteByUserId(user.id, { exceptToken: user.id === req.user.id ? req.authToken : null });
+    }
+
+    res.json({ message: 'User updated successfully', user: await User.getById(user.id) });
+  } catch (error) {
+    logger.error('Update user error:', error.message);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete a user with their conversations and uploads
+router.delete('/users/:id', validateParams(schemas.userId), async (req, res) => {
+  try {
+    const { User } = req.app.locals.models;
+
+    const user = await User.getById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const sessionCount = await removeUserData(req.app.locals.models, user.id);
+    await User.delete(user.id);
+    logger.info(`User ${user.username} deleted with ${sessionCount} conversation(s)`);
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    logger.error('Delete user error:', error.message);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+module.exports = router;
@@ -9,17 +9,17 @@ async function initDatabase() {
   try {
     const database = new Database();
     
-    // Wait a bit for database initialization to complete
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    // Create the tables and default settings, or bring an existing database up to date
+    const applied = await database.migrate();
     
     console.log('✅ Database initialized successfully!');
-    console.log(`📍 Database location: ${process.env.DATABASE_PATH || './database.sqlite'}`);
-    console.log('🎯 Tables created:');
-    console.log('  - sessions');
-    console.log('  - messages');
-    console.log('  - settings');
-    console.log('  - api_keys');
-    console.log('⚙️  Default settings loaded');
+    console.log(`📍 Database: ${database.describe()}`);
+    if (applied.length > 0) {
+      console.log('🎯 Migrations applied:');
+      applied.forEach(migration => console.log(`  - ${migration.version} ${migration.name}`));
+    } else {
+      console.log('🎯 Schema already up to date');
+    }
     
     await database.close();
     console.log('🔒 Database connection closed.');
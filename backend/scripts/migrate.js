@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Apply, list or undo the database migrations in backend/migrations.
+//
+//   node scripts/migrate.js              apply the pending migrations (npm run migrate)
+//   node scripts/migrate.js --to 2       apply them up to migration 2
+//   node scripts/migrate.js status       list the migrations and whether each is applied (npm run migrate:status)
+//   node scripts/migrate.js down         undo the latest migration (npm run migrate:down)
+//   node scripts/migrate.js down --to 1  undo every migration after 1 (--to 0 undoes them all)
+//
+// Exits with status 1 if a migration fails (it is rolled back) or if the database was migrated by
+// a newer version of the app.
+const Database = require('../config/database');
+const { Migrator } = require('../config/migrator');
+require('dotenv').config();
+
+function parseArgs(args) {
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+  const toIndex = args.indexOf('--to');
+  let to;
+  if (toIndex !== -1) {
+    to = parseInt(args[toIndex + 1], 10);
+    if (!Number.isInteger(to) || to < 0) {
+      throw new Error('--to needs a migration number');
+    }
+  }
+  if (!['up', 'status', 'down'].includes(command)) {
+    throw new Error(`Unknown command: ${command} (use up, status or down)`);
+  }
+  return { command, to };
+}
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')} ${migration.name}`;
+
+async function migrate(args = process.argv.slice(2)) {
+  const { command, to } = parseArgs(args);
+  const database = new Database();
+  const migrator = new Migrator(database.getDatabase());
+
+  try {
+    if (command === 'status') {
+      const status = await migrator.status();
+      console.log(`📍 Database: ${database.describe()}`);
+      status.forEach(migration => {
+        if (!migration.known) {
+          console.log(`  ❗ ${label(migration)} (applied ${migration.applied_at} by a newer version of the app)`);
+        } else if (migration.applied_at) {
+          console.log(`  ✅ ${label(migration)} (applied ${migration.applied_at})`);
+        } else {
+          console.log(`  ⏳ ${label(migration)} (pending)`);
+        }
+      });
+      const pending = status.filter(migration => !migration.applied_at).length;
+      console.log(pending > 0 ? `${pending} pending; run npm run migrate to apply them` : 'Up to date');
+    } else if (command === 'down') {
+      const undone = await migrator.down({ to: to ?? null });
+      undone.forEach(migration => console.log(`↩️  Undid ${label(migration)}`));
+      console.log(undone.length > 0 ? `✅ Undid ${undone.length} migration(s)` : 'Nothing to undo');
+    } else {
+      const applied = await migrator.up({ to: to ?? Infinity });
+      applied.forEach(migration => console.log(`⬆️  Applied ${label(migration)}`));
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrate().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = migrate;
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+// Move generated images that were saved before media storage into it: images stored in the
+// database as base64 data URLs, and with --download-urls, provider URLs that have not expired yet.
+// --dry-run lists what would be moved. Run it once after upgrading; running it again is harmless.
+const Database = require('../config/database');
+const Message = require('../models/Message');
+const Media = require('../models/Media');
+const mediaStorage = require('../services/mediaStorage');
+require('dotenv').config();
+
+async function migrateImages({ downloadUrls = false, dryRun = false } = {}) {
+  const database = new Database();
+  await database.migrate();
+
+  const messages = new Message(database.getDatabase());
+  const media = new Media(database.getDatabase());
+  const counts = { moved: 0, skipped: 0, failed: 0 };
+
+  try {
+    const images = await messages.getUnstoredImages();
+    console.log(`🖼️  ${images.length} image messages are not in media storage`);
+
+    for (const message of images) {
+      const isDataUrl = message.content.startsWith('data:');
+      if (!isDataUrl && !downloadUrls) {
+        counts.skipped++;
+        continue;
+      }
+      if (dryRun) {
+        console.log(`  would move ${message.id} (${isDataUrl ? `data URL, ${Math.round(message.content.length / 1024)} KB` : message.content.slice(0, 60)})`);
+        counts.moved++;
+        continue;
+      }
+
+      try {
+        const stored = await mediaStorage.storeImage(media, message.content, { sessionId: message.session_id });
+        await messages.setImage(message.id, mediaStorage.mediaUrl(stored.id), {
+          ...message.image_metadata,
+          ...mediaStorage.imageMetadata(stored)
+        });
+        counts.moved++;
+      } catch (error) {
+        // Provider URLs expire after about an hour; those images are gone
+        console.warn(`  ⚠️  ${message.id}: ${error.response ? `download failed with HTTP ${error.response.status}` : error.message}`);
+        counts.failed++;
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Would move' : 'Moved'} ${counts.moved}, skipped ${counts.skipped} provider URLs` +
+      `${downloadUrls ? '' : ' (use --download-urls to try them)'}, ${counts.failed} failed`);
+    if (!dryRun && counts.moved > 0) {
+      console.log('💡 Run VACUUM on the database to reclaim the space the data URLs took');
+    }
+  } finally {
+    await database.close();
+  }
+  return counts;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  migrateImages({ downloadUrls: args.includes('--download-urls'), dryRun: args.includes('--dry-run') })
+    .catch(error => {
+      console.error('❌ Error migrating images:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateImages;
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+// A stand-in OpenID Connect provider for trying single sign-on locally, without Keycloak or an
+// Okta account. Its sign-in page asks for any username and groups, and signs them in.
+//
+//   npm run mock-oidc
+//
+// then start the backend with
+//
+//   OIDC_ISSUER=http://localhost:5556
+//   OIDC_CLIENT_ID=ai-chat
+//   OIDC_CLIENT_SECRET=mock-secret
+//   OIDC_REDIRECT_URI=http://localhost:3000/api/auth/oidc/callback
+//   SSO_ADMIN_GROUPS=admins
+//
+// MOCK_OIDC_PORT, MOCK_OIDC_CLIENT_ID and MOCK_OIDC_CLIENT_SECRET change the port and the client.
+// It keeps everything in memory and makes a new signing key at every start: for development only.
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+// How long codes and tokens it gives out are valid
+const CODE_MS = 60 * 1000;
+const TOKEN_S = 5 * 60;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function signJwt(claims, privateKey, kid) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+// The provider as an express app, at issuer (its URL) and knowing one client. It signs with a new
+// key unless given keyPair and its kid, as tests are to sign tokens of their own.
+function createMockOidcProvider({
+  issuer,
+  clientId = 'ai-chat',
+  clientSecret = 'mock-secret',
+  keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  kid = crypto.randomBytes(8).toString('hex')
+}) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const { publicKey, privateKey } = keyPair;
+  // Codes not yet traded for tokens, and the access tokens given out, with whom they are for
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // The sign-in page, which passes the request on to the form's POST
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+    if (requestClientId !== clientId || !redirectUri || responseType !== 'code') {
+      return res.status(400).send('Unknown client, or not an authorization code request');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+      .join('\n');
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock OpenID Connect provider</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+  <h1>Mock sign-in</h1>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Username<br><input name="username" required autofocus></label></p>
+    <p><label>Groups (comma-separated)<br><input name="groups" placeholder="admins"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, username } = req.body;
+    if (requestClientId !== clientId || !redirectUri || !username) {
+      return res.status(400).send('Missing client, redirect URI or username');
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      redirectUri,
+      nonce: req.body.nonce || null,
+      codeChallenge: req.body.code_challenge || null,
+      username: username.trim(),
+      groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean),
+      authTime: Math.floor(Date.now() / 1000),
+      expiresAt: Date.now() + CODE_MS
+    });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) {
+      url.searchParams.set('state', state);
+    }
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    // client_secret_basic, or client_secret_post
+    let [id, secret] = [req.body.client_id, req.body.client_secret];
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Basic ')) {
+      [id, secret] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':').map(decodeURIComponent);
+    }
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+      grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE check failed' });
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const sub = crypto.createHash('sha256').update(grant.username.toLowerCase()).digest('hex').slice(0, 24);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, { sub, grant, expiresAt: Date.now() + TOKEN_S * 1000 });
+
+    const claims = {
+      iss: issuer,
+      sub,
+      aud: clientId,
+      iat: now,
+      exp: now + TOKEN_S,
+      auth_time: grant.authTime,
+      preferred_username: grant.username,
+      groups: grant.groups
+    };
+    if (grant.nonce) {
+      claims.nonce = grant.nonce;
+    }
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_S,
+      id_token: signJwt(claims, privateKey, kid)
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const entry = accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json({
+      sub: entry.sub,
+      preferred_username: entry.grant.username,
+      email: `${entry.grant.username}@example.com`,
+      groups: entry.grant.groups
+    });
+  });
+
+  return app;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 5556;
+  const issuer = `http://localhost:${port}`;
+  createMockOidcProvider({
+    issuer,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || undefined,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || undefined
+  }).listen(port, () => {
+    console.log(`🔑 Mock OpenID Connect provider at ${issuer}`);
+  });
+}
+
+module.exports = createMockOidcProvider;
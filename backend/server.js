@@ -5,6 +5,8 @@ require('dotenv').config();
 
 // Import logger
 const logger = require('./config/logger');
+const singleSignOn = require('./services/singleSignOn');
+const saml = require('./services/saml');
 
 // Environment variable validation
 function validateEnvironment() {
@@ -38,9 +40,59 @@ function validateEnvironment() {
     logger.warn('Using default encryption key. Set ENCRYPTION_KEY environment variable for production');
   }
   
+  if (process.env.ADMIN_SECRET && process.env.ADMIN_SECRET.length < 16) {
+    logger.warn('ADMIN_SECRET should be at least 16 characters');
+  }
+  
+  // Backends sharing a PostgreSQL database must share their files too
+  if (process.env.DATABASE_URL && process.env.STORAGE_BACKEND !== 's3') {
+    logger.warn('DATABASE_URL is set but files are stored locally; set STORAGE_BACKEND=s3 if several backend instances share the database');
+  }
+  // Single sign-on must be configured completely, or not at all
+  validateSingleSignOn();
+  // ...and the key admin sessions are signed with
+  if (process.env.DATABASE_URL && !process.env.ADMIN_SESSION_SECRET) {
+    logger.warn('DATABASE_URL is set without ADMIN_SESSION_SECRET; set it if several backend instances share the database, or admin mode only works on the instance it was unlocked on');
+  }
+  
   logger.info('Environment validation completed');
 }
 
+// Exit on half-configured single sign-on, which would otherwise only fail when someone signs in
+function validateSingleSignOn() {
+  const oidcVars = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI'];
+  const samlVars = ['SAML_ENTRY_POINT', 'SAML_ISSUER', 'SAML_CALLBACK_URL', 'SAML_IDP_CERT'];
+  const checkComplete = (protocol, vars) => {
+    const missing = vars.filter(varName => !process.env[varName]);
+    if (missing.length > 0 && missing.length < vars.length) {
+      logger.error(`${protocol} sign-in is partly configured; missing:`, missing);
+      process.exit(1);
+    }
+  };
+  checkComplete('OpenID Connect', oidcVars);
+  checkComplete('SAML', samlVars);
+
+  if (saml.isEnabled() && !saml.isAvailable()) {
+    logger.error('SAML sign-in is configured but @node-saml/node-saml is not installed; run npm install');
+    process.exit(1);
+  }
+  if (!singleSignOn.isPasswordLoginEnabled() && singleSignOn.getProviders().length === 0) {
+    logger.error('PASSWORD_LOGIN=false, but no single sign-on is configured: nobody could sign in');
+    process.exit(1);
+  }
+  if (!singleSignOn.isPasswordLoginEnabled() && !process.env.SSO_ADMIN_GROUPS) {
+    logger.warn('PASSWORD_LOGIN=false without SSO_ADMIN_GROUPS: a new installation gets no admin');
+  }
+
+  const issuer = process.env.OIDC_ISSUER;
+  if (issuer && !issuer.startsWith('https://') && !/^http:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/.test(issuer)) {
+    logger.warn('OIDC_ISSUER should use https');
+  }
+  if (saml.isEnabled() && !process.env.ADMIN_SECRET) {
+    logger.warn('SAML users cannot unlock admin mode without ADMIN_SECRET; set it if any of them are admins');
+  }
+}
+
 // Validate environment on startup
 validateEnvironment();
 
@@ -49,11 +101,37 @@ const Database = require('./config/database');
 const Session = require('./models/Session');
 const Message = require('./models/Message');
 const Settings = require('./models/Settings');
+const Persona = require('./models/Persona');
+const Template = require('./models/Template');
+const SessionMemory = require('./models/SessionMemory');
+const UsageLog = require('./models/UsageLog');
+const Attachment = require('./models/Attachment');
+const Document = require('./models/Document');
+const Media = require('./models/Media');
+const Job = require('./models/Job');
+const Comparison = require('./models/Comparison');
+const User = require('./models/User');
+const AuthSession = require('./models/AuthSession');
+const SsoRequest = require('./models/SsoRequest');
 
 // Import routes
+const authRoutes = require('./routes/auth');
+const ssoRoutes = require('./routes/sso');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
 const chatRoutes = require('./routes/chat');
 const settingsRoutes = require('./routes/settings');
 const reportRoutes = require('./routes/report');
+const personaRoutes = require('./routes/personas');
+const templateRoutes = require('./routes/templates');
+const attachmentRoutes = require('./routes/attachments');
+const documentRoutes = require('./routes/documents');
+const mediaRoutes = require('./routes/media');
+const jobRoutes = require('./routes/jobs');
+const searchRoutes = require('./routes/search');
+const jobQueue = require('./services/jobQueue');
+const accountSetup = require('./services/accountSetup');
+const { authenticate } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -91,7 +169,19 @@ app.locals.database = database;
 app.locals.models = {
   Session: new Session(database.getDatabase()),
   Message: new Message(database.getDatabase()),
-  Settings: new Settings(database.getDatabase())
+  Settings: new Settings(database.getDatabase()),
+  Persona: new Persona(database.getDatabase()),
+  Template: new Template(database.getDatabase()),
+  SessionMemory: new SessionMemory(database.getDatabase()),
+  UsageLog: new UsageLog(database.getDatabase()),
+  Attachment: new Attachment(database.getDatabase()),
+  Document: new Document(database.getDatabase()),
+  Media: new Media(database.getDatabase()),
+  Job: new Job(database.getDatabase()),
+  Comparison: new Comparison(database.getDatabase()),
+  User: new User(database.getDatabase()),
+  AuthSession: new AuthSession(database.getDatabase()),
+  SsoRequest: new SsoRequest(database.getDatabase())
 };
 
 // Health check endpoint
@@ -105,10 +195,24 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Signing in is open to all; everything else under /api needs a signed-in user
+app.use('/api', authRoutes);
+app.use('/api', ssoRoutes);
+app.use('/api', authenticate);
+
 // API routes
+app.use('/api', adminRoutes);
+app.use('/api', userRoutes);
 app.use('/api', chatRoutes);
 app.use('/api', settingsRoutes);
 app.use('/api', reportRoutes);
+app.use('/api', personaRoutes);
+app.use('/api', templateRoutes);
+app.use('/api', attachmentRoutes);
+app.use('/api', documentRoutes);
+app.use('/api', mediaRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', searchRoutes);
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -117,27 +221,108 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     description: 'Backend API for AI Chat Interface with multiple LLM support',
     endpoints: {
+      auth: {
+        'GET /api/auth/status': 'Whether the app needs setting up, who is signed in, and how one signs in',
+        'POST /api/auth/setup': 'Create the first admin account with the setup token from the server log',
+        'POST /api/auth/login': 'Sign in; sets a cookie and returns a token for Authorization: Bearer',
+        'POST /api/auth/logout': 'Sign out',
+        'GET /api/auth/me': 'Get the signed-in user',
+        'PUT /api/auth/password': 'Change your password',
+        'GET /api/auth/oidc/login': 'Sign in with OpenID Connect (?purpose=unlock unlocks admin mode instead)',
+        'GET /api/auth/oidc/callback': 'Where the OpenID Connect provider sends the browser back',
+        'GET /api/auth/saml/login': 'Sign in with SAML',
+        'POST /api/auth/saml/callback': 'Where the SAML provider posts its answer',
+        'GET /api/auth/saml/metadata': 'This app\'s SAML service provider metadata'
+      },
+      admin: {
+        'GET /api/admin/status': 'Whether admin mode is unlocked, and how to unlock it',
+        'POST /api/admin/unlock': 'Unlock admin mode with the admin secret or your password; returns a token for X-Admin-Token',
+        'POST /api/admin/lock': 'Lock admin mode'
+      },
+      users: {
+        'GET /api/users': 'Get all users (admin mode)',
+        'POST /api/users': 'Create a user (admin mode)',
+        'PUT /api/users/:id': 'Change a user\'s role or password (admin mode)',
+        'DELETE /api/users/:id': 'Delete a user with their conversations (admin mode)'
+      },
       chat: {
         'POST /api/chat': 'Send message to AI and get response',
-        'GET /api/models': 'Get available models',
-        'GET /api/sessions': 'Get chat sessions',
-        'GET /api/sessions/:id': 'Get session by ID',
-        'GET /api/sessions/:id/messages': 'Get messages for a session',
+        'POST /api/chat/stream': 'Send message to AI and stream the response as Server-Sent Events',
+        'POST /api/chat/cancel': 'Cancel an in-flight generation by request ID',
+        'POST /api/chat/compare': 'Send a message to 2-4 models at once and stream their replies side by side',
+        'PUT /api/comparisons/:id/winner': 'Pick the reply of a comparison to continue the conversation with',
+        'GET /api/models': 'Get available models, with which accept images (vision)',
+        'GET /api/providers': 'Get registered LLM providers',
+        'GET /api/sessions': 'Get chat sessions, a page at a time (?cursor=&limit=)',
+        'GET /api/sessions/:id': 'Get session by ID with its latest messages',
+        'GET /api/sessions/:id/messages': 'Get messages for a session, a page at a time (?before=&limit=)',
+        'GET /api/sessions/:id/context': 'Get how much of a model\'s context window a session uses',
+        'PUT /api/sessions/:id/params': 'Set default generation parameters for a session',
+        'GET /api/sessions/:id/memory': 'Get a session\'s summary of older messages',
+        'PUT /api/sessions/:id/memory': 'Turn summarization on or off for a session, or edit its summary',
+        'DELETE /api/sessions/:id/memory': 'Clear a session\'s summary',
+        'PUT /api/sessions/:id/branch': 'Show the branch of a session that goes through a message',
+        'POST /api/messages/:id/edit': 'Edit a user message as a new branch and stream the reply',
+        'POST /api/messages/:id/regenerate': 'Stream a new reply alongside an existing one',
+        'POST /api/messages/:id/image-edits': 'Edit an image, optionally within a mask, and stream the result',
+        'POST /api/messages/:id/image-variations': 'Make variations of an image and stream the result',
+        'PUT /api/messages/:id/candidate': 'Choose which of an image message\'s candidates is shown',
         'DELETE /api/sessions/:id': 'Delete session'
       },
+      attachments: {
+        'POST /api/attachments': 'Upload images or text files (multipart, field "files") to send with a message',
+        'GET /api/attachments/:id': 'Get attachment details',
+        'GET /api/attachments/:id/content': 'Download an attachment',
+        'DELETE /api/attachments/:id': 'Remove an attachment that has not been sent'
+      },
+      documents: {
+        'POST /api/documents': 'Add PDF, Markdown or text files (multipart, field "files") to a session (field "sessionId") or the knowledge base',
+        'GET /api/documents': 'Get the knowledge base\'s documents, or a session\'s (?sessionId=)',
+        'GET /api/documents/:id': 'Get document details',
+        'GET /api/documents/chunks/:chunkId': 'Get a passage cited by a reply',
+        'DELETE /api/documents/:id': 'Remove a document'
+      },
+      media: {
+        'GET /api/media/:id': 'Get a generated image',
+        'GET /api/media/:id/thumbnail': 'Get a smaller copy of a generated image'
+      },
+      jobs: {
+        'GET /api/jobs/:id': 'Get the status of a background job, such as generating images',
+        'GET /api/jobs/:id/events': 'Follow a background job as Server-Sent Events',
+        'POST /api/jobs/:id/cancel': 'Cancel a background job'
+      },
+      search: {
+        'GET /api/search?q=': 'Search conversation titles and messages (filters: model, role, from, to, sessionId, limit)'
+      },
       settings: {
         'GET /api/settings': 'Get all settings',
-        'PUT /api/settings': 'Update settings',
+        'PUT /api/settings': 'Update settings (admin mode)',
         'GET /api/settings/:key': 'Get specific setting',
-        'PUT /api/settings/:key': 'Update specific setting',
-        'DELETE /api/settings/:key': 'Delete setting',
-        'POST /api/settings/test-api-key': 'Test API key'
+        'PUT /api/settings/:key': 'Update specific setting (admin mode)',
+        'DELETE /api/settings/:key': 'Delete setting (admin mode)',
+        'POST /api/settings/test-api-key': 'Test API key (admin mode)'
+      },
+      personas: {
+        'GET /api/personas': 'Get all personas',
+        'GET /api/personas/:id': 'Get persona by ID',
+        'POST /api/personas': 'Create persona',
+        'PUT /api/personas/:id': 'Update persona',
+        'DELETE /api/personas/:id': 'Delete persona'
+      },
+      templates: {
+        'GET /api/templates': 'Get all prompt templates',
+        'GET /api/templates/:id': 'Get template by ID',
+        'POST /api/templates': 'Create template',
+        'PUT /api/templates/:id': 'Update template',
+        'DELETE /api/templates/:id': 'Delete template',
+        'GET /api/templates/export': 'Export templates as JSON',
+        'POST /api/templates/import': 'Import templates from JSON (?overwrite=true replaces same-named ones)'
       },
       reporting: {
-        'GET /api/report': 'Get usage analytics',
-        'GET /api/report/sessions': 'Get detailed session report',
-        'GET /api/report/models': 'Get model usage report',
-        'GET /api/report/export': 'Export data'
+        'GET /api/report': 'Get usage analytics (admin mode)',
+        'GET /api/report/sessions': 'Get detailed session report (admin mode)',
+        'GET /api/report/models': 'Get model usage report (admin mode)',
+        'GET /api/report/export': 'Export data (admin mode)'
       }
     },
     documentation: 'See README.md for detailed API documentation'
@@ -182,13 +367,28 @@ const gracefulShutdown = async () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`AI Chat Interface API running on port ${PORT}`);
-  logger.info(`Health check: http://localhost:${PORT}/health`);
-  logger.info(`API info: http://localhost:${PORT}/api`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Database: ${process.env.DATABASE_PATH || './database.sqlite'}`);
-});
+// Start server once the database schema is up to date. A database migrated by a newer version
+// of the app is left alone rather than used.
+database.migrate()
+  .then(() => {
+    app.listen(PORT, () => {
+      logger.info(`AI Chat Interface API running on port ${PORT}`);
+      logger.info(`Health check: http://localhost:${PORT}/health`);
+      logger.info(`API info: http://localhost:${PORT}/api`);
+      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      logger.info(`Database: ${database.describe()}`);
+
+      // Pick up the background jobs left unfinished by the last run
+      jobQueue.start(app.locals.models);
+
+      // A new installation is set up in the app, with a token from the log
+      accountSetup.start(app.locals.models)
+        .catch(error => logger.error('Checking for user accounts failed:', error.message));
+    });
+  })
+  .catch((error) => {
+    logger.error(`Database migration failed: ${error.message}`);
+    process.exit(1);
+  });
 
 module.exports = app; 
\ No newline at end of file
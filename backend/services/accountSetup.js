@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// The first admin account of a new installation is made in the app, with a one-time setup token
+// printed in the server log (or set as SETUP_TOKEN, for servers whose log is hard to read or that
+// run as several instances). Having the token shows the person setting up also runs the server,
+// so whoever finds a fresh installation first cannot claim it.
+let setupToken = null;
+// The token while a setup that used it is under way, to be given back if that setup fails
+let claimedToken = null;
+
+// Prepare for setup if there are no users yet; called once the database is migrated
+async function start(models) {
+  // Without password sign-in, the first admin signs in through single sign-on instead (see
+  // services/singleSignOn)
+  if (process.env.PASSWORD_LOGIN === 'false' || (await models.User.count()) > 0) {
+    setupToken = null;
+    return;
+  }
+
+  setupToken = process.env.SETUP_TOKEN || crypto.randomBytes(18).toString('base64url');
+  logger.info('No users yet: open the app and create the admin account with this setup token');
+  logger.info(`Setup token: ${process.env.SETUP_TOKEN ? '(the SETUP_TOKEN environment variable)' : setupToken}`);
+}
+
+function isPending() {
+  return setupToken !== null;
+}
+
+// Whether token is the setup token, compared in constant time
+function verify(token) {
+  if (!setupToken || typeof token !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(setupToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Start setting up with token. Returns false if it is not the setup token, or another setup has
+// claimed it; until release is called, it is no longer accepted.
+function claim(token) {
+  if (!verify(token)) {
+    return false;
+  }
+  claimedToken = setupToken;
+  setupToken = null;
+  return true;
+}
+
+// The setup that claimed the token failed: accept it again
+function release() {
+  setupToken = claimedToken;
+  claimedToken = null;
+}
+
+// The first admin was made without the token, through single sign-on: it is no longer needed
+function finish() {
+  setupToken = null;
+  claimedToken = null;
+}
+
+module.exports = {
+  start,
+  isPending,
+  claim,
+  release,
+  finish
+};
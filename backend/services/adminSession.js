@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// How long admin mode stays unlocked
+const DEFAULT_ADMIN_SESSION_MINUTES = 30;
+
+// Changing settings and provider keys, reading the reports and managing accounts need more than an
+// admin's sign-in: the admin unlocks admin mode with a second credential, the ADMIN_SECRET
+// configured on the server or, without one, their password again (or, if they sign in through
+// OpenID Connect, by signing in with the provider again). That gives them an admin
+// session, a token signed with ADMIN_SESSION_SECRET that names the admin and the sign-in it was
+// unlocked in, and expires after ADMIN_SESSION_MINUTES. Signing out ends it with the sign-in.
+//
+// Without ADMIN_SESSION_SECRET a key is made at start, so a restart locks admin mode again, and
+// several backend instances cannot check each other's admin sessions.
+const signingKey = process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+}
+
+// The sign-in an admin session belongs to, without putting the sign-in token itself in it
+function signInId(authToken) {
+  return crypto.createHash('sha256').update(authToken).digest('base64url').slice(0, 22);
+}
+
+function safeEqual(a, b) {
+  const expected = crypto.createHash('sha256').update(a).digest();
+  const actual = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// How user unlocks admin mode: 'secret' with ADMIN_SECRET, 'password' with their password, 'sso'
+// by signing in with their OpenID Connect provider again, or null if they cannot (SAML users
+// without ADMIN_SECRET: the provider's answer comes from another site, without the sign-in cookie
+// the admin session would be tied to)
+function getMethod(user) {
+  if (process.env.ADMIN_SECRET) {
+    return 'secret';
+  }
+  if (!user.auth_provider) {
+    return 'password';
+  }
+  return user.auth_provider === 'oidc' ? 'sso' : null;
+}
+
+// Whether secret is ADMIN_SECRET, compared in constant time
+function checkSecret(secret) {
+  return Boolean(process.env.ADMIN_SECRET) && typeof secret === 'string' && safeEqual(process.env.ADMIN_SECRET, secret);
+}
+
+// An admin session for user, in the sign-in authToken. Returns { token, expires_at }, expires_at
+// an ISO date.
+function issue(user, authToken) {
+  const minutes = parseFloat(process.env.ADMIN_SESSION_MINUTES) || DEFAULT_ADMIN_SESSION_MINUTES;
+  const expiresAt = Date.now() + minutes * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ uid: user.id, sid: signInId(authToken), exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expires_at: new Date(expiresAt).toISOString() };
+}
+
+// When token, an admin session, expires (an ISO date), or null if it is not a valid admin session
+// of user in the sign-in authToken
+function verify(token, user, authToken) {
+  if (typeof token !== 'string' || !user || !authToken) {
+    return null;
+  }
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) {
+    return null;
+  }
+
+  try {
+    const { uid, sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (uid !== user.id || sid !== signInId(authToken) || !(exp > Date.now())) {
+      return null;
+    }
+    return new Date(exp).toISOString();
+  } catch (error) {
+    logger.warn('Unreadable admin session:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getMethod,
+  checkSecret,
+  issue,
+  verify
+};
@@ -0,0 +1,6 @@
+const { createStorage } = require('./storage');
+require('dotenv').config();
+
+// Uploaded files are kept one per attachment, named after its id: in UPLOAD_DIR, or under
+// attachments/ in the bucket when files are stored in S3
+module.exports = createStorage('attachments', { directory: process.env.UPLOAD_DIR || './uploads' });
@@ -0,0 +1,269 @@
+const logger = require('../config/logger');
+const attachmentStorage = require('./attachmentStorage');
+
+// Sessions that opt in to summarization have their earliest messages summarized once the
+// conversation takes more than this share of the room the model has for history...
+const SUMMARIZE_AT = 0.75;
+// ...keeping the most recent messages that fit in this share verbatim
+const KEEP_RECENT = 0.4;
+// At least this many recent messages are always sent verbatim
+const MIN_RECENT_MESSAGES = 4;
+
+const DEFAULT_SUMMARIZATION_MODEL = 'claude-3-haiku';
+
+const SUMMARY_INSTRUCTIONS = [
+  'You maintain the memory of a long conversation between a user and an AI assistant.',
+  'Write a concise summary of the conversation so far that keeps every fact, decision, name, preference,',
+  'instruction and open question the assistant needs to continue it. Write in the third person',
+  '("The user asked...") and reply with the summary only.'
+].join(' ');
+
+// Read the files attached to a branch's messages: text files get their text,
+// and images their base64 data when withImages is set. A file that cannot be read is marked missing.
+async function loadAttachments(branch, { withImages }) {
+  return Promise.all(branch.map(async msg => {
+    if (!msg.attachments?.length) {
+      return msg;
+    }
+
+    const attachments = await Promise.all(msg.attachments.map(async attachment => {
+      if (attachment.kind === 'image' && !withImages) {
+        return attachment;
+      }
+      try {
+        const data = await attachmentStorage.read(attachment.id);
+        return attachment.kind === 'image'
+          ? { ...attachment, data: data.toString('base64') }
+          : { ...attachment, text: data.toString('utf8') };
+      } catch (error) {
+        logger.warn(`Attachment ${attachment.id} could not be read:`, error.message);
+        return { ...attachment, missing: true };
+      }
+    }));
+    return { ...msg, attachments };
+  }));
+}
+
+// Generated images are referred to by their prompt, since their data is not text a model can read.
+// Tool calls of earlier replies and their results are described in text, which every model can read.
+// Attached text files lead the message; attached images are named, and sent as images by messageContent.
+function messageText(msg) {
+  if (msg.content_type === 'image' && msg.status !== 'complete') {
+    // Still being made by a background job, or never made
+    return `[Image ${msg.status === 'pending' ? 'being generated' : 'not generated'}: ${msg.image_metadata?.prompt || 'no prompt recorded'}]`;
+  }
+  if (msg.content_type === 'image') {
+    return `[Generated image: ${msg.image_metadata?.prompt || 'no prompt recorded'}]`;
+  }
+  if (msg.content_type === 'tool_call') {
+    const calls = (msg.tool_data?.calls || []).map(call => `[Called tool ${call.name} with ${JSON.stringify(call.arguments)}]`);
+    return [msg.content, ...calls].filter(Boolean).join('\n');
+  }
+  if (msg.content_type === 'tool_result') {
+    return `[Result of ${msg.tool_data?.name || 'tool'}${msg.tool_data?.is_error ? ' (error)' : ''}: ${msg.content}]`;
+  }
+
+  const attachments = (msg.attachments || []).map(attachment => (attachment.text !== undefined
+    ? `Attached file "${attachment.filename}":\n\`\`\`\n${attachment.text}\n\`\`\``
+    : `[Attached ${attachment.kind === 'image' ? 'image' : 'file'}${attachment.missing ? ' (no longer available)' : ''}: ${attachment.filename}]`));
+  return [...attachments, msg.content].join('\n\n');
+}
+
+// A message's content for the model: its text, preceded by its images when they were loaded
+function messageContent(msg) {
+  const images = (msg.attachments || []).filter(attachment => attachment.data);
+  if (images.length === 0) {
+    return messageText(msg);
+  }
+  return [
+    ...images.map(image => ({ type: 'image', mimeType: image.mime_type, data: image.data })),
+    { type: 'text', text: messageText(msg) }
+  ];
+}
+
+// Document excerpts retrieved for the latest message, numbered for the model to cite
+function excerptsText(excerpts) {
+  return [
+    'Excerpts from the user\'s documents that may help with the latest message. When you use one, cite it by its number, like [1].',
+    ...excerpts.map(excerpt => `[${excerpt.index}] From "${excerpt.filename}":\n${excerpt.content}`)
+  ].join('\n\n');
+}
+
+// Turn a branch of stored messages into the conversation sent to a text model. The persona's
+// system prompt, the summary of earlier messages and any document excerpts lead it, as one system
+// message: providers place it where their API expects it (a system message for OpenAI, the system
+// field for Anthropic).
+function toLLMMessages(branch, { persona = null, summary = null, excerpts = [] } = {}) {
+  const llmMessages = [];
+  branch.forEach(msg => {
+    const content = messageContent(msg);
+    const previous = llmMessages[llmMessages.length - 1];
+    // A reply that used tools is stored as several messages; the model sees them as one
+    if (previous?.role === 'assistant' && msg.role === 'assistant' && typeof previous.content === 'string' && typeof content === 'string') {
+      previous.content = `${previous.content}\n\n${content}`;
+    } else {
+      llmMessages.push({ role: msg.role, content });
+    }
+  });
+
+  const system = [
+    persona?.system_prompt,
+    summary && `Summary of the earlier part of this conversation:\n${summary}`,
+    excerpts.length > 0 && excerptsText(excerpts)
+  ].filter(Boolean).join('\n\n');
+
+  if (system) {
+    llmMessages.unshift({ role: 'system', content: system });
+  }
+  return llmMessages;
+}
+
+// Number of messages at the end of rest to send verbatim: as many as fit in budget, never fewer
+// than MIN_RECENT_MESSAGES, starting at a user message so the model sees whole exchanges
+function recentCount(llmService, model, rest, budget) {
+  const overhead = llmService.countTokens(model, []);
+  let count = 0;
+  let tokens = 0;
+
+  for (let i = rest.length - 1; i >= 0; i--) {
+    tokens += llmService.countTokens(model, [{ role: rest[i].role, content: messageContent(rest[i]) }]) - overhead;
+    if (count >= MIN_RECENT_MESSAGES && tokens > budget) {
+      break;
+    }
+    count++;
+  }
+
+  while (count < rest.length && rest[rest.length - count].role !== 'user') {
+    count++;
+  }
+  return count;
+}
+
+// Ask the summarization model (the conversation's own model if it is not available) to fold
+// messages into the previous summary. The call's token usage is logged separately from the
+// conversation's replies.
+async function summarize({ llmService, session, fallbackModel, previousSummary, messages, settings, apiKeys, UsageLog, signal }) {
+  const requested = settings.summarization_model || DEFAULT_SUMMARIZATION_MODEL;
+  const model = llmService.validateModel(requested) && !llmService.isImageModel(requested)
+    ? requested
+    : fallbackModel;
+
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${messageText(msg)}`)
+    .join('\n\n');
+  const prompt = previousSummary
+    ? `Summary so far:\n${previousSummary}\n\nMessages since then:\n${transcript}`
+    : `Conversation:\n${transcript}`;
+
+  const response = await llmService.sendMessage(
+    model,
+    [
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      { role: 'user', content: prompt }
+    ],
+    apiKeys,
+    {
+      ...settings,
+      max_tokens: '800',
+      temperature: '0.2',
+      // The conversation's sampling parameters are not meant for the summary
+      top_p: undefined,
+      stop: undefined,
+      presence_penalty: undefined,
+      frequency_penalty: undefined
+    },
+    { signal }
+  );
+
+  await UsageLog.create({ sessionId: session.id, model, purpose: 'summarization', usage: response.usage });
+  return { summary: response.content.trim(), model };
+}
+
+// Build the conversation to send for a branch of messages. Attached files are read, and images
+// included for models that accept them; excerpts are document chunks from documentIndex.retrieve.
+// Sessions with summarize_history set send their stored summary in place of the messages it
+// covers, and summarize further once the rest outgrows SUMMARIZE_AT of the model's room for
+// history (unless summarizeIfNeeded is false, to measure a conversation without changing it). A
+// failed summarization is logged and the conversation is sent as it is, to be trimmed to the
+// context window.
+async function buildConversation({
+  llmService,
+  session,
+  branch,
+  persona,
+  model,
+  settings,
+  apiKeys = {},
+  SessionMemory,
+  UsageLog,
+  signal = null,
+  excerpts = [],
+  summarizeIfNeeded = true
+}) {
+  branch = await loadAttachments(branch, { withImages: llmService.supportsVision(model) });
+
+  if (!session.summarize_history) {
+    return toLLMMessages(branch, { persona, excerpts });
+  }
+
+  // A summary written on another branch does not describe this one
+  const memory = await SessionMemory.getBySessionId(session.id);
+  const coveredIndex = memory ? branch.findIndex(msg => msg.id === memory.covered_message_id) : -1;
+  let summary = coveredIndex !== -1 ? memory.summary : null;
+  let rest = branch.slice(coveredIndex + 1);
+
+  const contextWindow = llmService.getContextWindow(model);
+  if (!contextWindow || !summarizeIfNeeded) {
+    return toLLMMessages(rest, { persona, summary, excerpts });
+  }
+
+  const reservedTokens = Math.min(parseInt(settings.max_tokens) || 2000, Math.floor(contextWindow / 2));
+  const budget = contextWindow - reservedTokens;
+  const promptTokens = llmService.countTokens(model, toLLMMessages(rest, { persona, summary, excerpts }));
+
+  if (promptTokens <= budget * SUMMARIZE_AT || rest.length <= MIN_RECENT_MESSAGES) {
+    return toLLMMessages(rest, { persona, summary, excerpts });
+  }
+
+  const recent = rest.slice(rest.length - recentCount(llmService, model, rest, budget * KEEP_RECENT));
+  const older = rest.slice(0, rest.length - recent.length);
+  if (older.length === 0) {
+    return toLLMMessages(rest, { persona, summary, excerpts });
+  }
+
+  try {
+    const result = await summarize({
+      llmService,
+      session,
+      fallbackModel: model,
+      previousSummary: summary,
+      messages: older,
+      settings,
+      apiKeys,
+      UsageLog,
+      signal
+    });
+    await SessionMemory.save(session.id, {
+      summary: result.summary,
+      coveredMessageId: older[older.length - 1].id,
+      model: result.model
+    });
+    logger.info(`Summarized ${older.length} messages of session ${session.id} with ${result.model}`);
+
+    summary = result.summary;
+    rest = recent;
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    logger.warn(`Summarizing session ${session.id} failed:`, error.message);
+  }
+
+  return toLLMMessages(rest, { persona, summary, excerpts });
+}
+
+module.exports = {
+  DEFAULT_SUMMARIZATION_MODEL,
+  toLLMMessages,
+  buildConversation
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+// The package's entry point reads a bundled test file when loaded on its own; the library does not
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const HttpError = require('./httpError');
+const logger = require('../config/logger');
+
+// Chunks are about this many characters, and repeat the end of the chunk before them
+// so that a passage split between two chunks can still be found whole
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+// Number of chunks put into the prompt when the retrieval_top_k setting is not set
+const DEFAULT_TOP_K = 4;
+// Longest excerpt of a chunk stored with a citation, to show when the document has been deleted
+const CITATION_EXCERPT_LENGTH = 300;
+
+const TEXT_EXTENSIONS = ['.txt', '.md', '.markdown', '.csv', '.json', '.html', '.xml', '.yaml', '.yml', '.rst', '.log'];
+
+// Words too common to say anything about which chunks are relevant
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of',
+  'on', 'or', 'our', 'please', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your'
+]);
+const MAX_QUERY_TERMS = 32;
+
+function isPdf(file) {
+  return file.buffer.subarray(0, 5).toString('ascii') === '%PDF-';
+}
+
+function isText(file) {
+  return (file.mimetype.startsWith('text/') || TEXT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) &&
+    !file.buffer.includes(0);
+}
+
+// The text of an uploaded PDF, Markdown or plain text file (a multer file).
+// Rejects with a 400 error for other files and for PDFs without a text layer.
+async function extractText(file) {
+  let text;
+  if (isPdf(file)) {
+    try {
+      text = (await pdfParse(file.buffer)).text;
+    } catch (error) {
+      logger.warn(`Reading PDF ${file.originalname} failed:`, error.message);
+      throw new HttpError(400, `${file.originalname}: the PDF could not be read`);
+    }
+  } else if (isText(file)) {
+    text = file.buffer.toString('utf8');
+  } else {
+    throw new HttpError(400, `${file.originalname}: only PDF, Markdown and text files can be added as documents`);
+  }
+
+  text = text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (!text) {
+    throw new HttpError(400, `${file.originalname}: no text was found in the file`);
+  }
+  return text;
+}
+
+// Split text into chunks of about CHUNK_SIZE characters, breaking between paragraphs where
+// possible, then between sentences, then between words
+function chunkText(text) {
+  const pieces = [];
+  text.split(/\n{2,}/).forEach(paragraph => {
+    if (paragraph.length <= CHUNK_SIZE) {
+      pieces.push(paragraph);
+      return;
+    }
+    let sentence = '';
+    paragraph.split(/(?<=[.!?])\s+/).forEach(part => {
+      // Sentences that are still too long are cut between words
+      while (part.length > CHUNK_SIZE) {
+        const cut = part.lastIndexOf(' ', CHUNK_SIZE) > 0 ? part.lastIndexOf(' ', CHUNK_SIZE) : CHUNK_SIZE;
+        pieces.push(part.slice(0, cut));
+        part = part.slice(cut).trim();
+      }
+      if (sentence && sentence.length + part.length + 1 > CHUNK_SIZE) {
+        pieces.push(sentence);
+        sentence = '';
+      }
+      sentence = sentence ? `${sentence} ${part}` : part;
+    });
+    if (sentence) {
+      pieces.push(sentence);
+    }
+  });
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+      chunks.push(current);
+      const tail = current.slice(-CHUNK_OVERLAP);
+      // Start the overlap at a word boundary
+      current = tail.slice(tail.indexOf(' ') + 1);
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  });
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// An FTS5 query that matches chunks containing any of the text's significant words.
+// Returns null when the text has none.
+function buildSearchQuery(text) {
+  const words = text
+    .replace(/&#?\w+;/g, ' ') // Messages are stored HTML-escaped
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = [...new Set(words.filter(word => word.length > 1 && !STOPWORDS.has(word)))].slice(0, MAX_QUERY_TERMS);
+
+  return terms.length > 0 ? terms.map(term => `"${term}"`).join(' OR ') : null;
+}
+
+// The chunks of the session's documents and the knowledge base most relevant to text, best first,
+// numbered from 1 for the model to cite. settings.retrieval_top_k sets how many (0 turns retrieval off).
+// Retrieval failing is logged and the message is answered without documents.
+async function retrieve(Document, sessionId, text, settings = {}) {
+  const configured = parseInt(settings.retrieval_top_k);
+  const topK = Number.isNaN(configured) ? DEFAULT_TOP_K : configured;
+  const query = buildSearchQuery(text);
+  if (!query || topK <= 0) {
+    return [];
+  }
+
+  try {
+    const chunks = await Document.search(sessionId, query, topK);
+    return chunks.map((chunk, index) => ({ ...chunk, index: index + 1 }));
+  } catch (error) {
+    logger.warn(`Searching documents for session ${sessionId} failed:`, error.message);
+    return [];
+  }
+}
+
+// What an assistant message records about the chunks it was given
+function toCitations(excerpts) {
+  return excerpts.map(excerpt => ({
+    index: excerpt.index,
+    chunk_id: excerpt.id,
+    document_id: excerpt.document_id,
+    filename: excerpt.filename,
+    position: excerpt.position,
+    excerpt: excerpt.content.length > CITATION_EXCERPT_LENGTH
+      ? `${excerpt.content.slice(0, CITATION_EXCERPT_LENGTH)}…`
+      : excerpt.content
+  }));
+}
+
+module.exports = {
+  DEFAULT_TOP_K,
+  extractText,
+  chunkText,
+  buildSearchQuery,
+  retrieve,
+  toCitations
+};
@@ -0,0 +1,92 @@
+const validator = require('validator');
+
+// Generation parameters that can be set globally (settings), per session and per request.
+// Keys are the settings names; values are the camelCase names used by the chat API.
+const PARAMS = {
+  temperature: 'temperature',
+  max_tokens: 'maxTokens',
+  top_p: 'topP',
+  stop: 'stop',
+  presence_penalty: 'presencePenalty',
+  frequency_penalty: 'frequencyPenalty'
+};
+
+function parseStop(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [value];
+    }
+  }
+  return [value];
+}
+
+// Drop unset values and convert the rest to the types providers expect.
+// Stored settings are strings, so numbers are parsed here rather than by each provider.
+// Sessions and personas without parameters of their own store null.
+function normalizeParams(params) {
+  params = params || {};
+  const normalized = {};
+
+  Object.keys(PARAMS).forEach(key => {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (key === 'stop') {
+      // Stop sequences are matched against raw model output, so undo the HTML escaping applied by sanitize
+      const stop = parseStop(value)
+        .filter(sequence => typeof sequence === 'string' && sequence.length > 0)
+        .map(sequence => validator.unescape(sequence));
+      if (stop.length > 0) {
+        normalized.stop = stop;
+      }
+      return;
+    }
+
+    const number = key === 'max_tokens' ? parseInt(value) : parseFloat(value);
+    if (!Number.isNaN(number)) {
+      normalized[key] = number;
+    }
+  });
+
+  return normalized;
+}
+
+// Read the camelCase generation parameters from a chat request body
+function fromRequest(body = {}) {
+  const params = {};
+  Object.entries(PARAMS).forEach(([key, requestKey]) => {
+    if (body[requestKey] !== undefined) {
+      params[key] = body[requestKey];
+    }
+  });
+  return normalizeParams(params);
+}
+
+// Merge generation parameters with request values taking precedence over the session's
+// defaults, those over the persona's defaults, and those over the global settings. Returns the
+// settings to pass to the provider and the parameters that were used, for storing on the reply.
+function resolveGenerationParams({ request = {}, session = {}, persona = {}, settings = {} }) {
+  const params = {
+    ...normalizeParams(settings),
+    ...normalizeParams(persona),
+    ...normalizeParams(session),
+    ...normalizeParams(request)
+  };
+
+  return {
+    settings: { ...settings, ...params },
+    params
+  };
+}
+
+module.exports = {
+  PARAMS,
+  normalizeParams,
+  fromRequest,
+  resolveGenerationParams
+};
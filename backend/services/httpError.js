@@ -0,0 +1,15 @@
+// An error meant for the user, with the HTTP status to answer it with. Routes answer
+// res.status(error.status || 500) with its message.
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
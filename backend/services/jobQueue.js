@@ -0,0 +1,164 @@
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+
+// Jobs run at once; the rest wait their turn
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+// Times a job is started before a server restart that keeps interrupting it counts as a failure
+const MAX_ATTEMPTS = 3;
+
+// The time now in the YYYY-MM-DD HH:MM:SS (UTC) form of CURRENT_TIMESTAMP, as created_at has it
+function now() {
+  return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Background jobs, kept in the jobs table so they outlive the request that queued them and survive
+// a restart. Each job type has a handler registered with register(type, handler):
+//   run(job, { models, signal, progress }) - does the work; progress(text) reports how far it got.
+//       Throwing an error with `cancelled` set (as providers do when signal aborts) cancels the job.
+//   abandon(job, { models, status, error }) - optional; tidies up after a job that 'failed' or was
+//       'cancelled', such as marking its pending message.
+// Every change to a job is emitted as an 'update' event with the job row.
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    // Any number of clients may follow jobs
+    this.setMaxListeners(0);
+    this.handlers = new Map();
+    this.waiting = [];
+    this.running = new Map();
+    this.models = null;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Start running jobs with the given models. Jobs left queued by the last run are picked up
+  // again, and jobs it was running are started over.
+  async start(models) {
+    this.models = models;
+
+    try {
+      const unfinished = await models.Job.getUnfinished();
+      for (const job of unfinished) {
+        if (job.status === 'running' && job.attempts >= MAX_ATTEMPTS) {
+          await this.finish(job, 'failed', 'The job was interrupted too many times');
+          continue;
+        }
+        if (job.status === 'running') {
+          await this.setStatus(job, { status: 'queued', progress: 'Restarted after the server restarted' });
+        }
+        this.waiting.push(job.id);
+      }
+      if (this.waiting.length > 0) {
+        logger.info(`Resuming ${this.waiting.length} background job(s)`);
+      }
+    } catch (error) {
+      logger.error('Loading unfinished jobs failed:', error.message);
+    }
+
+    this.drain();
+  }
+
+  // Queue a job of a registered type; resolves with its row
+  async enqueue(type, { sessionId = null, messageId = null, payload = null } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await this.models.Job.create({ type, sessionId, messageId, payload });
+    this.waiting.push(job.id);
+    this.emit('update', job);
+    this.drain();
+    return job;
+  }
+
+  // Cancel a queued or running job. Resolves with false if it has already finished.
+  async cancel(id) {
+    const running = this.running.get(id);
+    if (running) {
+      running.abort();
+      return true;
+    }
+
+    const index = this.waiting.indexOf(id);
+    if (index === -1) {
+      return false;
+    }
+    this.waiting.splice(index, 1);
+    const job = await this.models.Job.getById(id);
+    if (job) {
+      await this.finish(job, 'cancelled');
+    }
+    return true;
+  }
+
+  drain() {
+    while (this.models && this.running.size < CONCURRENCY && this.waiting.length > 0) {
+      const id = this.waiting.shift();
+      const controller = new AbortController();
+      this.running.set(id, controller);
+
+      this.run(id, controller.signal)
+        .catch(error => logger.error(`Job ${id} could not be finished:`, error.message))
+        .finally(() => {
+          this.running.delete(id);
+          this.drain();
+        });
+    }
+  }
+
+  async run(id, signal) {
+    let job = await this.models.Job.getById(id);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return;
+    }
+
+    job = await this.setStatus(job, {
+      status: 'running',
+      progress: null,
+      attempts: (job.attempts || 0) + 1,
+      started_at: now()
+    });
+
+    const progress = (text) => {
+      this.setStatus(job, { progress: text }).catch(error => {
+        logger.warn(`Updating the progress of job ${id} failed:`, error.message);
+      });
+    };
+
+    try {
+      await this.handlers.get(job.type).run(job, { models: this.models, signal, progress });
+      await this.finish(job, 'completed');
+    } catch (error) {
+      if (error.cancelled || signal.aborted) {
+        await this.finish(job, 'cancelled');
+      } else {
+        logger.error(`Job ${id} (${job.type}) failed:`, error.message);
+        await this.finish(job, 'failed', error.message || 'The job failed');
+      }
+    }
+  }
+
+  async finish(job, status, error = null) {
+    if (status !== 'completed') {
+      try {
+        await this.handlers.get(job.type)?.abandon?.(job, { models: this.models, status, error });
+      } catch (abandonError) {
+        logger.warn(`Tidying up after job ${job.id} failed:`, abandonError.message);
+      }
+    }
+    return this.setStatus(job, { status, error, finished_at: now() });
+  }
+
+  // Save changes to a job and tell whoever is following it
+  async setStatus(job, updates) {
+    await this.models.Job.update(job.id, updates);
+    const updated = { ...job, ...updates };
+    this.emit('update', updated);
+    return updated;
+  }
+}
+
+module.exports = new JobQueue();
@@ -1,281 +1,363 @@
-const axios = require('axios');
+const registry = require('./providerRegistry');
+const logger = require('../config/logger');
+const { createCancelledError } = require('./providers/streamUtils');
 require('dotenv').config();
 
+// Longest wait between retries, however many attempts came before
+const MAX_RETRY_DELAY = 30000;
+// A provider that asks for a longer wait than this is not waited for
+const MAX_RETRY_AFTER = 60000;
+// A request is not tried again once this long has passed since it was first sent, so one that
+// timed out (after minutes, for local models) is not waited on again and again
+const MAX_RETRY_TIME = 60000;
+// Errors after which another model may still answer: the provider is failing, or the model is not
+// available with the configured key (401/403) or at all (404)
+const FALLBACK_STATUSES = [401, 403, 404];
+
+/**
+ * The options of a provider's chat call, or of its generateImage call for image models
+ * @typedef {import('./providers/baseProvider').ChatOptions & import('./providers/baseProvider').ImageOptions} RequestOptions
+ */
+
+/**
+ * The options of sendMessage: those of the request, and fallbacks, the models to ask in order when
+ * a text model keeps failing (see getFallbacks)
+ * @typedef {RequestOptions & { fallbacks?: string[] }} SendOptions
+ */
+
 class LLMService {
-  constructor() {
-    this.providers = {
-      'gpt-3.5-turbo': {
-        provider: 'openai',
-        endpoint: 'https://api.openai.com/v1/chat/completions',
-        model: 'gpt-3.5-turbo',
-        type: 'text'
-      },
-      'gpt-4': {
-        provider: 'openai',
-        endpoint: 'https://api.openai.com/v1/chat/completions',
-        model: 'gpt-4',
-        type: 'text'
-      },
-      'gpt-4-turbo-preview': {
-        provider: 'openai',
-        endpoint: 'https://api.openai.com/v1/chat/completions',
-        model: 'gpt-4-turbo-preview',
-        type: 'text'
-      },
-      'dall-e-3': {
-        provider: 'openai',
-        endpoint: 'https://api.openai.com/v1/images/generations',
-        model: 'dall-e-3',
-        type: 'image'
-      },
-      'dall-e-2': {
-        provider: 'openai',
-        endpoint: 'https://api.openai.com/v1/images/generations',
-        model: 'dall-e-2',
-        type: 'image'
-      },
-      'gpt-image-1': {
-        provider: 'openai',
-        endpoint: 'https://api.openai.com/v1/images/generations',
-        model: 'gpt-image-1',
-        type: 'image'
-      },
-      'claude-3-sonnet': {
-        provider: 'anthropic',
-        endpoint: 'https://api.anthropic.com/v1/messages',
-        model: 'claude-3-sonnet-20240229',
-        type: 'text'
-      },
-      'claude-3-opus': {
-        provider: 'anthropic',
-        endpoint: 'https://api.anthropic.com/v1/messages',
-        model: 'claude-3-opus-20240229',
-        type: 'text'
-      },
-      'claude-3-haiku': {
-        provider: 'anthropic',
-        endpoint: 'https://api.anthropic.com/v1/messages',
-        model: 'claude-3-haiku-20240307',
-        type: 'text'
+  constructor(providerRegistry = registry) {
+    this.registry = providerRegistry;
+
+    // Every model on offer, keyed by model id: { id, provider, endpoint, model, name, type, contextWindow, vision }
+    this.providers = {};
+
+    // When each provider that lists its models at runtime was last queried, and with which settings.
+    // Listings are cached for a minute.
+    this.discovery = {};
+
+    this.registry.list().forEach(adapter => this.addModels(adapter.id, adapter.getModels()));
+  }
+
+  addModels(providerId, models) {
+    Object.entries(models).forEach(([id, config]) => {
+      this.providers[id] = { ...config, id, provider: providerId };
+    });
+  }
+
+  removeModels(providerId) {
+    Object.keys(this.providers)
+      .filter(id => this.providers[id].provider === providerId)
+      .forEach(id => delete this.providers[id]);
+  }
+
+  // Refresh the models of providers that list them at runtime (e.g. self-hosted servers).
+  // config is { settings, apiKeys }. A provider that cannot be reached is logged and offers no
+  // models rather than hiding everyone else's.
+  async refreshModels({ settings = {}, apiKeys = {} } = {}, { force = false } = {}) {
+    const adapters = this.registry.list().filter(adapter => adapter.capabilities.listModels);
+
+    await Promise.all(adapters.map(async adapter => {
+      const cacheKey = JSON.stringify([
+        apiKeys[adapter.id] || null,
+        ...adapter.settingsFields.map(field => adapter.getSetting(settings, field.key))
+      ]);
+      const previous = this.discovery[adapter.id];
+      const isFresh = previous && Date.now() - previous.discoveredAt < 60000;
+
+      if (!force && isFresh && previous.cacheKey === cacheKey) {
+        return;
       }
-    };
+
+      this.discovery[adapter.id] = { cacheKey, discoveredAt: Date.now() };
+
+      try {
+        const models = await adapter.listModels({ apiKey: apiKeys[adapter.id], settings });
+        // Drop models from a previous listing before registering the current ones
+        this.removeModels(adapter.id);
+        this.addModels(adapter.id, models);
+      } catch (error) {
+        // Allow a retry on the next request rather than caching the failure
+        delete this.discovery[adapter.id];
+        this.removeModels(adapter.id);
+        logger.warn(`${adapter.name} model discovery failed:`, error.message);
+      }
+    }));
+
+    return this.getAvailableModels();
   }
 
-  async sendMessage(model, messages, apiKeys, settings = {}) {
-    const providerConfig = this.providers[model];
-    if (!providerConfig) {
-      throw new Error(`Unsupported model: ${model}`);
+  /**
+   * Send a conversation to a model. Failed requests are retried (see withRetries). A reply from a
+   * fallback has modelId set to the model that gave it and fallback to { from, reason }.
+   *
+   * @param {string} model
+   * @param {Array<object>} messages
+   * @param {Record<string, string>} apiKeys
+   * @param {Record<string, any>} [settings]
+   * @param {SendOptions} [options]
+   */
+  async sendMessage(model, messages, apiKeys, settings = {}, options = {}) {
+    const { fallbacks = [], ...requestOptions } = options;
+
+    // Once part of a reply has been streamed, starting over would repeat it
+    let streamed = false;
+    if (requestOptions.onDelta) {
+      const onDelta = requestOptions.onDelta;
+      requestOptions.onDelta = (delta) => {
+        streamed = true;
+        onDelta(delta);
+      };
     }
+    const canRetry = () => !streamed;
 
-    const { provider, endpoint, type } = providerConfig;
-    
-    // Handle image generation separately
-    if (type === 'image') {
-      // For image generation, we expect the last message to be the prompt
-      const lastMessage = messages[messages.length - 1];
-      if (!lastMessage || lastMessage.role !== 'user') {
-        throw new Error('Image generation requires a user prompt');
+    let firstError;
+    try {
+      return await this.withRetries(() => this.send(model, messages, apiKeys, settings, requestOptions), settings, requestOptions.signal, canRetry);
+    } catch (error) {
+      if (error.cancelled || streamed || !this.shouldFallBack(error)) {
+        throw error;
       }
-      return this.generateImage(model, lastMessage.content, apiKeys.openai, settings);
+      firstError = error;
     }
-    
-    if (provider === 'openai') {
-      return this.callOpenAI(endpoint, providerConfig.model, messages, apiKeys.openai, settings);
-    } else if (provider === 'anthropic') {
-      return this.callAnthropic(endpoint, providerConfig.model, messages, apiKeys.anthropic, settings);
+
+    for (const candidate of fallbacks) {
+      const context = this.canStandIn(candidate, model, messages, settings, requestOptions);
+      if (!context) {
+        continue;
+      }
+
+      logger.warn(`${model} failed (${firstError.message}); trying ${candidate} instead`);
+      try {
+        const response = await this.withRetries(() => this.send(candidate, context.messages, apiKeys, settings, requestOptions), settings, requestOptions.signal, canRetry);
+        return { ...response, modelId: candidate, fallback: { from: model, reason: firstError.message } };
+      } catch (error) {
+        if (error.cancelled || streamed || !this.shouldFallBack(error)) {
+          throw error;
+        }
+      }
     }
-    
-    throw new Error(`Unsupported provider: ${provider}`);
+
+    throw firstError;
   }
 
-  async generateImage(model, prompt, apiKey, settings = {}) {
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
+  // Make a request, trying again after errors the provider may not repeat: rate limits, overloads,
+  // server errors and dropped connections. Waits settings.llm_retry_delay_ms, doubling each time
+  // with some jitter, or as long as the provider's Retry-After asks, for up to
+  // settings.llm_max_retries retries within MAX_RETRY_TIME. canRetry() can rule out another attempt.
+  async withRetries(request, settings = {}, signal, canRetry = () => true) {
+    const maxRetries = Math.max(0, parseInt(settings.llm_max_retries ?? 2) || 0);
+    const baseDelay = Math.max(0, parseInt(settings.llm_retry_delay_ms ?? 1000) || 0);
+    const startedAt = Date.now();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const canWait = error.retryAfter == null || error.retryAfter <= MAX_RETRY_AFTER;
+        if (error.cancelled || !error.retryable || attempt >= maxRetries || !canWait || !canRetry()) {
+          throw error;
+        }
+
+        const backoff = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY);
+        const delay = error.retryAfter ?? Math.round(backoff / 2 + Math.random() * backoff / 2);
+        if (Date.now() - startedAt + delay > MAX_RETRY_TIME) {
+          throw error;
+        }
+        logger.warn(`Request failed (${error.message}); retry ${attempt + 1} of ${maxRetries} in ${delay}ms`);
+        await this.wait(delay, signal);
+      }
     }
+  }
 
-    const modelConfig = this.providers[model];
-    if (!modelConfig || modelConfig.type !== 'image') {
-      throw new Error(`Invalid image model: ${model}`);
+  // Resolves after delay milliseconds, or rejects as a cancelled request if the signal aborts first
+  wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createCancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  shouldFallBack(error) {
+    return !!error.retryable || FALLBACK_STATUSES.includes(error.providerStatus);
+  }
+
+  // Whether candidate can answer in model's place: a different text model that can call tools and
+  // see images if the request needs them, and whose context window the conversation fits.
+  // Returns the fitted context, or null.
+  canStandIn(candidate, model, messages, settings, options) {
+    if (candidate === model || !this.validateModel(candidate) || this.isImageModel(candidate)) {
+      return null;
+    }
+    if (options.tools?.length && !this.supportsTools(candidate)) {
+      return null;
+    }
+    const hasImages = messages.some(msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image'));
+    if (hasImages && !this.supportsVision(candidate)) {
+      return null;
     }
 
-    // All image models use images/generations format
-    const payload = {
-      model: modelConfig.model,
-      prompt: prompt,
-      n: 1, // Number of images to generate
-      size: settings.image_size || '1024x1024'
-    };
+    const context = this.fitToContext(candidate, messages, settings);
+    return context.fits ? context : null;
+  }
 
-    // Add model-specific parameters
-    if (model === 'dall-e-3') {
-      payload.quality = settings.image_quality || 'standard';
-      payload.style = settings.image_style || 'natural';
-    } else if (model === 'gpt-image-1') {
-      // GPT-Image-1 quality values: 'low', 'medium', 'high'
-      const gptImageQuality = settings.image_quality || 'high';
-      const qualityMap = {
-        'standard': 'medium',
-        'hd': 'high',
-        'low': 'low',
-        'medium': 'medium',
-        'high': 'high'
-      };
-      payload.quality = qualityMap[gptImageQuality] || 'high';
+  // The models to fall back to for a model, from the fallback_chains setting: one chain per line
+  // of model ids separated by '>' or ',', such as "claude-3-opus > gpt-4 > claude-3-haiku".
+  // A model falls back to the models after it in its chain.
+  getFallbacks(model, settings = {}) {
+    const chains = String(settings.fallback_chains || '')
+      .split('\n')
+      .map(line => line.split(/[>,]/).map(id => id.trim()).filter(Boolean));
+    const chain = chains.find(ids => ids.includes(model));
+    return chain ? chain.slice(chain.indexOf(model) + 1) : [];
+  }
+
+  /**
+   * @param {string} model
+   * @param {Array<object>} messages
+   * @param {Record<string, string>} apiKeys
+   * @param {Record<string, any>} [settings]
+   * @param {RequestOptions} [options]
+   */
+  async send(model, messages, apiKeys, settings = {}, options = {}) {
+    const modelConfig = this.providers[model];
+    if (!modelConfig) {
+      throw new Error(`Unsupported model: ${model}`);
     }
 
-    // Remove undefined values
-    Object.keys(payload).forEach(key => 
-      payload[key] === undefined && delete payload[key]
-    );
+    const adapter = this.registry.get(modelConfig.provider);
+    if (!adapter) {
+      throw new Error(`Unsupported provider: ${modelConfig.provider}`);
+    }
 
-    try {
-      const response = await axios.post(modelConfig.endpoint, payload, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: model === 'gpt-image-1' ? 300000 : 60000 // GPT-Image-1 needs 5-minute timeout
-      });
-
-      // Log basic response info (without full base64 data)
-      console.log('OpenAI Image API Response received:', {
-        created: response.data.created,
-        dataCount: response.data.data?.length,
-        hasUrl: !!response.data.data?.[0]?.url,
-        hasB64: !!response.data.data?.[0]?.b64_json
-      });
-      
-      // Handle standard images/generations response format
-      const imageData = response.data.data?.[0];
-      let imageUrl = imageData?.url;
-      const revisedPrompt = imageData?.revised_prompt || null;
-      
-      // GPT-Image-1 might return base64 data instead of URL
-      if (!imageUrl && imageData?.b64_json) {
-        // Convert base64 to data URL for display
-        imageUrl = `data:image/png;base64,${imageData.b64_json}`;
-      }
-      
-      // Ensure we always have content (image URL) - required for database
-      if (!imageUrl) {
-        console.error('Invalid image response structure:', {
-          model: model,
-          fullResponse: response.data,
-          availableFields: Object.keys(response.data || {})
-        });
-        throw new Error('No image URL found in API response');
+    const apiKey = apiKeys[adapter.id];
+
+    // Handle image generation separately
+    if (modelConfig.type === 'image') {
+      // For image generation, we expect the last message to be the prompt
+      const lastMessage = messages[messages.length - 1];
+      if (!lastMessage || lastMessage.role !== 'user') {
+        throw new Error('Image generation requires a user prompt');
       }
-      
-      return {
-        content: imageUrl,
-        type: 'image',
-        model: model,
-        prompt: prompt,
-        revised_prompt: revisedPrompt,
-        provider: 'openai'
-      };
-    } catch (error) {
-      console.error('OpenAI Image Generation Error Details:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message,
-        model: model,
-        endpoint: modelConfig.endpoint
-      });
-      
-      // If it's a response structure issue, provide more context
-      if (error.message.includes('No image URL found')) {
-        throw new Error(`Image generation failed for ${model}: Response structure issue - check logs for details`);
+      return adapter.generateImage(modelConfig, lastMessage.content, apiKey, settings, options);
+    }
+
+    // Providers that cannot stream still answer streaming requests, in a single delta
+    if (options.onDelta && !adapter.capabilities.stream) {
+      const response = await adapter.chat(modelConfig, messages, apiKey, settings, { signal: options.signal });
+      if (response.content) {
+        options.onDelta(response.content);
       }
-      
-      throw new Error(`Image generation failed: ${error.response?.data?.error?.message || error.message}`);
+      return response;
     }
+
+    return adapter.chat(modelConfig, messages, apiKey, settings, options);
   }
 
-  async callOpenAI(endpoint, model, messages, apiKey, settings) {
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
+  // Edit ({ prompt, image, mask }) or vary ({ image }) an image with an image model; operation is
+  // 'edit' or 'variation'. Takes the options of sendMessage, and count for the number of images.
+  async transformImage(model, operation, input, apiKeys, settings = {}, options = {}) {
+    if (!this.supportsImageOperation(model, operation)) {
+      throw new Error(`${this.formatModelName(model)} cannot make image ${operation === 'edit' ? 'edits' : 'variations'}`);
     }
 
-    const payload = {
-      model,
-      messages: messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      })),
-      max_tokens: parseInt(settings.max_tokens) || 2000,
-      temperature: parseFloat(settings.temperature) || 0.7
-    };
+    const modelConfig = this.providers[model];
+    const adapter = this.registry.get(modelConfig.provider);
+    const apiKey = apiKeys[adapter.id];
 
-    try {
-      const response = await axios.post(endpoint, payload, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-
-      const completion = response.data.choices[0].message;
-      return {
-        content: completion.content,
-        type: 'text',
-        model: model,
-        usage: response.data.usage,
-        provider: 'openai'
-      };
-    } catch (error) {
-      console.error('OpenAI API Error:', error.response?.data || error.message);
-      throw new Error(`OpenAI API Error: ${error.response?.data?.error?.message || error.message}`);
+    return this.withRetries(() => (operation === 'edit'
+      ? adapter.editImage(modelConfig, input, apiKey, settings, options)
+      : adapter.createImageVariation(modelConfig, input, apiKey, settings, options)), settings, options.signal);
+  }
+
+  // Whether an image model can make edits ('edit') or variations ('variation') of an image
+  supportsImageOperation(model, operation) {
+    const modelConfig = this.providers[model];
+    if (!modelConfig || modelConfig.type !== 'image' || !this.registry.get(modelConfig.provider)) {
+      return false;
     }
+    return operation === 'edit' ? !!modelConfig.imageEdit : operation === 'variation' && !!modelConfig.imageVariation;
+  }
+
+  // Number of tokens the model accepts, prompt and reply together; null when it is not known
+  getContextWindow(model) {
+    return this.providers[model]?.contextWindow || null;
+  }
+
+  // Whether the model accepts images alongside text
+  supportsVision(model) {
+    return !!this.providers[model]?.vision;
+  }
+
+  // Whether the model can call tools (options.tools of generateResponse)
+  supportsTools(model) {
+    const modelConfig = this.providers[model];
+    return !!modelConfig && modelConfig.type !== 'image' && !!this.registry.get(modelConfig.provider)?.capabilities.tools;
   }
 
-  async callAnthropic(endpoint, model, messages, apiKey, settings) {
-    if (!apiKey) {
-      throw new Error('Anthropic API key not configured');
+  // Tokens a chat request with these messages uses before the reply, counted with the model's tokenizer
+  countTokens(model, messages) {
+    const modelConfig = this.providers[model];
+    const adapter = modelConfig && this.registry.get(modelConfig.provider);
+    if (!adapter) {
+      throw new Error(`Unsupported model: ${model}`);
     }
+    return adapter.countTokens(modelConfig, messages);
+  }
 
-    // Convert messages for Anthropic format
-    const systemMessage = messages.find(msg => msg.role === 'system');
-    const conversationMessages = messages.filter(msg => msg.role !== 'system');
-
-    const payload = {
-      model,
-      max_tokens: parseInt(settings.max_tokens) || 1024,
-      temperature: parseFloat(settings.temperature) || 0.7,
-      messages: conversationMessages.map(msg => ({
-        role: msg.role === 'assistant' ? 'assistant' : 'user',
-        content: msg.content
-      }))
+  // Trim a conversation so it fits the model's context window with room for the reply
+  // (settings.max_tokens, at most half the window). The oldest messages go first; system messages
+  // and the latest message are always kept, and the history never starts with an assistant reply.
+  // Returns { messages, promptTokens, contextWindow, reservedTokens, droppedCount, fits };
+  // fits is false when even the kept messages are too long.
+  fitToContext(model, messages, settings = {}) {
+    const contextWindow = this.getContextWindow(model);
+    const systemMessages = messages.filter(msg => msg.role === 'system');
+    let history = messages.filter(msg => msg.role !== 'system');
+    const originalCount = history.length;
+
+    // Each message's share of the prompt, so trimming does not re-count the whole history
+    const requestOverhead = this.countTokens(model, []);
+    let sizes = history.map(msg => this.countTokens(model, [msg]) - requestOverhead);
+    let promptTokens = this.countTokens(model, systemMessages) + sizes.reduce((sum, size) => sum + size, 0);
+
+    const reservedTokens = contextWindow
+      ? Math.min(parseInt(settings.max_tokens) || 2000, Math.floor(contextWindow / 2))
+      : 0;
+    const dropOldest = () => {
+      promptTokens -= sizes[0];
+      history = history.slice(1);
+      sizes = sizes.slice(1);
     };
 
-    if (systemMessage) {
-      payload.system = systemMessage.content;
+    if (contextWindow) {
+      while (history.length > 1 && promptTokens + reservedTokens > contextWindow) {
+        dropOldest();
+        while (history.length > 1 && history[0].role === 'assistant') {
+          dropOldest();
+        }
+      }
     }
 
-    try {
-      const response = await axios.post(endpoint, payload, {
-        headers: {
-          'x-api-key': apiKey,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 30000
-      });
-
-      return {
-        content: response.data.content[0].text,
-        type: 'text',
-        model: model,
-        usage: response.data.usage,
-        provider: 'anthropic'
-      };
-    } catch (error) {
-      console.error('Anthropic API Error:', error.response?.data || error.message);
-      const errorMessage = error.response?.data?.error?.message || error.response?.data?.error?.type || error.message;
-      throw new Error(`Anthropic API Error: ${errorMessage}`);
-    }
+    return {
+      messages: [...systemMessages, ...history],
+      promptTokens,
+      contextWindow,
+      reservedTokens,
+      droppedCount: originalCount - history.length,
+      fits: !contextWindow || promptTokens + reservedTokens <= contextWindow
+    };
   }
 
   getAvailableModels() {
@@ -283,23 +365,17 @@ class LLMService {
       id: key,
       name: this.formatModelName(key),
       provider: this.providers[key].provider,
-      type: this.providers[key].type
+      type: this.providers[key].type,
+      contextWindow: this.providers[key].contextWindow || null,
+      vision: !!this.providers[key].vision,
+      tools: this.supportsTools(key),
+      imageEdit: this.supportsImageOperation(key, 'edit'),
+      imageVariation: this.supportsImageOperation(key, 'variation')
     }));
   }
 
   formatModelName(modelId) {
-    const nameMap = {
-      'gpt-3.5-turbo': 'GPT-3.5 Turbo',
-      'gpt-4': 'GPT-4',
-      'gpt-4-turbo-preview': 'GPT-4 Turbo',
-      'dall-e-3': 'DALL-E 3',
-      'dall-e-2': 'DALL-E 2',
-      'gpt-image-1': 'GPT-Image-1',
-      'claude-3-sonnet': 'Claude 3 Sonnet',
-      'claude-3-opus': 'Claude 3 Opus',
-      'claude-3-haiku': 'Claude 3 Haiku'
-    };
-    return nameMap[modelId] || modelId;
+    return this.providers[modelId]?.name || modelId;
   }
 
   validateModel(model) {
@@ -316,4 +392,4 @@ class LLMService {
   }
 }
 
-module.exports = LLMService; 
\ No newline at end of file
+module.exports = LLMService;
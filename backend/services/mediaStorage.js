@@ -0,0 +1,143 @@
+const axios = require('axios');
+const sharp = require('sharp');
+const { createStorage } = require('./storage');
+const logger = require('../config/logger');
+require('dotenv').config();
+
+// Generated images are kept one per media row, named after its id, with a thumbnail beside it:
+// in MEDIA_DIR, or under media/ in the bucket when files are stored in S3
+const storage = createStorage('media', { directory: process.env.MEDIA_DIR || './media' });
+
+// Thumbnails fit in a square this many pixels wide
+const THUMBNAIL_SIZE = 512;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const MAX_IMAGE_SIZE = 50 * 1024 * 1024;
+
+function thumbnailKey(id) {
+  return `${id}-thumbnail`;
+}
+
+// The image types the providers return, told apart by their first bytes
+function detectMimeType(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+  if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+  return null;
+}
+
+/**
+ * The bytes of an image given as a base64 data URL or downloaded from an http(s) URL
+ * @param {string} source
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+async function fetchImage(source, { signal } = {}) {
+  const dataUrl = source.match(/^data:[^;,]+;base64,/);
+  if (dataUrl) {
+    return Buffer.from(source.slice(dataUrl[0].length), 'base64');
+  }
+  if (!/^https?:\/\//i.test(source)) {
+    throw new Error('Images can only be stored from a data URL or an http(s) URL');
+  }
+
+  const response = await axios.get(source, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    maxContentLength: MAX_IMAGE_SIZE,
+    signal
+  });
+  return Buffer.from(response.data);
+}
+
+// A WebP copy that fits in THUMBNAIL_SIZE, or null when the image cannot be read
+async function makeThumbnail(buffer) {
+  try {
+    return await sharp(buffer)
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    logger.warn('Making a thumbnail failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Keep a generated image, given as the provider returned it (a URL that expires, or a base64
+ * data URL), and record it as media of the session. Resolves with the media row.
+ * @param {object} Media
+ * @param {string} source
+ * @param {{ sessionId?: string | null, signal?: AbortSignal }} [options]
+ */
+async function storeImage(Media, source, { sessionId = null, signal } = {}) {
+  const buffer = await fetchImage(source, { signal });
+  const mimeType = detectMimeType(buffer);
+  if (!mimeType) {
+    throw new Error('The generated file is not a PNG, JPEG, WebP or GIF image');
+  }
+
+  const metadata = await sharp(buffer).metadata().catch(() => null);
+  const thumbnail = await makeThumbnail(buffer);
+
+  const media = await Media.create({
+    sessionId,
+    mimeType,
+    size: buffer.length,
+    width: metadata?.width || null,
+    height: metadata?.height || null,
+    hasThumbnail: !!thumbnail
+  });
+  await storage.save(media.id, buffer, mimeType);
+  if (thumbnail) {
+    await storage.save(thumbnailKey(media.id), thumbnail, 'image/webp');
+  }
+  return media;
+}
+
+// Where the API serves a media file
+function mediaUrl(id) {
+  return `/api/media/${id}`;
+}
+
+// The fields of a message's image_metadata that point at its stored image
+function imageMetadata(media) {
+  return {
+    media_id: media.id,
+    image_url: mediaUrl(media.id),
+    thumbnail_url: `${mediaUrl(media.id)}/thumbnail`,
+    width: media.width,
+    height: media.height
+  };
+}
+
+function read(id) {
+  return storage.read(id);
+}
+
+// A stored image as the providers' edit and variation endpoints take it: PNG data with its size
+async function readForEditing(media) {
+  let data = await storage.read(media.id);
+  if (media.mime_type !== 'image/png') {
+    data = await sharp(data).png().toBuffer();
+  }
+  return { data, mimeType: 'image/png', width: media.width, height: media.height };
+}
+
+function readThumbnail(id) {
+  return storage.read(thumbnailKey(id));
+}
+
+async function remove(id) {
+  await storage.remove(id);
+  await storage.remove(thumbnailKey(id));
+}
+
+module.exports = {
+  storeImage,
+  mediaUrl,
+  imageMetadata,
+  readForEditing,
+  read,
+  readThumbnail,
+  remove
+};
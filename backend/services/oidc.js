@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const HttpError = require('./httpError');
+const logger = require('../config/logger');
+
+// OpenID Connect sign-in with any provider that publishes a discovery document (Keycloak, Okta,
+// Azure AD, Google, ...): the authorization code flow with PKCE, and ID tokens checked against the
+// provider's published keys. Requests are made with axios and signatures checked with node's
+// crypto, as with S3, rather than through a client library.
+//
+// Configured with OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET (not needed for public clients)
+// and OIDC_REDIRECT_URI, which is this server's /api/auth/oidc/callback as the provider knows it.
+
+const REQUEST_TIMEOUT_MS = 10000;
+// The discovery document and keys are fetched again after this long
+const CACHE_MS = 60 * 60 * 1000;
+// A token signed with a key not seen yet has the keys fetched again, as the provider may have
+// rotated them, but not more often than this
+const KEY_REFRESH_MS = 60 * 1000;
+// Leeway for the provider's clock being off from ours, in seconds
+const CLOCK_SKEW_S = 60;
+
+// The ID token signature algorithms accepted, with the key type and how crypto.verify checks them
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  RS384: { kty: 'RSA', hash: 'sha384' },
+  RS512: { kty: 'RSA', hash: 'sha512' },
+  PS256: { kty: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { kty: 'RSA', hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { kty: 'RSA', hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { kty: 'EC', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { kty: 'EC', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { kty: 'EC', hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { kty: 'OKP', hash: null }
+};
+
+function getConfig() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid profile email',
+    name: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups'
+  };
+}
+
+function isEnabled() {
+  const { issuer, clientId, redirectUri } = getConfig();
+  return Boolean(issuer && clientId && redirectUri);
+}
+
+// An error to show the user, who is sent back to the app with it
+function signInError(message) {
+  return new HttpError(403, message);
+}
+
+async function fetchJson(url, options = {}) {
+  try {
+    const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS, headers: { Accept: 'application/json' }, ...options });
+    return response.data;
+  } catch (error) {
+    throw new Error(`Request to the identity provider failed (${url}): ${error.response?.status || error.message}`);
+  }
+}
+
+// A value fetched when first needed and kept for CACHE_MS; a failed fetch is tried again next time
+function cached(fetch) {
+  let entry = null;
+  return {
+    get(maxAge = CACHE_MS) {
+      if (!entry || Date.now() - entry.fetchedAt > maxAge) {
+        const promise = fetch();
+        entry = { promise, fetchedAt: Date.now() };
+        promise.catch(() => {
+          if (entry?.promise === promise) {
+            entry = null;
+          }
+        });
+      }
+      return entry.promise;
+    },
+    clear() {
+      entry = null;
+    }
+  };
+}
+
+// The provider's discovery document. Its issuer must be the one configured; ID tokens must name
+// it exactly as the document does.
+const discovery = cached(async () => {
+  const { issuer } = getConfig();
+  const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (typeof document.issuer !== 'string' || document.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error(`The discovery document of ${issuer} is for another issuer (${document.issuer})`);
+  }
+  for (const endpoint of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!document[endpoint]) {
+      throw new Error(`The discovery document of ${issuer} has no ${endpoint}`);
+    }
+  }
+  return document;
+});
+
+const signingKeys = cached(async () => {
+  const document = await discovery.get();
+  const { keys } = await fetchJson(document.jwks_uri);
+  if (!Array.isArray(keys)) {
+    throw new Error('The identity provider\'s key set has no keys');
+  }
+  return keys;
+});
+
+// The provider's key for a token signed with kid (the token's key id) and a key of type kty
+async function getSigningKey(kid, kty) {
+  const find = keys => {
+    const candidates = keys.filter(key => key.kty === kty && (!key.use || key.use === 'sig'));
+    return kid ? candidates.find(key => key.kid === kid) : (candidates.length === 1 ? candidates[0] : null);
+  };
+
+  let key = find(await signingKeys.get());
+  if (!key) {
+    key = find(await signingKeys.get(KEY_REFRESH_MS));
+  }
+  if (!key) {
+    throw new Error(`The identity provider has no signing key ${kid || `of type ${kty}`}`);
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Where to send the browser to sign in. state ties the answer to this request, nonce ties the ID
+// token to it, and the PKCE code verifier, kept here, proves we asked for the code.
+// reauthenticate asks the user to sign in again even if they are signed in with the provider.
+async function getAuthorizationUrl({ state, nonce, codeVerifier, reauthenticate = false }) {
+  const document = await discovery.get();
+  const { clientId, redirectUri, scopes } = getConfig();
+
+  const url = new URL(document.authorization_endpoint);
+  const params = {
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  };
+  if (reauthenticate) {
+    params.prompt = 'login';
+    params.max_age = '0';
+  }
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+}
+
+// Trade the code the provider sent back for tokens
+async function exchangeCode(code, codeVerifier) {
+  const document = await discovery.get();
+  const { clientId, clientSecret, redirectUri } = getConfig();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic unless the provider only takes the secret in the body
+  const methods = document.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (clientSecret && methods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', clientId);
+    if (clientSecret) {
+      body.set('client_secret', clientSecret);
+    }
+  }
+
+  let response;
+  try {
+    response = await axios.post(document.token_endpoint, body.toString(), { headers, timeout: REQUEST_TIMEOUT_MS });
+  } catch (error) {
+    const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+    throw new Error(`The identity provider refused the sign-in code: ${reason}`);
+  }
+  if (!response.data?.id_token) {
+    throw new Error('The identity provider sent no ID token');
+  }
+  return response.data;
+}
+
+// The claims of an ID token, once its signature, issuer, audience, lifetime and nonce are checked
+async function verifyIdToken(idToken, { nonce }) {
+  const segments = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (segments.length !== 3) {
+    throw new Error('The ID token is not a signed JWT');
+  }
+
+  const header = decodeSegment(segments[0]);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`The ID token is signed with ${header.alg}, which is not accepted`);
+  }
+
+  const key = await getSigningKey(header.kid, algorithm.kty);
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${segments[0]}.${segments[1]}`),
+    {
+      key,
+      padding: algorithm.padding,
+      saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+      dsaEncoding: algorithm.dsaEncoding
+    },
+    Buffer.from(segments[2], 'base64url')
+  );
+  if (!valid) {
+    throw new Error('The ID token\'s signature is not valid');
+  }
+
+  const claims = decodeSegment(segments[1]);
+  const document = await discovery.get();
+  const { clientId } = getConfig();
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== document.issuer) {
+    throw new Error(`The ID token is from another issuer (${claims.iss})`);
+  }
+  if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp && claims.azp !== clientId)) {
+    throw new Error('The ID token is for another client');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW_S) {
+    throw new Error('The ID token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW_S) {
+    throw new Error('The ID token is not valid yet');
+  }
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('The ID token was not issued for this sign-in');
+  }
+  if (!claims.sub) {
+    throw new Error('The ID token does not say who signed in');
+  }
+  return claims;
+}
+
+// Claims the provider only gives from its userinfo endpoint, such as groups with some providers
+async function getUserInfo(accessToken, sub) {
+  const document = await discovery.get();
+  if (!document.userinfo_endpoint || !accessToken) {
+    return {};
+  }
+
+  try {
+    const claims = await fetchJson(document.userinfo_endpoint, {
+      headers: { Accept: 'application/json', Authorization: `Bearer ${accessToken}` }
+    });
+    // Claims about someone else are not to be mixed in
+    return claims && claims.sub === sub ? claims : {};
+  } catch (error) {
+    logger.warn('Could not get OIDC userinfo:', error.message);
+    return {};
+  }
+}
+
+// A claim by name, or by a dotted path into nested claims (Keycloak's realm_access.roles)
+function getClaim(claims, name) {
+  if (name in claims) {
+    return claims[name];
+  }
+  return name.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), claims);
+}
+
+// The user an answer from the provider (its code and the sign-in request it answers) signs in:
+// { externalId, username, groups, authTime }
+async function completeSignIn(code, request) {
+  if (!code) {
+    throw signInError('The identity provider sent no sign-in code');
+  }
+
+  const tokens = await exchangeCode(code, request.code_verifier);
+  const claims = await verifyIdToken(tokens.id_token, { nonce: request.nonce });
+  const merged = { ...(await getUserInfo(tokens.access_token, claims.sub)), ...claims };
+  const { usernameClaim, groupsClaim } = getConfig();
+
+  const groups = getClaim(merged, groupsClaim);
+  return {
+    externalId: claims.sub,
+    username: getClaim(merged, usernameClaim) || merged.email || claims.sub,
+    groups: Array.isArray(groups) ? groups.map(String) : (groups ? [String(groups)] : []),
+    authTime: typeof claims.auth_time === 'number' ? claims.auth_time * 1000 : null
+  };
+}
+
+// The random values a sign-in request is checked with
+function createRequestSecrets() {
+  return {
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    codeVerifier: crypto.randomBytes(32).toString('base64url')
+  };
+}
+
+// Forget the discovery document and keys, as when the configuration changes
+function reset() {
+  discovery.clear();
+  signingKeys.clear();
+}
+
+module.exports = {
+  getConfig,
+  isEnabled,
+  signInError,
+  getAuthorizationUrl,
+  verifyIdToken,
+  completeSignIn,
+  createRequestSecrets,
+  reset
+};
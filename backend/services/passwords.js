@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// scrypt's cost parameters and key length. They are stored with each hash, so raising them later
+// leaves the passwords already set working.
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+
+/**
+ * crypto.scrypt as a promise; util.promisify's typing of it leaves out the options
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {number} keyLength
+ * @param {crypto.ScryptOptions} options
+ * @returns {Promise<Buffer>}
+ */
+function scrypt(password, salt, keyLength, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+// The hash of a password to store: scrypt$N$r$p$salt$key, the salt and key in base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// Whether password is the one stored as hash. Resolves false for hashes it cannot read.
+async function verifyPassword(password, hash) {
+  const [scheme, cost, blockSize, parallelization, salt, key] = (hash || '').split('$');
+  if (scheme !== 'scrypt' || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(cost, 10),
+    r: parseInt(blockSize, 10),
+    p: parseInt(parallelization, 10)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
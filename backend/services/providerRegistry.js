@@ -0,0 +1,83 @@
+const path = require('path');
+const BaseProvider = require('./providers/baseProvider');
+const OpenAIProvider = require('./providers/openaiProvider');
+const AnthropicProvider = require('./providers/anthropicProvider');
+const OpenAICompatibleProvider = require('./providers/openaiCompatibleProvider');
+const logger = require('../config/logger');
+
+// Registry of the LLM provider adapters the server can use.
+//
+// The built-in providers are registered on load. Additional adapters are loaded from the
+// comma-separated module paths in LLM_PROVIDER_MODULES (relative to the backend directory).
+// A module may export a BaseProvider instance, a BaseProvider subclass, or a function
+// called with (registry, { BaseProvider }) that registers its own adapters.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!(provider instanceof BaseProvider)) {
+      throw new Error('Providers must extend BaseProvider');
+    }
+    if (this.providers.has(provider.id)) {
+      logger.warn(`Provider "${provider.id}" is already registered; replacing it`);
+    }
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  loadModule(modulePath) {
+    const exported = require(path.resolve(__dirname, '..', modulePath));
+
+    if (exported instanceof BaseProvider) {
+      this.register(exported);
+    } else if (typeof exported === 'function' && exported.prototype instanceof BaseProvider) {
+      this.register(new exported());
+    } else if (typeof exported === 'function') {
+      exported(this, { BaseProvider });
+    } else {
+      throw new Error(`${modulePath} does not export a provider`);
+    }
+  }
+
+  loadFromEnvironment() {
+    const modules = (process.env.LLM_PROVIDER_MODULES || '')
+      .split(',')
+      .map(modulePath => modulePath.trim())
+      .filter(Boolean);
+
+    modules.forEach(modulePath => {
+      try {
+        this.loadModule(modulePath);
+        logger.info(`Loaded LLM provider module ${modulePath}`);
+      } catch (error) {
+        logger.error(`Failed to load LLM provider module ${modulePath}:`, error.message);
+      }
+    });
+  }
+}
+
+const registry = new ProviderRegistry();
+registry.register(new OpenAIProvider());
+registry.register(new AnthropicProvider());
+registry.register(new OpenAICompatibleProvider());
+registry.loadFromEnvironment();
+
+module.exports = registry;
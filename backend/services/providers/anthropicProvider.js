@@ -0,0 +1,235 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { readEventStream, readStreamError, createCancelledError, createApiError } = require('./streamUtils');
+
+const MESSAGES_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+
+class AnthropicProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'anthropic',
+      name: 'Anthropic',
+      keyPlaceholder: 'sk-ant-...',
+      envKey: 'ANTHROPIC_API_KEY',
+      capabilities: { stream: true, tools: true },
+      testModel: 'claude-3-haiku'
+    });
+  }
+
+  getModels() {
+    return {
+      'claude-3-sonnet': { model: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', type: 'text', endpoint: MESSAGES_ENDPOINT, contextWindow: 200000, vision: true },
+      'claude-3-opus': { model: 'claude-3-opus-20240229', name: 'Claude 3 Opus', type: 'text', endpoint: MESSAGES_ENDPOINT, contextWindow: 200000, vision: true },
+      'claude-3-haiku': { model: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', type: 'text', endpoint: MESSAGES_ENDPOINT, contextWindow: 200000, vision: true }
+    };
+  }
+
+  getHeaders(apiKey) {
+    return {
+      'x-api-key': apiKey,
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01'
+    };
+  }
+
+  // Images are sent as base64 image blocks
+  formatContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+    return content.map(part => (part.type === 'image'
+      ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+      : { type: 'text', text: part.text }));
+  }
+
+  // Convert messages for Anthropic format. Tool calls are tool_use blocks of the assistant's message,
+  // and their results tool_result blocks of the next user message, which holds all of them.
+  formatMessages(messages) {
+    const formatted = [];
+    messages.forEach(msg => {
+      if (msg.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content };
+        if (msg.isError) block.is_error = true;
+
+        const previous = formatted[formatted.length - 1];
+        if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content.every(b => b.type === 'tool_result')) {
+          previous.content.push(block);
+        } else {
+          formatted.push({ role: 'user', content: [block] });
+        }
+        return;
+      }
+
+      if (msg.toolCalls?.length) {
+        formatted.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+          ]
+        });
+        return;
+      }
+
+      formatted.push({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: this.formatContent(msg.content)
+      });
+    });
+    return formatted;
+  }
+
+  // The system prompt is a separate field
+  buildPayload(modelConfig, messages, settings, options = {}) {
+    const systemMessage = messages.find(msg => msg.role === 'system');
+    const conversationMessages = messages.filter(msg => msg.role !== 'system');
+
+    const payload = {
+      model: modelConfig.model,
+      max_tokens: parseInt(settings.max_tokens) || 1024,
+      // Anthropic accepts temperatures up to 1
+      temperature: Math.min(this.numberSetting(settings, 'temperature', 0.7), 1),
+      messages: this.formatMessages(conversationMessages)
+    };
+
+    if (systemMessage) {
+      payload.system = systemMessage.content;
+    }
+
+    // Anthropic has no presence or frequency penalties
+    if (settings.top_p !== undefined) payload.top_p = this.numberSetting(settings, 'top_p', 1);
+    if (Array.isArray(settings.stop) && settings.stop.length > 0) payload.stop_sequences = settings.stop;
+
+    if (options.tools?.length) {
+      payload.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      payload.tool_choice = { type: options.toolChoice || 'auto' };
+    }
+
+    return payload;
+  }
+
+  async chat(modelConfig, messages, apiKey, settings, options = {}) {
+    if (!apiKey) {
+      throw createApiError('Anthropic API key not configured', null, 401);
+    }
+
+    return options.onDelta
+      ? this.streamChat(modelConfig, messages, apiKey, settings, options)
+      : this.callChat(modelConfig, messages, apiKey, settings, options);
+  }
+
+  async callChat(modelConfig, messages, apiKey, settings, options) {
+    const payload = this.buildPayload(modelConfig, messages, settings, options);
+
+    try {
+      const response = await axios.post(modelConfig.endpoint, payload, {
+        headers: this.getHeaders(apiKey),
+        timeout: 30000,
+        signal: options.signal
+      });
+
+      const blocks = response.data.content || [];
+      return {
+        content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        type: 'text',
+        model: modelConfig.model,
+        usage: response.data.usage,
+        provider: this.id,
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+      };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw createCancelledError();
+      }
+
+      console.error('Anthropic API Error:', error.response?.data || error.message);
+      const errorMessage = error.response?.data?.error?.message || error.response?.data?.error?.type || error.message;
+      throw createApiError(`Anthropic API Error: ${errorMessage}`, error);
+    }
+  }
+
+  async streamChat(modelConfig, messages, apiKey, settings, options) {
+    const { onDelta, signal } = options;
+    const payload = {
+      ...this.buildPayload(modelConfig, messages, settings, options),
+      stream: true
+    };
+
+    let content = '';
+    // tool_use blocks by index; their input arrives as pieces of JSON
+    const toolBlocks = [];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    const totalUsage = () => ({
+      ...usage,
+      total_tokens: usage.input_tokens + usage.output_tokens
+    });
+
+    try {
+      const response = await axios.post(modelConfig.endpoint, payload, {
+        headers: this.getHeaders(apiKey),
+        responseType: 'stream',
+        timeout: 30000,
+        signal
+      });
+
+      await readEventStream(response.data, signal, (data) => {
+        const event = JSON.parse(data);
+
+        switch (event.type) {
+          case 'message_start':
+            usage.input_tokens = event.message?.usage?.input_tokens || 0;
+            break;
+          case 'content_block_start':
+            if (event.content_block?.type === 'tool_use') {
+              toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+            }
+            break;
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta' && event.delta.text) {
+              content += event.delta.text;
+              onDelta(event.delta.text);
+            } else if (event.delta?.type === 'input_json_delta' && toolBlocks[event.index]) {
+              toolBlocks[event.index].json += event.delta.partial_json || '';
+            }
+            break;
+          case 'message_delta':
+            usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+            break;
+          case 'error':
+            // Overloaded is the error a stream is most likely to end with; it is worth retrying
+            throw createApiError(event.error?.message || 'Stream error', null, event.error?.type === 'overloaded_error' ? 529 : null);
+          default:
+            break;
+        }
+      });
+
+      return {
+        content,
+        type: 'text',
+        model: modelConfig.model,
+        usage: totalUsage(),
+        provider: this.id,
+        toolCalls: toolBlocks
+          .filter(Boolean)
+          .map(block => ({ id: block.id, name: block.name, arguments: this.parseToolArguments(block.json) }))
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createCancelledError(content, totalUsage());
+      }
+
+      const errorData = await readStreamError(error);
+      console.error('Anthropic API Error:', errorData || error.message);
+      const errorMessage = errorData?.error?.message || errorData?.error?.type || error.message;
+      throw createApiError(`Anthropic API Error: ${errorMessage}`, error, error.providerStatus || error.response?.status);
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,267 @@
+// Base class for LLM provider adapters.
+//
+// An adapter describes one provider (OpenAI, Anthropic, a self-hosted server, an in-house gateway)
+// and implements the calls LLMService makes on it. Register adapters with services/providerRegistry;
+// the model list, API key storage, env key fallback, validation and the settings UI are all derived
+// from the registered adapters.
+const tokenCounter = require('../tokenCounter');
+
+/**
+ * A model a provider offers (see getModels)
+ * @typedef {{ model: string, name: string, type: string, endpoint?: string, contextWindow?: number, vision?: boolean } & Record<string, any>} ModelConfig
+ */
+
+/**
+ * The options of chat (see there)
+ * @typedef {object} ChatOptions
+ * @property {(delta: string) => void} [onDelta]
+ * @property {AbortSignal} [signal]
+ * @property {Array<{ name: string, description: string, parameters: object }>} [tools]
+ * @property {string} [toolChoice] 'auto' or 'none'
+ */
+
+/**
+ * What chat resolves with
+ * @typedef {object} ChatReply
+ * @property {string} content
+ * @property {string} type
+ * @property {string} model
+ * @property {object | null} usage
+ * @property {string} provider
+ * @property {Array<{ id: string, name: string, arguments: object | null }>} [toolCalls]
+ */
+
+/**
+ * The options of generateImage, editImage and createImageVariation
+ * @typedef {object} ImageOptions
+ * @property {number} [count]
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * What generateImage, editImage and createImageVariation resolve with
+ * @typedef {object} ImageReply
+ * @property {string} content
+ * @property {Array<{ content: string, revised_prompt: string | null }>} images
+ * @property {string} type
+ * @property {string} model
+ * @property {string | null} prompt
+ * @property {string | null} revised_prompt
+ * @property {string} provider
+ */
+
+/**
+ * An image sent to editImage or createImageVariation
+ * @typedef {{ data: Buffer, mimeType: string, width: number, height: number }} SourceImage
+ */
+
+class BaseProvider {
+  constructor({
+    id,
+    name,
+    keyPlaceholder = '',
+    envKey = null,
+    requiresApiKey = true,
+    settingsFields = [],
+    capabilities = {},
+    testModel = null
+  }) {
+    if (!id || !name) {
+      throw new Error('A provider needs an id and a name');
+    }
+
+    // Used as the API key's storage name and as the key of the apiKeys object passed to LLMService
+    this.id = id;
+    this.name = name;
+    this.keyPlaceholder = keyPlaceholder;
+    // Environment variable used when no key has been saved in settings
+    this.envKey = envKey;
+    this.requiresApiKey = requiresApiKey;
+    // Extra settings the provider reads, shown next to its API key in the settings UI:
+    // [{ key, label, placeholder, envKey }]
+    this.settingsFields = settingsFields;
+    this.capabilities = {
+      chat: true,
+      stream: false,
+      image: false,
+      listModels: false,
+      tools: false,
+      ...capabilities
+    };
+    // Model used by the default validateKey implementation
+    this.testModel = testModel;
+  }
+
+  /**
+   * Models this provider always offers: { [modelId]: { model, name, type: 'text' | 'image', endpoint, contextWindow, vision } }
+   * contextWindow is the number of tokens the model accepts, prompt and reply together;
+   * vision is set on text models that accept images. Image models may set maxImagesPerRequest,
+   * and imageEdit and imageVariation when the provider implements editImage and createImageVariation for them.
+   *
+   * @returns {Record<string, ModelConfig>}
+   */
+  getModels() {
+    return {};
+  }
+
+  /**
+   * Models discovered at runtime, in the same shape as getModels(). Only called when
+   * capabilities.listModels is set.
+   *
+   * @param {{ apiKey?: string, settings?: Record<string, string> }} config
+   * @returns {Promise<Record<string, ModelConfig>>}
+   */
+  async listModels(config) {
+    return {};
+  }
+
+  /**
+   * Send a conversation and resolve with { content, type: 'text', model, usage, provider }.
+   * A message's content is a string, or for vision models an array of parts:
+   * { type: 'text', text } and { type: 'image', mimeType, data } with base64 data.
+   * options.onDelta streams the reply (when capabilities.stream is set) and options.signal cancels it;
+   * a cancelled call should reject with streamUtils.createCancelledError.
+   *
+   * Providers with capabilities.tools also take options.tools, [{ name, description, parameters }],
+   * and options.toolChoice ('auto' or 'none'). A reply that calls tools carries
+   * toolCalls: [{ id, name, arguments }] (see parseToolArguments). The conversation then goes on with
+   * { role: 'assistant', content, toolCalls } and one { role: 'tool', toolCallId, name, content, isError }
+   * per call.
+   *
+   * @param {ModelConfig} modelConfig
+   * @param {Array<object>} messages
+   * @param {string} apiKey
+   * @param {Record<string, any>} settings
+   * @param {ChatOptions} [options]
+   * @returns {Promise<ChatReply>}
+   */
+  async chat(modelConfig, messages, apiKey, settings, options = {}) {
+    throw new Error(`${this.name} does not support chat`);
+  }
+
+  /**
+   * Generate options.count images (default 1) and resolve with
+   * { content, images: [{ content, revised_prompt }], type: 'image', model, prompt, revised_prompt, provider },
+   * content and revised_prompt being the first image's. An image's content is a URL or a data URL.
+   *
+   * @param {ModelConfig} modelConfig
+   * @param {string} prompt
+   * @param {string} apiKey
+   * @param {Record<string, any>} [settings]
+   * @param {ImageOptions} [options]
+   * @returns {Promise<ImageReply>}
+   */
+  async generateImage(modelConfig, prompt, apiKey, settings, options = {}) {
+    throw new Error(`${this.name} does not support image generation`);
+  }
+
+  /**
+   * Repaint an image following prompt, only where mask is transparent when a mask is given.
+   * Resolves like generateImage.
+   *
+   * @param {ModelConfig} modelConfig
+   * @param {{ prompt: string, image: SourceImage, mask?: SourceImage | null }} source
+   * @param {string} apiKey
+   * @param {Record<string, any>} [settings]
+   * @param {ImageOptions} [options]
+   * @returns {Promise<ImageReply>}
+   */
+  async editImage(modelConfig, { prompt, image, mask }, apiKey, settings, options = {}) {
+    throw new Error(`${this.name} does not support image editing`);
+  }
+
+  /**
+   * Make options.count new images in the manner of image. Resolves like generateImage.
+   *
+   * @param {ModelConfig} modelConfig
+   * @param {{ image: SourceImage }} source
+   * @param {string} apiKey
+   * @param {Record<string, any>} [settings]
+   * @param {ImageOptions} [options]
+   * @returns {Promise<ImageReply>}
+   */
+  async createImageVariation(modelConfig, { image }, apiKey, settings, options = {}) {
+    throw new Error(`${this.name} does not support image variations`);
+  }
+
+  // Tokenizer used to count a model's tokens. Providers without a public tokenizer are estimated
+  // with cl100k_base, which is close enough to budget a context window.
+  tokenEncoding(modelConfig) {
+    return 'cl100k_base';
+  }
+
+  // Tokens a chat request with these messages uses before the reply
+  countTokens(modelConfig, messages) {
+    return tokenCounter.countMessageTokens(messages, this.tokenEncoding(modelConfig));
+  }
+
+  /**
+   * Check that a key works. config.settings may carry unsaved values of settingsFields.
+   * Resolves with { message, ...details } or rejects with the provider's error.
+   *
+   * @param {string} apiKey
+   * @param {{ settings?: Record<string, string> }} [config]
+   * @returns {Promise<{ message: string } & Record<string, any>>}
+   */
+  async validateKey(apiKey, config = {}) {
+    const modelConfig = this.getModels()[this.testModel];
+    if (!modelConfig) {
+      throw new Error(`${this.name} has no model to test the API key with`);
+    }
+
+    const testMessages = [
+      { role: 'user', content: 'Hello, this is a test message. Please respond with "API key test successful".' }
+    ];
+    const response = await this.chat(
+      { ...modelConfig, id: this.testModel },
+      testMessages,
+      apiKey,
+      { ...config.settings, max_tokens: '50', temperature: '0' }
+    );
+
+    return {
+      message: 'API key is valid',
+      testResponse: response.content.substring(0, 100) + '...'
+    };
+  }
+
+  // A tool call's arguments as an object; null when the model sent something that is not a JSON object
+  parseToolArguments(json) {
+    if (!json || !json.trim()) {
+      return {};
+    }
+    try {
+      const args = JSON.parse(json);
+      return args && typeof args === 'object' && !Array.isArray(args) ? args : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Numeric generation setting, or the fallback when it is unset. Unlike `parseFloat(x) || fallback`
+  // this keeps an explicit 0 (e.g. temperature 0).
+  numberSetting(settings, key, fallback) {
+    const value = parseFloat(settings?.[key]);
+    return Number.isNaN(value) ? fallback : value;
+  }
+
+  // Value of one of settingsFields, falling back to its environment variable
+  getSetting(settings, key) {
+    const field = this.settingsFields.find(f => f.key === key);
+    return (settings && settings[key]) || (field?.envKey ? process.env[field.envKey] : null) || null;
+  }
+
+  // Public description used by GET /api/providers
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      keyPlaceholder: this.keyPlaceholder,
+      requiresApiKey: this.requiresApiKey,
+      settingsFields: this.settingsFields.map(({ key, label, placeholder }) => ({ key, label, placeholder })),
+      capabilities: this.capabilities
+    };
+  }
+}
+
+module.exports = BaseProvider;
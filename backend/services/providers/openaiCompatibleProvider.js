@@ -0,0 +1,107 @@
+const axios = require('axios');
+const OpenAIProvider = require('./openaiProvider');
+
+// Servers do not report how much context they were started with; Ollama's default is 4096 tokens
+const DEFAULT_CONTEXT_WINDOW = 4096;
+// Servers do not report which models accept images either; these are the common vision model families
+const VISION_MODEL_PATTERN = /llava|vision|moondream|minicpm-v|-vl\b|gemma3/i;
+
+// Self-hosted servers speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM, LM Studio).
+// Models are discovered from the server and offered under a "local:" prefix.
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      id: 'openai-compatible',
+      name: 'OpenAI-compatible',
+      keyPlaceholder: 'Optional',
+      envKey: 'OPENAI_COMPATIBLE_API_KEY',
+      requiresApiKey: false,
+      settingsFields: [
+        {
+          key: 'openai_compatible_base_url',
+          label: 'Base URL',
+          placeholder: 'http://localhost:11434',
+          envKey: 'OPENAI_COMPATIBLE_BASE_URL'
+        },
+        {
+          key: 'openai_compatible_context_window',
+          label: 'Context window (tokens)',
+          placeholder: String(DEFAULT_CONTEXT_WINDOW),
+          envKey: 'OPENAI_COMPATIBLE_CONTEXT_WINDOW'
+        }
+      ],
+      capabilities: { stream: true, image: false, listModels: true },
+      testModel: null
+    });
+    // Local models can take a while to load on first use
+    this.requestTimeout = 120000;
+  }
+
+  getModels() {
+    return {};
+  }
+
+  // Strip trailing slashes and a trailing /v1 so both "http://host:11434" and
+  // "http://host:1234/v1" can be configured
+  normalizeBaseUrl(baseUrl) {
+    return baseUrl.trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+  }
+
+  /**
+   * Query the server for its models, trying the OpenAI /v1/models listing first and Ollama's /api/tags second
+   * @param {{ apiKey?: string, settings?: Record<string, string> }} [config]
+   */
+  async listModels({ apiKey, settings } = {}) {
+    const baseUrl = this.getSetting(settings, 'openai_compatible_base_url');
+    if (!baseUrl) {
+      return {};
+    }
+
+    const normalizedUrl = this.normalizeBaseUrl(baseUrl);
+    const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    let modelNames;
+
+    try {
+      const response = await axios.get(`${normalizedUrl}/v1/models`, { headers, timeout: 5000 });
+      modelNames = (response.data?.data || []).map(model => model.id);
+    } catch (openAIError) {
+      try {
+        const response = await axios.get(`${normalizedUrl}/api/tags`, { headers, timeout: 5000 });
+        modelNames = (response.data?.models || []).map(model => model.name);
+      } catch (ollamaError) {
+        const reason = openAIError.response?.data?.error?.message || openAIError.message;
+        throw new Error(`Could not list models from ${normalizedUrl}: ${reason}`);
+      }
+    }
+
+    const contextWindow = parseInt(this.getSetting(settings, 'openai_compatible_context_window')) || DEFAULT_CONTEXT_WINDOW;
+    const models = {};
+    modelNames.filter(Boolean).forEach(name => {
+      models[`local:${name}`] = {
+        endpoint: `${normalizedUrl}/v1/chat/completions`,
+        model: name,
+        name,
+        type: 'text',
+        contextWindow,
+        vision: VISION_MODEL_PATTERN.test(name)
+      };
+    });
+    return models;
+  }
+
+  // A server is usable if it answers the model listing
+  async validateKey(apiKey, config = {}) {
+    if (!this.getSetting(config.settings, 'openai_compatible_base_url')) {
+      throw new Error('Base URL is required');
+    }
+
+    const models = await this.listModels({ apiKey, settings: config.settings });
+    const count = Object.keys(models).length;
+    return {
+      message: `Connected. Found ${count} model${count === 1 ? '' : 's'}.`,
+      models: Object.keys(models)
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
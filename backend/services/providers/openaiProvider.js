@@ -0,0 +1,401 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { readEventStream, readStreamError, createCancelledError, createApiError } = require('./streamUtils');
+
+const CHAT_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+const IMAGE_ENDPOINT = 'https://api.openai.com/v1/images/generations';
+const IMAGE_EDIT_ENDPOINT = 'https://api.openai.com/v1/images/edits';
+const IMAGE_VARIATION_ENDPOINT = 'https://api.openai.com/v1/images/variations';
+
+class OpenAIProvider extends BaseProvider {
+  constructor(overrides = {}) {
+    super({
+      id: 'openai',
+      name: 'OpenAI',
+      keyPlaceholder: 'sk-...',
+      envKey: 'OPENAI_API_KEY',
+      capabilities: { stream: true, image: true, tools: true },
+      testModel: 'gpt-3.5-turbo',
+      ...overrides
+    });
+    this.requestTimeout = 30000;
+  }
+
+  /** @returns {Record<string, import('./baseProvider').ModelConfig>} */
+  getModels() {
+    return {
+      'gpt-3.5-turbo': { model: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', type: 'text', endpoint: CHAT_ENDPOINT, contextWindow: 16385 },
+      'gpt-4': { model: 'gpt-4', name: 'GPT-4', type: 'text', endpoint: CHAT_ENDPOINT, contextWindow: 8192 },
+      'gpt-4-turbo-preview': { model: 'gpt-4-turbo-preview', name: 'GPT-4 Turbo', type: 'text', endpoint: CHAT_ENDPOINT, contextWindow: 128000 },
+      'gpt-4o': { model: 'gpt-4o', name: 'GPT-4o', type: 'text', endpoint: CHAT_ENDPOINT, contextWindow: 128000, vision: true },
+      'dall-e-3': { model: 'dall-e-3', name: 'DALL-E 3', type: 'image', endpoint: IMAGE_ENDPOINT, maxImagesPerRequest: 1 },
+      'dall-e-2': { model: 'dall-e-2', name: 'DALL-E 2', type: 'image', endpoint: IMAGE_ENDPOINT, maxImagesPerRequest: 10, imageEdit: true, imageVariation: true },
+      'gpt-image-1': { model: 'gpt-image-1', name: 'GPT-Image-1', type: 'image', endpoint: IMAGE_ENDPOINT, maxImagesPerRequest: 10, imageEdit: true }
+    };
+  }
+
+  // GPT-4o and later models use the o200k_base tokenizer
+  tokenEncoding(modelConfig) {
+    return /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(modelConfig.model) ? 'o200k_base' : 'cl100k_base';
+  }
+
+  getHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  checkApiKey(apiKey) {
+    if (!apiKey && this.requiresApiKey) {
+      throw createApiError(`${this.name} API key not configured`, null, 401);
+    }
+  }
+
+  // Images are sent as image_url parts holding data URLs
+  formatContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+    return content.map(part => (part.type === 'image'
+      ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+      : { type: 'text', text: part.text }));
+  }
+
+  // Tool calls and their results have their own message shapes
+  formatMessage(msg) {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    if (msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return { role: msg.role, content: this.formatContent(msg.content) };
+  }
+
+  buildChatPayload(modelConfig, messages, settings, options = {}) {
+    const payload = {
+      model: modelConfig.model,
+      messages: messages.map(msg => this.formatMessage(msg)),
+      max_tokens: parseInt(settings.max_tokens) || 2000,
+      temperature: this.numberSetting(settings, 'temperature', 0.7)
+    };
+
+    // Optional parameters are only sent when set, so the API's own defaults apply otherwise
+    if (settings.top_p !== undefined) payload.top_p = this.numberSetting(settings, 'top_p', 1);
+    if (settings.presence_penalty !== undefined) payload.presence_penalty = this.numberSetting(settings, 'presence_penalty', 0);
+    if (settings.frequency_penalty !== undefined) payload.frequency_penalty = this.numberSetting(settings, 'frequency_penalty', 0);
+    if (Array.isArray(settings.stop) && settings.stop.length > 0) payload.stop = settings.stop;
+
+    if (options.tools?.length) {
+      payload.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+      payload.tool_choice = options.toolChoice || 'auto';
+    }
+
+    return payload;
+  }
+
+  parseToolCalls(toolCalls = []) {
+    return toolCalls.map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: this.parseToolArguments(call.function?.arguments)
+    }));
+  }
+
+  async chat(modelConfig, messages, apiKey, settings, options = {}) {
+    this.checkApiKey(apiKey);
+
+    return options.onDelta
+      ? this.streamChat(modelConfig, messages, apiKey, settings, options)
+      : this.callChat(modelConfig, messages, apiKey, settings, options);
+  }
+
+  async callChat(modelConfig, messages, apiKey, settings, options) {
+    const payload = this.buildChatPayload(modelConfig, messages, settings, options);
+
+    try {
+      const response = await axios.post(modelConfig.endpoint, payload, {
+        headers: this.getHeaders(apiKey),
+        timeout: this.requestTimeout,
+        signal: options.signal
+      });
+
+      const completion = response.data.choices[0].message;
+      return {
+        content: completion.content || '',
+        type: 'text',
+        model: modelConfig.model,
+        usage: response.data.usage,
+        provider: this.id,
+        toolCalls: this.parseToolCalls(completion.tool_calls)
+      };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw createCancelledError();
+      }
+
+      console.error(`${this.name} API Error:`, error.response?.data || error.message);
+      throw createApiError(`${this.name} API Error: ${error.response?.data?.error?.message || error.message}`, error);
+    }
+  }
+
+  async streamChat(modelConfig, messages, apiKey, settings, options) {
+    const { onDelta, signal } = options;
+    const payload = {
+      ...this.buildChatPayload(modelConfig, messages, settings, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    let content = '';
+    let usage = null;
+    // Tool calls arrive in pieces, keyed by their index
+    const toolCalls = [];
+
+    try {
+      const response = await axios.post(modelConfig.endpoint, payload, {
+        headers: this.getHeaders(apiKey),
+        responseType: 'stream',
+        timeout: this.requestTimeout,
+        signal
+      });
+
+      await readEventStream(response.data, signal, (data) => {
+        if (data === '[DONE]') return;
+
+        const chunk = JSON.parse(data);
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        (chunk.choices?.[0]?.delta?.tool_calls || []).forEach(part => {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+        // The final chunk carries usage and an empty choices array
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      });
+
+      return {
+        content,
+        type: 'text',
+        model: modelConfig.model,
+        usage,
+        provider: this.id,
+        toolCalls: this.parseToolCalls(toolCalls.filter(Boolean))
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createCancelledError(content, usage);
+      }
+
+      const errorData = await readStreamError(error);
+      console.error(`${this.name} API Error:`, errorData || error.message);
+      throw createApiError(`${this.name} API Error: ${errorData?.error?.message || error.message}`, error);
+    }
+  }
+
+  // Size, quality and style of a generation request, as each image model names them
+  imageOptions(modelConfig, settings) {
+    const options = { size: settings.image_size || '1024x1024' };
+
+    if (modelConfig.id === 'dall-e-3') {
+      options.quality = settings.image_quality || 'standard';
+      options.style = settings.image_style || 'natural';
+    } else if (modelConfig.id === 'gpt-image-1') {
+      // GPT-Image-1 quality values: 'low', 'medium', 'high'
+      const gptImageQuality = settings.image_quality || 'high';
+      const qualityMap = {
+        'standard': 'medium',
+        'hd': 'high',
+        'low': 'low',
+        'medium': 'medium',
+        'high': 'high'
+      };
+      options.quality = qualityMap[gptImageQuality] || 'high';
+    }
+    return options;
+  }
+
+  // Size of an edit or variation: DALL-E 2 makes square images of the source's size,
+  // GPT-Image-1 picks the size itself
+  sourceImageSize(modelConfig, source) {
+    if (modelConfig.id === 'gpt-image-1') {
+      return 'auto';
+    }
+    return source.width === source.height && [256, 512, 1024].includes(source.width)
+      ? `${source.width}x${source.height}`
+      : '1024x1024';
+  }
+
+  // Send an images request (JSON, or FormData for edits and variations) and resolve with
+  // the images it returned: [{ content, revised_prompt }], content being a URL or a data URL
+  async requestImages(modelConfig, endpoint, body, apiKey, options = {}) {
+    const headers = this.getHeaders(apiKey);
+    if (body instanceof FormData) {
+      // axios sets the multipart boundary
+      delete headers['Content-Type'];
+    }
+
+    const response = await axios.post(endpoint, body, {
+      headers,
+      timeout: modelConfig.id === 'gpt-image-1' ? 300000 : 60000, // GPT-Image-1 needs 5-minute timeout
+      signal: options.signal
+    });
+
+    // Log basic response info (without full base64 data)
+    console.log('OpenAI Image API Response received:', {
+      created: response.data.created,
+      dataCount: response.data.data?.length,
+      hasUrl: !!response.data.data?.[0]?.url,
+      hasB64: !!response.data.data?.[0]?.b64_json
+    });
+
+    const images = (response.data.data || []).map(imageData => ({
+      // GPT-Image-1 returns base64 data instead of a URL
+      content: imageData.url || (imageData.b64_json ? `data:image/png;base64,${imageData.b64_json}` : null),
+      revised_prompt: imageData.revised_prompt || null
+    })).filter(image => image.content);
+
+    // Ensure we always have content (image URL) - required for database
+    if (images.length === 0) {
+      console.error('Invalid image response structure:', {
+        model: modelConfig.id,
+        fullResponse: response.data,
+        availableFields: Object.keys(response.data || {})
+      });
+      throw new Error('No image URL found in API response');
+    }
+    return images;
+  }
+
+  // Rethrow a failed images request as a cancelled or a readable error
+  imageError(error, modelConfig, endpoint, action, options) {
+    if (options.signal?.aborted) {
+      return createCancelledError();
+    }
+
+    console.error(`OpenAI Image ${action} Error Details:`, {
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      data: error.response?.data,
+      message: error.message,
+      model: modelConfig.id,
+      endpoint
+    });
+
+    // If it's a response structure issue, provide more context
+    if (error.message.includes('No image URL found')) {
+      return new Error(`Image ${action.toLowerCase()} failed for ${modelConfig.id}: Response structure issue - check logs for details`);
+    }
+    return createApiError(`Image ${action.toLowerCase()} failed: ${error.response?.data?.error?.message || error.message}`, error);
+  }
+
+  imageResult(modelConfig, prompt, images) {
+    return {
+      content: images[0].content,
+      images,
+      type: 'image',
+      model: modelConfig.id,
+      prompt,
+      revised_prompt: images[0].revised_prompt,
+      provider: this.id
+    };
+  }
+
+  // options.count images (1 by default) are generated; models that make one image per request
+  // (maxImagesPerRequest) are sent that many requests at once
+  async generateImage(modelConfig, prompt, apiKey, settings = {}, options = {}) {
+    this.checkApiKey(apiKey);
+
+    const count = options.count || 1;
+    const perRequest = Math.min(count, modelConfig.maxImagesPerRequest || 1);
+    const payload = {
+      model: modelConfig.model,
+      prompt: prompt,
+      n: perRequest, // Number of images to generate
+      ...this.imageOptions(modelConfig, settings)
+    };
+
+    // Remove undefined values
+    Object.keys(payload).forEach(key => 
+      payload[key] === undefined && delete payload[key]
+    );
+
+    try {
+      const batches = await Promise.all(
+        Array.from({ length: Math.ceil(count / perRequest) }, (_, index) => this.requestImages(
+          modelConfig,
+          modelConfig.endpoint,
+          { ...payload, n: Math.min(perRequest, count - index * perRequest) },
+          apiKey,
+          options
+        ))
+      );
+      return this.imageResult(modelConfig, prompt, batches.flat());
+    } catch (error) {
+      throw this.imageError(error, modelConfig, modelConfig.endpoint, 'Generation', options);
+    }
+  }
+
+  // Repaint the transparent parts of mask (a PNG the size of the image) following prompt, or the
+  // whole image without a mask. image and mask are { data: Buffer, mimeType, width, height }.
+  async editImage(modelConfig, { prompt, image, mask = null }, apiKey, settings = {}, options = {}) {
+    this.checkApiKey(apiKey);
+
+    const form = new FormData();
+    form.append('model', modelConfig.model);
+    form.append('prompt', prompt);
+    form.append('n', String(options.count || 1));
+    form.append('size', this.sourceImageSize(modelConfig, image));
+    form.append('image', new Blob([image.data], { type: image.mimeType }), 'image.png');
+    if (mask) {
+      form.append('mask', new Blob([mask.data], { type: 'image/png' }), 'mask.png');
+    }
+
+    try {
+      const images = await this.requestImages(modelConfig, IMAGE_EDIT_ENDPOINT, form, apiKey, options);
+      return this.imageResult(modelConfig, prompt, images);
+    } catch (error) {
+      throw this.imageError(error, modelConfig, IMAGE_EDIT_ENDPOINT, 'Edit', options);
+    }
+  }
+
+  // New images in the manner of image ({ data: Buffer, mimeType, width, height })
+  async createImageVariation(modelConfig, { image }, apiKey, settings = {}, options = {}) {
+    this.checkApiKey(apiKey);
+
+    const form = new FormData();
+    form.append('model', modelConfig.model);
+    form.append('n', String(options.count || 1));
+    form.append('size', this.sourceImageSize(modelConfig, image));
+    form.append('image', new Blob([image.data], { type: image.mimeType }), 'image.png');
+
+    try {
+      const images = await this.requestImages(modelConfig, IMAGE_VARIATION_ENDPOINT, form, apiKey, options);
+      return this.imageResult(modelConfig, null, images);
+    } catch (error) {
+      throw this.imageError(error, modelConfig, IMAGE_VARIATION_ENDPOINT, 'Variation', options);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
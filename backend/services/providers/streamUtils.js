@@ -0,0 +1,174 @@
+// Helpers shared by provider adapters that stream Server-Sent Events or support cancellation
+
+/**
+ * The error a provider call rejects with. A cancelled call has cancelled set, and partial holds
+ * whatever was generated before the cancel. A failed request carries the provider's HTTP status
+ * as providerStatus, how long it asked to wait before trying again as retryAfter (milliseconds),
+ * and whether trying again may help as retryable.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {{
+   *   cancelled?: boolean,
+   *   partial?: { content: string, usage: object | null } | null,
+   *   providerStatus?: number | null,
+   *   retryAfter?: number | null,
+   *   retryable?: boolean
+   * }} [details]
+   */
+  constructor(message, { cancelled = false, partial = null, providerStatus = null, retryAfter = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.cancelled = cancelled;
+    this.partial = partial;
+    this.providerStatus = providerStatus;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable;
+  }
+}
+
+// Parse a Server-Sent Events response body, calling onData with each event's data payload.
+// Aborting the signal stops reading and rejects.
+function readEventStream(stream, signal, onData) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let failed = false;
+    let ended = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      signal?.removeEventListener('abort', onAbort);
+      stream.destroy();
+      reject(error);
+    };
+
+    const onAbort = () => fail(new Error('Stream aborted'));
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+
+    const flushEvent = (rawEvent) => {
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      if (data) {
+        onData(data);
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      if (failed) return;
+      buffer += chunk.toString('utf8');
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+        try {
+          flushEvent(rawEvent);
+        } catch (error) {
+          fail(error);
+          return;
+        }
+      }
+    });
+
+    stream.on('end', () => {
+      if (failed) return;
+      ended = true;
+      signal?.removeEventListener('abort', onAbort);
+      try {
+        if (buffer.trim()) {
+          flushEvent(buffer);
+        }
+        resolve();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('error', fail);
+    stream.on('close', () => {
+      if (!ended) {
+        fail(new Error('Stream closed before it completed'));
+      }
+    });
+  });
+}
+
+// Error bodies of streamed requests arrive as a stream too; read them so the provider message is not lost
+async function readStreamError(error) {
+  const body = error.response?.data;
+  if (!body || typeof body.on !== 'function') {
+    return body || null;
+  }
+
+  try {
+    let raw = '';
+    for await (const chunk of body) {
+      raw += chunk.toString('utf8');
+    }
+    return JSON.parse(raw);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+// The error a cancelled call rejects with; partial holds whatever was generated before the cancel
+function createCancelledError(content = '', usage = null) {
+  return new ProviderError('Generation cancelled', { cancelled: true, partial: { content, usage } });
+}
+
+// Statuses a provider may answer differently when asked again: timeouts, rate limits, server
+// errors and Anthropic's "overloaded" (529)
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+// Connections that dropped or timed out
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// How long the provider asked to wait before trying again, in milliseconds, or null.
+// OpenAI sends retry-after-ms as well as the standard Retry-After (seconds or an HTTP date).
+function readRetryAfter(headers = {}) {
+  const milliseconds = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(milliseconds)) {
+    return Math.max(0, milliseconds);
+  }
+
+  const value = headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The error a failed provider request rejects with. cause is the axios error, if any; status is
+// the provider's HTTP status (the response's by default).
+function createApiError(message, cause = null, status = cause?.response?.status) {
+  return new ProviderError(message, {
+    providerStatus: status || null,
+    retryAfter: readRetryAfter(cause?.response?.headers),
+    retryable: status
+      ? RETRYABLE_STATUSES.includes(status)
+      : RETRYABLE_CODES.includes(cause?.code)
+  });
+}
+
+module.exports = {
+  ProviderError,
+  readEventStream,
+  readStreamError,
+  createCancelledError,
+  createApiError
+};
@@ -0,0 +1,119 @@
+// SAML 2.0 sign-in, for identity providers without OpenID Connect. Checking signed XML is not
+// something to write by hand, so this uses @node-saml/node-saml, loaded only when SAML is
+// configured: SAML_ENTRY_POINT (the provider's sign-in URL), SAML_ISSUER (this app's entity ID),
+// SAML_CALLBACK_URL (this server's /api/auth/saml/callback) and SAML_IDP_CERT (the provider's
+// signing certificate, PEM; "\n" may stand for line breaks).
+//
+// Every answer must be to a request made here (InResponseTo); the IDs of the requests are kept
+// with the sign-ins under way, so any backend instance can take the answer.
+
+const HttpError = require('./httpError');
+
+const REQUEST_PROTOCOL = 'saml-request';
+// How long the provider has to answer, as for OIDC (see models/SsoRequest)
+const REQUEST_MS = 10 * 60 * 1000;
+
+function getConfig() {
+  return {
+    entryPoint: process.env.SAML_ENTRY_POINT,
+    issuer: process.env.SAML_ISSUER,
+    callbackUrl: process.env.SAML_CALLBACK_URL,
+    idpCert: (process.env.SAML_IDP_CERT || '').replace(/\\n/g, '\n'),
+    name: process.env.SAML_PROVIDER_NAME || 'SAML Single Sign-On',
+    usernameAttribute: process.env.SAML_USERNAME_ATTRIBUTE || null,
+    groupsAttribute: process.env.SAML_GROUPS_ATTRIBUTE || 'groups'
+  };
+}
+
+function isEnabled() {
+  const { entryPoint, issuer, callbackUrl, idpCert } = getConfig();
+  return Boolean(entryPoint && issuer && callbackUrl && idpCert);
+}
+
+// Whether the SAML library is installed
+function isAvailable() {
+  try {
+    require.resolve('@node-saml/node-saml');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// node-saml's cache of request IDs, kept in the database
+function requestCache(SsoRequest) {
+  return {
+    async saveAsync(key, value) {
+      await SsoRequest.create({ id: key, protocol: REQUEST_PROTOCOL });
+      return { value, createdAt: Date.now() };
+    },
+    async getAsync(key) {
+      const request = await SsoRequest.get(REQUEST_PROTOCOL, key);
+      return request ? String(request.created_at) : null;
+    },
+    async removeAsync(key) {
+      return (await SsoRequest.take(REQUEST_PROTOCOL, key)) ? key : null;
+    }
+  };
+}
+
+// forceAuthn asks the user to sign in again even if they are signed in with the provider
+function createClient({ SsoRequest }, { forceAuthn = false } = {}) {
+  const { SAML, ValidateInResponseTo } = require('@node-saml/node-saml');
+  const { entryPoint, issuer, callbackUrl, idpCert } = getConfig();
+
+  return new SAML({
+    entryPoint,
+    issuer,
+    audience: issuer,
+    callbackUrl,
+    idpCert,
+    wantAssertionsSigned: true,
+    validateInResponseTo: ValidateInResponseTo.always,
+    requestIdExpirationPeriodMs: REQUEST_MS,
+    cacheProvider: requestCache(SsoRequest),
+    acceptedClockSkewMs: 60 * 1000,
+    forceAuthn
+  });
+}
+
+// Where to send the browser to sign in; relayState comes back with the answer
+function getAuthorizationUrl(models, { relayState, reauthenticate = false }) {
+  return createClient(models, { forceAuthn: reauthenticate }).getAuthorizeUrlAsync(relayState, undefined, {});
+}
+
+// The user a SAMLResponse the provider posted back signs in: { externalId, username, groups }
+async function completeSignIn(models, samlResponse) {
+  if (!samlResponse) {
+    throw new HttpError(403, 'The identity provider sent no SAML response');
+  }
+
+  const { profile } = await createClient(models).validatePostResponseAsync({ SAMLResponse: samlResponse });
+  if (!profile || !profile.nameID) {
+    throw new Error('The SAML response does not say who signed in');
+  }
+
+  const { usernameAttribute, groupsAttribute } = getConfig();
+  // An attribute's values; attributes with one value come as a string
+  const values = name => [].concat(profile[name] ?? profile.attributes?.[name] ?? []).map(String);
+  return {
+    externalId: profile.nameID,
+    username: (usernameAttribute && values(usernameAttribute)[0]) || profile.nameID,
+    groups: values(groupsAttribute),
+    authTime: null
+  };
+}
+
+// This app's metadata, for registering it with the provider
+function getMetadata(models) {
+  return createClient(models).generateServiceProviderMetadata(null, null);
+}
+
+module.exports = {
+  getConfig,
+  isEnabled,
+  isAvailable,
+  getAuthorizationUrl,
+  completeSignIn,
+  getMetadata
+};
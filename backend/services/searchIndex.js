@@ -0,0 +1,74 @@
+const validator = require('validator');
+
+// Search terms taken from a query at most
+const MAX_QUERY_TERMS = 10;
+
+// Where snippet() marks the start and end of each match. They cannot occur in stored text, so a
+// snippet can be split into plain and matched parts without being mistaken for markup.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// An FTS5 query matching text that contains every word of the query (the last one as a prefix, so
+// results appear while a word is still being typed). Returns null when the query has no words.
+function buildMatchQuery(text, { prefix = true } = {}) {
+  const words = text
+    .replace(/&#?\w+;/g, ' ') // Queries and messages are stored HTML-escaped
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = [...new Set(words)].slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term, index) => (prefix && index === terms.length - 1 ? `"${term}"*` : `"${term}"`))
+    .join(' ');
+}
+
+// The PostgreSQL tsquery for an FTS5 query made by buildMatchQuery (or documentIndex, which joins
+// its terms with OR): "term" becomes term, "term"* the prefix term:*, and the terms are joined
+// with & (all) or | (any)
+function toTsquery(matchQuery) {
+  const parts = [];
+  for (const [token, term, prefix] of matchQuery.matchAll(/"([^"]+)"(\*)?|OR/g)) {
+    if (token === 'OR') {
+      parts.push('|');
+      continue;
+    }
+    if (parts.length > 0 && parts[parts.length - 1] !== '|') {
+      parts.push('&');
+    }
+    parts.push(prefix ? `${term}:*` : term);
+  }
+  return parts.join(' ');
+}
+
+// Split text marked with MATCH_START and MATCH_END into [{ text, match }] parts, with the HTML
+// escaping of stored messages undone
+function toSegments(marked) {
+  const segments = [];
+  (marked || '').split(MATCH_START).forEach((part, index) => {
+    const [matched, rest] = index === 0 ? [null, part] : part.split(MATCH_END);
+    if (matched) {
+      segments.push({ text: validator.unescape(matched), match: true });
+    }
+    if (rest) {
+      segments.push({ text: validator.unescape(rest), match: false });
+    }
+  });
+  return segments;
+}
+
+// The text of segments, without the marks
+function toText(segments) {
+  return segments.map(segment => segment.text).join('');
+}
+
+module.exports = {
+  MATCH_START,
+  MATCH_END,
+  buildMatchQuery,
+  toTsquery,
+  toSegments,
+  toText
+};
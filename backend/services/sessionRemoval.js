@@ -0,0 +1,47 @@
+const jobQueue = require('./jobQueue');
+const mediaStorage = require('./mediaStorage');
+const attachmentStorage = require('./attachmentStorage');
+
+// Delete a conversation with everything kept for it: its messages and documents (Session.delete),
+// its background jobs, which are stopped, the images generated in it and the attachments no other
+// conversation shares, files included. Resolves with Session.delete's result; changes is 0 when
+// there was no such session.
+async function removeSession({ Session, Attachment, Media, Job }, id) {
+  const attachmentIds = await Attachment.getIdsBySessionId(id);
+  const result = await Session.delete(id);
+  if (result.changes === 0) {
+    return result;
+  }
+
+  // Stop making images for it
+  const jobIds = await Job.deleteBySessionId(id);
+  await Promise.all(jobIds.map(jobId => jobQueue.cancel(jobId)));
+
+  // The images generated in it too
+  const mediaIds = await Media.deleteBySessionId(id);
+  await Promise.all(mediaIds.map(mediaId => mediaStorage.remove(mediaId)));
+
+  // Attachments no other conversation shares go with the session
+  const deletedIds = await Attachment.deleteUnlinked({ ids: attachmentIds });
+  await Promise.all(deletedIds.map(attachmentId => attachmentStorage.remove(attachmentId)));
+
+  return result;
+}
+
+// Delete every conversation of a user and the uploads they never sent. Resolves with the number
+// of conversations deleted.
+async function removeUserData(models, userId) {
+  const sessionIds = await models.Session.getIdsByUserId(userId);
+  for (const id of sessionIds) {
+    await removeSession(models, id);
+  }
+
+  const deletedIds = await models.Attachment.deleteUnlinked({ userId });
+  await Promise.all(deletedIds.map(attachmentId => attachmentStorage.remove(attachmentId)));
+  return sessionIds.length;
+}
+
+module.exports = {
+  removeSession,
+  removeUserData
+};
@@ -0,0 +1,137 @@
+const oidc = require('./oidc');
+const saml = require('./saml');
+const accountSetup = require('./accountSetup');
+const HttpError = require('./httpError');
+const logger = require('../config/logger');
+
+// Who single sign-on lets in, and as which user. Accounts are made the first time someone signs
+// in, unless SSO_AUTO_PROVISION=false, when an admin makes them beforehand for the provider under
+// the same username; password accounts and admins' accounts are never taken over. Membership of SSO_ADMIN_GROUPS makes an admin and is checked at every sign-in, so
+// the provider decides the roles when it is set; SSO_ALLOWED_GROUPS, when set, lets in only
+// their members.
+
+const USERNAME_PATTERN = /[^a-zA-Z0-9._@-]/g;
+const USERNAME_MAX_LENGTH = 50;
+
+// A comma-separated list from the environment
+function listSetting(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// Whether users may sign in with a password. PASSWORD_LOGIN=false leaves single sign-on only.
+function isPasswordLoginEnabled() {
+  return process.env.PASSWORD_LOGIN !== 'false';
+}
+
+// The single sign-on providers configured, for the sign-in screen: [{ id, name }]
+function getProviders() {
+  const providers = [];
+  if (oidc.isEnabled()) {
+    providers.push({ id: 'oidc', name: oidc.getConfig().name });
+  }
+  if (saml.isEnabled()) {
+    providers.push({ id: 'saml', name: saml.getConfig().name });
+  }
+  return providers;
+}
+
+// An error to show the user, who is sent back to the app with it
+function refused(message) {
+  return new HttpError(403, message);
+}
+
+// The role a user's groups give, or null when roles are not taken from the provider
+function getRole(groups) {
+  const adminGroups = listSetting('SSO_ADMIN_GROUPS');
+  if (adminGroups.length === 0) {
+    return null;
+  }
+  return groups.some(group => adminGroups.includes(group)) ? 'admin' : 'user';
+}
+
+// A username the app accepts (see accountFields in middleware/validation) made from the provider's
+// name for the user, and not taken by another account
+async function getFreeUsername(User, name) {
+  const base = String(name).replace(USERNAME_PATTERN, '-').slice(0, USERNAME_MAX_LENGTH).padEnd(3, '_');
+  if (!(await User.isNameTaken(base))) {
+    return base;
+  }
+  for (let n = 2; n < 100; n++) {
+    const candidate = `${base.slice(0, USERNAME_MAX_LENGTH - String(n).length - 1)}-${n}`;
+    if (!(await User.isNameTaken(candidate))) {
+      return candidate;
+    }
+  }
+  throw new Error(`No free username for ${base}`);
+}
+
+// Give a user the role their groups say, unless it would leave no admin
+async function syncRole(User, user, role) {
+  if (!role || user.role === role) {
+    return user;
+  }
+  if (user.role === 'admin' && (await User.count({ role: 'admin' })) === 1) {
+    logger.warn(`${user.username} is no longer in an admin group but stays admin, as the last admin`);
+    return user;
+  }
+
+  await User.update(user.id, { role });
+  logger.info(`${user.username} is now ${role === 'admin' ? 'an admin' : 'a regular user'}, as their groups say`);
+  return User.getById(user.id);
+}
+
+// The account of someone who signed in through provider ('oidc' or 'saml') as identity
+// ({ externalId, username, groups }), made or linked the first time
+async function resolveUser({ User }, provider, identity) {
+  const allowedGroups = listSetting('SSO_ALLOWED_GROUPS');
+  if (allowedGroups.length > 0 && !identity.groups.some(group => allowedGroups.includes(group))) {
+    throw refused('You are not in a group that may use this app');
+  }
+  const role = getRole(identity.groups);
+
+  const existing = await User.getByExternalId(provider, identity.externalId);
+  if (existing) {
+    return syncRole(User, existing, role);
+  }
+
+  // An account an admin made for them to sign in through this provider. An admin's account is not
+  // handed to whoever the provider names, as a password account never is.
+  if (process.env.SSO_AUTO_PROVISION === 'false') {
+    const account = await User.getUnlinked(provider, String(identity.username));
+    if (!account) {
+      throw refused('There is no account for you yet; ask an admin to make one');
+    }
+    if (account.role === 'admin') {
+      logger.warn(`Refused to link the admin account ${account.username} to a ${provider} sign-in`);
+      throw refused('Your account is an admin account; ask an admin to make it a regular one for your first sign-in');
+    }
+    const result = await User.link(account.id, provider, identity.externalId);
+    if (result.changes === 0) {
+      throw refused('There is no account for you yet; ask an admin to make one');
+    }
+    logger.info(`${account.username} now signs in through ${provider}`);
+    return syncRole(User, await User.getById(account.id), role);
+  }
+
+  const firstAdmin = role === 'admin' && (await User.count({ role: 'admin' })) === 0;
+  const user = await User.create({
+    username: await getFreeUsername(User, identity.username),
+    role: role || 'user',
+    authProvider: provider,
+    externalId: identity.externalId
+  });
+  logger.info(`Account ${user.username} made for a ${provider} sign-in`);
+
+  // As with setting up with the setup token, the first admin gets what was made before accounts
+  if (firstAdmin) {
+    await User.claimUnowned(user.id);
+    accountSetup.finish();
+  }
+  return user;
+}
+
+module.exports = {
+  isPasswordLoginEnabled,
+  getProviders,
+  resolveUser
+};
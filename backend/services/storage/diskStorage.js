@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files kept in a directory on this server, one file per key
+class DiskStorage {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(key) {
+    // Keys are made from uuids; basename keeps anything else from escaping the directory
+    return path.join(this.directory, path.basename(key));
+  }
+
+  async save(key, buffer) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.filePath(key), buffer);
+  }
+
+  read(key) {
+    return fs.readFile(this.filePath(key));
+  }
+
+  // Removing a file that is already gone is not an error
+  async remove(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = DiskStorage;
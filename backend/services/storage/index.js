@@ -0,0 +1,34 @@
+const DiskStorage = require('./diskStorage');
+const S3Storage = require('./s3Storage');
+require('dotenv').config();
+
+// Where uploaded and generated files are kept: STORAGE_BACKEND=local (the default) keeps them in
+// directories on this server, STORAGE_BACKEND=s3 in an S3-compatible bucket.
+// Every backend has save(key, buffer, contentType), read(key) and remove(key); reading a missing
+// file rejects with an ENOENT-coded error.
+const BACKENDS = {
+  local: (namespace, { directory }) => new DiskStorage(directory),
+  s3: (namespace) => new S3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT || null,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!process.env.S3_ENDPOINT,
+    prefix: `${process.env.S3_PREFIX || ''}${namespace}/`
+  })
+};
+
+// A store for one kind of file. namespace separates them in a bucket; directory is
+// where the local backend keeps them.
+function createStorage(namespace, { directory }) {
+  const name = process.env.STORAGE_BACKEND || 'local';
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}"; use ${Object.keys(BACKENDS).join(' or ')}`);
+  }
+  return BACKENDS[name](namespace, { directory });
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+// axios's typings describe its default export as the callable instance
+const axios = require('axios').default;
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Sign a request with AWS Signature Version 4. headers must include host; the signed
+// headers (x-amz-date, x-amz-content-sha256 and authorization) are added to a copy of them.
+function signRequest({ method, url, headers, body, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const signed = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const signedHeaders = names.join(';');
+
+  const { pathname, searchParams } = new URL(url);
+  const canonicalQuery = [...searchParams.entries()]
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${values[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// Files kept as objects of an S3 bucket, or of any store with the same API (MinIO, Cloudflare R2,
+// Backblaze B2, ...) when endpoint is set. Keys are stored under prefix. Requests are signed here
+// rather than through an SDK, like the model providers' requests are made with axios.
+class S3Storage {
+  constructor({ bucket, region = 'us-east-1', endpoint = null, accessKeyId, secretAccessKey, forcePathStyle = !!endpoint, prefix = '' }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix;
+  }
+
+  objectUrl(key) {
+    const objectPath = `${this.prefix}${key}`.split('/').map(encodeURIComponent).join('/');
+    if (this.forcePathStyle) {
+      return `${this.endpoint}/${this.bucket}/${objectPath}`;
+    }
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${objectPath}`;
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} key
+   * @param {{ body?: Buffer, contentType?: string, responseType?: import('axios').ResponseType }} [options]
+   */
+  request(method, key, { body, contentType, responseType } = {}) {
+    const url = this.objectUrl(key);
+    const headers = { host: new URL(url).host };
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    return axios({
+      method,
+      url,
+      data: body,
+      responseType,
+      timeout: REQUEST_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      headers: signRequest({
+        method,
+        url,
+        headers,
+        body: body || '',
+        region: this.region,
+        accessKeyId: this.accessKeyId,
+        secretAccessKey: this.secretAccessKey
+      })
+    });
+  }
+
+  async save(key, buffer, contentType = 'application/octet-stream') {
+    await this.request('PUT', key, { body: buffer, contentType });
+  }
+
+  // Rejects with an ENOENT-coded error for a missing object, like reading a missing file does
+  async read(key) {
+    try {
+      const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw Object.assign(new Error(`Object ${key} not found`), { code: 'ENOENT' });
+      }
+      throw error;
+    }
+  }
+
+  // S3 answers deletes of missing objects with success too
+  async remove(key) {
+    try {
+      await this.request('DELETE', key);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,58 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Tokenizers are built on first use; each one loads a few MB of ranks
+const encoders = {};
+
+const RANKS = {
+  cl100k_base: 'js-tiktoken/ranks/cl100k_base',
+  o200k_base: 'js-tiktoken/ranks/o200k_base'
+};
+
+// Tokens added per message for its role and delimiters, and once to prime the reply
+// (the figures OpenAI documents for its chat models)
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+// Images are not tokenized as text. Both OpenAI and Anthropic bill a large image at up to about
+// 1,600 tokens, so each one is budgeted at that.
+const TOKENS_PER_IMAGE = 1600;
+
+function getEncoder(encoding) {
+  if (!RANKS[encoding]) {
+    throw new Error(`Unknown token encoding: ${encoding}`);
+  }
+  if (!encoders[encoding]) {
+    encoders[encoding] = new Tiktoken(require(RANKS[encoding]));
+  }
+  return encoders[encoding];
+}
+
+function countTokens(text, encoding = 'cl100k_base') {
+  if (!text) {
+    return 0;
+  }
+  return getEncoder(encoding).encode(text).length;
+}
+
+// Tokens of a message's content: a string, or content parts ({ type: 'text', text } or { type: 'image', ... })
+function countContentTokens(content, encoding) {
+  if (!Array.isArray(content)) {
+    return countTokens(content, encoding);
+  }
+  return content.reduce(
+    (total, part) => total + (part.type === 'image' ? TOKENS_PER_IMAGE : countTokens(part.text, encoding)),
+    0
+  );
+}
+
+// Tokens a chat request with these messages uses before the reply
+function countMessageTokens(messages, encoding = 'cl100k_base') {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countContentTokens(message.content, encoding),
+    TOKENS_PER_REPLY
+  );
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens
+};
@@ -0,0 +1,184 @@
+// Arithmetic without eval: a small recursive-descent parser over numbers, + - * / % ^,
+// parentheses, the constants pi and e, and a fixed set of Math functions
+const MAX_EXPRESSION_LENGTH = 500;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+  let match;
+  let index = 0;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(index).trim()) break;
+      throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}"`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    } else {
+      tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+    }
+  }
+  return tokens;
+}
+
+function evaluate(expression) {
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expressions can be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      const right = parseTerm();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[position++].value;
+      const right = parseUnary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  // unary := ('+' | '-') unary | power; -2^2 is -(2^2)
+  const parseUnary = () => {
+    if (isOp('-')) {
+      position++;
+      return -parseUnary();
+    }
+    if (isOp('+')) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary ('^' unary)?, right-associative
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      position++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function '(' arguments ')' | '(' expression ')'
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        throw new Error(`Unknown name "${token.value}"`);
+      }
+      expect('(');
+      const args = [parseExpression()];
+      while (isOp(',')) {
+        position++;
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[token.value](...args);
+    }
+
+    if (isOp('(')) {
+      position++;
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('The result is not a finite number');
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+    'the constants pi and e, and the functions ' + Object.keys(FUNCTIONS).join(', ') +
+    ' (log is base 10, ln is natural, trigonometry uses radians).',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'The expression to evaluate, e.g. "(1.5 + 2) * sqrt(16)"' }
+    },
+    required: ['expression']
+  },
+  handler: async ({ expression }) => ({ expression, result: evaluate(expression) }),
+  evaluate
+};
@@ -0,0 +1,39 @@
+// Search the user's other conversations in this app, so the model can recall what was discussed before
+const searchIndex = require('../searchIndex');
+
+module.exports = {
+  name: 'search_conversations',
+  description: 'Search the user\'s past conversations in this app for messages containing all of the given words. ' +
+    'Use it when the user refers to something discussed in an earlier conversation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Words to look for, e.g. "database migration plan"' },
+      limit: { type: 'integer', description: 'Maximum number of messages to return (1-10, default 5)' }
+    },
+    required: ['query']
+  },
+  handler: async ({ query, limit = 5 }, { Message, session }) => {
+    const match = searchIndex.buildMatchQuery(query, { prefix: false });
+    // Only the conversations of the user the session belongs to
+    const userId = session?.user_id;
+    const rows = match && userId
+      ? await Message.search(match, {
+        userId,
+        excludeSessionId: session?.id,
+        limit: Math.min(Math.max(limit, 1), 10)
+      })
+      : [];
+
+    return {
+      query,
+      results: rows.map(row => ({
+        conversation: row.session_title || 'Untitled conversation',
+        conversation_id: row.session_id,
+        role: row.role,
+        date: row.timestamp,
+        excerpt: searchIndex.toText(searchIndex.toSegments(row.snippet))
+      }))
+    };
+  }
+};
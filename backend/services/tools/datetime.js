@@ -0,0 +1,42 @@
+// The current date and time, in the server's time zone or a given IANA one
+function resolveTimeZone(timezone) {
+  const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return zone;
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timezone}"; use an IANA name such as "Europe/Berlin"`);
+  }
+}
+
+module.exports = {
+  name: 'current_datetime',
+  description: 'Get the current date and time. Use it whenever the answer depends on today\'s date or the time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: { type: 'string', description: 'IANA time zone, e.g. "America/New_York"; the server\'s own when left out' }
+    }
+  },
+  handler: async ({ timezone }) => {
+    const zone = resolveTimeZone(timezone);
+    const now = new Date();
+
+    return {
+      timezone: zone,
+      local: now.toLocaleString('en-US', {
+        timeZone: zone,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        timeZoneName: 'short'
+      }),
+      iso: now.toISOString(),
+      unix: Math.floor(now.getTime() / 1000)
+    };
+  }
+};
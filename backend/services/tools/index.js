@@ -0,0 +1,123 @@
+const calculator = require('./calculator');
+const datetime = require('./datetime');
+const unitConversion = require('./unitConversion');
+const conversationSearch = require('./conversationSearch');
+const logger = require('../../config/logger');
+
+// A tool call that takes longer than this fails, so a stuck tool cannot hold up the reply
+const TOOL_TIMEOUT_MS = 10000;
+// Results are sent back to the model, so very long ones are cut short
+const MAX_RESULT_LENGTH = 8000;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean'
+};
+
+// Check arguments against a tool's parameters schema (an object of string, number, integer and
+// boolean properties). Returns an error message, or null when they are valid.
+function checkArguments(parameters, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'Arguments must be a JSON object';
+  }
+
+  const properties = parameters.properties || {};
+  const missing = (parameters.required || []).filter(name => args[name] === undefined);
+  if (missing.length > 0) {
+    return `Missing required argument${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`;
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = properties[name];
+    if (!property) {
+      return `Unknown argument: ${name}`;
+    }
+    if (TYPE_CHECKS[property.type] && !TYPE_CHECKS[property.type](value)) {
+      return `Argument ${name} must be ${property.type === 'integer' ? 'an' : 'a'} ${property.type}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `Argument ${name} must be one of: ${property.enum.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Tools the models can call while answering. A tool is { name, description, parameters, handler }:
+// parameters is the JSON schema of its arguments, and handler(args, context) resolves with a
+// JSON-serializable result. context is { Message, session }. Tools run on this server, so they
+// must only read what the user could see anyway and never change anything.
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool.name || !tool.description || !tool.parameters || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name, a description, parameters and a handler');
+    }
+    if (this.tools.has(tool.name)) {
+      logger.warn(`Tool "${tool.name}" is already registered; replacing it`);
+    }
+    this.tools.set(tool.name, tool);
+    return tool;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.tools.values());
+  }
+
+  // What the models are told about the tools: [{ name, description, parameters }]
+  definitions() {
+    return this.list().map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  // Run a tool call ({ id, name, arguments }, with arguments null when the model sent invalid JSON).
+  // Resolves with { content, isError }: the result as JSON, or the error for the model to correct.
+  async run(call, context) {
+    const tool = this.get(call.name);
+    if (!tool) {
+      return { content: `Unknown tool: ${call.name}`, isError: true };
+    }
+    if (call.arguments === null) {
+      return { content: 'The arguments were not valid JSON', isError: true };
+    }
+
+    const argumentError = checkArguments(tool.parameters, call.arguments);
+    if (argumentError) {
+      return { content: argumentError, isError: true };
+    }
+
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${call.name} took too long`)), TOOL_TIMEOUT_MS);
+      });
+      const result = await Promise.race([tool.handler(call.arguments, context), timeout]);
+
+      const content = JSON.stringify(result);
+      return {
+        content: content.length > MAX_RESULT_LENGTH ? `${content.slice(0, MAX_RESULT_LENGTH)}… (truncated)` : content,
+        isError: false
+      };
+    } catch (error) {
+      logger.warn(`Tool ${call.name} failed:`, error.message);
+      return { content: error.message, isError: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+const registry = new ToolRegistry();
+registry.register(calculator);
+registry.register(datetime);
+registry.register(unitConversion);
+registry.register(conversationSearch);
+
+module.exports = registry;
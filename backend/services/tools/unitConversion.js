@@ -0,0 +1,105 @@
+// Unit conversion between units of the same kind. Each unit is its size in the kind's base unit;
+// temperatures are converted through kelvin since their scales have different zeros.
+const UNITS = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852
+  },
+  mass: {
+    mg: 1e-6, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318
+  },
+  volume: {
+    ml: 0.001, cl: 0.01, dl: 0.1, l: 1, m3: 1000,
+    tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625, cup: 0.2365882365,
+    pt: 0.473176473, qt: 0.946352946, gal: 3.785411784
+  },
+  area: {
+    mm2: 1e-6, cm2: 1e-4, m2: 1, ha: 10000, km2: 1e6,
+    in2: 0.00064516, ft2: 0.09290304, yd2: 0.83612736, acre: 4046.8564224, mi2: 2589988.110336
+  },
+  speed: {
+    'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, knot: 0.514444, 'ft/s': 0.3048
+  },
+  time: {
+    ms: 0.001, s: 1, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600
+  },
+  data: {
+    b: 1, kb: 1000, mb: 1e6, gb: 1e9, tb: 1e12,
+    kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4
+  }
+};
+
+const TEMPERATURE = {
+  c: { toKelvin: (v) => v + 273.15, fromKelvin: (k) => k - 273.15 },
+  f: { toKelvin: (v) => (v - 32) * 5 / 9 + 273.15, fromKelvin: (k) => (k - 273.15) * 9 / 5 + 32 },
+  k: { toKelvin: (v) => v, fromKelvin: (k) => k }
+};
+
+// Spellings models commonly use, mapped to the keys above
+const ALIASES = {
+  millimeter: 'mm', millimeters: 'mm', centimeter: 'cm', centimeters: 'cm', meter: 'm', meters: 'm',
+  metre: 'm', metres: 'm', kilometer: 'km', kilometers: 'km', inch: 'in', inches: 'in', foot: 'ft',
+  feet: 'ft', yard: 'yd', yards: 'yd', mile: 'mi', miles: 'mi',
+  milligram: 'mg', milligrams: 'mg', gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg',
+  tonne: 't', tonnes: 't', ounce: 'oz', ounces: 'oz', pound: 'lb', pounds: 'lb', lbs: 'lb', stone: 'st',
+  milliliter: 'ml', milliliters: 'ml', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  teaspoon: 'tsp', teaspoons: 'tsp', tablespoon: 'tbsp', tablespoons: 'tbsp', cups: 'cup',
+  pint: 'pt', pints: 'pt', quart: 'qt', quarts: 'qt', gallon: 'gal', gallons: 'gal',
+  'fl oz': 'floz', hectare: 'ha', hectares: 'ha', acres: 'acre', kph: 'km/h', kmh: 'km/h',
+  knots: 'knot', kt: 'knot', second: 's', seconds: 's', sec: 's', minute: 'min', minutes: 'min',
+  hour: 'h', hours: 'h', hr: 'h', days: 'day', d: 'day', weeks: 'week', years: 'year', yr: 'year',
+  byte: 'b', bytes: 'b', celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+function normalizeUnit(unit) {
+  const key = String(unit).trim().toLowerCase();
+  return ALIASES[key] || key;
+}
+
+function isKnownUnit(key) {
+  return !!TEMPERATURE[key] || Object.values(UNITS).some(units => units[key] !== undefined);
+}
+
+function convert(value, from, to) {
+  const fromKey = normalizeUnit(from);
+  const toKey = normalizeUnit(to);
+
+  if (TEMPERATURE[fromKey] || TEMPERATURE[toKey]) {
+    if (!TEMPERATURE[fromKey] || !TEMPERATURE[toKey]) {
+      throw new Error(`Cannot convert ${from} to ${to}`);
+    }
+    return TEMPERATURE[toKey].fromKelvin(TEMPERATURE[fromKey].toKelvin(value));
+  }
+
+  const kind = Object.keys(UNITS).find(name => UNITS[name][fromKey] !== undefined);
+  if (!kind) {
+    throw new Error(`Unknown unit "${from}"`);
+  }
+  if (UNITS[kind][toKey] === undefined) {
+    throw new Error(isKnownUnit(toKey) ? `Cannot convert ${from} (${kind}) to ${to}` : `Unknown unit "${to}"`);
+  }
+  return value * UNITS[kind][fromKey] / UNITS[kind][toKey];
+}
+
+module.exports = {
+  name: 'convert_units',
+  description: 'Convert a value between units of length, mass, volume, area, speed, time, data size or temperature. ' +
+    'Known units: ' + [...Object.values(UNITS).flatMap(units => Object.keys(units)), 'c', 'f', 'k'].join(', ') + '.',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The value to convert' },
+      from: { type: 'string', description: 'The unit the value is in, e.g. "km" or "fahrenheit"' },
+      to: { type: 'string', description: 'The unit to convert to' }
+    },
+    required: ['value', 'from', 'to']
+  },
+  handler: async ({ value, from, to }) => ({
+    value,
+    from,
+    to,
+    result: Number(convert(value, from, to).toPrecision(12))
+  }),
+  convert
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const adminSession = require('../services/adminSession');
+
+const admin = { id: 'admin-1', role: 'admin', auth_provider: null };
+
+test('an admin session is valid for its admin in the sign-in it was unlocked in', () => {
+  const { token, expires_at: expiresAt } = adminSession.issue(admin, 'sign-in-token');
+
+  assert.strictEqual(adminSession.verify(token, admin, 'sign-in-token'), expiresAt);
+  assert.strictEqual(adminSession.verify(token, admin, 'another-sign-in'), null);
+  assert.strictEqual(adminSession.verify(token, { ...admin, id: 'admin-2' }, 'sign-in-token'), null);
+  assert.strictEqual(adminSession.verify(token, admin, null), null);
+  assert.strictEqual(adminSession.verify(null, admin, 'sign-in-token'), null);
+});
+
+test('an admin session expires after ADMIN_SESSION_MINUTES', (t) => {
+  const { token } = adminSession.issue(admin, 'sign-in-token');
+  const issuedAt = Date.now();
+
+  const now = t.mock.method(Date, 'now', () => issuedAt + 29 * 60 * 1000);
+  assert.ok(adminSession.verify(token, admin, 'sign-in-token'));
+  now.mock.mockImplementation(() => issuedAt + 31 * 60 * 1000);
+  assert.strictEqual(adminSession.verify(token, admin, 'sign-in-token'), null);
+});
+
+test('an admin session that was changed is refused', () => {
+  const { token } = adminSession.issue(admin, 'sign-in-token');
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const extended = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 60 * 60 * 1000 })).toString('base64url');
+
+  assert.strictEqual(adminSession.verify(`${extended}.${signature}`, admin, 'sign-in-token'), null);
+  assert.strictEqual(adminSession.verify(`${payload}.${signature.slice(1)}`, admin, 'sign-in-token'), null);
+  assert.strictEqual(adminSession.verify(payload, admin, 'sign-in-token'), null);
+});
+
+test('admins unlock with ADMIN_SECRET when it is set, otherwise as they sign in', (t) => {
+  const secret = process.env.ADMIN_SECRET;
+  t.after(() => {
+    if (secret === undefined) {
+      delete process.env.ADMIN_SECRET;
+    } else {
+      process.env.ADMIN_SECRET = secret;
+    }
+  });
+
+  delete process.env.ADMIN_SECRET;
+  assert.strictEqual(adminSession.getMethod(admin), 'password');
+  assert.strictEqual(adminSession.getMethod({ ...admin, auth_provider: 'oidc' }), 'sso');
+  assert.strictEqual(adminSession.getMethod({ ...admin, auth_provider: 'saml' }), null);
+  assert.strictEqual(adminSession.checkSecret(''), false);
+
+  process.env.ADMIN_SECRET = 'a-long-admin-secret';
+  assert.strictEqual(adminSession.getMethod({ ...admin, auth_provider: 'saml' }), 'secret');
+  assert.strictEqual(adminSession.checkSecret('a-long-admin-secret'), true);
+  assert.strictEqual(adminSession.checkSecret('a-long-admin-secreT'), false);
+  assert.strictEqual(adminSession.checkSecret(undefined), false);
+});
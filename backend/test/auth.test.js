@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const SqliteStore = require('../config/stores/sqliteStore');
+const { Migrator } = require('../config/migrator');
+const adminSession = require('../services/adminSession');
+const { authenticate } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const Settings = require('../models/Settings');
+const Persona = require('../models/Persona');
+const Attachment = require('../models/Attachment');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+
+// The signed-in part of the API as server.js puts it together, on a fresh in-memory database
+async function startApp(t) {
+  const store = new SqliteStore(':memory:');
+  await new Migrator(store).up();
+
+  const app = express();
+  app.use(express.json());
+  app.locals.models = {
+    Session: new Session(store),
+    Message: new Message(store),
+    Settings: new Settings(store),
+    Persona: new Persona(store),
+    Attachment: new Attachment(store),
+    Job: new Job(store),
+    User: new User(store),
+    AuthSession: new AuthSession(store)
+  };
+  app.use('/api', authenticate);
+  for (const routes of ['users', 'chat', 'personas', 'attachments', 'jobs']) {
+    app.use('/api', require(`../routes/${routes}`));
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await store.close();
+  });
+
+  const { models } = app.locals;
+  // A user with a sign-in token
+  const signUp = async (username, role = 'user') => {
+    const user = await models.User.create({ username, role });
+    return { user, token: (await models.AuthSession.create(user.id)).token };
+  };
+  /**
+   * @param {{ token?: string, cookie?: string, adminToken?: string, body?: object, fromApp?: boolean }} [options]
+   * @returns {Promise<{ status: number, body: any }>}
+   */
+  const call = async (method, path, options = {}) => {
+    const { token, cookie, adminToken, body, fromApp = false } = options;
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (cookie) headers.Cookie = `auth_token=${cookie}`;
+    if (adminToken) headers['X-Admin-Token'] = adminToken;
+    if (fromApp) headers['X-Requested-With'] = 'XMLHttpRequest';
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { models, signUp, call };
+}
+
+test('a request without a sign-in token is refused', async (t) => {
+  const { call } = await startApp(t);
+
+  assert.strictEqual((await call('GET', '/sessions')).status, 401);
+  assert.strictEqual((await call('GET', '/sessions', { token: 'not-a-token' })).status, 401);
+  assert.strictEqual((await call('GET', '/sessions', { cookie: 'not-a-token' })).status, 401);
+});
+
+test('a cookie sign-in changes things only with X-Requested-With; a Bearer one needs no header', async (t) => {
+  const { models, signUp, call } = await startApp(t);
+  const { user, token } = await signUp('alice');
+  const session = await models.Session.create('Chat', 'gpt-4', null, user.id);
+  const body = { temperature: 0.5 };
+
+  const refused = await call('PUT', `/sessions/${session.id}/params`, { cookie: token, body });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.error, 'Requests must be sent by the app');
+
+  assert.strictEqual((await call('PUT', `/sessions/${session.id}/params`, { cookie: token, body, fromApp: true })).status, 200);
+  assert.strictEqual((await call('GET', `/sessions/${session.id}`, { cookie: token })).status, 200);
+  assert.strictEqual((await call('PUT', `/sessions/${session.id}/params`, { token, body })).status, 200);
+});
+
+test('admin mode needs an admin session of the same admin and sign-in, before it expires', async (t) => {
+  const { models, signUp, call } = await startApp(t);
+  const { user: admin, token } = await signUp('root', 'admin');
+  const otherSignIn = (await models.AuthSession.create(admin.id)).token;
+  const { user, token: userToken } = await signUp('alice');
+  const adminToken = adminSession.issue(admin, token).token;
+
+  const created = await call('POST', '/users', { token, adminToken, body: { username: 'bob', password: 'password1' } });
+  assert.strictEqual(created.status, 201);
+  const listed = await call('GET', '/users', { token, adminToken });
+  assert.strictEqual(listed.status, 200);
+  assert.deepStrictEqual(listed.body.users.find(listedUser => listedUser.username === 'bob'), created.body.user);
+
+  const locked = await call('GET', '/users', { token });
+  assert.strictEqual(locked.status, 403);
+  assert.strictEqual(locked.body.adminLocked, true);
+  assert.strictEqual((await call('GET', '/users', { token: otherSignIn, adminToken })).body.adminLocked, true);
+  assert.strictEqual((await call('GET', '/users', { token, adminToken: `${adminToken}x` })).body.adminLocked, true);
+
+  // Not even with an admin session made for them does a regular user get in
+  const forUser = adminSession.issue(user, userToken).token;
+  const notAdmin = await call('GET', '/users', { token: userToken, adminToken: forUser });
+  assert.strictEqual(notAdmin.status, 403);
+  assert.strictEqual(notAdmin.body.error, 'Only admins can do this');
+
+  const later = Date.now() + 31 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.strictEqual((await call('GET', '/users', { token, adminToken })).body.adminLocked, true);
+});
+
+test('personas are changed only in admin mode', async (t) => {
+  const { models, signUp, call } = await startApp(t);
+  const { token: adminSignIn, user: admin } = await signUp('root', 'admin');
+  const { token } = await signUp('alice');
+  const persona = await models.Persona.create({ name: 'Helper', systemPrompt: 'Be helpful' });
+  const adminToken = adminSession.issue(admin, adminSignIn).token;
+  const body = { systemPrompt: 'Be rude' };
+
+  assert.strictEqual((await call('GET', `/personas/${persona.id}`, { token })).status, 200);
+  assert.strictEqual((await call('PUT', `/personas/${persona.id}`, { token, body })).status, 403);
+  assert.strictEqual((await call('DELETE', `/personas/${persona.id}`, { token })).status, 403);
+  assert.strictEqual((await call('POST', '/personas', { token, body: { name: 'Mine' } })).status, 403);
+  assert.strictEqual((await models.Persona.getById(persona.id)).system_prompt, 'Be helpful');
+
+  assert.strictEqual((await call('PUT', `/personas/${persona.id}`, { token: adminSignIn, adminToken, body })).status, 200);
+  assert.strictEqual((await models.Persona.getById(persona.id)).system_prompt, 'Be rude');
+});
+
+test("another user's session, messages, attachments and jobs are not found", async (t) => {
+  const { models, signUp, call } = await startApp(t);
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+
+  const session = await models.Session.create('Private', 'gpt-4', null, alice.user.id);
+  const message = await models.Message.create(session.id, 'A secret', 'user');
+  const attachment = await models.Attachment.create({ filename: 'notes.txt', mimeType: 'text/plain', kind: 'text', size: 5, userId: alice.user.id });
+  const job = await models.Job.create({ type: 'image', sessionId: session.id, messageId: message.id });
+
+  const requests = [
+    ['GET', `/sessions/${session.id}`],
+    ['GET', `/sessions/${session.id}/messages`],
+    ['GET', `/attachments/${attachment.id}`],
+    ['GET', `/jobs/${job.id}`]
+  ];
+  for (const [method, path] of requests) {
+    assert.strictEqual((await call(method, path, { token: alice.token })).status, 200, `${method} ${path} by its owner`);
+    assert.strictEqual((await call(method, path, { token: bob.token })).status, 404, `${method} ${path} by another user`);
+  }
+
+  const edit = await call('POST', `/messages/${message.id}/edit`, { token: bob.token, body: { message: 'Changed', model: 'gpt-4' } });
+  assert.strictEqual(edit.status, 404);
+  assert.strictEqual((await call('DELETE', `/sessions/${session.id}`, { token: bob.token })).status, 404);
+  assert.ok(await models.Session.getById(session.id));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../config/database');
+const SqliteStore = require('../config/stores/sqliteStore');
+const PostgresStore = require('../config/stores/postgresStore');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const copyDatabase = require('../scripts/copyDatabase');
+
+// An empty PostgreSQL database these tests may wipe (see postgresStore.test.js)
+const url = process.env.TEST_DATABASE_URL;
+const skip = !url && 'set TEST_DATABASE_URL to run the PostgreSQL tests';
+
+// A migrated SQLite database with a conversation in it
+async function makeSource(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'db-copy-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filename = path.join(directory, 'database.sqlite');
+
+  const source = new Database(new SqliteStore(filename));
+  await source.migrate();
+  const store = source.getDatabase();
+  const session = await new Session(store).create('Copied', 'gpt-4');
+  const question = await new Message(store).create(session.id, 'Hello', 'user');
+  await new Message(store).create(session.id, 'Hi there', 'assistant', 'gpt-4', 3, 'text', null, { parentId: question.id });
+  await source.close();
+  return { filename, session };
+}
+
+async function emptyTarget() {
+  const store = new PostgresStore(url);
+  await store.exec('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+  await store.close();
+}
+
+test('db:copy copies a SQLite database into PostgreSQL', { skip }, async (t) => {
+  const { filename, session } = await makeSource(t);
+  await emptyTarget();
+
+  await copyDatabase(['--from', filename, '--to', url]);
+
+  const target = new PostgresStore(url);
+  t.after(() => target.close());
+  const messages = await new Message(target).getBySessionId(session.id);
+  assert.strictEqual((await new Session(target).getById(session.id)).title, 'Copied');
+  assert.deepStrictEqual(messages.map(message => message.content), ['Hello', 'Hi there']);
+
+  // New rows are numbered after the copied ones
+  await new Message(target).create(session.id, 'And again', 'user');
+  const { max } = await target.get('SELECT MAX(rowid) AS max FROM messages');
+  assert.strictEqual(max, 3);
+});
+
+test('db:copy refuses to copy into a database with data', { skip }, async (t) => {
+  const { filename } = await makeSource(t);
+  await emptyTarget();
+
+  await copyDatabase(['--from', filename, '--to', url]);
+  await assert.rejects(copyDatabase(['--from', filename, '--to', url]), /already has data in sessions \(1\)/);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const generationParams = require('../services/generationParams');
+
+test('normalizeParams parses stored strings and drops unset values', () => {
+  assert.deepStrictEqual(
+    generationParams.normalizeParams({ temperature: '0', max_tokens: '256', top_p: '', stop: '["END"]' }),
+    { temperature: 0, max_tokens: 256, stop: ['END'] }
+  );
+});
+
+// Sessions and personas without parameters of their own store null
+test('normalizeParams accepts null', () => {
+  assert.deepStrictEqual(generationParams.normalizeParams(null), {});
+});
+
+test('resolveGenerationParams lets the request override the session, persona and settings', () => {
+  const { settings, params } = generationParams.resolveGenerationParams({
+    request: { temperature: 0.2 },
+    session: null,
+    persona: null,
+    settings: { temperature: '1', max_tokens: '1000' }
+  });
+  assert.deepStrictEqual(params, { temperature: 0.2, max_tokens: 1000 });
+  assert.deepStrictEqual(settings, { temperature: 0.2, max_tokens: 1000 });
+});
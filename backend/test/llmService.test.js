@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LLMService = require('../services/llmService');
+const { createApiError } = require('../services/providers/streamUtils');
+
+const settings = { llm_max_retries: '2', llm_retry_delay_ms: '0' };
+
+test('withRetries tries again after errors the provider may not repeat', async () => {
+  let attempts = 0;
+  const reply = await new LLMService().withRetries(async () => {
+    attempts++;
+    if (attempts === 1) {
+      throw createApiError('Overloaded', null, 529);
+    }
+    return { content: 'Hello' };
+  }, settings);
+
+  assert.deepStrictEqual(reply, { content: 'Hello' });
+  assert.strictEqual(attempts, 2);
+});
+
+test('withRetries does not try again after other errors', async () => {
+  let attempts = 0;
+  await assert.rejects(new LLMService().withRetries(async () => {
+    attempts++;
+    throw createApiError('Invalid API key', null, 401);
+  }, settings), /Invalid API key/);
+  assert.strictEqual(attempts, 1);
+});
+
+test('withRetries does not send a request that timed out again', async (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+
+  let attempts = 0;
+  await assert.rejects(new LLMService().withRetries(async () => {
+    attempts++;
+    now += 120000;
+    throw createApiError('timeout of 120000ms exceeded', Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+  }, settings), /timeout/);
+  assert.strictEqual(attempts, 1);
+});
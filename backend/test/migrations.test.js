@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStore = require('../config/stores/sqliteStore');
+const { Migrator, SchemaVersionError, loadMigrations } = require('../config/migrator');
+const migrate = require('../scripts/migrate');
+
+const versions = loadMigrations().map(migration => migration.version);
+
+// The schema databases had before versioned migrations (the app's first release)
+const baselineSchema = `
+  CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    title TEXT,
+    model_used TEXT
+  );
+  CREATE TABLE messages (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    model TEXT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    token_count INTEGER DEFAULT 0,
+    content_type TEXT DEFAULT 'text',
+    image_metadata TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  );
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE api_keys (
+    provider TEXT PRIMARY KEY,
+    key_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+function openStore(t) {
+  const store = new SqliteStore(':memory:');
+  t.after(() => store.close());
+  return store;
+}
+
+async function tableNames(store) {
+  const rows = await store.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  return rows.map(row => row.name);
+}
+
+test('up creates the schema of an empty database', async (t) => {
+  const store = openStore(t);
+  const migrator = new Migrator(store);
+
+  const applied = await migrator.up();
+
+  assert.deepStrictEqual(applied.map(migration => migration.version), versions);
+  assert.ok((await migrator.status()).every(migration => migration.applied_at && migration.known));
+  const tables = await tableNames(store);
+  for (const table of ['sessions', 'messages', 'documents', 'jobs', 'users', 'auth_sessions', 'sso_requests']) {
+    assert.ok(tables.includes(table), `${table} is created`);
+  }
+  assert.deepStrictEqual(await store.get("SELECT value FROM settings WHERE key = 'retrieval_top_k'"), { value: '4' });
+});
+
+test('up brings a database of the baseline schema up to date and keeps its data', async (t) => {
+  const store = openStore(t);
+  await store.exec(baselineSchema);
+  await store.run("INSERT INTO sessions (id, title, model_used) VALUES ('s1', 'Old chat', 'gpt-4')");
+  await store.run("INSERT INTO messages (id, session_id, content, role, timestamp) VALUES ('m1', 's1', 'Hello', 'user', '2024-01-01 10:00:00')");
+  await store.run("INSERT INTO messages (id, session_id, content, role, model, timestamp) VALUES ('m2', 's1', 'Hi', 'assistant', 'gpt-4', '2024-01-01 10:00:05')");
+  await store.run("INSERT INTO settings (key, value) VALUES ('max_tokens', '500')");
+
+  const applied = await new Migrator(store).up();
+
+  assert.deepStrictEqual(applied.map(migration => migration.version), versions);
+  assert.deepStrictEqual(await store.get("SELECT title FROM sessions WHERE id = 's1'"), { title: 'Old chat' });
+  // The messages are chained into a branch, oldest first
+  const messages = await store.all('SELECT id, parent_id, status FROM messages ORDER BY timestamp');
+  assert.deepStrictEqual(messages, [
+    { id: 'm1', parent_id: null, status: 'complete' },
+    { id: 'm2', parent_id: 'm1', status: 'complete' }
+  ]);
+  // Changed settings are kept and missing ones added
+  assert.deepStrictEqual(await store.get("SELECT value FROM settings WHERE key = 'max_tokens'"), { value: '500' });
+  assert.deepStrictEqual(await store.get("SELECT value FROM settings WHERE key = 'temperature'"), { value: '0.7' });
+  // Conversations from before accounts belong to nobody until the first admin claims them
+  assert.deepStrictEqual(await store.get("SELECT user_id FROM sessions WHERE id = 's1'"), { user_id: null });
+});
+
+test('down undoes migrations and up applies them again', async (t) => {
+  const store = openStore(t);
+  const migrator = new Migrator(store);
+  await migrator.up();
+
+  const latest = await migrator.down();
+  assert.deepStrictEqual(latest.map(migration => migration.version), [versions[versions.length - 1]]);
+  const undone = await migrator.down({ to: 0 });
+  assert.deepStrictEqual(undone.map(migration => migration.version), versions.slice(0, -1).reverse());
+  assert.deepStrictEqual(await tableNames(store), ['schema_migrations']);
+
+  const applied = await migrator.up();
+  assert.deepStrictEqual(applied.map(migration => migration.version), versions);
+  assert.ok((await tableNames(store)).includes('users'));
+});
+
+test('running up again changes nothing', async (t) => {
+  const store = openStore(t);
+  const migrator = new Migrator(store);
+  await migrator.up();
+  const status = await migrator.status();
+
+  assert.deepStrictEqual(await migrator.up(), []);
+  assert.deepStrictEqual(await migrator.status(), status);
+});
+
+test('a database migrated by a newer version of the app is refused', async (t) => {
+  const store = openStore(t);
+  const migrator = new Migrator(store);
+  await migrator.up();
+  await store.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+
+  await assert.rejects(migrator.up(), SchemaVersionError);
+  await assert.rejects(migrator.down(), SchemaVersionError);
+});
+
+test('the migrate command applies, lists and undoes migrations', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filename = path.join(directory, 'database.sqlite');
+  const environment = { ...process.env };
+  process.env.DATABASE_PATH = filename;
+  delete process.env.DATABASE_URL;
+  t.after(() => { process.env = environment; });
+  const log = t.mock.method(console, 'log', () => {});
+
+  await migrate([]);
+  await migrate(['down', '--to', '3']);
+  log.mock.resetCalls();
+  await migrate(['status']);
+
+  const lines = log.mock.calls.map(call => call.arguments.join(' '));
+  assert.ok(lines.includes('2 pending; run npm run migrate to apply them'), lines.join('\n'));
+  await assert.rejects(migrate(['sideways']), /Unknown command/);
+  await assert.rejects(migrate(['down', '--to', 'x']), /--to needs a migration number/);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const oidc = require('../services/oidc');
+const createMockOidcProvider = require('../scripts/mockOidcProvider');
+
+const keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = 'test-key';
+const clientId = 'ai-chat';
+const nonce = 'the-nonce';
+const environment = { ...process.env };
+const server = http.createServer();
+let issuer;
+
+// The mock provider, signing with keyPair, as the configured identity provider
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+  issuer = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`;
+  server.on('request', createMockOidcProvider({ issuer, clientId, keyPair, kid }));
+
+  Object.assign(process.env, {
+    OIDC_ISSUER: issuer,
+    OIDC_CLIENT_ID: clientId,
+    OIDC_CLIENT_SECRET: 'mock-secret',
+    OIDC_REDIRECT_URI: 'http://localhost:3000/api/auth/oidc/callback'
+  });
+  oidc.reset();
+});
+
+test.after(async () => {
+  process.env = environment;
+  oidc.reset();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// A JWT of claims, signed as the provider signs them unless the header or key say otherwise
+function signJwt(claims, { header = {}, privateKey = keyPair.privateKey } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid, ...header })}.${encode(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+// The claims of an ID token for this client and sign-in, changed by changes
+function idToken(changes = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { iss: issuer, sub: 'user-1', aud: clientId, iat: now, exp: now + 300, nonce, ...changes };
+}
+
+test('a sign-in at the provider is completed with the user it names', async () => {
+  const { nonce: requestNonce, codeVerifier } = oidc.createRequestSecrets();
+  const authorizationUrl = new URL(await oidc.getAuthorizationUrl({ state: 'the-state', nonce: requestNonce, codeVerifier }));
+  assert.strictEqual(authorizationUrl.origin, issuer);
+
+  // The sign-in form, filled in
+  const form = new URLSearchParams({ username: 'alice', groups: 'admins, staff' });
+  for (const name of ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']) {
+    form.set(name, authorizationUrl.searchParams.get(name));
+  }
+  const response = await fetch(`${issuer}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  assert.strictEqual(callback.searchParams.get('state'), 'the-state');
+
+  const identity = await oidc.completeSignIn(callback.searchParams.get('code'), { code_verifier: codeVerifier, nonce: requestNonce });
+  assert.strictEqual(identity.username, 'alice');
+  assert.deepStrictEqual(identity.groups, ['admins', 'staff']);
+  assert.ok(identity.externalId);
+});
+
+test('an ID token signed by the provider for this sign-in is accepted', async () => {
+  const claims = idToken();
+
+  assert.deepStrictEqual(await oidc.verifyIdToken(signJwt(claims), { nonce }), claims);
+  const forSeveral = idToken({ aud: [clientId, 'other-client'], azp: clientId });
+  assert.deepStrictEqual(await oidc.verifyIdToken(signJwt(forSeveral), { nonce }), forSeveral);
+});
+
+test('an ID token with a bad signature is refused', async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken(), { privateKey }), { nonce }), /signature is not valid/);
+
+  const [header, , signature] = signJwt(idToken()).split('.');
+  const changed = Buffer.from(JSON.stringify(idToken({ sub: 'admin' }))).toString('base64url');
+  await assert.rejects(oidc.verifyIdToken(`${header}.${changed}.${signature}`, { nonce }), /signature is not valid/);
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken(), { header: { kid: 'unknown-key' } }), { nonce }), /no signing key/);
+});
+
+test('an ID token from another issuer or for another client is refused', async () => {
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken({ iss: 'https://attacker.example' })), { nonce }), /another issuer/);
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken({ aud: 'other-client' })), { nonce }), /another client/);
+  const forAnotherParty = idToken({ aud: [clientId, 'other-client'], azp: 'other-client' });
+  await assert.rejects(oidc.verifyIdToken(signJwt(forAnotherParty), { nonce }), /another client/);
+});
+
+test('an expired ID token, or one for another sign-in, is refused', async () => {
+  const hourAgo = Math.floor(Date.now() / 1000) - 60 * 60;
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken({ iat: hourAgo - 300, exp: hourAgo })), { nonce }), /expired/);
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken({ exp: undefined })), { nonce }), /expired/);
+
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken()), { nonce: 'another-nonce' }), /not issued for this sign-in/);
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken({ nonce: undefined })), { nonce }), /not issued for this sign-in/);
+});
+
+test('an ID token signed with an algorithm not accepted is refused', async () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode(idToken())}.`;
+  await assert.rejects(oidc.verifyIdToken(unsigned, { nonce }), /signed with none, which is not accepted/);
+
+  // The public key used as an HMAC secret
+  const input = `${encode({ alg: 'HS256', typ: 'JWT', kid })}.${encode(idToken())}`;
+  const secret = keyPair.publicKey.export({ type: 'spki', format: 'pem' });
+  const hmac = `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+  await assert.rejects(oidc.verifyIdToken(hmac, { nonce }), /signed with HS256, which is not accepted/);
+
+  // An accepted algorithm, but not of the provider's key
+  await assert.rejects(oidc.verifyIdToken(signJwt(idToken(), { header: { alg: 'ES256' } }), { nonce }), /no signing key/);
+});
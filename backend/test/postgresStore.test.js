@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('../config/database');
+const PostgresStore = require('../config/stores/postgresStore');
+
+// An empty PostgreSQL database these tests may wipe, e.g. postgres://localhost/chat_test
+const url = process.env.TEST_DATABASE_URL;
+const skip = !url && 'set TEST_DATABASE_URL to run the PostgreSQL tests';
+
+async function openStore(t) {
+  const store = new PostgresStore(url);
+  t.after(() => store.close());
+  await store.exec('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+  return store;
+}
+
+test('the migrations apply to PostgreSQL and are not applied twice', { skip }, async (t) => {
+  const store = await openStore(t);
+
+  const applied = await new Database(store).migrate();
+  assert.ok(applied.length > 0);
+  assert.deepStrictEqual(await new Database(store).migrate(), []);
+});
+
+test('statements take ? placeholders and read as they do from SQLite', { skip }, async (t) => {
+  const store = await openStore(t);
+  await store.exec('CREATE TABLE notes (id BIGSERIAL PRIMARY KEY, text TEXT, created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP)');
+
+  const { changes } = await store.run('INSERT INTO notes (text) VALUES (?), (?)', ['first', 'what?']);
+  const row = await store.get('SELECT id, text, created_at FROM notes WHERE text = ?', ['what?']);
+  const { count } = await store.get('SELECT COUNT(*) AS count FROM notes');
+
+  assert.strictEqual(changes, 2);
+  assert.strictEqual(row.id, 2);
+  assert.match(row.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  assert.strictEqual(count, 2);
+  assert.strictEqual(await store.get('SELECT text FROM notes WHERE text = ?', ['missing']), undefined);
+});
+
+test('a transaction is rolled back when its work rejects', { skip }, async (t) => {
+  const store = await openStore(t);
+  await store.exec('CREATE TABLE notes (text TEXT)');
+
+  await assert.rejects(store.transaction(async (db) => {
+    await db.run('INSERT INTO notes (text) VALUES (?)', ['dropped']);
+    await db.transaction(inner => inner.run('INSERT INTO notes (text) VALUES (?)', ['inner']));
+    throw new Error('Failed');
+  }), /Failed/);
+
+  assert.deepStrictEqual(await store.all('SELECT text FROM notes'), []);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SqliteStore = require('../config/stores/sqliteStore');
+const { Migrator } = require('../config/migrator');
+const { resolveUser } = require('../services/singleSignOn');
+const HttpError = require('../services/httpError');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// The models on a fresh in-memory database, with the single sign-on settings given for this test
+async function setUp(t, settings = {}) {
+  const environment = { ...process.env };
+  for (const name of ['SSO_ALLOWED_GROUPS', 'SSO_ADMIN_GROUPS', 'SSO_AUTO_PROVISION']) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, settings);
+
+  const store = new SqliteStore(':memory:');
+  await new Migrator(store).up();
+  t.after(async () => {
+    process.env = environment;
+    await store.close();
+  });
+  return { User: new User(store), Session: new Session(store) };
+}
+
+// Rejects as the user is to be told, with message
+async function assertRefused(promise, message) {
+  await assert.rejects(promise, error => error instanceof HttpError && error.status === 403 && message.test(error.message));
+}
+
+test('an account is made at the first sign-in and found again at the next', async (t) => {
+  const models = await setUp(t);
+  await models.User.create({ username: 'alice', passwordHash: 'hash' });
+
+  const user = await resolveUser(models, 'oidc', { externalId: 'sub-1', username: 'alice', groups: [] });
+  assert.strictEqual(user.username, 'alice-2');
+  assert.strictEqual(user.role, 'user');
+  assert.strictEqual(user.auth_provider, 'oidc');
+
+  const again = await resolveUser(models, 'oidc', { externalId: 'sub-1', username: 'renamed', groups: [] });
+  assert.strictEqual(again.id, user.id);
+  // The same id from another provider is someone else
+  const saml = await resolveUser(models, 'saml', { externalId: 'sub-1', username: 'Alice Smith', groups: [] });
+  assert.notStrictEqual(saml.id, user.id);
+  assert.strictEqual(saml.username, 'Alice-Smith');
+});
+
+test('SSO_ALLOWED_GROUPS lets in only their members', async (t) => {
+  const models = await setUp(t, { SSO_ALLOWED_GROUPS: 'staff, contractors' });
+
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-1', username: 'mallory', groups: ['guests'] }), /not in a group/);
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-2', username: 'nobody', groups: [] }), /not in a group/);
+  assert.strictEqual(await models.User.count(), 0);
+
+  const user = await resolveUser(models, 'oidc', { externalId: 'sub-3', username: 'bob', groups: ['contractors'] });
+  assert.strictEqual(user.username, 'bob');
+});
+
+test('with SSO_AUTO_PROVISION=false only a regular account made for the provider is linked', async (t) => {
+  const models = await setUp(t, { SSO_AUTO_PROVISION: 'false' });
+  await models.User.create({ username: 'carol', passwordHash: 'hash' });
+  const dave = await models.User.create({ username: 'Dave', authProvider: 'oidc' });
+  const erin = await models.User.create({ username: 'erin', role: 'admin', authProvider: 'oidc' });
+  await models.User.create({ username: 'frank', authProvider: 'saml' });
+
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-0', username: 'stranger', groups: [] }), /no account for you/);
+  // A password account, or one made for another provider, is not taken over
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-1', username: 'carol', groups: [] }), /no account for you/);
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-2', username: 'frank', groups: [] }), /no account for you/);
+  // Nor is an admin's
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-3', username: 'erin', groups: [] }), /admin account/);
+  assert.strictEqual(await models.User.getByExternalId('oidc', 'sub-3'), null);
+  assert.strictEqual((await models.User.getById(erin.id)).role, 'admin');
+
+  const linked = await resolveUser(models, 'oidc', { externalId: 'sub-4', username: 'dave', groups: [] });
+  assert.strictEqual(linked.id, dave.id);
+  assert.strictEqual((await models.User.getByExternalId('oidc', 'sub-4')).id, dave.id);
+  // Once linked, it is not linked to anyone else who gives its name
+  await assertRefused(resolveUser(models, 'oidc', { externalId: 'sub-5', username: 'dave', groups: [] }), /no account for you/);
+  assert.strictEqual(await models.User.count(), 4);
+});
+
+test('SSO_ADMIN_GROUPS sets the role at every sign-in but never removes the last admin', async (t) => {
+  const models = await setUp(t, { SSO_ADMIN_GROUPS: 'admins' });
+  const root = { externalId: 'sub-1', username: 'root', groups: ['admins'] };
+  const other = { externalId: 'sub-2', username: 'other', groups: [] };
+
+  assert.strictEqual((await resolveUser(models, 'oidc', root)).role, 'admin');
+  assert.strictEqual((await resolveUser(models, 'oidc', other)).role, 'user');
+
+  // Out of the admin group, the only admin stays one
+  assert.strictEqual((await resolveUser(models, 'oidc', { ...root, groups: [] })).role, 'admin');
+
+  assert.strictEqual((await resolveUser(models, 'oidc', { ...other, groups: ['admins'] })).role, 'admin');
+  assert.strictEqual((await resolveUser(models, 'oidc', { ...root, groups: [] })).role, 'user');
+  assert.strictEqual(await models.User.count({ role: 'admin' }), 1);
+});
+
+test('the first admin to sign in gets the conversations from before accounts', async (t) => {
+  const models = await setUp(t, { SSO_ADMIN_GROUPS: 'admins' });
+  const unowned = await models.Session.create('From before accounts', 'gpt-4');
+
+  // Neither a regular user nor a later admin claims them
+  await resolveUser(models, 'oidc', { externalId: 'sub-1', username: 'alice', groups: [] });
+  assert.strictEqual((await models.Session.getById(unowned.id)).user_id, null);
+
+  const admin = await resolveUser(models, 'oidc', { externalId: 'sub-2', username: 'root', groups: ['admins'] });
+  assert.strictEqual((await models.Session.getById(unowned.id)).user_id, admin.id);
+
+  const later = await models.Session.create('Made without an owner later', 'gpt-4');
+  await resolveUser(models, 'oidc', { externalId: 'sub-3', username: 'second', groups: ['admins'] });
+  assert.strictEqual((await models.Session.getById(later.id)).user_id, null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SqliteStore = require('../config/stores/sqliteStore');
+
+async function openStore(t) {
+  const store = new SqliteStore(':memory:');
+  await store.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT)');
+  t.after(() => store.close());
+  return store;
+}
+
+async function texts(store) {
+  return (await store.all('SELECT text FROM notes ORDER BY id')).map(row => row.text);
+}
+
+test('a transaction is committed when its work resolves and rolled back when it rejects', async (t) => {
+  const store = await openStore(t);
+
+  const value = await store.transaction(async (db) => {
+    await db.run('INSERT INTO notes (text) VALUES (?)', ['kept']);
+    return 'done';
+  });
+  await assert.rejects(store.transaction(async (db) => {
+    await db.run('INSERT INTO notes (text) VALUES (?)', ['dropped']);
+    throw new Error('Failed');
+  }), /Failed/);
+
+  assert.strictEqual(value, 'done');
+  assert.deepStrictEqual(await texts(store), ['kept']);
+});
+
+test('statements made outside an open transaction are not part of it', async (t) => {
+  const store = await openStore(t);
+  let started, continueWork;
+  const open = new Promise(resolve => { started = resolve; });
+  const paused = new Promise(resolve => { continueWork = resolve; });
+
+  const transaction = store.transaction(async (db) => {
+    await db.run('INSERT INTO notes (text) VALUES (?)', ['rolled back']);
+    started();
+    await paused;
+    throw new Error('Failed');
+  });
+  // Made by another request while the transaction is open
+  await open;
+  const outside = store.run('INSERT INTO notes (text) VALUES (?)', ['outside']);
+  setImmediate(continueWork);
+
+  await assert.rejects(transaction, /Failed/);
+  await outside;
+  assert.deepStrictEqual(await texts(store), ['outside']);
+});
+
+test('transactions take turns, and those started within one join it', async (t) => {
+  const store = await openStore(t);
+
+  await Promise.all(['first', 'second'].map(text => store.transaction(async (db) => {
+    await db.run('INSERT INTO notes (text) VALUES (?)', [text]);
+    await db.transaction(inner => inner.run('INSERT INTO notes (text) VALUES (?)', [`${text}, inner`]));
+  })));
+
+  assert.deepStrictEqual(await texts(store), ['first', 'first, inner', 'second', 'second, inner']);
+});
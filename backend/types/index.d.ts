@@ -7,6 +7,14 @@ export interface ChatMessage {
   sessionId?: string;
   temperature?: number;
   maxTokens?: number;
+  topP?: number;
+  stop?: string[];
+  presencePenalty?: number;
+  frequencyPenalty?: number;
+  requestId?: string;
+  personaId?: string;
+  // Files uploaded with POST /api/attachments
+  attachmentIds?: string[];
   timestamp: string;
 }
 
@@ -17,12 +25,314 @@ export interface Session {
   created_at: string;
   updated_at: string;
   message_count: number;
+  generation_params?: GenerationParams | null;
+  persona_id?: string | null;
+  // Last message of the branch the conversation is showing
+  active_message_id?: string | null;
+  // Whether older messages are summarized once the conversation nears the context window
+  summarize_history?: boolean;
+  // The user whose conversation it is; null only for conversations from before there were accounts
+  user_id?: string | null;
+}
+
+// Summary sent in place of a session's earliest messages
+export interface SessionMemory {
+  session_id: string;
+  summary: string;
+  // Last message the summary covers
+  covered_message_id: string;
+  model: string;
+  created_at: string;
+  updated_at: string;
+}
+
+// A stored message. Messages form a tree: edits and regenerated replies are siblings.
+export interface StoredMessage {
+  id: string;
+  session_id: string;
+  parent_id: string | null;
+  content: string;
+  role: 'user' | 'assistant';
+  model: string | null;
+  token_count: number;
+  // 'tool_call' and 'tool_result' messages are the tool steps of the reply that follows them
+  content_type: 'text' | 'image' | 'tool_call' | 'tool_result';
+  // 'pending' while a background job makes an image reply, 'failed' if it could not
+  status: 'complete' | 'interrupted' | 'pending' | 'failed';
+  generation_params: GenerationParams | null;
+  timestamp: string;
+  // Ids of this message and its alternatives, oldest first (returned with a branch)
+  sibling_ids?: string[];
+  attachments?: Attachment[];
+  // Document passages the reply was given, numbered as the model was asked to cite them
+  citations: Citation[] | null;
+  tool_data: ToolCallData | ToolResultData | null;
+  image_metadata: ImageMetadata | null;
+  // Set when a fallback model answered in place of the one asked (model is the one that answered)
+  fallback: FallbackInfo | null;
+}
+
+// A message sent to several models at once (compare mode), and the reply picked to continue with
+export interface Comparison {
+  id: string;
+  session_id: string;
+  user_message_id: string;
+  entries: ComparisonEntry[];
+  winner_model: string | null;
+  winner_message_id: string | null;
+  created_at: string;
+  decided_at: string | null;
+}
+
+export interface ComparisonEntry {
+  // The model that answered
+  model: string;
+  // The reply, or null if the model failed
+  message_id: string | null;
+  latency_ms: number;
+  first_token_ms: number | null;
+  tokens: number;
+  error: string | null;
+}
+
+export interface FallbackInfo {
+  // The model that was asked
+  from: string;
+  // The error it failed with
+  reason: string;
+}
+
+// Part of a search result's text; match marks the words that matched the query
+export interface SearchSegment {
+  text: string;
+  match: boolean;
+}
+
+// GET /api/search
+export interface SearchResults {
+  query: string;
+  sessions: {
+    id: string;
+    title: string;
+    model_used: string | null;
+    created_at: string;
+    updated_at: string;
+    title_segments: SearchSegment[];
+  }[];
+  messages: {
+    id: string;
+    session_id: string;
+    session_title: string | null;
+    role: 'user' | 'assistant';
+    model: string | null;
+    timestamp: string;
+    // The passage around the matches
+    snippet: SearchSegment[];
+  }[];
+}
+
+// One generated image; media_id and thumbnail_url are missing if it could not be stored
+export interface GeneratedImage {
+  media_id?: string;
+  image_url: string;
+  thumbnail_url?: string;
+  width?: number;
+  height?: number;
+  revised_prompt?: string;
+}
+
+// The image an edit or variation was made from
+export interface ImageSource {
+  operation: 'edit' | 'variation';
+  message_id: string;
+  media_id: string;
+  // Transparent where the image was to be changed
+  mask_media_id?: string;
+}
+
+// The image shown by an image message, with the candidates it was chosen from
+export interface ImageMetadata extends GeneratedImage {
+  // null for variations
+  prompt: string | null;
+  count?: number;
+  // The background job that makes the images, and why it failed
+  job_id?: string;
+  error?: string;
+  candidates?: GeneratedImage[];
+  selected?: number;
+  source?: ImageSource;
+  size?: string;
+  quality?: string;
+  style?: string;
+}
+
+export interface ToolCall {
+  id: string;
+  name: string;
+  // null when the model sent arguments that were not a JSON object
+  arguments: Record<string, unknown> | null;
+}
+
+export interface ToolCallData {
+  calls: ToolCall[];
+}
+
+export interface ToolResultData {
+  call_id: string;
+  name: string;
+  is_error: boolean;
+}
+
+// A file sent with a message: images go to vision models as images, text files as text
+export interface Attachment {
+  id: string;
+  filename: string;
+  mime_type: string;
+  kind: 'image' | 'text';
+  size: number;
+  // Who uploaded it
+  user_id?: string | null;
+  created_at?: string;
+}
+
+// A generated image kept in media storage; see image_metadata.media_id of image messages
+export interface Media {
+  id: string;
+  session_id: string | null;
+  mime_type: string;
+  size: number;
+  width: number | null;
+  height: number | null;
+  has_thumbnail: 0 | 1;
+  created_at: string;
+}
+
+// Work done in the background, such as making the images of a pending reply (message_id).
+// Finished jobs come with that message from GET /api/jobs/:id.
+export interface Job {
+  id: string;
+  type: 'image';
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  progress: string | null;
+  error: string | null;
+  session_id: string | null;
+  message_id: string | null;
+  attempts: number;
+  created_at: string;
+  started_at: string | null;
+  finished_at: string | null;
+  message?: StoredMessage;
+}
+
+// A document added for retrieval: to a session, or to the knowledge base when session_id is null
+export interface Document {
+  id: string;
+  session_id: string | null;
+  filename: string;
+  mime_type: string;
+  size: number;
+  chunk_count: number;
+  created_at: string;
+}
+
+export interface Citation {
+  index: number;
+  chunk_id: number;
+  document_id: string;
+  filename: string;
+  position: number;
+  // Start of the passage, kept in case the document is deleted
+  excerpt: string;
+}
+
+// Context window usage of a session's shown branch, from GET /api/sessions/:id/context
+export interface ContextUsage {
+  model: string;
+  contextWindow: number | null;
+  promptTokens: number;
+  reservedTokens: number;
+  messageCount: number;
+  droppedCount: number;
+  fits: boolean;
+}
+
+export interface Persona {
+  id: string;
+  name: string;
+  system_prompt: string;
+  default_model: string | null;
+  generation_params: GenerationParams | null;
+  avatar: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface Template {
+  id: string;
+  name: string;
+  description: string | null;
+  content: string;
+  variables: string[];
+  created_at: string;
+  updated_at: string;
+}
+
+// Generation parameters as stored on sessions (defaults) and assistant messages (values used)
+export interface GenerationParams {
+  temperature?: number;
+  max_tokens?: number;
+  top_p?: number;
+  stop?: string[];
+  presence_penalty?: number;
+  frequency_penalty?: number;
 }
 
 export interface Settings {
   [key: string]: string | number | boolean;
 }
 
+// An account; the password hash is never sent
+export interface User {
+  id: string;
+  username: string;
+  role: 'admin' | 'user';
+  // The single sign-on provider the user signs in through, null for password users
+  auth_provider: 'oidc' | 'saml' | null;
+  created_at: string;
+  updated_at: string;
+  last_login_at: string | null;
+}
+
+// The answer to signing in. Browsers get the token as a cookie too; API clients send it as
+// Authorization: Bearer
+export interface SignIn {
+  user: User;
+  token: string;
+  expires_at: string;
+}
+
+// GET /api/admin/status
+export interface AdminStatus {
+  available: boolean;
+  unlocked: boolean;
+  expires_at: string | null;
+  method: 'secret' | 'password' | 'sso' | null;
+}
+
+// A single sign-on provider users can sign in with
+export interface SsoProvider {
+  id: 'oidc' | 'saml';
+  name: string;
+}
+
+// GET /api/auth/status
+export interface AuthStatus {
+  setupRequired: boolean;
+  user: User | null;
+  passwordLogin: boolean;
+  ssoProviders: SsoProvider[];
+}
+
 export interface ApiKeyInfo {
   provider: string;
   isSet: boolean;
@@ -35,6 +345,28 @@ export interface ValidationError {
   message: string;
 }
 
+// How a paged list continues. Pass next_cursor back as ?cursor= (sessions) or ?before= (messages)
+export interface Pagination {
+  limit: number;
+  // Every session, or every message of the branch shown
+  total: number;
+  has_more: boolean;
+  next_cursor: string | null;
+}
+
+// What middleware/auth adds to the requests it lets through
+declare global {
+  namespace Express {
+    interface Request {
+      // The signed-in user, and the sign-in token they sent
+      user?: User;
+      authToken?: string;
+      // When admin mode locks again, on requests that need it unlocked (see requireAdminSession)
+      adminExpiresAt?: string;
+    }
+  }
+}
+
 export interface ApiResponse<T = any> {
   data?: T;
   error?: string;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { ChatProvider } from './context/ChatContext';
+import { AuthProvider, useAuth } from './context/AuthContext';
 import { healthService } from './services/api';
 import toast from 'react-hot-toast';
 
@@ -9,8 +10,41 @@ import Layout from './components/Layout';
 import ChatInterface from './components/chat/ChatInterface';
 import ReportDashboard from './components/reports/ReportDashboard';
 import LoadingScreen from './components/common/LoadingScreen';
+import LoginScreen from './components/auth/LoginScreen';
 import ErrorBoundary from './components/common/ErrorBoundary';
 
+// The app for the signed-in user, otherwise the sign-in (or first setup) form. The chat state is
+// keyed by the user, so nothing of one user's conversations is left over for the next. The reports
+// are only there in admin mode.
+function AuthGate() {
+  const { status, user, adminUnlocked } = useAuth();
+
+  if (status === 'loading') {
+    return <LoadingScreen />;
+  }
+  if (status !== 'signedIn') {
+    return <LoginScreen />;
+  }
+
+  return (
+    <ChatProvider key={user.id}>
+      <Router>
+        <div className="App min-h-screen bg-gray-50">
+          <Layout>
+            <Routes>
+              <Route path="/" element={<ChatInterface />} />
+              <Route path="/chat" element={<ChatInterface />} />
+              <Route path="/chat/:sessionId" element={<ChatInterface />} />
+              {adminUnlocked && <Route path="/reports" element={<ReportDashboard />} />}
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </Layout>
+        </div>
+      </Router>
+    </ChatProvider>
+  );
+}
+
 function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [healthStatus, setHealthStatus] = useState(null);
@@ -42,21 +76,9 @@ function App() {
 
   return (
     <ErrorBoundary>
-      <ChatProvider>
-        <Router>
-          <div className="App min-h-screen bg-gray-50">
-            <Layout>
-              <Routes>
-                <Route path="/" element={<ChatInterface />} />
-                <Route path="/chat" element={<ChatInterface />} />
-                <Route path="/chat/:sessionId" element={<ChatInterface />} />
-                <Route path="/reports" element={<ReportDashboard />} />
-                <Route path="*" element={<Navigate to="/" replace />} />
-              </Routes>
-            </Layout>
-          </div>
-        </Router>
-      </ChatProvider>
+      <AuthProvider>
+        <AuthGate />
+      </AuthProvider>
     </ErrorBoundary>
   );
 }
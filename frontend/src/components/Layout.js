@@ -7,15 +7,23 @@ import {
   Menu, 
   X,
   Bot,
-  Plus
+  Plus,
+  LogOut,
+  UserCircle,
+  ShieldCheck,
+  ShieldOff
 } from 'lucide-react';
 import { useChat } from '../context/ChatContext';
+import { useAuth } from '../context/AuthContext';
 import SettingsModal from './settings/SettingsModal';
+import AdminUnlockDialog from './auth/AdminUnlockDialog';
 
 const Layout = ({ children }) => {
   const location = useLocation();
   const { actions } = useChat();
+  const { user, isAdmin, adminUnlocked, actions: authActions } = useAuth();
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isUnlockOpen, setIsUnlockOpen] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
   const navigation = [
@@ -25,12 +33,13 @@ const Layout = ({ children }) => {
       icon: MessageSquare,
       current: location.pathname === '/' || location.pathname.startsWith('/chat')
     },
-    {
+    // The reports cover everyone's conversations, so they wait for admin mode
+    ...(adminUnlocked ? [{
       name: 'Reports',
       href: '/reports',
       icon: BarChart3,
       current: location.pathname === '/reports'
-    }
+    }] : [])
   ];
 
   const handleNewChat = () => {
@@ -38,6 +47,18 @@ const Layout = ({ children }) => {
     setIsMobileMenuOpen(false);
   };
 
+  // Admins unlock admin mode for the settings, reports and accounts, and can lock it again
+  const handleAdminMode = () => {
+    setIsMobileMenuOpen(false);
+    if (adminUnlocked) {
+      authActions.lockAdmin();
+    } else {
+      setIsUnlockOpen(true);
+    }
+  };
+  const AdminIcon = adminUnlocked ? ShieldOff : ShieldCheck;
+  const adminLabel = adminUnlocked ? 'Lock Admin Mode' : 'Unlock Admin Mode';
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Desktop Sidebar */}
@@ -90,6 +111,28 @@ const Layout = ({ children }) => {
               <Settings className="mr-3 h-5 w-5 text-gray-400 group-hover:text-gray-500" />
               Settings
             </button>
+            {isAdmin && (
+              <button
+                onClick={handleAdminMode}
+                className="group w-full flex items-center px-2 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-50 hover:text-gray-900 transition-colors duration-200"
+              >
+                <AdminIcon className={`mr-3 h-5 w-5 ${adminUnlocked ? 'text-primary-500' : 'text-gray-400 group-hover:text-gray-500'}`} />
+                {adminLabel}
+              </button>
+            )}
+            <div className="mt-2 flex items-center justify-between px-2 py-2">
+              <div className="flex items-center min-w-0 text-sm text-gray-700">
+                <UserCircle className="mr-3 h-5 w-5 flex-shrink-0 text-gray-400" />
+                <span className="truncate">{user.username}</span>
+              </div>
+              <button
+                onClick={authActions.logout}
+                className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors duration-200"
+                title="Sign out"
+              >
+                <LogOut className="h-4 w-4" />
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -153,6 +196,22 @@ const Layout = ({ children }) => {
                   </Link>
                 );
               })}
+              {isAdmin && (
+                <button
+                  onClick={handleAdminMode}
+                  className="group w-full flex items-center px-3 py-2 text-base font-medium text-gray-700 rounded-lg hover:bg-gray-50 hover:text-gray-900 transition-colors duration-200"
+                >
+                  <AdminIcon className={`mr-4 h-6 w-6 ${adminUnlocked ? 'text-primary-500' : 'text-gray-400'}`} />
+                  {adminLabel}
+                </button>
+              )}
+              <button
+                onClick={authActions.logout}
+                className="group w-full flex items-center px-3 py-2 text-base font-medium text-gray-700 rounded-lg hover:bg-gray-50 hover:text-gray-900 transition-colors duration-200"
+              >
+                <LogOut className="mr-4 h-6 w-6 text-gray-400" />
+                Sign out ({user.username})
+              </button>
             </nav>
           </div>
         )}
@@ -170,6 +229,12 @@ const Layout = ({ children }) => {
         isOpen={isSettingsOpen}
         onClose={() => setIsSettingsOpen(false)}
       />
+
+      {/* Admin Mode */}
+      <AdminUnlockDialog
+        isOpen={isUnlockOpen}
+        onClose={() => setIsUnlockOpen(false)}
+      />
     </div>
   );
 };
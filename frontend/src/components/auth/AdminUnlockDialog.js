@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+import { X, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+// Asks an admin for the admin secret, or their password when the server has none, to unlock
+// admin mode. Admins of single sign-on sign in with their provider again instead (method 'sso');
+// without a method (SAML admins when there is no admin secret) it cannot be unlocked.
+const AdminUnlockDialog = ({ isOpen, onClose }) => {
+  const { admin, actions } = useAuth();
+  const [credential, setCredential] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const usesSecret = admin.method === 'secret';
+  const usesSso = admin.method === 'sso';
+  const usesCredential = usesSecret || admin.method === 'password';
+
+  useEffect(() => {
+    if (isOpen) {
+      setCredential('');
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    if (usesSso) {
+      actions.unlockAdminWithSso();
+      return;
+    }
+
+    try {
+      await actions.unlockAdmin(usesSecret ? { secret: credential } : { password: credential });
+      toast.success('Admin mode unlocked');
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to unlock admin mode');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex w-screen items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-sm w-full bg-white rounded-lg shadow-xl">
+          <form onSubmit={handleSubmit}>
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <Dialog.Title className="text-base font-semibold text-gray-900 flex items-center">
+                <ShieldCheck className="w-4 h-4 mr-2" />
+                Unlock Admin Mode
+              </Dialog.Title>
+              <button
+                type="button"
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600 p-1 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-2">
+              <p className="text-sm text-gray-600">
+                Settings, API keys, reports and user accounts can be changed in admin mode. It locks
+                again after a while.
+              </p>
+              {usesCredential && (
+                <>
+                  <label className="block text-sm font-medium text-gray-700 pt-2">
+                    {usesSecret ? 'Admin Secret' : 'Your Password'}
+                  </label>
+                  <input
+                    type="password"
+                    autoFocus
+                    value={credential}
+                    onChange={(e) => setCredential(e.target.value)}
+                    autoComplete={usesSecret ? 'off' : 'current-password'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </>
+              )}
+              {usesSso && (
+                <p className="text-sm text-gray-600">
+                  To unlock it, sign in with your identity provider again.
+                </p>
+              )}
+              {!usesCredential && !usesSso && (
+                <p className="text-sm text-amber-700">
+                  Admin mode cannot be unlocked for your account: the server needs an admin secret
+                  (ADMIN_SECRET) for admins who sign in through SAML.
+                </p>
+              )}
+            </div>
+
+            <div className="px-4 py-3 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+              >
+                Cancel
+              </button>
+              {(usesCredential || usesSso) && (
+                <button
+                  type="submit"
+                  disabled={(usesCredential && !credential) || unlocking}
+                  className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                >
+                  {unlocking ? 'Unlocking...' : usesSso ? 'Sign In Again' : 'Unlock'}
+                </button>
+              )}
+            </div>
+          </form>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default AdminUnlockDialog;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Bot, LogIn, KeyRound, Building2 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+// The sign-in form, or for a new installation the form that creates the first (admin) account
+// with the setup token from the server log; and a button for each single sign-on provider. Without
+// password sign-in (PASSWORD_LOGIN=false on the server) there are only the buttons.
+const LoginScreen = () => {
+  const { status, signInOptions, actions } = useAuth();
+  const { passwordLogin, ssoProviders } = signInOptions;
+  const isSetup = status === 'setup' && passwordLogin;
+  const [form, setForm] = useState({ setupToken: '', username: '', password: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.username.trim() || !form.password) {
+      toast.error('Please enter a username and password');
+      return;
+    }
+    if (isSetup && form.password !== form.confirmPassword) {
+      toast.error('The passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (isSetup) {
+        await actions.setup(form.setupToken.trim(), form.username.trim(), form.password);
+        toast.success('Admin account created');
+      } else {
+        await actions.login(form.username.trim(), form.password);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign in');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm">
+        <div className="text-center mb-6">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-primary-100 rounded-full mb-4">
+            <Bot className="w-8 h-8 text-primary-600" />
+          </div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">AI Chat Interface</h2>
+          <p className="text-gray-600">
+            {isSetup ? 'Create the admin account to get started' : 'Sign in to continue'}
+          </p>
+        </div>
+
+        {ssoProviders.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-3 mb-4">
+            {ssoProviders.map(provider => (
+              <button
+                key={provider.id}
+                type="button"
+                onClick={() => actions.loginWithSso(provider.id)}
+                className="w-full inline-flex items-center justify-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+              >
+                <Building2 className="w-4 h-4 mr-2" />
+                Sign in with {provider.name}
+              </button>
+            ))}
+            {isSetup && (
+              <p className="text-xs text-gray-500">
+                Members of the admin groups set on the server become admins when they sign in
+              </p>
+            )}
+          </div>
+        )}
+
+        {passwordLogin && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+            {isSetup && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Setup Token</label>
+                <input
+                  type="text"
+                  value={form.setupToken}
+                  onChange={(e) => updateField('setupToken', e.target.value)}
+                  autoComplete="off"
+                  className={inputClassName}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Printed in the server log when it starts without any accounts
+                </p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+              <input
+                type="text"
+                value={form.username}
+                onChange={(e) => updateField('username', e.target.value)}
+                autoComplete="username"
+                autoFocus={!isSetup}
+                className={inputClassName}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => updateField('password', e.target.value)}
+                autoComplete={isSetup ? 'new-password' : 'current-password'}
+                className={inputClassName}
+              />
+              {isSetup && (
+                <p className="text-xs text-gray-500 mt-1">At least 8 characters</p>
+              )}
+            </div>
+
+            {isSetup && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Confirm Password</label>
+                <input
+                  type="password"
+                  value={form.confirmPassword}
+                  onChange={(e) => updateField('confirmPassword', e.target.value)}
+                  autoComplete="new-password"
+                  className={inputClassName}
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full inline-flex items-center justify-center px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              {isSetup ? <KeyRound className="w-4 h-4 mr-2" /> : <LogIn className="w-4 h-4 mr-2" />}
+              {submitting ? 'Please wait...' : isSetup ? 'Create Admin Account' : 'Sign In'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
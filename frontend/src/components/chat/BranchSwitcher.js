@@ -0,0 +1,35 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// "2/3" with arrows to show the message's other versions (its sibling_ids).
+// Renders nothing when the message has no alternatives.
+const BranchSwitcher = ({ message, onSelectBranch, disabled = false }) => {
+  const siblingIds = message.sibling_ids || [];
+  const siblingIndex = siblingIds.indexOf(message.id);
+
+  if (siblingIds.length <= 1 || siblingIndex === -1) return null;
+
+  return (
+    <span className="inline-flex items-center">
+      <button
+        onClick={() => onSelectBranch(siblingIds[siblingIndex - 1])}
+        disabled={siblingIndex === 0 || disabled}
+        className="p-0.5 rounded hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent"
+        title="Previous version"
+      >
+        <ChevronLeft className="w-3 h-3" />
+      </button>
+      <span className="tabular-nums">{siblingIndex + 1}/{siblingIds.length}</span>
+      <button
+        onClick={() => onSelectBranch(siblingIds[siblingIndex + 1])}
+        disabled={siblingIndex === siblingIds.length - 1 || disabled}
+        className="p-0.5 rounded hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent"
+        title="Next version"
+      >
+        <ChevronRight className="w-3 h-3" />
+      </button>
+    </span>
+  );
+};
+
+export default BranchSwitcher;
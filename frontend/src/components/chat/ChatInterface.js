@@ -1,19 +1,36 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { useChat } from '../../context/ChatContext';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
 import ModelSelector from './ModelSelector';
+import ImageCountSelector from './ImageCountSelector';
+import GenerationParamsPanel from './GenerationParamsPanel';
+import ComparePanel from './ComparePanel';
+import PersonaSelector from './PersonaSelector';
+import PersonaAvatar from '../common/PersonaAvatar';
 import SessionList from './SessionList';
+import ContextMeter from './ContextMeter';
+import SessionMemoryDialog from './SessionMemoryDialog';
+import DocumentsDialog from './DocumentsDialog';
 import LoadingIndicator from './LoadingIndicator';
 import ErrorAlert from '../common/ErrorAlert';
-import { Sidebar, MessageSquare } from 'lucide-react';
+import { Sidebar, MessageSquare, SlidersHorizontal, Brain, BookOpen, Columns } from 'lucide-react';
 
 const ChatInterface = () => {
   const { sessionId } = useParams();
   const { state, actions } = useChat();
   const [showSessions, setShowSessions] = useState(false);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showMemory, setShowMemory] = useState(false);
+  const [showDocuments, setShowDocuments] = useState(false);
   const messagesEndRef = useRef(null);
+  // A message opened from search is scrolled to instead of the end of the conversation
+  const focusedMessageIdRef = useRef(state.focusedMessageId);
+  focusedMessageIdRef.current = state.focusedMessageId;
+  const clearFocusedMessageRef = useRef(actions.clearFocusedMessage);
+  clearFocusedMessageRef.current = actions.clearFocusedMessage;
 
   // Load specific session if sessionId is provided
   useEffect(() => {
@@ -22,25 +39,89 @@ const ChatInterface = () => {
     }
   }, [sessionId, state.currentSession?.id, actions]);
 
-  // Auto scroll to bottom when new messages arrive
+  // Auto scroll to bottom when new messages arrive (not when older ones are loaded above them).
+  // A conversation that was just opened jumps straight to its end, before older messages are
+  // loaded because its start is in view.
+  const lastMessage = state.messages[state.messages.length - 1];
+  const scrolledSessionIdRef = useRef(null);
+  const currentSessionId = state.currentSession?.id || null;
   useEffect(() => {
-    scrollToBottom();
-  }, [state.messages]);
+    if (!focusedMessageIdRef.current) {
+      scrollToBottom(scrolledSessionIdRef.current === currentSessionId ? 'smooth' : 'auto');
+    }
+    scrolledSessionIdRef.current = currentSessionId;
+  }, [lastMessage, currentSessionId, state.comparison?.id]);
+
+  // Bring the focused message into view; its highlight fades after a few seconds
+  useEffect(() => {
+    if (!state.focusedMessageId) return undefined;
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById(`message-${state.focusedMessageId}`)?.scrollIntoView({ block: 'center' });
+    const timer = setTimeout(() => clearFocusedMessageRef.current(), 4000);
+    return () => clearTimeout(timer);
+  }, [state.focusedMessageId, state.messages]);
+
+  const scrollToBottom = (behavior = 'smooth') => {
+    messagesEndRef.current?.scrollIntoView({ behavior });
   };
 
-  const handleSendMessage = async (message) => {
+  const handleSendMessage = async (message, attachments = []) => {
     try {
-      await actions.sendMessage(message, sessionId);
+      await actions.sendMessage(message, sessionId, attachments);
     } catch (error) {
       console.error('Failed to send message:', error);
     }
   };
 
+  const handleEditMessage = async (messageId, content) => {
+    try {
+      await actions.editMessage(messageId, content);
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+    }
+  };
+
+  const handleRegenerate = async (messageId) => {
+    try {
+      await actions.regenerateMessage(messageId);
+    } catch (error) {
+      console.error('Failed to regenerate message:', error);
+    }
+  };
+
+  const handleEditImage = async (messageId, prompt, mask) => {
+    try {
+      await actions.editImage(messageId, prompt, mask);
+    } catch (error) {
+      console.error('Failed to edit image:', error);
+    }
+  };
+
+  const handleImageVariations = async (messageId) => {
+    try {
+      await actions.createImageVariations(messageId);
+    } catch (error) {
+      console.error('Failed to make image variations:', error);
+    }
+  };
+
+  const closeMemory = useCallback(() => setShowMemory(false), []);
+  const closeDocuments = useCallback(() => setShowDocuments(false), []);
+
   const isLoading = state.isLoading && !state.currentSession;
+  const hasCustomParams = Object.keys(state.generationParams).length > 0;
+  const selectedPersona = state.personas.find(p => p.id === state.selectedPersonaId);
   const isEmpty = !state.messages.length && !state.isTyping;
+  const canEditImages = state.availableModels.some(m => m.imageEdit);
+  const canVaryImages = state.availableModels.some(m => m.imageVariation);
+  const isComparing = state.compareModels.length >= 2;
+  // A finished comparison waits for a reply to be picked before the conversation goes on
+  const awaitingPick = !!state.comparison && !state.isTyping;
+  const inputPlaceholder = awaitingPick
+    ? 'Pick a reply to continue the conversation...'
+    : isComparing
+      ? `Message ${state.compareModels.length} models...`
+      : `Message ${state.selectedModel}...`;
 
   return (
     <div className="flex h-screen bg-white">
@@ -87,10 +168,29 @@ const ChatInterface = () => {
                   <span className="text-sm text-gray-600 truncate max-w-48">
                     {state.currentSession.title || 'New Conversation'}
                   </span>
+                  <button
+                    onClick={() => setShowMemory(true)}
+                    title="Conversation memory"
+                    className={`ml-2 p-1 rounded-md hover:bg-gray-100 transition-colors duration-200 ${
+                      state.currentSession.summarize_history ? 'text-primary-600' : 'text-gray-400 hover:text-gray-500'
+                    }`}
+                  >
+                    <Brain className="h-4 w-4" />
+                  </button>
                 </div>
               )}
+
+              <button
+                onClick={() => setShowDocuments(true)}
+                title="Documents"
+                className="p-1 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 transition-colors duration-200"
+              >
+                <BookOpen className="h-4 w-4" />
+              </button>
             </div>
 
+            <ContextMeter />
+
           </div>
         </div>
 
@@ -113,11 +213,17 @@ const ChatInterface = () => {
           ) : isEmpty ? (
             <div className="h-full flex items-center justify-center">
               <div className="text-center max-w-md mx-auto px-4">
-                <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <MessageSquare className="w-8 h-8 text-primary-600" />
-                </div>
+                {selectedPersona ? (
+                  <div className="flex justify-center mb-4">
+                    <PersonaAvatar avatar={selectedPersona.avatar} className="w-16 h-16" iconClassName="w-8 h-8" />
+                  </div>
+                ) : (
+                  <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                    <MessageSquare className="w-8 h-8 text-primary-600" />
+                  </div>
+                )}
                 <h3 className="text-lg font-medium text-gray-900 mb-2">
-                  Start a conversation
+                  {selectedPersona ? `Start a conversation with ${selectedPersona.name}` : 'Start a conversation'}
                 </h3>
                 <p className="text-gray-500 mb-6">
                   Choose a model and send a message to get started with AI assistance.
@@ -131,6 +237,17 @@ const ChatInterface = () => {
             <MessageList 
               messages={state.messages}
               isTyping={state.isTyping}
+              onEdit={handleEditMessage}
+              onRegenerate={handleRegenerate}
+              onSelectBranch={actions.selectBranch}
+              onEditImage={canEditImages ? handleEditImage : undefined}
+              onImageVariations={canVaryImages ? handleImageVariations : undefined}
+              onSelectCandidate={actions.selectImageCandidate}
+              focusedMessageId={state.focusedMessageId}
+              comparison={state.comparison}
+              onPickWinner={actions.pickComparisonWinner}
+              hasOlderMessages={!!state.messagesPagination?.has_more}
+              onLoadOlderMessages={actions.loadOlderMessages}
             />
           )}
           <div ref={messagesEndRef} />
@@ -141,16 +258,60 @@ const ChatInterface = () => {
           <div className="px-4 py-3 border-b border-gray-100">
             <div className="flex items-center justify-between">
               <label className="text-sm font-medium text-gray-700">Select Model:</label>
-              <ModelSelector />
+              <div className="flex items-center space-x-2">
+                <PersonaSelector />
+                <ModelSelector />
+                <ImageCountSelector />
+                <button
+                  onClick={() => setShowAdvanced(!showAdvanced)}
+                  className={`relative p-2 rounded-lg transition-colors duration-200 ${
+                    showAdvanced ? 'bg-primary-50 text-primary-600' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
+                  }`}
+                  title="Advanced generation settings"
+                >
+                  <SlidersHorizontal className="w-4 h-4" />
+                  {hasCustomParams && (
+                    <span className="absolute top-1 right-1 w-2 h-2 bg-primary-600 rounded-full" />
+                  )}
+                </button>
+                <button
+                  onClick={() => setShowCompare(!showCompare)}
+                  className={`relative p-2 rounded-lg transition-colors duration-200 ${
+                    showCompare ? 'bg-primary-50 text-primary-600' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
+                  }`}
+                  title="Compare models side by side"
+                >
+                  <Columns className="w-4 h-4" />
+                  {isComparing && (
+                    <span className="absolute top-1 right-1 w-2 h-2 bg-primary-600 rounded-full" />
+                  )}
+                </button>
+              </div>
             </div>
           </div>
+          {showAdvanced && <GenerationParamsPanel />}
+          {showCompare && <ComparePanel />}
           <MessageInput 
             onSendMessage={handleSendMessage}
-            disabled={state.isTyping || state.isLoading}
-            placeholder={`Message ${state.selectedModel}...`}
+            onStop={actions.stopGeneration}
+            isGenerating={state.isTyping}
+            disabled={state.isTyping || state.isLoading || awaitingPick}
+            placeholder={inputPlaceholder}
           />
         </div>
       </div>
+
+      <SessionMemoryDialog
+        sessionId={state.currentSession?.id}
+        open={showMemory}
+        onClose={closeMemory}
+      />
+
+      <DocumentsDialog
+        sessionId={state.currentSession?.id}
+        open={showDocuments}
+        onClose={closeDocuments}
+      />
     </div>
   );
 };
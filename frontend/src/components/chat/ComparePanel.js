@@ -0,0 +1,68 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+
+// Most models a message can be compared across at once
+const MAX_COMPARE_MODELS = 4;
+
+// Choose the text models each message is sent to in compare mode. With two or more chosen, their
+// replies are shown side by side and the conversation goes on with the one picked.
+const ComparePanel = () => {
+  const { state, actions } = useChat();
+  const textModels = state.availableModels.filter(m => m.type !== 'image');
+  const selected = state.compareModels;
+
+  const toggleModel = (modelId) => {
+    actions.setCompareModels(selected.includes(modelId)
+      ? selected.filter(id => id !== modelId)
+      : [...selected, modelId]);
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-gray-100 bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium text-gray-700">
+          Compare models ({selected.length}/{MAX_COMPARE_MODELS})
+        </span>
+        {selected.length > 0 && (
+          <button
+            onClick={() => actions.setCompareModels([])}
+            className="inline-flex items-center text-xs text-gray-500 hover:text-gray-700"
+          >
+            <X className="w-3 h-3 mr-1" />
+            Turn off
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {textModels.map(model => {
+          const isSelected = selected.includes(model.id);
+          return (
+            <label
+              key={model.id}
+              className={`inline-flex items-center px-2 py-1 text-xs rounded-lg border cursor-pointer ${
+                isSelected ? 'bg-primary-50 border-primary-300 text-primary-700' : 'bg-white border-gray-300 text-gray-700'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={isSelected}
+                disabled={!isSelected && selected.length >= MAX_COMPARE_MODELS}
+                onChange={() => toggleModel(model.id)}
+                className="h-3 w-3 mr-1 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              {model.name}
+            </label>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        {selected.length >= 2
+          ? 'Each message is sent to every model chosen; pick the best reply to continue with.'
+          : 'Choose two to four models to answer each message side by side.'}
+      </p>
+    </div>
+  );
+};
+
+export default ComparePanel;
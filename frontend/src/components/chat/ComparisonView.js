@@ -0,0 +1,88 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { Bot, Trophy, AlertCircle, Timer, Wrench } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// The replies of a comparison side by side, one column per model, with how long each took and
+// the tokens it used. onPick(messageId) continues the conversation with a reply once all are in.
+const ComparisonView = ({ comparison, onPick }) => {
+  const { state } = useChat();
+  const modelName = (id) => state.availableModels.find(m => m.id === id)?.name || id;
+  const canPick = !!comparison.id;
+
+  return (
+    <div className={`grid grid-cols-1 gap-4 ${comparison.columns.length > 2 ? 'md:grid-cols-2 xl:grid-cols-4' : 'md:grid-cols-2'}`}>
+      {comparison.columns.map((column, index) => {
+        const tokens = column.message?.token_count || column.usage?.total_tokens || 0;
+
+        return (
+          <div key={index} className="flex flex-col bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b border-gray-200">
+              <div className="flex items-center min-w-0 text-sm font-medium text-gray-900">
+                <Bot className="w-4 h-4 mr-1 flex-shrink-0 text-gray-500" />
+                <span className="truncate">{modelName(column.model)}</span>
+              </div>
+              {column.usedTools && (
+                <span title="Used tools">
+                  <Wrench className="w-3 h-3 text-gray-400" />
+                </span>
+              )}
+            </div>
+
+            <div className="flex-1 px-3 py-2 text-sm text-gray-900 max-h-96 overflow-y-auto">
+              {column.error ? (
+                <div className="flex items-start text-red-600">
+                  <AlertCircle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                  <span>{column.error}</span>
+                </div>
+              ) : column.content ? (
+                <div className="prose prose-sm max-w-none">
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>{column.content}</ReactMarkdown>
+                  {column.isStreaming && (
+                    <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-500 animate-pulse" />
+                  )}
+                </div>
+              ) : column.isStreaming ? (
+                <span className="text-gray-400 animate-pulse">Waiting for the reply…</span>
+              ) : (
+                <span className="text-gray-400">No reply</span>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between px-3 py-2 border-t border-gray-100 text-xs text-gray-500">
+              <div className="flex items-center space-x-2">
+                {column.latency_ms != null && (
+                  <span
+                    className="inline-flex items-center"
+                    title={column.first_token_ms != null ? `First token after ${formatSeconds(column.first_token_ms)}` : undefined}
+                  >
+                    <Timer className="w-3 h-3 mr-1" />
+                    {formatSeconds(column.latency_ms)}
+                  </span>
+                )}
+                {tokens > 0 && <span>{tokens} tokens</span>}
+                {column.interrupted && <span className="text-amber-600">Stopped</span>}
+              </div>
+              {column.message && (
+                <button
+                  onClick={() => onPick(column.message.id)}
+                  disabled={!canPick}
+                  className="inline-flex items-center px-2 py-1 text-xs text-white bg-primary-600 hover:bg-primary-700 rounded disabled:opacity-50 transition-colors duration-200"
+                  title="Continue the conversation with this reply"
+                >
+                  <Trophy className="w-3 h-3 mr-1" />
+                  Pick
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ComparisonView;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+import { chatService } from '../../services/api';
+
+const formatTokens = (count) => {
+  if (count >= 1000) {
+    return `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k`;
+  }
+  return String(count);
+};
+
+// How much of the selected model's context window the current conversation takes.
+// Refreshed whenever the conversation, its messages or the model change.
+const ContextMeter = () => {
+  const { state } = useChat();
+  const [usage, setUsage] = useState(null);
+  const sessionId = state.currentSession?.id;
+  const messageCount = state.messages.length;
+
+  useEffect(() => {
+    if (!sessionId || state.isTyping) {
+      if (!sessionId) setUsage(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    chatService.getSessionContext(sessionId, state.selectedModel)
+      .then(response => {
+        if (!cancelled) setUsage(response);
+      })
+      .catch(error => {
+        // The meter is informational; a failed measurement just hides it
+        console.warn('Failed to measure context usage:', error);
+        if (!cancelled) setUsage(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, state.selectedModel, messageCount, state.isTyping]);
+
+  if (!usage || !usage.contextWindow) {
+    return null;
+  }
+
+  const used = usage.promptTokens + usage.reservedTokens;
+  const percent = Math.min(100, Math.round((used / usage.contextWindow) * 100));
+  const barColor = !usage.fits || percent >= 90
+    ? 'bg-red-500'
+    : percent >= 75
+    ? 'bg-amber-500'
+    : 'bg-primary-500';
+
+  const details = [
+    `${usage.promptTokens.toLocaleString()} tokens of conversation`,
+    `${usage.reservedTokens.toLocaleString()} reserved for the reply`,
+    `${usage.contextWindow.toLocaleString()}-token context window`
+  ];
+  if (usage.droppedCount > 0) {
+    details.push(`${usage.droppedCount} oldest message${usage.droppedCount === 1 ? ' is' : 's are'} no longer sent`);
+  }
+
+  return (
+    <div className="flex items-center space-x-2 text-xs text-gray-500" title={details.join('\n')}>
+      <Gauge className="w-4 h-4" />
+      <div className="w-24 h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div className={`h-full ${barColor} transition-all duration-300`} style={{ width: `${percent}%` }} />
+      </div>
+      <span className="tabular-nums">
+        {formatTokens(usage.promptTokens)} / {formatTokens(usage.contextWindow)}
+      </span>
+      {usage.droppedCount > 0 && (
+        <span className="text-amber-600">{usage.droppedCount} trimmed</span>
+      )}
+    </div>
+  );
+};
+
+export default ContextMeter;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Dialog } from '@headlessui/react';
+import { X, BookOpen, FileText, Trash2, Upload, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { documentService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const ACCEPTED_FILES = '.pdf,.md,.markdown,.txt,.csv,.json,.html,.xml,.yaml,.yml,.rst,.log,application/pdf,text/*';
+
+// Documents of one scope: the conversation's (sessionId) or the shared knowledge base (sessionId null).
+// canRemove offers to remove them.
+const DocumentSection = ({ title, description, sessionId, open, canRemove = true }) => {
+  const [documents, setDocuments] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setDocuments(null);
+    documentService.getDocuments(sessionId)
+      .then(response => {
+        if (!cancelled) setDocuments(response.documents);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        toast.error(error.message || 'Failed to load documents');
+        setDocuments([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, sessionId]);
+
+  const handleFileSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsUploading(true);
+    try {
+      const response = await documentService.upload(files, sessionId);
+      setDocuments(current => [...response.documents, ...(current || [])]);
+      toast.success(files.length === 1 ? 'Document added' : `${files.length} documents added`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to add documents');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Remove "${doc.filename}"? Replies that cited it keep their citations.`)) {
+      return;
+    }
+
+    try {
+      await documentService.deleteDocument(doc.id);
+      setDocuments(current => current.filter(d => d.id !== doc.id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove document');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-start justify-between mb-2">
+        <div className="pr-4">
+          <p className="text-sm font-medium text-gray-900">{title}</p>
+          <p className="text-xs text-gray-500 mt-1">{description}</p>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={ACCEPTED_FILES}
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isUploading}
+          className="flex-shrink-0 inline-flex items-center px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+        >
+          {isUploading ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Upload className="w-4 h-4 mr-1" />}
+          Add
+        </button>
+      </div>
+
+      {!documents ? (
+        <div className="py-4 text-center text-sm text-gray-500">Loading...</div>
+      ) : documents.length === 0 ? (
+        <div className="py-4 text-center text-sm text-gray-500">No documents yet.</div>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {documents.map(doc => (
+            <li key={doc.id} className="flex items-center px-3 py-2">
+              <FileText className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+              <div className="min-w-0 flex-1">
+                <div className="text-sm text-gray-900 truncate">{doc.filename}</div>
+                <div className="text-xs text-gray-500">
+                  {doc.chunk_count} passage{doc.chunk_count === 1 ? '' : 's'} · {new Date(doc.created_at).toLocaleDateString()}
+                </div>
+              </div>
+              {canRemove && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(doc)}
+                  className="ml-2 p-1 text-gray-400 hover:text-red-600 rounded transition-colors duration-200"
+                  title="Remove document"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Manages the documents whose passages are retrieved into the prompt: the current conversation's
+// own, and the knowledge base every conversation searches, which only admins remove documents from
+const DocumentsDialog = ({ sessionId, open, onClose }) => {
+  const { isAdmin } = useAuth();
+
+  return (
+    <Dialog open={open} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex w-screen items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-2xl w-full bg-white rounded-lg shadow-xl">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <Dialog.Title className="text-base font-semibold text-gray-900 flex items-center">
+              <BookOpen className="w-4 h-4 mr-2" />
+              Documents
+            </Dialog.Title>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 p-1 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="p-4 space-y-6 max-h-[70vh] overflow-y-auto">
+            <p className="text-xs text-gray-500">
+              PDF, Markdown and text files are indexed on this server. The passages that best match each
+              message are added to the prompt and cited in the reply.
+            </p>
+
+            {sessionId && (
+              <DocumentSection
+                title="This conversation"
+                description="Only searched in this conversation."
+                sessionId={sessionId}
+                open={open}
+              />
+            )}
+
+            <DocumentSection
+              title="Knowledge base"
+              description="Searched in every conversation."
+              sessionId={null}
+              open={open}
+              canRemove={isAdmin}
+            />
+          </div>
+
+          <div className="px-4 py-3 border-t border-gray-200 flex justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+            >
+              Close
+            </button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default DocumentsDialog;
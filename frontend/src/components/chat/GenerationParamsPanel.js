@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw, Save } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+import { GENERATION_PARAMS, toRequestParams } from '../../utils/generationParams';
+import toast from 'react-hot-toast';
+
+// Convert the chat API parameters held in context back into form values
+const toFormValues = (params) => {
+  const form = {};
+  GENERATION_PARAMS.forEach(({ key }) => {
+    if (params[key] !== undefined) {
+      form[key] = String(params[key]);
+    }
+  });
+  if (params.stop) {
+    form.stop = params.stop.join('\n');
+  }
+  return form;
+};
+
+// Per-message generation parameters. Empty fields fall back to the conversation's defaults,
+// then the persona's, then the global settings; the placeholders show the value that would be used.
+const GenerationParamsPanel = () => {
+  const { state, actions } = useChat();
+  const [form, setForm] = useState(() => toFormValues(state.generationParams));
+  const [saving, setSaving] = useState(false);
+
+  const sessionParams = state.currentSession?.generation_params || {};
+  const personaId = state.currentSession ? state.currentSession.persona_id : state.selectedPersonaId;
+  const personaParams = state.personas.find(p => p.id === personaId)?.generation_params || {};
+
+  // Keep the form in step when the parameters are cleared elsewhere
+  useEffect(() => {
+    if (Object.keys(state.generationParams).length === 0) {
+      setForm({});
+    }
+  }, [state.generationParams]);
+
+  const updateField = (key, value) => {
+    const updatedForm = { ...form, [key]: value };
+    setForm(updatedForm);
+    actions.setGenerationParams(toRequestParams(updatedForm));
+  };
+
+  const getInheritedValue = (settingsKey) => {
+    if (sessionParams[settingsKey] !== undefined) {
+      return `${sessionParams[settingsKey]} (conversation)`;
+    }
+    if (personaParams[settingsKey] !== undefined) {
+      return `${personaParams[settingsKey]} (persona)`;
+    }
+    if (state.settings[settingsKey] !== undefined && state.settings[settingsKey] !== '') {
+      return `${state.settings[settingsKey]} (global)`;
+    }
+    return 'Model default';
+  };
+
+  const handleReset = () => {
+    setForm({});
+    actions.setGenerationParams({});
+  };
+
+  // Save the current values as the conversation's defaults; empty fields clear its defaults
+  const handleSaveDefaults = async () => {
+    const params = toRequestParams(form);
+    const updates = { stop: params.stop || null };
+    GENERATION_PARAMS.forEach(({ key }) => {
+      updates[key] = params[key] !== undefined ? params[key] : null;
+    });
+
+    setSaving(true);
+    try {
+      await actions.saveSessionParams(updates);
+      handleReset();
+      toast.success('Saved as conversation defaults');
+    } catch (error) {
+      toast.error('Failed to save conversation defaults');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-gray-100 bg-gray-50">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {GENERATION_PARAMS.map(({ key, settingsKey, label, min, max, step }) => (
+          <div key={key}>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              {label}
+            </label>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              step={step}
+              value={form[key] || ''}
+              placeholder={getInheritedValue(settingsKey)}
+              onChange={(e) => updateField(key, e.target.value)}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+        ))}
+
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">
+            Stop Sequences
+          </label>
+          <textarea
+            rows={1}
+            value={form.stop || ''}
+            placeholder={sessionParams.stop ? `${sessionParams.stop.join(', ')} (conversation)` : 'One per line'}
+            onChange={(e) => updateField('stop', e.target.value)}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 resize-y"
+          />
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center justify-between">
+        <p className="text-xs text-gray-500">
+          Applies to the messages you send. Empty fields use the conversation's defaults, then the persona's, then the global settings.
+        </p>
+        <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+          <button
+            onClick={handleReset}
+            className="inline-flex items-center px-2 py-1 text-xs text-gray-600 hover:text-gray-800 hover:bg-gray-200 rounded transition-colors duration-200"
+          >
+            <RotateCcw className="w-3 h-3 mr-1" />
+            Reset
+          </button>
+          <button
+            onClick={handleSaveDefaults}
+            disabled={!state.currentSession || saving}
+            title={state.currentSession ? 'Use these values for every message in this conversation' : 'Start a conversation first'}
+            className="inline-flex items-center px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 disabled:bg-gray-100 disabled:text-gray-400 text-gray-700 rounded transition-colors duration-200"
+          >
+            <Save className="w-3 h-3 mr-1" />
+            {saving ? 'Saving...' : 'Save as conversation defaults'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenerationParamsPanel;
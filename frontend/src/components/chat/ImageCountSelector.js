@@ -0,0 +1,27 @@
+import React from 'react';
+import { useChat } from '../../context/ChatContext';
+
+// How many images an image model makes per message; they are shown as candidates to choose from
+const ImageCountSelector = () => {
+  const { state, actions } = useChat();
+  const selectedModel = state.availableModels.find(m => m.id === state.selectedModel);
+
+  if (selectedModel?.type !== 'image') return null;
+
+  return (
+    <select
+      value={state.imageCount}
+      onChange={(e) => actions.setImageCount(Number(e.target.value))}
+      className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+      title="Images to generate per message"
+    >
+      {[1, 2, 3, 4].map(count => (
+        <option key={count} value={count}>
+          {count} {count === 1 ? 'image' : 'images'}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default ImageCountSelector;
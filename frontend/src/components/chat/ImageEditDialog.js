@@ -0,0 +1,200 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+import { X, Wand2, Eraser } from 'lucide-react';
+
+// Describe how to change an image and, optionally, paint over the areas to change.
+// onSubmit(prompt, mask) is given the mask as a PNG data URL the size of the image, opaque
+// except where it was painted, or null when nothing was painted.
+const ImageEditDialog = ({ open, onClose, imageUrl, onSubmit }) => {
+  const [prompt, setPrompt] = useState('');
+  const [brushSize, setBrushSize] = useState(48);
+  const [imageSize, setImageSize] = useState(null);
+  const [hasMask, setHasMask] = useState(false);
+  const canvasRef = useRef(null);
+  const lastPointRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setPrompt('');
+      setHasMask(false);
+    }
+  }, [open]);
+
+  // The canvas is drawn at the image's own resolution and scaled to fit with it
+  const handleImageLoad = (e) => {
+    setImageSize({ width: e.target.naturalWidth, height: e.target.naturalHeight });
+  };
+
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+      // The brush is sized in screen pixels
+      scale: canvas.width / rect.width
+    };
+  };
+
+  const paint = (from, to) => {
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.strokeStyle = '#ef4444';
+    ctx.lineWidth = brushSize * to.scale;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toCanvasPoint(e);
+    paint(point, point);
+    lastPointRef.current = point;
+    setHasMask(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!lastPointRef.current) return;
+    const point = toCanvasPoint(e);
+    paint(lastPointRef.current, point);
+    lastPointRef.current = point;
+  };
+
+  const handlePointerUp = () => {
+    lastPointRef.current = null;
+  };
+
+  const clearMask = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasMask(false);
+  };
+
+  // The areas to change are the transparent ones, so the painted strokes are cut out of an opaque layer
+  const exportMask = () => {
+    const painted = canvasRef.current;
+    const mask = document.createElement('canvas');
+    mask.width = painted.width;
+    mask.height = painted.height;
+    const ctx = mask.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, mask.width, mask.height);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.drawImage(painted, 0, 0);
+    return mask.toDataURL('image/png');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!prompt.trim()) return;
+    onSubmit(prompt.trim(), hasMask ? exportMask() : null);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex w-screen items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-2xl w-full bg-white rounded-lg shadow-xl">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <Dialog.Title className="text-base font-semibold text-gray-900 flex items-center">
+              <Wand2 className="w-4 h-4 mr-2" />
+              Edit Image
+            </Dialog.Title>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 p-1 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="p-4 space-y-4 max-h-[80vh] overflow-y-auto">
+            <div className="relative mx-auto w-fit select-none">
+              <img
+                src={imageUrl}
+                alt="To edit"
+                onLoad={handleImageLoad}
+                className="max-w-full max-h-[50vh] rounded-lg"
+                draggable={false}
+              />
+              {imageSize && (
+                <canvas
+                  ref={canvasRef}
+                  width={imageSize.width}
+                  height={imageSize.height}
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onPointerCancel={handlePointerUp}
+                  className="absolute inset-0 w-full h-full rounded-lg opacity-50 cursor-crosshair touch-none"
+                />
+              )}
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              <label className="flex items-center space-x-2 text-gray-700">
+                <span>Brush</span>
+                <input
+                  type="range"
+                  min={8}
+                  max={128}
+                  value={brushSize}
+                  onChange={(e) => setBrushSize(Number(e.target.value))}
+                />
+              </label>
+              <button
+                type="button"
+                onClick={clearMask}
+                disabled={!hasMask}
+                className="inline-flex items-center px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 rounded disabled:opacity-50 transition-colors duration-200"
+              >
+                <Eraser className="w-3 h-3 mr-1" />
+                Clear mask
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Paint over the areas to change. Without a mask the model may change the whole image.
+            </p>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Describe the change</label>
+              <textarea
+                rows={3}
+                value={prompt}
+                onChange={(e) => setPrompt(e.target.value)}
+                maxLength={4000}
+                autoFocus
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 resize-y"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors duration-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!prompt.trim()}
+                className="px-4 py-2 text-sm text-white bg-primary-600 hover:bg-primary-700 rounded-lg disabled:opacity-50 transition-colors duration-200"
+              >
+                Edit Image
+              </button>
+            </div>
+          </form>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default ImageEditDialog;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { FileText, X } from 'lucide-react';
+import { attachmentService } from '../../services/api';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Files attached to a message: images as thumbnails that open the full image, text files as chips.
+// onRemove(id) adds a remove button to each, for uploads that have not been sent yet.
+const MessageAttachments = ({ attachments = [], onRemove, className = '' }) => {
+  if (attachments.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {attachments.map(attachment => {
+        const url = attachmentService.getContentUrl(attachment.id);
+
+        return (
+          <div key={attachment.id} className="relative group">
+            {attachment.kind === 'image' ? (
+              <a href={url} target="_blank" rel="noopener noreferrer" title={attachment.filename}>
+                <img
+                  src={url}
+                  alt={attachment.filename}
+                  className="w-20 h-20 object-cover rounded-md border border-gray-200 bg-white"
+                />
+              </a>
+            ) : (
+              <a
+                href={url}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={attachment.filename}
+                className="flex items-center max-w-xs px-2 py-1.5 rounded-md border border-gray-200 bg-white text-gray-700 hover:bg-gray-50"
+              >
+                <FileText className="w-4 h-4 mr-1.5 text-gray-400 flex-shrink-0" />
+                <span className="text-xs truncate">{attachment.filename}</span>
+                <span className="text-xs text-gray-400 ml-1.5 flex-shrink-0">{formatSize(attachment.size)}</span>
+              </a>
+            )}
+
+            {onRemove && (
+              <button
+                type="button"
+                onClick={() => onRemove(attachment.id)}
+                className="absolute -top-1.5 -right-1.5 p-0.5 rounded-full bg-gray-700 text-white hover:bg-gray-900"
+                title="Remove attachment"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MessageAttachments;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+import { X, FileText, BookOpen } from 'lucide-react';
+import { documentService } from '../../services/api';
+
+// The full passage behind a citation. Passages of deleted documents fall back to the excerpt stored with the reply.
+const CitationDialog = ({ citation, onClose }) => {
+  const [passage, setPassage] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!citation) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setPassage(null);
+    setIsLoading(true);
+    documentService.getChunk(citation.chunk_id)
+      .then(response => {
+        if (cancelled) return;
+        // Chunk ids of deleted documents can be reused, so check it is still the same document
+        setPassage(response.chunk.document_id === citation.document_id ? response.chunk.content : null);
+      })
+      .catch(() => {
+        if (!cancelled) setPassage(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [citation]);
+
+  return (
+    <Dialog open={!!citation} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex w-screen items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-2xl w-full bg-white rounded-lg shadow-xl">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <Dialog.Title className="text-base font-semibold text-gray-900 flex items-center min-w-0">
+              <FileText className="w-4 h-4 mr-2 flex-shrink-0" />
+              <span className="truncate">[{citation?.index}] {citation?.filename}</span>
+            </Dialog.Title>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 p-1 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="p-4 max-h-[70vh] overflow-y-auto">
+            {isLoading ? (
+              <div className="py-4 text-center text-sm text-gray-500">Loading...</div>
+            ) : (
+              <>
+                <p className="text-sm text-gray-800 whitespace-pre-wrap leading-relaxed">
+                  {passage || citation?.excerpt}
+                </p>
+                {!passage && (
+                  <p className="text-xs text-gray-500 mt-3">
+                    The document has been removed; this is the start of the passage as it was cited.
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+// The document passages a reply was given, numbered as the model cites them
+const MessageCitations = ({ citations = [] }) => {
+  const [selected, setSelected] = useState(null);
+
+  if (!citations || citations.length === 0) return null;
+
+  return (
+    <div className="mt-3 pt-2 border-t border-gray-200">
+      <div className="flex items-center text-xs font-medium text-gray-500 mb-1">
+        <BookOpen className="w-3 h-3 mr-1" />
+        Sources
+      </div>
+      <div className="flex flex-wrap gap-1.5">
+        {citations.map(citation => (
+          <button
+            key={citation.index}
+            type="button"
+            onClick={() => setSelected(citation)}
+            title={citation.excerpt}
+            className="inline-flex items-center max-w-xs px-2 py-0.5 rounded bg-white border border-gray-200 text-xs text-gray-700 hover:bg-gray-50 hover:border-gray-300 transition-colors duration-200"
+          >
+            <span className="font-medium mr-1">[{citation.index}]</span>
+            <span className="truncate">{citation.filename}</span>
+          </button>
+        ))}
+      </div>
+
+      <CitationDialog citation={selected} onClose={() => setSelected(null)} />
+    </div>
+  );
+};
+
+export default MessageCitations;
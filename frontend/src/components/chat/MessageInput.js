@@ -1,16 +1,50 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Loader2, Image } from 'lucide-react';
+import { Send, Loader2, Image, Square, FileText, Paperclip, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { useChat } from '../../context/ChatContext';
+import { attachmentService } from '../../services/api';
+import TemplateVariablesDialog from './TemplateVariablesDialog';
+import MessageAttachments from './MessageAttachments';
 
-const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a message...' }) => {
+const MAX_ATTACHMENTS = 5;
+
+const MessageInput = ({ onSendMessage, onStop, isGenerating = false, disabled = false, placeholder = 'Type a message...' }) => {
   const { state } = useChat();
   const [message, setMessage] = useState('');
   const [isComposing, setIsComposing] = useState(false);
   const textareaRef = useRef(null);
+  // Slash-command template picker
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+  const [pickerDismissed, setPickerDismissed] = useState(false);
+  const [pendingTemplate, setPendingTemplate] = useState(null);
+  // Files uploaded for the next message
+  const [attachments, setAttachments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // The picker opens while the input is a lone "/command"
+  const slashMatch = message.match(/^\/([a-zA-Z0-9_-]*)$/);
+  const templateMatches = slashMatch && !pickerDismissed
+    ? state.templates
+        .filter(t => t.name.toLowerCase().includes(slashMatch[1].toLowerCase()))
+        .sort((a, b) => {
+          const query = slashMatch[1].toLowerCase();
+          return Number(b.name.toLowerCase().startsWith(query)) - Number(a.name.toLowerCase().startsWith(query));
+        })
+        .slice(0, 8)
+    : [];
+  const isPickerOpen = templateMatches.length > 0;
 
   // Determine if current model is for image generation
   const selectedModel = state.availableModels.find(m => m.id === state.selectedModel);
   const isImageModel = selectedModel?.type === 'image';
+  const hasImageAttachments = attachments.some(a => a.kind === 'image');
+  // Images can only go to models that can see them
+  const attachmentsBlocked = isImageModel
+    ? attachments.length > 0
+    : hasImageAttachments && selectedModel && !selectedModel.vision;
+  const canSend = message.trim() && !disabled && !isComposing && !isUploading && !attachmentsBlocked;
 
   // Auto-resize textarea
   useEffect(() => {
@@ -30,9 +64,10 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (message.trim() && !disabled && !isComposing) {
-      onSendMessage(message.trim());
+    if (canSend) {
+      onSendMessage(message.trim(), attachments);
       setMessage('');
+      setAttachments([]);
       // Reset textarea height
       if (textareaRef.current) {
         textareaRef.current.style.height = 'auto';
@@ -40,7 +75,101 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
     }
   };
 
+  const uploadFiles = async (files) => {
+    if (files.length === 0) return;
+    if (isImageModel) {
+      toast.error('Files cannot be attached when generating images');
+      return;
+    }
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      toast.error(`Up to ${MAX_ATTACHMENTS} files can be attached to a message`);
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const response = await attachmentService.upload(files);
+      setAttachments(current => [...current, ...response.attachments]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to attach files');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    uploadFiles(Array.from(e.target.files || []));
+    // Allow the same file to be picked again
+    e.target.value = '';
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length > 0) {
+      e.preventDefault();
+      uploadFiles(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (e.dataTransfer?.types?.includes('Files')) {
+      e.preventDefault();
+      setIsDragging(true);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    uploadFiles(Array.from(e.dataTransfer?.files || []));
+  };
+
+  const removeAttachment = async (attachmentId) => {
+    setAttachments(current => current.filter(a => a.id !== attachmentId));
+    try {
+      await attachmentService.remove(attachmentId);
+    } catch (error) {
+      // Unsent uploads are cleaned up by the server eventually
+      console.error('Failed to remove attachment:', error);
+    }
+  };
+
+  // Insert a template, asking for its variables first if it has any
+  const selectTemplate = (template) => {
+    if (template.variables?.length > 0) {
+      setPendingTemplate(template);
+    } else {
+      setMessage(template.content);
+      textareaRef.current?.focus();
+    }
+  };
+
+  const handleTemplateInsert = (content) => {
+    setPendingTemplate(null);
+    setMessage(content);
+    textareaRef.current?.focus();
+  };
+
   const handleKeyDown = (e) => {
+    if (isPickerOpen && !isComposing) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlightedIndex((highlightedIndex + step + templateMatches.length) % templateMatches.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectTemplate(templateMatches[Math.min(highlightedIndex, templateMatches.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setPickerDismissed(true);
+        return;
+      }
+    }
+
     // Submit on Enter (but not Shift+Enter)
     if (e.key === 'Enter' && !e.shiftKey && !isComposing) {
       e.preventDefault();
@@ -50,6 +179,8 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
 
   const handleChange = (e) => {
     setMessage(e.target.value);
+    setHighlightedIndex(0);
+    setPickerDismissed(false);
   };
 
   const handleCompositionStart = () => {
@@ -69,7 +200,12 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
   };
 
   return (
-    <div className="px-4 py-4">
+    <div
+      className={`px-4 py-4 ${isDragging ? 'bg-primary-50' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
       {/* Image Model Notice */}
       {isImageModel && (
         <div className="mb-3 p-2 bg-blue-50 border border-blue-200 rounded-lg">
@@ -82,10 +218,77 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
         </div>
       )}
 
+      {/* Attachments that cannot be sent to the selected model */}
+      {attachmentsBlocked && (
+        <div className="mb-3 p-2 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <div className="flex items-center text-sm text-yellow-800">
+            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span>
+              {isImageModel
+                ? <><strong>{selectedModel.name}</strong> generates images and cannot take attachments. Remove them or pick a text model.</>
+                : <><strong>{selectedModel.name}</strong> cannot see images. Remove them or pick a model marked Vision.</>
+              }
+            </span>
+          </div>
+        </div>
+      )}
+
+      <MessageAttachments attachments={attachments} onRemove={removeAttachment} className="mb-3" />
+
       <form onSubmit={handleSubmit} className="relative">
         <div className="flex items-end space-x-3">
+          {/* Attach files */}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled || isUploading || isImageModel || attachments.length >= MAX_ATTACHMENTS}
+            className="flex-shrink-0 inline-flex items-center justify-center w-12 h-12 rounded-lg border border-gray-300 text-gray-500 hover:bg-gray-50 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            title={isImageModel ? 'Files cannot be attached when generating images' : 'Attach images or text files'}
+          >
+            {isUploading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Paperclip className="w-5 h-5" />}
+          </button>
+
           {/* Message textarea */}
           <div className="flex-1 relative">
+            {/* Template picker */}
+            {isPickerOpen && (
+              <div className="absolute bottom-full left-0 right-0 mb-2 bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden z-10">
+                <div className="px-3 py-1.5 text-xs font-medium text-gray-500 border-b border-gray-100">
+                  Templates
+                </div>
+                <ul>
+                  {templateMatches.map((template, index) => (
+                    <li key={template.id}>
+                      <button
+                        type="button"
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => selectTemplate(template)}
+                        onMouseEnter={() => setHighlightedIndex(index)}
+                        className={`w-full flex items-start px-3 py-2 text-left ${
+                          index === highlightedIndex ? 'bg-primary-50' : 'hover:bg-gray-50'
+                        }`}
+                      >
+                        <FileText className="w-4 h-4 mr-2 mt-0.5 text-gray-400 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <div className="text-sm font-medium text-gray-900">/{template.name}</div>
+                          {template.description && (
+                            <div className="text-xs text-gray-500 truncate">{template.description}</div>
+                          )}
+                        </div>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             <textarea
               ref={textareaRef}
               value={message}
@@ -93,6 +296,7 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
               onKeyDown={handleKeyDown}
               onCompositionStart={handleCompositionStart}
               onCompositionEnd={handleCompositionEnd}
+              onPaste={handlePaste}
               placeholder={getPlaceholder()}
               disabled={disabled}
               rows={1}
@@ -115,27 +319,38 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
             )}
           </div>
 
-          {/* Send button */}
-          <button
-            type="submit"
-            disabled={!message.trim() || disabled || isComposing}
-            className={`flex-shrink-0 inline-flex items-center justify-center w-12 h-12 rounded-lg transition-colors duration-200 ${
-              !message.trim() || disabled || isComposing
-                ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
-                : isImageModel
-                ? 'bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
-                : 'bg-primary-600 text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500'
-            }`}
-            title={isImageModel ? "Generate image" : "Send message"}
-          >
-            {disabled ? (
-              <Loader2 className="w-5 h-5 animate-spin" />
-            ) : isImageModel ? (
-              <Image className="w-5 h-5" />
-            ) : (
-              <Send className="w-5 h-5" />
-            )}
-          </button>
+          {/* Stop button while a reply is being generated, send button otherwise */}
+          {isGenerating && onStop ? (
+            <button
+              type="button"
+              onClick={onStop}
+              className="flex-shrink-0 inline-flex items-center justify-center w-12 h-12 rounded-lg bg-red-600 text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors duration-200"
+              title={isImageModel ? "Stop generating image" : "Stop generating"}
+            >
+              <Square className="w-5 h-5" />
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!canSend}
+              className={`flex-shrink-0 inline-flex items-center justify-center w-12 h-12 rounded-lg transition-colors duration-200 ${
+                !canSend
+                  ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                  : isImageModel
+                  ? 'bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
+                  : 'bg-primary-600 text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500'
+              }`}
+              title={isImageModel ? "Generate image" : "Send message"}
+            >
+              {disabled ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : isImageModel ? (
+                <Image className="w-5 h-5" />
+              ) : (
+                <Send className="w-5 h-5" />
+              )}
+            </button>
+          )}
         </div>
 
         {/* Hint text */}
@@ -143,6 +358,8 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
           <span>
             {isImageModel 
               ? "Describe your image in detail for best results"
+              : state.templates.length > 0
+              ? "Press Enter to send, Shift+Enter for new line, / for templates"
               : "Press Enter to send, Shift+Enter for new line"
             }
           </span>
@@ -154,6 +371,12 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = 'Type a m
           )}
         </div>
       </form>
+
+      <TemplateVariablesDialog
+        template={pendingTemplate}
+        onClose={() => setPendingTemplate(null)}
+        onInsert={handleTemplateInsert}
+      />
     </div>
   );
 };
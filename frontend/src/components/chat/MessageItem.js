@@ -1,15 +1,75 @@
 import React, { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { User, Bot, Copy, Check, Image as ImageIcon, Download, Eye } from 'lucide-react';
+import { User, Bot, Copy, Check, Image as ImageIcon, Download, Eye, SlidersHorizontal, Pencil, RefreshCw, Wand2, Shuffle, CornerUpLeft } from 'lucide-react';
 import { formatDistanceToNow } from '../../utils/dateUtils';
+import { describeParams } from '../../utils/generationParams';
+import MessageAttachments from './MessageAttachments';
+import MessageCitations from './MessageCitations';
+import BranchSwitcher from './BranchSwitcher';
+import ImageEditDialog from './ImageEditDialog';
+import PendingImage from './PendingImage';
+import { mediaService } from '../../services/api';
 
-const MessageItem = ({ message, isLastMessage }) => {
+// onEdit(id, content) and onRegenerate(id) add a new branch; onSelectBranch(id) shows another one.
+// onEditImage(id, prompt, mask) and onImageVariations(id) answer a stored image with new ones, and
+// onSelectCandidate(id, index) shows another of the images generated for it.
+// canBranch is false while a reply is being generated; isFocused highlights the message (e.g. a search result).
+const MessageItem = ({
+  message,
+  isLastMessage,
+  onEdit,
+  onRegenerate,
+  onSelectBranch,
+  onEditImage,
+  onImageVariations,
+  onSelectCandidate,
+  isFocused = false,
+  canBranch = true
+}) => {
   const [copied, setCopied] = useState(false);
   const [imageLoading, setImageLoading] = useState(true);
   const [imageError, setImageError] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isEditingImage, setIsEditingImage] = useState(false);
   const isUser = message.role === 'user';
   const isImage = message.content_type === 'image';
+  const isInterrupted = message.status === 'interrupted';
+  // Image replies are made by a background job; they wait for it and show why it failed
+  const isPending = message.status === 'pending';
+  const isFailed = message.status === 'failed';
+  // Placeholders shown before the server has saved a message have no parent_id
+  const isSaved = message.parent_id !== undefined && !message.isStreaming;
+  // Stored images are shown from their thumbnail; images saved before media storage only have their URL
+  const mediaId = isImage ? message.image_metadata?.media_id : null;
+  const imageUrl = mediaId ? mediaService.getUrl(mediaId) : message.content;
+  const previewUrl = mediaId ? mediaService.getThumbnailUrl(mediaId) : message.content;
+  const hasSiblings = (message.sibling_ids || []).length > 1 && message.sibling_ids.includes(message.id);
+  const candidates = isImage ? message.image_metadata?.candidates || [] : [];
+  const imageSource = isImage ? message.image_metadata?.source : null;
+
+  const startEditing = () => {
+    setDraft(message.content);
+    setIsEditing(true);
+  };
+
+  const handleSubmitEdit = () => {
+    const content = draft.trim();
+    setIsEditing(false);
+    if (content && content !== message.content) {
+      onEdit(message.id, content);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmitEdit();
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
 
   const handleCopy = async () => {
     try {
@@ -34,16 +94,16 @@ const MessageItem = ({ message, isLastMessage }) => {
   };
 
   const handleDownloadImage = async () => {
-    if (!isImage || !message.content) return;
+    if (!isImage || !imageUrl) return;
     
     try {
-      const response = await fetch(message.content);
+      const response = await fetch(imageUrl);
       const blob = await response.blob();
       const url = URL.createObjectURL(blob);
       
       const a = document.createElement('a');
       a.href = url;
-      a.download = `ai-generated-image-${Date.now()}.png`;
+      a.download = `ai-generated-image-${Date.now()}.${blob.type === 'image/jpeg' ? 'jpg' : blob.type.split('/')[1] || 'png'}`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -54,8 +114,19 @@ const MessageItem = ({ message, isLastMessage }) => {
   };
 
   const handleViewFullImage = () => {
-    if (!isImage || !message.content) return;
-    window.open(message.content, '_blank');
+    if (!isImage || !imageUrl) return;
+    window.open(imageUrl, '_blank');
+  };
+
+  const handleSelectCandidate = (index) => {
+    setImageLoading(true);
+    setImageError(false);
+    onSelectCandidate(message.id, index);
+  };
+
+  // The image an edit or variation was made from, if it is on the branch being shown
+  const scrollToSource = () => {
+    document.getElementById(`message-${imageSource.message_id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
   };
 
   const formatTime = (timestamp) => {
@@ -67,7 +138,12 @@ const MessageItem = ({ message, isLastMessage }) => {
   };
 
   return (
-    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'} animate-fade-in`}>
+    <div
+      id={`message-${message.id}`}
+      className={`flex ${isUser ? 'justify-end' : 'justify-start'} animate-fade-in rounded-lg transition-colors duration-700 ${
+        isFocused ? 'bg-yellow-50 ring-2 ring-yellow-200' : ''
+      }`}
+    >
       <div className={`flex ${isUser ? 'flex-row-reverse' : 'flex-row'} max-w-3xl w-full space-x-3`}>
         {/* Avatar */}
         <div className={`flex-shrink-0 ${isUser ? 'ml-3' : 'mr-3'}`}>
@@ -89,9 +165,49 @@ const MessageItem = ({ message, isLastMessage }) => {
               ? 'bg-primary-600 text-white' 
               : 'bg-gray-100 text-gray-900 border border-gray-200'
           }`}>
-            {isUser ? (
-              <div className="text-sm leading-relaxed whitespace-pre-wrap">
-                {message.content}
+            {isUser && isEditing ? (
+              <div className="space-y-2">
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  rows={Math.min(Math.max(draft.split('\n').length, 2), 10)}
+                  autoFocus
+                  className="w-full resize-y rounded border border-primary-300 bg-white px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-primary-300"
+                />
+                <div className="flex justify-end space-x-2">
+                  <button
+                    onClick={() => setIsEditing(false)}
+                    className="px-3 py-1 text-xs rounded bg-primary-500 hover:bg-primary-400 text-white transition-colors duration-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSubmitEdit}
+                    disabled={!draft.trim() || !canBranch}
+                    className="px-3 py-1 text-xs rounded bg-white text-primary-700 hover:bg-primary-50 disabled:opacity-50 transition-colors duration-200"
+                  >
+                    Save & Submit
+                  </button>
+                </div>
+              </div>
+            ) : isUser ? (
+              <>
+                <MessageAttachments attachments={message.attachments} className="mb-2" />
+                <div className="text-sm leading-relaxed whitespace-pre-wrap">
+                  {message.content}
+                </div>
+              </>
+            ) : isInterrupted && !message.content ? (
+              <div className="text-sm italic text-gray-500">
+                Generation was stopped before any output was produced.
+              </div>
+            ) : isImage && isPending ? (
+              <PendingImage message={message} />
+            ) : isImage && isFailed ? (
+              <div className="flex items-center text-sm text-red-600">
+                <ImageIcon className="w-4 h-4 mr-2 flex-shrink-0" />
+                <span>Image generation failed{message.image_metadata?.error ? `: ${message.image_metadata.error}` : '.'}</span>
               </div>
             ) : isImage ? (
               <div className="space-y-3">
@@ -112,7 +228,7 @@ const MessageItem = ({ message, isLastMessage }) => {
                     </div>
                   ) : (
                     <img
-                      src={message.content}
+                      src={previewUrl}
                       alt={message.image_metadata?.prompt || "AI generated image"}
                       className={`max-w-full h-auto rounded-lg shadow-sm transition-opacity duration-300 ${
                         imageLoading ? 'opacity-0' : 'opacity-100'
@@ -123,6 +239,42 @@ const MessageItem = ({ message, isLastMessage }) => {
                   )}
                 </div>
 
+                {/* The other images generated with it */}
+                {candidates.length > 1 && (
+                  <div className="flex space-x-2">
+                    {candidates.map((candidate, index) => (
+                      <button
+                        key={candidate.media_id || index}
+                        onClick={() => handleSelectCandidate(index)}
+                        disabled={!isSaved || index === (message.image_metadata.selected || 0)}
+                        className={`w-16 h-16 rounded overflow-hidden border-2 transition-colors duration-200 ${
+                          index === (message.image_metadata.selected || 0)
+                            ? 'border-primary-500'
+                            : 'border-transparent hover:border-gray-400'
+                        }`}
+                        title={`Show image ${index + 1} of ${candidates.length}`}
+                      >
+                        <img
+                          src={candidate.media_id ? mediaService.getThumbnailUrl(candidate.media_id) : candidate.image_url}
+                          alt={`Candidate ${index + 1}`}
+                          className="w-full h-full object-cover"
+                        />
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {imageSource && (
+                  <button
+                    onClick={scrollToSource}
+                    className="inline-flex items-center px-2 py-1 text-xs bg-blue-50 hover:bg-blue-100 text-blue-700 rounded transition-colors duration-200"
+                    title="Show the image it was made from"
+                  >
+                    <CornerUpLeft className="w-3 h-3 mr-1" />
+                    {imageSource.operation === 'edit' ? 'Edit of an earlier image' : 'Variation of an earlier image'}
+                  </button>
+                )}
+
                 {/* Image Metadata */}
                 {message.image_metadata && (
                   <div className="space-y-2 text-sm">
@@ -178,8 +330,36 @@ const MessageItem = ({ message, isLastMessage }) => {
                       <Download className="w-3 h-3 mr-1" />
                       Download
                     </button>
+                    {mediaId && isSaved && onEditImage && (
+                      <button
+                        onClick={() => setIsEditingImage(true)}
+                        disabled={!canBranch}
+                        className="inline-flex items-center px-3 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded disabled:opacity-50 transition-colors duration-200"
+                      >
+                        <Wand2 className="w-3 h-3 mr-1" />
+                        Edit
+                      </button>
+                    )}
+                    {mediaId && isSaved && onImageVariations && (
+                      <button
+                        onClick={() => onImageVariations(message.id)}
+                        disabled={!canBranch}
+                        className="inline-flex items-center px-3 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded disabled:opacity-50 transition-colors duration-200"
+                      >
+                        <Shuffle className="w-3 h-3 mr-1" />
+                        Variations
+                      </button>
+                    )}
                   </div>
                 )}
+                {onEditImage && (
+                  <ImageEditDialog
+                    open={isEditingImage}
+                    onClose={() => setIsEditingImage(false)}
+                    imageUrl={imageUrl}
+                    onSubmit={(prompt, mask) => onEditImage(message.id, prompt, mask)}
+                  />
+                )}
               </div>
             ) : (
               <div className="message-content prose prose-sm max-w-none">
@@ -242,6 +422,10 @@ const MessageItem = ({ message, isLastMessage }) => {
                 >
                   {message.content}
                 </ReactMarkdown>
+                {message.isStreaming && (
+                  <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-500 animate-pulse" />
+                )}
+                <MessageCitations citations={message.citations} />
               </div>
             )}
           </div>
@@ -251,6 +435,12 @@ const MessageItem = ({ message, isLastMessage }) => {
             isUser ? 'flex-row-reverse' : 'flex-row'
           }`}>
             <div className="flex items-center space-x-2 text-xs text-gray-500">
+              {hasSiblings && (
+                <>
+                  <BranchSwitcher message={message} onSelectBranch={onSelectBranch} disabled={!canBranch} />
+                  <span>•</span>
+                </>
+              )}
               <span>{formatTime(message.timestamp)}</span>
               {message.model && !isUser && (
                 <>
@@ -258,33 +448,81 @@ const MessageItem = ({ message, isLastMessage }) => {
                   <span>{message.model}</span>
                 </>
               )}
+              {message.fallback && !isUser && (
+                <span
+                  className="text-amber-600 cursor-help"
+                  title={`Answered by ${message.model} because ${message.fallback.from} was unavailable: ${message.fallback.reason}`}
+                >
+                  (instead of {message.fallback.from})
+                </span>
+              )}
               {message.content_type && message.content_type !== 'text' && !isUser && (
                 <>
                   <span>•</span>
                   <span className="capitalize">{message.content_type}</span>
                 </>
               )}
+              {isInterrupted && (
+                <>
+                  <span>•</span>
+                  <span className="text-amber-600">Stopped</span>
+                </>
+              )}
               {message.token_count && message.token_count > 0 && !isUser && (
                 <>
                   <span>•</span>
                   <span>{message.token_count} tokens</span>
                 </>
               )}
+              {message.generation_params && !isUser && (
+                <>
+                  <span>•</span>
+                  <span
+                    className="inline-flex items-center cursor-help"
+                    title={`Generated with: ${describeParams(message.generation_params)}`}
+                  >
+                    <SlidersHorizontal className="w-3 h-3" />
+                  </span>
+                </>
+              )}
             </div>
 
-            {!isUser && (
+            {isUser && isSaved && onEdit && !isEditing && (
               <button
-                onClick={handleCopy}
-                className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200 transition-colors duration-200"
-                title={isImage ? "Copy image prompt" : "Copy message"}
+                onClick={startEditing}
+                disabled={!canBranch}
+                className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent transition-colors duration-200"
+                title="Edit message"
               >
-                {copied ? (
-                  <Check className="w-4 h-4" />
-                ) : (
-                  <Copy className="w-4 h-4" />
-                )}
+                <Pencil className="w-4 h-4" />
               </button>
             )}
+
+            {!isUser && !message.isStreaming && (
+              <div className="flex items-center">
+                {isSaved && onRegenerate && (
+                  <button
+                    onClick={() => onRegenerate(message.id)}
+                    disabled={!canBranch}
+                    className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent transition-colors duration-200"
+                    title="Regenerate response"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                )}
+                <button
+                  onClick={handleCopy}
+                  className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200 transition-colors duration-200"
+                  title={isImage ? "Copy image prompt" : "Copy message"}
+                >
+                  {copied ? (
+                    <Check className="w-4 h-4" />
+                  ) : (
+                    <Copy className="w-4 h-4" />
+                  )}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
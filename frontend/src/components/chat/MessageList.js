@@ -1,25 +1,128 @@
-import React from 'react';
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
 import MessageItem from './MessageItem';
+import ToolStep from './ToolStep';
 import TypingIndicator from './TypingIndicator';
+import ComparisonView from './ComparisonView';
+
+// The nearest element that scrolls node, or the page
+const getScrollParent = (node) => {
+  for (let element = node.parentElement; element; element = element.parentElement) {
+    const { overflowY } = window.getComputedStyle(element);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+      return element;
+    }
+  }
+  return document.scrollingElement || document.documentElement;
+};
+
+// comparison is the comparison being shown after the messages, if any; onPickWinner(messageId)
+// continues with one of its replies. focusedMessageId is highlighted. When hasOlderMessages,
+// onLoadOlderMessages() is called as the top of the list scrolls into view and resolves with
+// whether it added any.
+const MessageList = ({
+  messages = [],
+  isTyping = false,
+  onEdit,
+  onRegenerate,
+  onSelectBranch,
+  onEditImage,
+  onImageVariations,
+  onSelectCandidate,
+  focusedMessageId,
+  comparison,
+  onPickWinner,
+  hasOlderMessages = false,
+  onLoadOlderMessages
+}) => {
+  const topRef = useRef(null);
+  const listRef = useRef(null);
+  // The first message shown and where it was before older messages were loaded above it
+  const anchorRef = useRef(null);
+  const onLoadOlderRef = useRef(onLoadOlderMessages);
+  onLoadOlderRef.current = onLoadOlderMessages;
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+
+  useEffect(() => {
+    const top = topRef.current;
+    if (!top || !hasOlderMessages || isLoadingOlder) return undefined;
+
+    const observer = new IntersectionObserver(async ([entry]) => {
+      if (!entry.isIntersecting) return;
+      observer.disconnect();
+
+      const first = listRef.current?.firstElementChild;
+      anchorRef.current = first ? { node: first, top: first.getBoundingClientRect().top } : null;
+      setIsLoadingOlder(true);
+      try {
+        if (!(await onLoadOlderRef.current())) {
+          anchorRef.current = null;
+        }
+      } finally {
+        setIsLoadingOlder(false);
+      }
+    }, { rootMargin: '200px 0px 0px 0px' });
+
+    observer.observe(top);
+    return () => observer.disconnect();
+  }, [hasOlderMessages, isLoadingOlder]);
+
+  // Keep the messages that were shown in place as older ones are added above them
+  useLayoutEffect(() => {
+    const anchor = anchorRef.current;
+    if (!anchor || listRef.current?.firstElementChild === anchor.node) return;
+
+    anchorRef.current = null;
+    if (anchor.node.isConnected) {
+      getScrollParent(anchor.node).scrollTop += anchor.node.getBoundingClientRect().top - anchor.top;
+    }
+  }, [messages]);
 
-const MessageList = ({ messages = [], isTyping = false }) => {
   if (!messages.length && !isTyping) {
     return null;
   }
 
+  // Once a streamed reply starts arriving it replaces the typing indicator
+  const isStreaming = messages[messages.length - 1]?.isStreaming;
+
   return (
     <div className="flex-1 overflow-y-auto">
       <div className="max-w-4xl mx-auto px-4 py-6">
-        <div className="space-y-6">
+        <div ref={topRef}>
+          {isLoadingOlder && (
+            <p className="pb-4 text-center text-xs text-gray-400 animate-pulse">Loading earlier messages…</p>
+          )}
+        </div>
+        <div ref={listRef} className="space-y-6">
           {messages.map((message, index) => (
-            <MessageItem
-              key={message.id || index}
-              message={message}
-              isLastMessage={index === messages.length - 1}
-            />
+            message.content_type === 'tool_call' || message.content_type === 'tool_result' ? (
+              <ToolStep
+                key={message.id || index}
+                message={message}
+                onSelectBranch={onSelectBranch}
+                canBranch={!isTyping}
+              />
+            ) : (
+              <MessageItem
+                key={message.id || index}
+                message={message}
+                isLastMessage={index === messages.length - 1}
+                onEdit={onEdit}
+                onRegenerate={onRegenerate}
+                onSelectBranch={onSelectBranch}
+                onEditImage={onEditImage}
+                onImageVariations={onImageVariations}
+                onSelectCandidate={onSelectCandidate}
+                isFocused={message.id === focusedMessageId}
+                canBranch={!isTyping}
+              />
+            )
           ))}
           
-          {isTyping && (
+          {comparison && (
+            <ComparisonView comparison={comparison} onPick={onPickWinner} />
+          )}
+
+          {isTyping && !isStreaming && !comparison && (
             <div className="flex justify-start">
               <TypingIndicator />
             </div>
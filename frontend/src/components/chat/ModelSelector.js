@@ -1,6 +1,6 @@
 import React, { Fragment, useState } from 'react';
 import { Listbox, Transition } from '@headlessui/react';
-import { ChevronDownIcon, CheckIcon, Bot, RefreshCw, Image, MessageSquare } from 'lucide-react';
+import { ChevronDownIcon, CheckIcon, Bot, RefreshCw, Image, MessageSquare, Eye } from 'lucide-react';
 import { useChat } from '../../context/ChatContext';
 import clsx from 'clsx';
 
@@ -24,14 +24,21 @@ const ModelSelector = () => {
 
     const colors = {
       openai: 'bg-green-100 text-green-800',
-      anthropic: 'bg-purple-100 text-purple-800'
+      anthropic: 'bg-purple-100 text-purple-800',
+      'openai-compatible': 'bg-amber-100 text-amber-800'
     };
 
+    // Short labels for built-in providers; providers added through the registry show their own name
+    const labels = {
+      'openai-compatible': 'Local'
+    };
+    const provider = state.providers.find(p => p.id === model.provider);
+
     return (
       <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
         colors[model.provider] || 'bg-gray-100 text-gray-800'
       }`}>
-        {model.provider.charAt(0).toUpperCase() + model.provider.slice(1)}
+        {labels[model.provider] || provider?.name || model.provider.charAt(0).toUpperCase() + model.provider.slice(1)}
       </span>
     );
   };
@@ -59,6 +66,18 @@ const ModelSelector = () => {
     );
   };
 
+  // Text models that accept images
+  const getVisionBadge = (model) => {
+    if (!model.vision) return null;
+
+    return (
+      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-emerald-100 text-emerald-800">
+        <Eye className="w-3 h-3 mr-1" />
+        Vision
+      </span>
+    );
+  };
+
   const getModelIcon = (modelId) => {
     const type = getModelType(modelId);
     return type === 'image' ? Image : MessageSquare;
@@ -134,6 +153,7 @@ const ModelSelector = () => {
                               <div className="mt-1 flex items-center space-x-2">
                                 {getProviderBadge(model.id)}
                                 {getTypeBadge(model.id)}
+                                {getVisionBadge(model)}
                               </div>
                             </div>
                           </div>
@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Image as ImageIcon, Square } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useChat } from '../../context/ChatContext';
+import { jobService } from '../../services/api';
+import { parseServerDate } from '../../utils/dateUtils';
+
+// Stand-in for an image reply a background job is still making. It follows the job and replaces
+// itself with the finished message, so it picks up where it left off after the page is reloaded.
+const PendingImage = ({ message }) => {
+  const { actions } = useChat();
+  const jobId = message.image_metadata?.job_id;
+  const [job, setJob] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [isCancelling, setIsCancelling] = useState(false);
+  // actions is rebuilt on every render, and the job is followed once
+  const updateMessageRef = useRef(actions.updateMessage);
+  updateMessageRef.current = actions.updateMessage;
+
+  useEffect(() => {
+    if (!jobId) return undefined;
+
+    return jobService.watchJob(jobId, (update) => {
+      setJob(update);
+      if (update.message) {
+        updateMessageRef.current(update.message);
+      }
+    });
+  }, [jobId]);
+
+  useEffect(() => {
+    const started = parseServerDate(message.timestamp).getTime() || Date.now();
+    const timer = setInterval(() => setElapsed(Math.max(0, Math.round((Date.now() - started) / 1000))), 1000);
+    return () => clearInterval(timer);
+  }, [message.timestamp]);
+
+  const handleCancel = async () => {
+    setIsCancelling(true);
+    try {
+      await jobService.cancelJob(jobId);
+    } catch (error) {
+      toast.error(error.message || 'Failed to stop the image generation');
+      setIsCancelling(false);
+    }
+  };
+
+  const status = job?.progress || (job?.status === 'running' ? 'Generating' : 'Waiting to start');
+
+  return (
+    <div className="flex flex-col items-center justify-center h-64 bg-gray-200 rounded-lg animate-pulse">
+      <ImageIcon className="w-12 h-12 mb-2 text-gray-400" />
+      <div className="text-sm text-gray-600">{status}…</div>
+      <div className="text-xs text-gray-500 mt-1">{elapsed}s</div>
+      {jobId && (
+        <button
+          onClick={handleCancel}
+          disabled={isCancelling}
+          className="inline-flex items-center mt-3 px-3 py-1 text-xs bg-white hover:bg-gray-100 text-gray-700 rounded disabled:opacity-50 transition-colors duration-200"
+        >
+          <Square className="w-3 h-3 mr-1" />
+          Stop
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PendingImage;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { useChat } from '../../context/ChatContext';
+import PersonaAvatar from '../common/PersonaAvatar';
+
+// Persona picker for new conversations. An existing conversation keeps the persona it was
+// started with, which is shown instead.
+const PersonaSelector = () => {
+  const { state, actions } = useChat();
+
+  if (state.currentSession) {
+    const persona = state.personas.find(p => p.id === state.currentSession.persona_id);
+    if (!persona) return null;
+
+    return (
+      <div className="flex items-center text-sm text-gray-600" title="Persona for this conversation">
+        <PersonaAvatar avatar={persona.avatar} className="w-5 h-5" iconClassName="w-3 h-3" />
+        <span className="ml-2 truncate max-w-32">{persona.name}</span>
+      </div>
+    );
+  }
+
+  if (state.personas.length === 0) return null;
+
+  return (
+    <select
+      value={state.selectedPersonaId || ''}
+      onChange={(e) => actions.selectPersona(e.target.value || null)}
+      className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+      title="Persona for the new conversation"
+    >
+      <option value="">No persona</option>
+      {state.personas.map(persona => (
+        <option key={persona.id} value={persona.id}>
+          {persona.avatar && !/^(https?:|data:)/.test(persona.avatar) ? `${persona.avatar} ` : ''}{persona.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default PersonaSelector;
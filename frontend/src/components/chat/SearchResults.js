@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MessageSquare, Clock, User, Bot, Search } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+import { searchService } from '../../services/api';
+import { formatDistanceToNow } from '../../utils/dateUtils';
+
+// How long typing has to pause before the search is sent
+const SEARCH_DELAY = 300;
+
+// Matched text, with the matches marked
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match ? (
+      <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{segment.text}</mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )))}
+  </>
+);
+
+// Conversations whose title matches query and messages that contain it, searched as the query is
+// typed. filters are { role, model, from, to }. Opening a message switches its conversation to the
+// branch the message is on and highlights it.
+const SearchResults = ({ query, filters, onClose }) => {
+  const { actions } = useChat();
+  const navigate = useNavigate();
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await searchService.search(query, filters, { signal: controller.signal });
+        setResults(response);
+        setError(null);
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          setError(err.message);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, filters]);
+
+  const openSession = (sessionId) => {
+    navigate(`/chat/${sessionId}`);
+    onClose?.();
+  };
+
+  const openMessage = async (message) => {
+    await actions.openMessage(message.session_id, message.id);
+    openSession(message.session_id);
+  };
+
+  const formatTime = (timestamp) => {
+    try {
+      return formatDistanceToNow(new Date(timestamp), { addSuffix: true });
+    } catch (err) {
+      return 'Unknown';
+    }
+  };
+
+  if (error) {
+    return <p className="p-4 text-sm text-red-600">{error}</p>;
+  }
+
+  if (!results) {
+    return <p className="p-4 text-sm text-gray-500 animate-pulse">Searching…</p>;
+  }
+
+  if (results.sessions.length === 0 && results.messages.length === 0) {
+    return (
+      <div className="p-6 text-center">
+        <Search className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <h3 className="text-sm font-medium text-gray-900 mb-1">No matches</h3>
+        <p className="text-sm text-gray-500">Try other words or fewer filters</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-4 p-4 ${isSearching ? 'opacity-60' : ''}`}>
+      {results.sessions.length > 0 && (
+        <div>
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2 px-2">
+            Conversations
+          </h3>
+          <div className="space-y-1">
+            {results.sessions.map(session => (
+              <button
+                key={session.id}
+                onClick={() => openSession(session.id)}
+                className="block w-full text-left px-3 py-2 rounded-lg hover:bg-gray-100 text-gray-700"
+              >
+                <p className="text-sm font-medium truncate">
+                  <Highlighted segments={session.title_segments} />
+                </p>
+                <div className="mt-1 flex items-center text-xs text-gray-500">
+                  <Clock className="w-3 h-3 mr-1" />
+                  {formatTime(session.created_at)}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {results.messages.length > 0 && (
+        <div>
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2 px-2">
+            Messages
+          </h3>
+          <div className="space-y-1">
+            {results.messages.map(message => (
+              <button
+                key={message.id}
+                onClick={() => openMessage(message)}
+                className="block w-full text-left px-3 py-2 rounded-lg hover:bg-gray-100 text-gray-700"
+              >
+                <p className="flex items-center text-xs font-medium text-gray-900 truncate">
+                  <MessageSquare className="w-3 h-3 mr-1 flex-shrink-0 text-gray-400" />
+                  <span className="truncate">{message.session_title || 'New Conversation'}</span>
+                </p>
+                <p className="mt-1 text-sm text-gray-700 line-clamp-3 break-words">
+                  <Highlighted segments={message.snippet} />
+                </p>
+                <div className="mt-1 flex items-center space-x-3 text-xs text-gray-500">
+                  <span className="flex items-center">
+                    {message.role === 'user' ? <User className="w-3 h-3 mr-1" /> : <Bot className="w-3 h-3 mr-1" />}
+                    {message.role === 'user' ? 'You' : message.model || 'Assistant'}
+                  </span>
+                  <span className="flex items-center">
+                    <Clock className="w-3 h-3 mr-1" />
+                    {formatTime(message.timestamp)}
+                  </span>
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
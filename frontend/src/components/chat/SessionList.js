@@ -1,13 +1,50 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { MessageSquare, Trash2, Clock, X } from 'lucide-react';
+import { MessageSquare, Trash2, Clock, X, Search, SlidersHorizontal } from 'lucide-react';
 import { useChat } from '../../context/ChatContext';
+import SearchResults from './SearchResults';
 import { formatDistanceToNow, getRelativeDate } from '../../utils/dateUtils';
 import toast from 'react-hot-toast';
 
 const SessionList = ({ onClose }) => {
   const { state, actions } = useChat();
   const [deletingId, setDeletingId] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [filters, setFilters] = useState({ role: '', model: '', from: '', to: '' });
+  const isSearching = searchQuery.trim().length > 0;
+  const hasFilters = Object.values(filters).some(Boolean);
+  const listRef = useRef(null);
+  const endRef = useRef(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadMoreRef = useRef(actions.loadMoreSessions);
+  loadMoreRef.current = actions.loadMoreSessions;
+  const hasMore = !!state.sessionsPagination?.has_more;
+
+  // Load the next page of conversations as the end of the list scrolls into view
+  useEffect(() => {
+    const end = endRef.current;
+    if (!end || !hasMore || isLoadingMore || isSearching) return undefined;
+
+    const observer = new IntersectionObserver(async ([entry]) => {
+      if (!entry.isIntersecting) return;
+      observer.disconnect();
+
+      setIsLoadingMore(true);
+      try {
+        await loadMoreRef.current();
+      } finally {
+        setIsLoadingMore(false);
+      }
+    }, { root: listRef.current, rootMargin: '0px 0px 200px 0px' });
+
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [hasMore, isLoadingMore, isSearching]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
 
   const groupSessionsByDate = (sessions) => {
     const groups = {};
@@ -57,6 +94,7 @@ const SessionList = ({ onClose }) => {
   };
 
   const groupedSessions = groupSessionsByDate(state.sessions);
+  const totalSessions = state.sessionsPagination?.total ?? state.sessions.length;
 
   return (
     <div className="flex flex-col h-full">
@@ -73,9 +111,87 @@ const SessionList = ({ onClose }) => {
         )}
       </div>
 
+      {/* Search */}
+      <div className="px-4 pt-3 pb-2 border-b border-gray-200 space-y-2">
+        <div className="flex items-center space-x-2">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 text-gray-400 absolute left-2.5 top-1/2 transform -translate-y-1/2" />
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search conversations"
+              maxLength={200}
+              className="w-full pl-8 pr-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`p-1.5 rounded-md transition-colors duration-200 ${
+              showFilters || hasFilters ? 'text-primary-600 bg-primary-50' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-200'
+            }`}
+            title="Search filters"
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+          </button>
+        </div>
+
+        {showFilters && (
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <select
+              value={filters.role}
+              onChange={(e) => updateFilter('role', e.target.value)}
+              className="py-1 text-xs border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">Anyone</option>
+              <option value="user">You</option>
+              <option value="assistant">Assistant</option>
+            </select>
+            <select
+              value={filters.model}
+              onChange={(e) => updateFilter('model', e.target.value)}
+              className="py-1 text-xs border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">Any model</option>
+              {state.availableModels.map(model => (
+                <option key={model.id} value={model.id}>{model.name}</option>
+              ))}
+            </select>
+            <label className="flex flex-col text-gray-500">
+              From
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className="mt-0.5 py-1 text-xs border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </label>
+            <label className="flex flex-col text-gray-500">
+              To
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className="mt-0.5 py-1 text-xs border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </label>
+            {hasFilters && (
+              <button
+                onClick={() => setFilters({ role: '', model: '', from: '', to: '' })}
+                className="col-span-2 text-left text-gray-500 hover:text-gray-700"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Session List */}
-      <div className="flex-1 overflow-y-auto">
-        {Object.keys(groupedSessions).length === 0 ? (
+      <div ref={listRef} className="flex-1 overflow-y-auto">
+        {isSearching ? (
+          <SearchResults query={searchQuery.trim()} filters={filters} onClose={onClose} />
+        ) : Object.keys(groupedSessions).length === 0 ? (
           <div className="p-6 text-center">
             <MessageSquare className="w-12 h-12 text-gray-300 mx-auto mb-4" />
             <h3 className="text-sm font-medium text-gray-900 mb-1">No conversations yet</h3>
@@ -154,6 +270,12 @@ const SessionList = ({ onClose }) => {
                 </div>
               </div>
             ))}
+
+            <div ref={endRef}>
+              {isLoadingMore && (
+                <p className="text-center text-xs text-gray-400 animate-pulse">Loading more conversations…</p>
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -161,7 +283,7 @@ const SessionList = ({ onClose }) => {
       {/* Footer */}
       <div className="p-4 border-t border-gray-200 bg-gray-50">
         <p className="text-xs text-gray-500 text-center">
-          {state.sessions.length} conversation{state.sessions.length !== 1 ? 's' : ''} total
+          {totalSessions} conversation{totalSessions !== 1 ? 's' : ''} total
         </p>
       </div>
     </div>
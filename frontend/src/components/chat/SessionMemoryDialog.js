@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+import { X, Brain, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useChat } from '../../context/ChatContext';
+import { chatService } from '../../services/api';
+
+// Lets the user turn summarization of a long conversation's older messages on or off,
+// and read, correct or forget the summary sent in their place
+const SessionMemoryDialog = ({ sessionId, open, onClose }) => {
+  const { actions } = useChat();
+  const [memoryState, setMemoryState] = useState(null);
+  const [summary, setSummary] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !sessionId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setMemoryState(null);
+    chatService.getSessionMemory(sessionId)
+      .then(response => {
+        if (cancelled) return;
+        setMemoryState(response);
+        setSummary(response.memory?.summary || '');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        toast.error(error.message || 'Failed to load conversation memory');
+        onClose();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, sessionId, onClose]);
+
+  const applyResponse = (response) => {
+    setMemoryState({ enabled: response.enabled, memory: response.memory });
+    setSummary(response.memory?.summary || '');
+  };
+
+  const handleToggle = async () => {
+    setIsSaving(true);
+    try {
+      applyResponse(await actions.setSummarizeHistory(!memoryState.enabled));
+    } catch (error) {
+      toast.error(error.message || 'Failed to update conversation memory');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      applyResponse(await chatService.updateSessionMemory(sessionId, { summary: summary.trim() }));
+      toast.success('Summary saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save summary');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Forget this summary? Older messages will be summarized again when needed.')) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      applyResponse(await chatService.clearSessionMemory(sessionId));
+      toast.success('Summary cleared');
+    } catch (error) {
+      toast.error(error.message || 'Failed to clear summary');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const memory = memoryState?.memory;
+  const isChanged = memory && summary.trim() && summary.trim() !== memory.summary;
+
+  return (
+    <Dialog open={open} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex w-screen items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-2xl w-full bg-white rounded-lg shadow-xl">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <Dialog.Title className="text-base font-semibold text-gray-900 flex items-center">
+              <Brain className="w-4 h-4 mr-2" />
+              Conversation Memory
+            </Dialog.Title>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 p-1 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {!memoryState ? (
+            <div className="p-8 text-center text-sm text-gray-500">Loading...</div>
+          ) : (
+            <div className="p-4 space-y-4 max-h-[70vh] overflow-y-auto">
+              <div className="flex items-start justify-between">
+                <div className="pr-4">
+                  <p className="text-sm font-medium text-gray-900">Summarize older messages</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    When the conversation nears the model's context window, its earliest messages are
+                    summarized and the summary is sent in their place.
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  role="switch"
+                  aria-checked={memoryState.enabled}
+                  onClick={handleToggle}
+                  disabled={isSaving}
+                  className={`relative inline-flex h-6 w-11 flex-shrink-0 rounded-full transition-colors duration-200 disabled:opacity-50 ${
+                    memoryState.enabled ? 'bg-primary-600' : 'bg-gray-200'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-5 w-5 mt-0.5 rounded-full bg-white shadow transform transition-transform duration-200 ${
+                      memoryState.enabled ? 'translate-x-5' : 'translate-x-0.5'
+                    }`}
+                  />
+                </button>
+              </div>
+
+              {memory ? (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-gray-700">Summary</label>
+                    <span className="text-xs text-gray-500">
+                      {memory.model} · {new Date(memory.updated_at).toLocaleString()}
+                    </span>
+                  </div>
+                  <textarea
+                    rows={10}
+                    value={summary}
+                    onChange={(e) => setSummary(e.target.value)}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 resize-y"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {memory.applies
+                      ? `Covers the first ${memory.covered_count} message${memory.covered_count === 1 ? '' : 's'} of this branch.`
+                      : 'This summary was written on another branch and is not used for the one shown.'}
+                  </p>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  This conversation has not been summarized yet.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="px-4 py-3 border-t border-gray-200 flex justify-between">
+            <div>
+              {memory && (
+                <button
+                  type="button"
+                  onClick={handleClear}
+                  disabled={isSaving}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors duration-200"
+                >
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Clear
+                </button>
+              )}
+            </div>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+              >
+                Close
+              </button>
+              {memory && (
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={!isChanged || isSaving}
+                  className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                >
+                  Save Summary
+                </button>
+              )}
+            </div>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default SessionMemoryDialog;
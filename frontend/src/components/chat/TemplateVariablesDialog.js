@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+import { X, FileText } from 'lucide-react';
+import { extractVariables, fillTemplate, formatVariableName } from '../../utils/templateUtils';
+
+// Asks for the values of a template's {{variables}} and hands back the filled-in prompt
+const TemplateVariablesDialog = ({ template, onClose, onInsert }) => {
+  const [values, setValues] = useState({});
+  const variables = template ? extractVariables(template.content) : [];
+
+  // Start each template with empty values
+  useEffect(() => {
+    setValues({});
+  }, [template]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onInsert(fillTemplate(template.content, values));
+  };
+
+  const isComplete = variables.every(name => values[name]?.trim());
+
+  return (
+    <Dialog open={!!template} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex w-screen items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-lg w-full bg-white rounded-lg shadow-xl">
+          <form onSubmit={handleSubmit}>
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <Dialog.Title className="text-base font-semibold text-gray-900 flex items-center">
+                <FileText className="w-4 h-4 mr-2" />
+                /{template?.name}
+              </Dialog.Title>
+              <button
+                type="button"
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600 p-1 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-4 max-h-[60vh] overflow-y-auto">
+              {template?.description && (
+                <p className="text-sm text-gray-600">{template.description}</p>
+              )}
+              {variables.map((name, index) => (
+                <div key={name}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {formatVariableName(name)}
+                  </label>
+                  <textarea
+                    rows={2}
+                    autoFocus={index === 0}
+                    value={values[name] || ''}
+                    onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 resize-y"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="px-4 py-3 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!isComplete}
+                className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+              >
+                Insert
+              </button>
+            </div>
+          </form>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default TemplateVariablesDialog;
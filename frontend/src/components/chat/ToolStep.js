@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Wrench, ChevronRight, ChevronDown, AlertTriangle } from 'lucide-react';
+import BranchSwitcher from './BranchSwitcher';
+
+// Results are JSON; show them indented when they parse
+const formatResult = (content) => {
+  try {
+    return JSON.stringify(JSON.parse(content), null, 2);
+  } catch (error) {
+    return content;
+  }
+};
+
+const formatArguments = (args) => {
+  if (!args) return 'invalid arguments';
+  return Object.entries(args).map(([name, value]) => `${name}: ${JSON.stringify(value)}`).join(', ');
+};
+
+// A step a reply went through before answering: the tools the model called (a 'tool_call'
+// message, with any text it wrote first) or what one of them returned (a 'tool_result' message).
+// Results are collapsed until clicked.
+const ToolStep = ({ message, onSelectBranch, canBranch = true }) => {
+  const [expanded, setExpanded] = useState(false);
+  const isResult = message.content_type === 'tool_result';
+  const toolData = message.tool_data || {};
+
+  return (
+    <div className="flex justify-start animate-fade-in">
+      <div className="max-w-3xl w-full pl-11">
+        {!isResult && message.content && (
+          <p className="text-sm text-gray-700 whitespace-pre-wrap mb-1">{message.content}</p>
+        )}
+
+        {isResult ? (
+          <div className="text-xs">
+            <button
+              type="button"
+              onClick={() => setExpanded(!expanded)}
+              className={`inline-flex items-center hover:underline ${toolData.is_error ? 'text-red-600' : 'text-gray-500'}`}
+            >
+              {expanded ? <ChevronDown className="w-3 h-3 mr-1" /> : <ChevronRight className="w-3 h-3 mr-1" />}
+              {toolData.is_error && <AlertTriangle className="w-3 h-3 mr-1" />}
+              {toolData.is_error ? `${toolData.name} failed` : `Result of ${toolData.name}`}
+            </button>
+            {expanded && (
+              <pre className="mt-1 p-2 bg-gray-50 border border-gray-200 rounded text-gray-700 font-mono whitespace-pre-wrap break-words max-h-64 overflow-y-auto">
+                {formatResult(message.content)}
+              </pre>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-1">
+            {(toolData.calls || []).map(call => (
+              <div key={call.id} className="flex items-center text-xs text-gray-600">
+                <Wrench className="w-3 h-3 mr-1.5 flex-shrink-0 text-gray-400" />
+                <span className="font-medium mr-1">{call.name}</span>
+                <span className="font-mono text-gray-500 truncate">({formatArguments(call.arguments)})</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {(message.sibling_ids || []).length > 1 && (
+          <div className="mt-1 text-xs text-gray-500">
+            <BranchSwitcher message={message} onSelectBranch={onSelectBranch} disabled={!canBranch} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ToolStep;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Bot } from 'lucide-react';
+
+// A persona's avatar: an image URL, an emoji or short text, or the default bot icon
+const PersonaAvatar = ({ avatar, className = 'w-8 h-8', iconClassName = 'w-5 h-5' }) => {
+  const isImage = avatar && /^(https?:|data:image\/)/.test(avatar);
+
+  if (isImage) {
+    return <img src={avatar} alt="" className={`${className} rounded-full object-cover`} />;
+  }
+
+  return (
+    <div className={`${className} rounded-full bg-gray-600 flex items-center justify-center text-white`}>
+      {avatar ? (
+        <span className="text-base leading-none">{avatar}</span>
+      ) : (
+        <Bot className={iconClassName} />
+      )}
+    </div>
+  );
+};
+
+export default PersonaAvatar;
@@ -269,6 +269,95 @@ const ReportDashboard = () => {
           </div>
         </div>
 
+        {/* Background Usage */}
+        {reportData.background_usage?.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              Background Usage
+            </h2>
+            <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+              <div className="px-4 py-3 border-b border-gray-200 bg-gray-50">
+                <div className="grid grid-cols-4 gap-4 text-xs font-medium text-gray-500 uppercase tracking-wide">
+                  <span>Purpose</span>
+                  <span>Model</span>
+                  <span className="text-center">Calls</span>
+                  <span className="text-center">Tokens</span>
+                </div>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {reportData.background_usage.map((entry) => (
+                  <div key={`${entry.purpose}:${entry.model}`} className="px-4 py-3">
+                    <div className="grid grid-cols-4 gap-4 items-center">
+                      <span className="text-sm font-medium text-gray-900 capitalize">{entry.purpose}</span>
+                      <span className="text-sm text-gray-600">{entry.model}</span>
+                      <span className="text-sm text-gray-600 text-center">{entry.call_count}</span>
+                      <span className="text-sm text-gray-600 text-center">
+                        {entry.total_tokens?.toLocaleString() || '0'}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Model Comparisons */}
+        {reportData.comparisons?.total > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Model Comparisons
+              </h2>
+              <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+                <div className="px-4 py-3 border-b border-gray-200 bg-gray-50">
+                  <div className="grid grid-cols-5 gap-4 text-xs font-medium text-gray-500 uppercase tracking-wide">
+                    <span className="col-span-2">Model</span>
+                    <span className="text-center">Picked</span>
+                    <span className="text-center">Win Rate</span>
+                    <span className="text-center">Avg Time</span>
+                  </div>
+                </div>
+                <div className="divide-y divide-gray-200">
+                  {reportData.comparisons.models.map((entry) => (
+                    <div key={entry.model} className="px-4 py-3">
+                      <div className="grid grid-cols-5 gap-4 items-center">
+                        <span className="col-span-2 text-sm font-medium text-gray-900">{entry.model}</span>
+                        <span className="text-sm text-gray-600 text-center">{entry.wins} of {entry.comparisons}</span>
+                        <span className="text-sm text-gray-600 text-center">{Math.round(entry.win_rate * 100)}%</span>
+                        <span className="text-sm text-gray-600 text-center">
+                          {entry.avg_latency_ms != null ? `${(entry.avg_latency_ms / 1000).toFixed(1)}s` : '-'}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                From {reportData.comparisons.total} comparisons whose best reply was picked
+              </p>
+            </div>
+
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Head to Head
+              </h2>
+              <div className="bg-white rounded-lg border border-gray-200 overflow-hidden divide-y divide-gray-200">
+                {reportData.comparisons.head_to_head.map((pair) => (
+                  <div key={`${pair.model}:${pair.opponent}`} className="px-4 py-3 flex items-center justify-between">
+                    <span className="text-sm text-gray-900">
+                      {pair.model} <span className="text-gray-400">vs</span> {pair.opponent}
+                    </span>
+                    <span className="text-sm font-medium text-gray-600">
+                      {pair.wins} – {pair.losses}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Recent Sessions */}
         <div>
           <h2 className="text-lg font-semibold text-gray-900 mb-4">
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: ''
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+// The signed-in user's own account: who they are, and changing their password, which signs out
+// their other devices. Users of single sign-on have no password here.
+const AccountSettings = () => {
+  const { user, actions } = useAuth();
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleChangePassword = async () => {
+    if (!form.currentPassword || form.newPassword.length < 8) {
+      toast.error('Please enter your current password and a new one of at least 8 characters');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      toast.error('The new passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await actions.changePassword(form.currentPassword, form.newPassword);
+      setForm(emptyForm);
+      toast.success('Password changed; your other devices are signed out');
+    } catch (error) {
+      toast.error(error.message || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-base font-semibold text-gray-900">Account</h3>
+        <p className="text-sm text-gray-600">
+          Signed in as <span className="font-medium">{user.username}</span>
+          {user.role === 'admin' && ' (admin)'}
+        </p>
+      </div>
+
+      {user.auth_provider ? (
+        <p className="text-sm text-gray-600">
+          You sign in through single sign-on, so your password is managed by your identity provider.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <h4 className="text-sm font-semibold text-gray-900">Change Password</h4>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Current Password</label>
+            <input
+              type="password"
+              value={form.currentPassword}
+              onChange={(e) => updateField('currentPassword', e.target.value)}
+              autoComplete="current-password"
+              className={inputClassName}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">New Password</label>
+              <input
+                type="password"
+                value={form.newPassword}
+                onChange={(e) => updateField('newPassword', e.target.value)}
+                autoComplete="new-password"
+                placeholder="At least 8 characters"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Confirm New Password</label>
+              <input
+                type="password"
+                value={form.confirmPassword}
+                onChange={(e) => updateField('confirmPassword', e.target.value)}
+                autoComplete="new-password"
+                className={inputClassName}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={handleChangePassword}
+              disabled={saving}
+              className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              {saving ? 'Changing...' : 'Change Password'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2 } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+import { useAuth } from '../../context/AuthContext';
+import { personaService } from '../../services/api';
+import { GENERATION_PARAMS, toRequestParams, fromStoredParams } from '../../utils/generationParams';
+import PersonaAvatar from '../common/PersonaAvatar';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  avatar: '',
+  defaultModel: '',
+  systemPrompt: '',
+  params: {}
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+// Create, edit and delete personas: a system prompt with the model and generation
+// parameters new conversations with the persona start from. Everyone shares them, so only admins
+// in admin mode change them.
+const PersonaManager = () => {
+  const { state, actions } = useChat();
+  const { adminUnlocked } = useAuth();
+  // null while no persona is being edited, 'new' for a new one, otherwise the persona id
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = (persona = null) => {
+    setEditingId(persona ? persona.id : 'new');
+    setForm(persona ? {
+      name: persona.name,
+      avatar: persona.avatar || '',
+      defaultModel: persona.default_model || '',
+      systemPrompt: persona.system_prompt || '',
+      params: fromStoredParams(persona.generation_params)
+    } : emptyForm);
+  };
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const updateParam = (key, value) => {
+    setForm(prev => ({ ...prev, params: { ...prev.params, [key]: value } }));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      toast.error('Please give the persona a name');
+      return;
+    }
+
+    const params = toRequestParams(form.params);
+    const persona = {
+      name: form.name.trim(),
+      avatar: form.avatar.trim() || null,
+      defaultModel: form.defaultModel || null,
+      systemPrompt: form.systemPrompt,
+      generationParams: Object.keys(params).length > 0 ? params : null
+    };
+
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await personaService.createPersona(persona);
+      } else {
+        await personaService.updatePersona(editingId, persona);
+      }
+      await actions.refreshPersonas();
+      setEditingId(null);
+      toast.success('Persona saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save persona');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"? Conversations that use it are kept.`)) {
+      return;
+    }
+
+    try {
+      await personaService.deletePersona(persona.id);
+      await actions.refreshPersonas();
+      if (editingId === persona.id) {
+        setEditingId(null);
+      }
+      toast.success('Persona deleted');
+    } catch (error) {
+      toast.error('Failed to delete persona');
+    }
+  };
+
+  if (editingId) {
+    return (
+      <div className="space-y-4">
+        <h3 className="text-base font-semibold text-gray-900">
+          {editingId === 'new' ? 'New Persona' : 'Edit Persona'}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              placeholder="Code Reviewer"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Avatar</label>
+            <input
+              type="text"
+              value={form.avatar}
+              onChange={(e) => updateField('avatar', e.target.value)}
+              placeholder="Emoji or image URL"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Default Model</label>
+          <select
+            value={form.defaultModel}
+            onChange={(e) => updateField('defaultModel', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">Keep the selected model</option>
+            {state.availableModels.filter(m => m.type === 'text').map(model => (
+              <option key={model.id} value={model.id}>
+                {model.name} ({model.provider})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">System Prompt</label>
+          <textarea
+            rows={6}
+            value={form.systemPrompt}
+            onChange={(e) => updateField('systemPrompt', e.target.value)}
+            placeholder="You are a meticulous code reviewer..."
+            className={`${inputClassName} text-sm`}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Default Parameters</label>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {GENERATION_PARAMS.map(({ key, label, min, max, step }) => (
+              <div key={key}>
+                <label className="block text-xs text-gray-600 mb-1">{label}</label>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={form.params[key] || ''}
+                  placeholder="Global setting"
+                  onChange={(e) => updateParam(key, e.target.value)}
+                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Stop Sequences</label>
+              <textarea
+                rows={1}
+                value={form.params.stop || ''}
+                placeholder="One per line"
+                onChange={(e) => updateParam('stop', e.target.value)}
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 resize-y"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setEditingId(null)}
+            className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+          >
+            Back
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors duration-200"
+          >
+            {saving ? 'Saving...' : 'Save Persona'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Personas</h3>
+          <p className="text-sm text-gray-600">
+            Reusable system prompts. Pick one when starting a conversation.{!adminUnlocked && ' Admins change them in admin mode.'}
+          </p>
+        </div>
+        {adminUnlocked && (
+          <button
+            onClick={() => startEditing()}
+            className="inline-flex items-center px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors duration-200"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New Persona
+          </button>
+        )}
+      </div>
+
+      {state.personas.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No personas yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {state.personas.map(persona => (
+            <li key={persona.id} className="flex items-center justify-between p-3">
+              <div className="flex items-center min-w-0">
+                <PersonaAvatar avatar={persona.avatar} />
+                <div className="ml-3 min-w-0">
+                  <div className="text-sm font-medium text-gray-900 truncate">{persona.name}</div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {persona.system_prompt || 'No system prompt'}
+                  </div>
+                </div>
+              </div>
+              {adminUnlocked && (
+                <div className="flex items-center space-x-1 flex-shrink-0 ml-3">
+                  <button
+                    onClick={() => startEditing(persona)}
+                    className="p-2 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors duration-200"
+                    title="Edit persona"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(persona)}
+                    className="p-2 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors duration-200"
+                    title="Delete persona"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PersonaManager;
@@ -1,13 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { Dialog } from '@headlessui/react';
-import { X, Settings, Eye, EyeOff, TestTube, CheckCircle, AlertCircle } from 'lucide-react';
+import { X, Settings, Eye, EyeOff, TestTube, CheckCircle, AlertCircle, UserCircle, FileText, KeyRound, Users } from 'lucide-react';
 import { useChat } from '../../context/ChatContext';
+import { useAuth } from '../../context/AuthContext';
 import { chatService } from '../../services/api';
+import PersonaManager from './PersonaManager';
+import TemplateManager from './TemplateManager';
+import AccountSettings from './AccountSettings';
+import UserManager from './UserManager';
 import toast from 'react-hot-toast';
 
+// Tabs shown only in admin mode
+const ADMIN_TABS = ['models', 'preferences', 'users'];
+
 const SettingsModal = ({ isOpen, onClose }) => {
   const { state, actions } = useChat();
-  const [activeTab, setActiveTab] = useState('models');
+  const { adminUnlocked } = useAuth();
+  const [activeTab, setActiveTab] = useState(adminUnlocked ? 'models' : 'personas');
   const [formData, setFormData] = useState({
     settings: {},
     apiKeys: {}
@@ -17,6 +26,13 @@ const SettingsModal = ({ isOpen, onClose }) => {
   const [testResults, setTestResults] = useState({});
   const [loading, setLoading] = useState(false);
 
+  // The admin tabs go when admin mode locks
+  useEffect(() => {
+    if (!adminUnlocked && ADMIN_TABS.includes(activeTab)) {
+      setActiveTab('personas');
+    }
+  }, [adminUnlocked, activeTab]);
+
   // Initialize form data when modal opens
   useEffect(() => {
     if (isOpen) {
@@ -45,33 +61,50 @@ const SettingsModal = ({ isOpen, onClose }) => {
     }));
   };
 
-  const testApiKey = async (provider, apiKey) => {
-    if (!apiKey.trim()) {
+  // Test a provider's key along with any unsaved values of its extra settings (e.g. a server URL)
+  const testProvider = async (provider) => {
+    const apiKey = formData.apiKeys[provider.id]?.trim() || '';
+
+    if (provider.requiresApiKey && !apiKey) {
       toast.error('Please enter an API key to test');
       return;
     }
 
-    setTesting(prev => ({ ...prev, [provider]: true }));
-    setTestResults(prev => ({ ...prev, [provider]: null }));
+    const providerSettings = {};
+    provider.settingsFields.forEach(field => {
+      if (formData.settings[field.key]?.trim()) {
+        providerSettings[field.key] = formData.settings[field.key].trim();
+      }
+    });
+
+    setTesting(prev => ({ ...prev, [provider.id]: true }));
+    setTestResults(prev => ({ ...prev, [provider.id]: null }));
 
     try {
-      const result = await chatService.testApiKey(provider, apiKey.trim());
+      const result = await chatService.testApiKey(provider.id, apiKey, providerSettings);
       setTestResults(prev => ({
         ...prev,
-        [provider]: { success: true, message: result.message }
+        [provider.id]: { success: true, message: result.message }
       }));
-      toast.success(`${provider.charAt(0).toUpperCase() + provider.slice(1)} API key is valid!`);
+      toast.success(`${provider.name} connection is working!`);
     } catch (error) {
       setTestResults(prev => ({
         ...prev,
-        [provider]: { success: false, message: error.message }
+        [provider.id]: { success: false, message: error.message }
       }));
-      toast.error(`${provider.charAt(0).toUpperCase() + provider.slice(1)} API key test failed`);
+      toast.error(`${provider.name} test failed`);
     } finally {
-      setTesting(prev => ({ ...prev, [provider]: false }));
+      setTesting(prev => ({ ...prev, [provider.id]: false }));
     }
   };
 
+  // Providers without a required key can be tested once their extra settings are filled in
+  const canTest = (provider) => {
+    if (testing[provider.id]) return false;
+    if (provider.requiresApiKey) return !!formData.apiKeys[provider.id]?.trim();
+    return provider.settingsFields.every(field => formData.settings[field.key]?.trim());
+  };
+
   const handleSave = async () => {
     setLoading(true);
     try {
@@ -90,6 +123,9 @@ const SettingsModal = ({ isOpen, onClose }) => {
       
       toast.success('Settings updated successfully!');
       onClose();
+
+      // Pick up models from a newly configured provider, such as a local server
+      actions.refreshModels().catch(() => {});
     } catch (error) {
       toast.error('Failed to update settings');
     } finally {
@@ -108,13 +144,15 @@ const SettingsModal = ({ isOpen, onClose }) => {
   };
 
   const tabs = [
-    { id: 'models', name: 'Models & API Keys', icon: Settings },
-    { id: 'preferences', name: 'Preferences', icon: Settings }
-  ];
-
-  const providers = [
-    { id: 'openai', name: 'OpenAI', placeholder: 'sk-...' },
-    { id: 'anthropic', name: 'Anthropic', placeholder: 'sk-ant-...' }
+    // Settings, provider keys and accounts are changed in admin mode
+    ...(adminUnlocked ? [
+      { id: 'models', name: 'Models & API Keys', icon: Settings },
+      { id: 'preferences', name: 'Preferences', icon: Settings }
+    ] : []),
+    { id: 'personas', name: 'Personas', icon: UserCircle },
+    { id: 'templates', name: 'Templates', icon: FileText },
+    { id: 'account', name: 'Account', icon: KeyRound },
+    ...(adminUnlocked ? [{ id: 'users', name: 'Users', icon: Users }] : [])
   ];
 
   return (
@@ -172,13 +210,32 @@ const SettingsModal = ({ isOpen, onClose }) => {
                       </h3>
                       <p className="text-sm text-gray-600 mb-4">
                         Configure your API keys to enable different AI models.
+                        OpenAI-compatible servers such as Ollama, llama.cpp, vLLM or LM Studio are connected by their base URL.
                       </p>
 
-                      <div className="space-y-4">
-                        {providers.map((provider) => (
+                      <div className="space-y-6">
+                        {state.providers.map((provider) => (
                           <div key={provider.id} className="space-y-2">
+                            {provider.settingsFields.map((field) => (
+                              <div key={field.key} className="space-y-2">
+                                <label className="block text-sm font-medium text-gray-700">
+                                  {provider.name} {field.label}
+                                </label>
+                                <input
+                                  type="text"
+                                  placeholder={field.placeholder}
+                                  value={formData.settings[field.key] || ''}
+                                  onChange={(e) => updateFormField('settings', field.key, e.target.value)}
+                                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                />
+                              </div>
+                            ))}
+
                             <label className="block text-sm font-medium text-gray-700">
                               {provider.name} API Key
+                              {!provider.requiresApiKey && (
+                                <span className="ml-1 font-normal text-gray-500">(optional)</span>
+                              )}
                               {state.apiKeys[provider.id]?.isSet && (
                                 <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
                                   Configured
@@ -190,7 +247,7 @@ const SettingsModal = ({ isOpen, onClose }) => {
                               <div className="flex-1 relative">
                                 <input
                                   type={showApiKeys[provider.id] ? 'text' : 'password'}
-                                  placeholder={provider.placeholder}
+                                  placeholder={provider.keyPlaceholder}
                                   value={formData.apiKeys[provider.id] || ''}
                                   onChange={(e) => handleInputChange('apiKeys', provider.id, e.target.value)}
                                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 pr-10"
@@ -209,8 +266,8 @@ const SettingsModal = ({ isOpen, onClose }) => {
                               </div>
                               
                               <button
-                                onClick={() => testApiKey(provider.id, formData.apiKeys[provider.id])}
-                                disabled={!formData.apiKeys[provider.id]?.trim() || testing[provider.id]}
+                                onClick={() => testProvider(provider)}
+                                disabled={!canTest(provider)}
                                 className="px-3 py-2 bg-gray-100 hover:bg-gray-200 disabled:bg-gray-50 disabled:text-gray-400 text-gray-700 rounded-lg transition-colors duration-200 flex items-center"
                               >
                                 <TestTube className="w-4 h-4 mr-1" />
@@ -238,6 +295,14 @@ const SettingsModal = ({ isOpen, onClose }) => {
                   </div>
                 )}
 
+                {activeTab === 'personas' && <PersonaManager />}
+
+                {activeTab === 'templates' && <TemplateManager />}
+
+                {activeTab === 'account' && <AccountSettings />}
+
+                {activeTab === 'users' && <UserManager />}
+
                 {activeTab === 'preferences' && (
                   <div className="space-y-6">
                     {/* Text Generation Settings */}
@@ -262,6 +327,27 @@ const SettingsModal = ({ isOpen, onClose }) => {
                           </select>
                         </div>
 
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Summarization Model
+                          </label>
+                          <select
+                            value={formData.settings.summarization_model || ''}
+                            onChange={(e) => updateFormField('settings', 'summarization_model', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                          >
+                            <option value="">Select summarization model</option>
+                            {state.availableModels.filter(m => m.type === 'text').map(model => (
+                              <option key={model.id} value={model.id}>
+                                {model.name} ({model.provider})
+                              </option>
+                            ))}
+                          </select>
+                          <p className="text-xs text-gray-500 mt-1">
+                            Summarizes the older messages of long conversations that have memory turned on
+                          </p>
+                        </div>
+
                         <div>
                           <label className="block text-sm font-medium text-gray-700 mb-2">
                             Max Tokens
@@ -277,6 +363,24 @@ const SettingsModal = ({ isOpen, onClose }) => {
                           />
                         </div>
 
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Document Excerpts
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="20"
+                            value={formData.settings.retrieval_top_k ?? ''}
+                            onChange={(e) => updateFormField('settings', 'retrieval_top_k', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                            placeholder="4"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">
+                            Passages of your documents added to each message; 0 turns document search off
+                          </p>
+                        </div>
+
                         <div>
                           <label className="block text-sm font-medium text-gray-700 mb-2">
                             Temperature ({formData.settings.temperature || '0.7'})
@@ -308,6 +412,78 @@ const SettingsModal = ({ isOpen, onClose }) => {
                             Enable conversation logging
                           </label>
                         </div>
+
+                        <div className="flex items-center">
+                          <input
+                            type="checkbox"
+                            id="tools_enabled"
+                            checked={formData.settings.tools_enabled !== 'false'}
+                            onChange={(e) => updateFormField('settings', 'tools_enabled', e.target.checked ? 'true' : 'false')}
+                            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                          />
+                          <label htmlFor="tools_enabled" className="ml-2 block text-sm text-gray-700">
+                            Let models use tools (calculator, date and time, unit conversion, search past conversations)
+                          </label>
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Retry and Fallback Settings */}
+                    <div>
+                      <h3 className="text-lg font-medium text-gray-900 mb-4">Retries and Fallbacks</h3>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Max Retries
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="10"
+                            value={formData.settings.llm_max_retries ?? ''}
+                            onChange={(e) => updateFormField('settings', 'llm_max_retries', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                            placeholder="2"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">
+                            Times a request is tried again after a rate limit, overload or server error
+                          </p>
+                        </div>
+
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Retry Delay (ms)
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="30000"
+                            step="100"
+                            value={formData.settings.llm_retry_delay_ms ?? ''}
+                            onChange={(e) => updateFormField('settings', 'llm_retry_delay_ms', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                            placeholder="1000"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">
+                            Wait before the first retry, doubled for each one after; the provider's Retry-After wins
+                          </p>
+                        </div>
+
+                        <div className="md:col-span-2">
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Fallback Chains
+                          </label>
+                          <textarea
+                            rows={3}
+                            value={formData.settings.fallback_chains ?? ''}
+                            onChange={(e) => updateFormField('settings', 'fallback_chains', e.target.value)}
+                            className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 resize-y"
+                            placeholder="claude-3-opus > gpt-4 > claude-3-haiku"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">
+                            One chain of model ids per line. When a model keeps failing, the models after it in its chain are asked instead.
+                          </p>
+                        </div>
                       </div>
                     </div>
 
@@ -394,13 +570,15 @@ const SettingsModal = ({ isOpen, onClose }) => {
                 >
                   Cancel
                 </button>
-                <button
-                  onClick={handleSave}
-                  disabled={loading}
-                  className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-lg hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
-                >
-                  {loading ? 'Saving...' : 'Save Changes'}
-                </button>
+                {adminUnlocked && (
+                  <button
+                    onClick={handleSave}
+                    disabled={loading}
+                    className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-lg hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                  >
+                    {loading ? 'Saving...' : 'Save Changes'}
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,283 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Pencil, Trash2, Download, Upload } from 'lucide-react';
+import { useChat } from '../../context/ChatContext';
+import { useAuth } from '../../context/AuthContext';
+import { templateService } from '../../services/api';
+import { extractVariables } from '../../utils/templateUtils';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  content: ''
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+// Create, edit, delete, export and import prompt templates. Templates are inserted in the
+// message box by typing "/" followed by their name. Everyone shares them, so only admins in admin
+// mode change them; others can look and export.
+const TemplateManager = () => {
+  const { state, actions } = useChat();
+  const { adminUnlocked } = useAuth();
+  // null while no template is being edited, 'new' for a new one, otherwise the template id
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [overwrite, setOverwrite] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const startEditing = (template = null) => {
+    setEditingId(template ? template.id : 'new');
+    setForm(template ? {
+      name: template.name,
+      description: template.description || '',
+      content: template.content
+    } : emptyForm);
+  };
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!/^[a-zA-Z0-9_-]+$/.test(form.name)) {
+      toast.error('Names may only contain letters, numbers, dashes and underscores');
+      return;
+    }
+    if (!form.content.trim()) {
+      toast.error('Please enter the template text');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await templateService.createTemplate(form);
+      } else {
+        await templateService.updateTemplate(editingId, form);
+      }
+      await actions.refreshTemplates();
+      setEditingId(null);
+      toast.success('Template saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "/${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await templateService.deleteTemplate(template.id);
+      await actions.refreshTemplates();
+      toast.success('Template deleted');
+    } catch (error) {
+      toast.error('Failed to delete template');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const data = await templateService.exportTemplates();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `prompt-templates-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export templates');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const result = await templateService.importTemplates(data, overwrite);
+      await actions.refreshTemplates();
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error instanceof SyntaxError ? 'The file is not valid JSON' : error.message || 'Failed to import templates');
+    }
+  };
+
+  if (editingId) {
+    const variables = extractVariables(form.content);
+
+    return (
+      <div className="space-y-4">
+        <h3 className="text-base font-semibold text-gray-900">
+          {editingId === 'new' ? 'New Template' : 'Edit Template'}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Command</label>
+            <div className="flex items-center">
+              <span className="text-gray-500 mr-1">/</span>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                placeholder="code-review"
+                className={inputClassName}
+              />
+            </div>
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => updateField('description', e.target.value)}
+              placeholder="Review a diff for bugs and style"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Template</label>
+          <textarea
+            rows={8}
+            value={form.content}
+            onChange={(e) => updateField('content', e.target.value)}
+            placeholder={'Review this {{language}} code:\n\n{{code}}'}
+            className={`${inputClassName} text-sm font-mono`}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Use {'{{name}}'} for values to fill in when the template is used.
+            {variables.length > 0 && ` Variables: ${variables.join(', ')}`}
+          </p>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setEditingId(null)}
+            className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+          >
+            Back
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors duration-200"
+          >
+            {saving ? 'Saving...' : 'Save Template'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Prompt Templates</h3>
+          <p className="text-sm text-gray-600">
+            Type / in the message box to insert one.{!adminUnlocked && ' Admins change them in admin mode.'}
+          </p>
+        </div>
+        {adminUnlocked && (
+          <button
+            onClick={() => startEditing()}
+            className="inline-flex items-center px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors duration-200"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New Template
+          </button>
+        )}
+      </div>
+
+      {state.templates.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No templates yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-72 overflow-y-auto">
+          {state.templates.map(template => (
+            <li key={template.id} className="flex items-center justify-between p-3">
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900">/{template.name}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {template.description || template.content}
+                </div>
+              </div>
+              {adminUnlocked && (
+                <div className="flex items-center space-x-1 flex-shrink-0 ml-3">
+                  <button
+                    onClick={() => startEditing(template)}
+                    className="p-2 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors duration-200"
+                    title="Edit template"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className="p-2 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors duration-200"
+                    title="Delete template"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Sharing */}
+      <div className="pt-4 border-t border-gray-200 flex flex-wrap items-center gap-3">
+        <button
+          onClick={handleExport}
+          disabled={state.templates.length === 0}
+          className="inline-flex items-center px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 disabled:bg-gray-50 disabled:text-gray-400 text-gray-700 rounded-lg transition-colors duration-200"
+        >
+          <Download className="w-4 h-4 mr-1" />
+          Export JSON
+        </button>
+        {adminUnlocked && (
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="inline-flex items-center px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors duration-200"
+            >
+              <Upload className="w-4 h-4 mr-1" />
+              Import JSON
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={overwrite}
+                onChange={(e) => setOverwrite(e.target.checked)}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+              />
+              Replace templates with the same name
+            </label>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TemplateManager;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, KeyRound, Trash2, Shield, User } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { userService } from '../../services/api';
+import { parseServerDate, formatDistanceToNow } from '../../utils/dateUtils';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  username: '',
+  password: '',
+  role: 'user',
+  // A single sign-on provider's id for accounts that sign in through it
+  authProvider: ''
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+// Admins create accounts, change their roles, set new passwords for users who forgot theirs and
+// delete accounts with their conversations. Users of single sign-on have no password to set; their
+// role follows their groups at each sign-in when the server maps groups to roles. Accounts made for
+// a single sign-on provider are regular users', tied to whoever signs in under their name first.
+const UserManager = () => {
+  const { user: currentUser, signInOptions } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const response = await userService.getUsers();
+      setUsers(response.users);
+    } catch (error) {
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleCreate = async () => {
+    if (!form.username.trim() || (!form.authProvider && form.password.length < 8)) {
+      toast.error('Please enter a username and a password of at least 8 characters');
+      return;
+    }
+
+    const { password, authProvider, ...account } = form;
+    setSaving(true);
+    try {
+      await userService.createUser({
+        ...account,
+        username: form.username.trim(),
+        ...(authProvider ? { authProvider, role: 'user' } : { password })
+      });
+      await loadUsers();
+      setCreating(false);
+      setForm(emptyForm);
+      toast.success('User created');
+    } catch (error) {
+      toast.error(error.message || 'Failed to create user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      await userService.updateUser(user.id, { role });
+      await loadUsers();
+      toast.success(`${user.username} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to change role');
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    const password = window.prompt(`New password for ${user.username} (at least 8 characters). They are signed out everywhere.`);
+    if (password === null) {
+      return;
+    }
+    if (password.length < 8) {
+      toast.error('The password needs at least 8 characters');
+      return;
+    }
+
+    try {
+      await userService.updateUser(user.id, { password });
+      toast.success(`New password set for ${user.username}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to set password');
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete the user "${user.username}" with all their conversations? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await userService.deleteUser(user.id);
+      await loadUsers();
+      toast.success('User deleted');
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete user');
+    }
+  };
+
+  if (creating) {
+    return (
+      <div className="space-y-4">
+        <h3 className="text-base font-semibold text-gray-900">New User</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+            <input
+              type="text"
+              value={form.username}
+              onChange={(e) => updateField('username', e.target.value)}
+              autoComplete="off"
+              className={inputClassName}
+            />
+          </div>
+          {!form.authProvider && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => updateField('password', e.target.value)}
+                autoComplete="new-password"
+                placeholder="At least 8 characters"
+                className={inputClassName}
+              />
+            </div>
+          )}
+        </div>
+
+        {signInOptions.ssoProviders.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Signs in with</label>
+            <select
+              value={form.authProvider}
+              onChange={(e) => updateField('authProvider', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">Password</option>
+              {signInOptions.ssoProviders.map(provider => (
+                <option key={provider.id} value={provider.id}>{provider.name}</option>
+              ))}
+            </select>
+            {form.authProvider && (
+              <p className="text-xs text-gray-500 mt-1">
+                The first to sign in with this username at the provider gets the account
+              </p>
+            )}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+          <select
+            value={form.authProvider ? 'user' : form.role}
+            onChange={(e) => updateField('role', e.target.value)}
+            disabled={Boolean(form.authProvider)}
+            className={inputClassName}
+          >
+            <option value="user">User</option>
+            <option value="admin">Admin</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {form.authProvider
+              ? 'Single sign-on accounts start as regular users; make them admins after they first sign in'
+              : 'Admins can also manage the accounts'}
+          </p>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setCreating(false)}
+            className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+          >
+            Back
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={saving}
+            className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors duration-200"
+          >
+            {saving ? 'Creating...' : 'Create User'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Users</h3>
+          <p className="text-sm text-gray-600">
+            Everyone has their own conversations. The knowledge base is shared.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setForm(emptyForm);
+            setCreating(true);
+          }}
+          className="inline-flex items-center px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors duration-200"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          New User
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 italic">Loading users...</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {users.map(user => {
+            const isSelf = user.id === currentUser?.id;
+            return (
+              <li key={user.id} className="flex items-center justify-between p-3">
+                <div className="flex items-center min-w-0">
+                  <div className="flex-shrink-0 w-8 h-8 rounded-full bg-gray-100 flex items-center justify-center">
+                    {user.role === 'admin'
+                      ? <Shield className="w-4 h-4 text-primary-600" />
+                      : <User className="w-4 h-4 text-gray-500" />}
+                  </div>
+                  <div className="ml-3 min-w-0">
+                    <div className="text-sm font-medium text-gray-900 truncate">
+                      {user.username}{isSelf && <span className="text-gray-500 font-normal"> (you)</span>}
+                    </div>
+                    <div className="text-xs text-gray-500 truncate">
+                      {user.auth_provider && `${user.auth_provider === 'saml' ? 'SAML' : 'OpenID Connect'} · `}
+                      {user.last_login_at
+                        ? `Signed in ${formatDistanceToNow(parseServerDate(user.last_login_at), { addSuffix: true })}`
+                        : 'Never signed in'}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-1 flex-shrink-0 ml-3">
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    title="Role"
+                  >
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                  {!user.auth_provider && (
+                    <button
+                      onClick={() => handleResetPassword(user)}
+                      className="p-2 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors duration-200"
+                      title="Set a new password"
+                    >
+                      <KeyRound className="w-4 h-4" />
+                    </button>
+                  )}
+                  {!isSelf && (
+                    <button
+                      onClick={() => handleDelete(user)}
+                      className="p-2 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors duration-200"
+                      title="Delete user"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UserManager;
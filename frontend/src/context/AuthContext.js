@@ -0,0 +1,206 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { authService, adminService, setUnauthorizedHandler, setAdminLockedHandler } from '../services/api';
+
+const AuthContext = createContext();
+
+// Admin mode while it is locked; method is how it is unlocked ('secret', 'password' or 'sso')
+const lockedAdmin = { unlocked: false, expiresAt: null, method: null };
+
+// setTimeout's longest delay
+const MAX_TIMEOUT = 2147483647;
+
+// Show what a single sign-on the server sent the browser back from says (sso_error, or
+// admin=unlocked), and take it out of the address
+const showSsoResult = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('sso_error') && !params.has('admin')) {
+    return;
+  }
+
+  if (params.get('sso_error')) {
+    toast.error(params.get('sso_error'));
+  } else if (params.get('admin') === 'unlocked') {
+    toast.success('Admin mode unlocked');
+  }
+  params.delete('sso_error');
+  params.delete('admin');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
+
+// Who is signed in. status is 'loading' until the server has answered, then 'setup' for a new
+// installation that has no accounts yet, 'signedOut' or 'signedIn' (with user). Admins also unlock
+// admin mode for a while to change the settings, read the reports and manage accounts. signInOptions
+// says how one signs in: with a password, and with which single sign-on providers.
+export function AuthProvider({ children }) {
+  const [status, setStatus] = useState('loading');
+  const [user, setUser] = useState(null);
+  const [signInOptions, setSignInOptions] = useState({ passwordLogin: true, ssoProviders: [] });
+  const [admin, setAdmin] = useState(lockedAdmin);
+  const statusRef = useRef(status);
+  statusRef.current = status;
+  const adminRef = useRef(admin);
+  adminRef.current = admin;
+  const userId = user?.id;
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      showSsoResult();
+      try {
+        const response = await authService.getStatus();
+        setSignInOptions({
+          passwordLogin: response.passwordLogin !== false,
+          ssoProviders: response.ssoProviders || []
+        });
+        setUser(response.user);
+        setStatus(response.user ? 'signedIn' : response.setupRequired ? 'setup' : 'signedOut');
+      } catch (error) {
+        console.error('Sign-in status error:', error);
+        setStatus('signedOut');
+      }
+    };
+
+    loadStatus();
+  }, []);
+
+  // A request refused for want of a sign-in means it has expired or was revoked elsewhere
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      if (statusRef.current !== 'signedIn') {
+        return;
+      }
+      // Several requests may be refused at once; tell the user once
+      statusRef.current = 'signedOut';
+      toast.error('Your sign-in has expired; sign in again');
+      setUser(null);
+      setStatus('signedOut');
+    });
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // Whether an admin has admin mode unlocked, say from before a page reload
+  useEffect(() => {
+    if (!userId || !isAdmin) {
+      setAdmin(lockedAdmin);
+      return;
+    }
+
+    const loadAdminStatus = async () => {
+      try {
+        const response = await adminService.getStatus();
+        setAdmin({ unlocked: response.unlocked, expiresAt: response.expires_at, method: response.method });
+      } catch (error) {
+        console.error('Admin status error:', error);
+      }
+    };
+
+    loadAdminStatus();
+  }, [userId, isAdmin]);
+
+  // Admin mode locks when it expires, or when the server says it has
+  const lockAdminMode = (message) => {
+    if (!adminRef.current.unlocked) {
+      return;
+    }
+    adminRef.current = { ...adminRef.current, unlocked: false };
+    toast(message);
+    setAdmin(prev => ({ ...prev, unlocked: false, expiresAt: null }));
+  };
+  const lockAdminModeRef = useRef(lockAdminMode);
+  lockAdminModeRef.current = lockAdminMode;
+
+  useEffect(() => {
+    if (!admin.unlocked || !admin.expiresAt) {
+      return undefined;
+    }
+    const delay = Math.min(Math.max(new Date(admin.expiresAt) - Date.now(), 0), MAX_TIMEOUT);
+    const timer = setTimeout(() => lockAdminModeRef.current('Admin mode has locked'), delay);
+    return () => clearTimeout(timer);
+  }, [admin.unlocked, admin.expiresAt]);
+
+  useEffect(() => {
+    setAdminLockedHandler(() => lockAdminModeRef.current('Admin mode has locked; unlock it again'));
+    return () => setAdminLockedHandler(null);
+  }, []);
+
+  const signedIn = (response) => {
+    setUser(response.user);
+    setStatus('signedIn');
+    return response.user;
+  };
+
+  const actions = {
+    login: async (username, password) => signedIn(await authService.login(username, password)),
+
+    setup: async (setupToken, username, password) => signedIn(await authService.setup(setupToken, username, password)),
+
+    // Leave the app for the provider's sign-in page; it comes back signed in
+    loginWithSso: (providerId) => {
+      window.location.assign(authService.getSsoLoginUrl(providerId));
+    },
+
+    logout: async () => {
+      try {
+        await authService.logout();
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+      setUser(null);
+      setStatus('signedOut');
+    },
+
+    changePassword: async (currentPassword, newPassword) => {
+      await authService.changePassword(currentPassword, newPassword);
+    },
+
+    // credential is { secret } or { password }, as admin.method says
+    unlockAdmin: async (credential) => {
+      const response = await adminService.unlock(credential);
+      setAdmin({ unlocked: true, expiresAt: response.expires_at, method: response.method });
+    },
+
+    // For admin.method 'sso': sign in with the provider again, which comes back with admin mode
+    // unlocked
+    unlockAdminWithSso: () => {
+      window.location.assign(authService.getSsoLoginUrl('oidc', 'unlock'));
+    },
+
+    lockAdmin: async () => {
+      try {
+        await adminService.lock();
+      } catch (error) {
+        console.error('Lock admin mode error:', error);
+      }
+      setAdmin(prev => ({ ...prev, unlocked: false, expiresAt: null }));
+    }
+  };
+
+  const value = {
+    status,
+    user,
+    signInOptions,
+    isAdmin,
+    admin,
+    adminUnlocked: isAdmin && admin.unlocked,
+    actions
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+// Custom hook to use auth context
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
+
+export default AuthContext;
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { chatService } from '../services/api';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { chatService, personaService, templateService, apiUtils } from '../services/api';
+import { generateId } from '../utils/idUtils';
 
 const ChatContext = createContext();
 
@@ -7,9 +8,29 @@ const ChatContext = createContext();
 const initialState = {
   currentSession: null,
   sessions: [],
+  // How the sessions and messages lists continue ({ total, has_more, next_cursor }, as the API
+  // gives it); null when everything is shown
+  sessionsPagination: null,
   messages: [],
+  messagesPagination: null,
   selectedModel: 'gpt-3.5-turbo',
   availableModels: [],
+  providers: [],
+  // Per-message generation parameters (chat API names), sent with every message until reset
+  generationParams: {},
+  // Images an image model generates per message, offered as candidates to choose from
+  imageCount: 1,
+  // Models each message is sent to in compare mode; compare mode is on with two or more
+  compareModels: [],
+  // The comparison being shown: { id, models, columns, winnerMessageId }, one column per model
+  // with the reply as it streams. id is null until every model has answered.
+  comparison: null,
+  // A message to scroll to and highlight once it is shown, such as a search result
+  focusedMessageId: null,
+  personas: [],
+  // Persona the next new conversation starts with
+  selectedPersonaId: null,
+  templates: [],
   isLoading: false,
   isTyping: false,
   settings: {
@@ -28,11 +49,27 @@ const actionTypes = {
   SET_TYPING: 'SET_TYPING',
   SET_ERROR: 'SET_ERROR',
   SET_SESSIONS: 'SET_SESSIONS',
+  APPEND_SESSIONS: 'APPEND_SESSIONS',
+  SET_SESSIONS_PAGINATION: 'SET_SESSIONS_PAGINATION',
   SET_CURRENT_SESSION: 'SET_CURRENT_SESSION',
   SET_MESSAGES: 'SET_MESSAGES',
+  PREPEND_MESSAGES: 'PREPEND_MESSAGES',
+  SET_MESSAGES_PAGINATION: 'SET_MESSAGES_PAGINATION',
   ADD_MESSAGE: 'ADD_MESSAGE',
+  UPDATE_MESSAGE: 'UPDATE_MESSAGE',
   SET_SELECTED_MODEL: 'SET_SELECTED_MODEL',
   SET_AVAILABLE_MODELS: 'SET_AVAILABLE_MODELS',
+  SET_PROVIDERS: 'SET_PROVIDERS',
+  SET_GENERATION_PARAMS: 'SET_GENERATION_PARAMS',
+  SET_IMAGE_COUNT: 'SET_IMAGE_COUNT',
+  SET_COMPARE_MODELS: 'SET_COMPARE_MODELS',
+  SET_COMPARISON: 'SET_COMPARISON',
+  UPDATE_COMPARISON: 'UPDATE_COMPARISON',
+  UPDATE_COMPARISON_COLUMN: 'UPDATE_COMPARISON_COLUMN',
+  SET_FOCUSED_MESSAGE: 'SET_FOCUSED_MESSAGE',
+  SET_PERSONAS: 'SET_PERSONAS',
+  SET_SELECTED_PERSONA: 'SET_SELECTED_PERSONA',
+  SET_TEMPLATES: 'SET_TEMPLATES',
   SET_SETTINGS: 'SET_SETTINGS',
   SET_API_KEYS: 'SET_API_KEYS',
   CLEAR_ERROR: 'CLEAR_ERROR',
@@ -58,21 +95,101 @@ function chatReducer(state, action) {
     case actionTypes.SET_SESSIONS:
       return { ...state, sessions: action.payload };
     
+    // The next page of sessions; sessions already listed (moved up by new activity) are left out
+    case actionTypes.APPEND_SESSIONS: {
+      const listed = new Set(state.sessions.map(session => session.id));
+      return {
+        ...state,
+        sessions: [...state.sessions, ...action.payload.sessions.filter(session => !listed.has(session.id))],
+        sessionsPagination: action.payload.pagination
+      };
+    }
+    
+    case actionTypes.SET_SESSIONS_PAGINATION:
+      return { ...state, sessionsPagination: action.payload };
+    
     case actionTypes.SET_CURRENT_SESSION:
       return { ...state, currentSession: action.payload };
     
     case actionTypes.SET_MESSAGES:
       return { ...state, messages: action.payload };
     
+    // Older messages of sessionId, ignored if another conversation is shown by now
+    case actionTypes.PREPEND_MESSAGES: {
+      if (state.currentSession?.id !== action.payload.sessionId) return state;
+      const shown = new Set(state.messages.map(message => message.id));
+      return {
+        ...state,
+        messages: [...action.payload.messages.filter(message => !shown.has(message.id)), ...state.messages],
+        messagesPagination: action.payload.pagination
+      };
+    }
+    
+    case actionTypes.SET_MESSAGES_PAGINATION:
+      return { ...state, messagesPagination: action.payload };
+    
     case actionTypes.ADD_MESSAGE:
       return { ...state, messages: [...state.messages, action.payload] };
     
+    case actionTypes.UPDATE_MESSAGE:
+      return {
+        ...state,
+        messages: state.messages.map(message =>
+          message.id === action.payload.id ? { ...message, ...action.payload.updates } : message
+        )
+      };
+    
     case actionTypes.SET_SELECTED_MODEL:
       return { ...state, selectedModel: action.payload };
     
     case actionTypes.SET_AVAILABLE_MODELS:
       return { ...state, availableModels: action.payload };
     
+    case actionTypes.SET_PROVIDERS:
+      return { ...state, providers: action.payload };
+    
+    case actionTypes.SET_GENERATION_PARAMS:
+      return { ...state, generationParams: action.payload };
+    
+    case actionTypes.SET_IMAGE_COUNT:
+      return { ...state, imageCount: action.payload };
+    
+    case actionTypes.SET_COMPARE_MODELS:
+      return { ...state, compareModels: action.payload };
+    
+    case actionTypes.SET_COMPARISON:
+      return { ...state, comparison: action.payload };
+    
+    case actionTypes.UPDATE_COMPARISON:
+      return state.comparison ? { ...state, comparison: { ...state.comparison, ...action.payload } } : state;
+    
+    case actionTypes.SET_FOCUSED_MESSAGE:
+      return { ...state, focusedMessageId: action.payload };
+    
+    // updates replace fields of the column; delta is text appended to its content
+    case actionTypes.UPDATE_COMPARISON_COLUMN: {
+      if (!state.comparison) return state;
+      const { index, updates = {}, delta = '' } = action.payload;
+      return {
+        ...state,
+        comparison: {
+          ...state.comparison,
+          columns: state.comparison.columns.map((column, i) => (
+            i === index ? { ...column, ...updates, content: (updates.content ?? column.content) + delta } : column
+          ))
+        }
+      };
+    }
+    
+    case actionTypes.SET_PERSONAS:
+      return { ...state, personas: action.payload };
+    
+    case actionTypes.SET_SELECTED_PERSONA:
+      return { ...state, selectedPersonaId: action.payload };
+    
+    case actionTypes.SET_TEMPLATES:
+      return { ...state, templates: action.payload };
+    
     case actionTypes.SET_SETTINGS:
       return { 
         ...state, 
@@ -107,6 +224,8 @@ function chatReducer(state, action) {
 // Context provider component
 export function ChatProvider({ children }) {
   const [state, dispatch] = useReducer(chatReducer, initialState);
+  // Request id and AbortController of the generation in progress, used by stopGeneration
+  const activeRequestRef = useRef(null);
 
   // Load initial data
   useEffect(() => {
@@ -140,6 +259,10 @@ export function ChatProvider({ children }) {
       const modelsResponse = await chatService.getModels();
       dispatch({ type: actionTypes.SET_AVAILABLE_MODELS, payload: modelsResponse.models });
 
+      // Load the registered providers for the settings UI
+      const providersResponse = await chatService.getProviders();
+      dispatch({ type: actionTypes.SET_PROVIDERS, payload: providersResponse.providers });
+
       // Load settings
       const settingsResponse = await chatService.getSettings();
       dispatch({ type: actionTypes.SET_SETTINGS, payload: settingsResponse.settings });
@@ -149,9 +272,18 @@ export function ChatProvider({ children }) {
       const defaultModel = settingsResponse.settings.default_model || 'gpt-3.5-turbo';
       dispatch({ type: actionTypes.SET_SELECTED_MODEL, payload: defaultModel });
 
+      // Load personas
+      const personasResponse = await personaService.getPersonas();
+      dispatch({ type: actionTypes.SET_PERSONAS, payload: personasResponse.personas });
+
+      // Load prompt templates
+      const templatesResponse = await templateService.getTemplates();
+      dispatch({ type: actionTypes.SET_TEMPLATES, payload: templatesResponse.templates });
+
       // Load recent sessions
       const sessionsResponse = await chatService.getSessions();
       dispatch({ type: actionTypes.SET_SESSIONS, payload: sessionsResponse.sessions });
+      dispatch({ type: actionTypes.SET_SESSIONS_PAGINATION, payload: sessionsResponse.pagination });
 
     } catch (error) {
       console.error('Failed to load initial data:', error);
@@ -161,9 +293,204 @@ export function ChatProvider({ children }) {
     }
   };
 
+  // Start tracking a generation so stopGeneration can cancel it
+  const beginGeneration = () => {
+    const requestId = generateId();
+    const controller = new AbortController();
+    activeRequestRef.current = { requestId, controller };
+    return { requestId, signal: controller.signal };
+  };
+
+  // Render a streamed reply as it arrives, then swap in the saved message.
+  // startStream(handlers) makes the streaming request; optimisticId is the placeholder
+  // of the user message being answered, replaced by the saved one when the stream starts.
+  // Tool steps are shown as they are saved; text streamed before one was part of it.
+  const streamReply = async (startStream, { model, optimisticId = null }) => {
+    let streamingId = `streaming-${Date.now()}`;
+    let streamedContent = '';
+    let response;
+
+    try {
+      response = await startStream({
+        onStart: ({ userMessage }) => {
+          if (optimisticId && userMessage) {
+            dispatch({
+              type: actionTypes.UPDATE_MESSAGE,
+              payload: { id: optimisticId, updates: userMessage }
+            });
+          }
+        },
+        onDelta: (delta) => {
+          const isFirstDelta = !streamedContent;
+          streamedContent += delta;
+
+          if (isFirstDelta) {
+            dispatch({
+              type: actionTypes.ADD_MESSAGE,
+              payload: {
+                id: streamingId,
+                content: streamedContent,
+                role: 'assistant',
+                model,
+                timestamp: new Date().toISOString(),
+                isStreaming: true
+              }
+            });
+          } else {
+            dispatch({
+              type: actionTypes.UPDATE_MESSAGE,
+              payload: { id: streamingId, updates: { content: streamedContent } }
+            });
+          }
+        },
+        onTool: ({ message }) => {
+          if (streamedContent) {
+            dispatch({
+              type: actionTypes.UPDATE_MESSAGE,
+              payload: { id: streamingId, updates: { ...message, isStreaming: false } }
+            });
+          } else {
+            dispatch({ type: actionTypes.ADD_MESSAGE, payload: message });
+          }
+          streamingId = `streaming-${message.id}`;
+          streamedContent = '';
+        }
+      });
+    } catch (error) {
+      if (streamedContent) {
+        dispatch({
+          type: actionTypes.UPDATE_MESSAGE,
+          payload: { id: streamingId, updates: { isStreaming: false } }
+        });
+      }
+      throw error;
+    }
+
+    if (streamedContent) {
+      dispatch({
+        type: actionTypes.UPDATE_MESSAGE,
+        payload: { id: streamingId, updates: { ...response.message, isStreaming: false } }
+      });
+    } else {
+      dispatch({ type: actionTypes.ADD_MESSAGE, payload: response.message });
+    }
+
+    return response;
+  };
+
+  // Replace the shown messages with the branch the server is showing, so the
+  // alternatives of each message (sibling_ids) are up to date. Older messages that were
+  // loaded stay shown.
+  const reloadBranch = async (sessionId) => {
+    const response = await chatService.getSession(sessionId, { include: state.messages[0]?.id });
+    dispatch({ type: actionTypes.SET_MESSAGES, payload: response.messages });
+    dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: response.pagination });
+  };
+
+  // Replace the messages from index on with a new reply to an edited or regenerated message
+  const branchFrom = async (index, userMessage, startStream) => {
+    try {
+      dispatch({ type: actionTypes.SET_TYPING, payload: true });
+      dispatch({ type: actionTypes.CLEAR_ERROR });
+
+      const sessionId = state.currentSession.id;
+      dispatch({
+        type: actionTypes.SET_MESSAGES,
+        payload: userMessage ? [...state.messages.slice(0, index), userMessage] : state.messages.slice(0, index)
+      });
+
+      const { requestId, signal } = beginGeneration();
+      const response = await streamReply(
+        (handlers) => startStream(requestId, handlers, { signal }),
+        { model: state.selectedModel, optimisticId: userMessage?.id }
+      );
+
+      await reloadBranch(sessionId);
+      return response;
+    } catch (error) {
+      if (apiUtils.isAbortError(error)) {
+        return null;
+      }
+      console.error('Branch message error:', error);
+      dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+      throw error;
+    } finally {
+      activeRequestRef.current = null;
+      dispatch({ type: actionTypes.SET_TYPING, payload: false });
+    }
+  };
+
+  // The model to edit an image or make variations of it with ('edit' or 'variation'): the selected
+  // model if it can, else the one that made the image, else any model that can
+  const imageModelFor = (operation, message) => {
+    const flag = operation === 'edit' ? 'imageEdit' : 'imageVariation';
+    const canDo = (modelId) => state.availableModels.some(m => m.id === modelId && m[flag]);
+    return [state.selectedModel, message?.model].find(canDo) || state.availableModels.find(m => m[flag])?.id;
+  };
+
+  // Add a request about an earlier image to the end of the conversation and stream the images made
+  const requestImages = (text, startStream) => {
+    const userMessage = {
+      id: Date.now().toString(),
+      content: text,
+      role: 'user',
+      timestamp: new Date().toISOString(),
+      session_id: state.currentSession.id
+    };
+    return branchFrom(state.messages.length, userMessage, startStream);
+  };
+
+  // Send a message to the models being compared and show their replies side by side as they stream.
+  // The conversation goes on with the reply picked with pickComparisonWinner.
+  const compareReplies = async (requestData, optimisticId, signal) => {
+    const updateColumn = (index, updates, delta) => {
+      dispatch({ type: actionTypes.UPDATE_COMPARISON_COLUMN, payload: { index, updates, delta } });
+    };
+
+    dispatch({
+      type: actionTypes.SET_COMPARISON,
+      payload: {
+        id: null,
+        models: requestData.models,
+        columns: requestData.models.map(model => ({ model, content: '', isStreaming: true })),
+        winnerMessageId: null
+      }
+    });
+
+    let sessionId = requestData.sessionId;
+    try {
+      const response = await chatService.compareMessage(requestData, {
+        onStart: ({ session, userMessage }) => {
+          sessionId = session.id;
+          dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: optimisticId, updates: userMessage } });
+        },
+        onDelta: (delta, { index }) => updateColumn(index, {}, delta),
+        // Text streamed before a tool call belongs to the call, not the reply
+        onTool: ({ index }) => updateColumn(index, { content: '', usedTools: true }),
+        onResult: ({ index, message, ...result }) => updateColumn(index, {
+          ...result,
+          message,
+          content: message ? message.content : '',
+          isStreaming: false
+        })
+      }, { signal });
+
+      dispatch({ type: actionTypes.UPDATE_COMPARISON, payload: { id: response.comparison.id } });
+      return response;
+    } catch (error) {
+      // Without a comparison there is nothing to pick from; show what the server kept instead
+      dispatch({ type: actionTypes.SET_COMPARISON, payload: null });
+      if (sessionId) {
+        await reloadBranch(sessionId).catch(() => {});
+      }
+      throw error;
+    }
+  };
+
   // Actions
   const actions = {
-    sendMessage: async (message, sessionId = null) => {
+    // attachments are uploads from attachmentService.upload to send with the message
+    sendMessage: async (message, sessionId = null, attachments = []) => {
       try {
         dispatch({ type: actionTypes.SET_TYPING, payload: true });
         dispatch({ type: actionTypes.CLEAR_ERROR });
@@ -174,19 +501,50 @@ export function ChatProvider({ children }) {
           content: message,
           role: 'user',
           timestamp: new Date().toISOString(),
-          session_id: sessionId || state.currentSession?.id
+          session_id: sessionId || state.currentSession?.id,
+          attachments
         };
         dispatch({ type: actionTypes.ADD_MESSAGE, payload: userMessage });
 
-        // Send to API
-        const response = await chatService.sendMessage({
+        const { requestId, signal } = beginGeneration();
+
+        const currentSessionId = sessionId || state.currentSession?.id;
+        const requestData = {
           message,
           model: state.selectedModel,
-          sessionId: sessionId || state.currentSession?.id
-        });
+          sessionId: currentSessionId,
+          requestId,
+          attachmentIds: attachments.length > 0 ? attachments.map(a => a.id) : undefined,
+          // The persona only applies when the message starts a new conversation
+          personaId: currentSessionId ? undefined : state.selectedPersonaId || undefined,
+          ...state.generationParams
+        };
+        const selectedModel = state.availableModels.find(m => m.id === state.selectedModel);
+        if (selectedModel?.type === 'image') {
+          requestData.imageCount = state.imageCount;
+        }
 
-        // Add AI response
-        dispatch({ type: actionTypes.ADD_MESSAGE, payload: response.message });
+        let response;
+        if (state.compareModels.length >= 2) {
+          const { model, ...compareData } = requestData;
+          response = await compareReplies({ ...compareData, models: state.compareModels }, userMessage.id, signal);
+        } else if (selectedModel?.type === 'image') {
+          // Images arrive in one piece, so there is nothing to stream; the reply stays
+          // pending until a background job has made them (see PendingImage)
+          response = await chatService.sendMessage(requestData, { signal });
+          if (response.userMessage) {
+            dispatch({
+              type: actionTypes.UPDATE_MESSAGE,
+              payload: { id: userMessage.id, updates: response.userMessage }
+            });
+          }
+          dispatch({ type: actionTypes.ADD_MESSAGE, payload: response.message });
+        } else {
+          response = await streamReply(
+            (handlers) => chatService.streamMessage(requestData, handlers, { signal }),
+            { model: state.selectedModel, optimisticId: userMessage.id }
+          );
+        }
 
         // Update current session if new
         if (!state.currentSession || state.currentSession.id !== response.session.id) {
@@ -198,14 +556,146 @@ export function ChatProvider({ children }) {
 
         return response;
       } catch (error) {
+        // Stopping a request that never reached the server is not an error
+        if (apiUtils.isAbortError(error)) {
+          return null;
+        }
         console.error('Send message error:', error);
         dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
         throw error;
       } finally {
+        activeRequestRef.current = null;
         dispatch({ type: actionTypes.SET_TYPING, payload: false });
       }
     },
 
+    // Edit an earlier user message and answer the edit with the selected model.
+    // The original and the replies after it stay available as another branch.
+    editMessage: async (messageId, content) => {
+      const index = state.messages.findIndex(m => m.id === messageId);
+      if (index === -1) return null;
+
+      const editedMessage = {
+        id: Date.now().toString(),
+        content,
+        role: 'user',
+        timestamp: new Date().toISOString(),
+        session_id: state.currentSession.id
+      };
+
+      return branchFrom(index, editedMessage, (requestId, handlers, options) => chatService.editMessage(
+        messageId,
+        { message: content, model: state.selectedModel, requestId, ...state.generationParams },
+        handlers,
+        options
+      ));
+    },
+
+    // Generate another reply in place of an assistant message, with the selected model.
+    // The earlier replies stay available as alternatives.
+    regenerateMessage: async (messageId) => {
+      let index = state.messages.findIndex(m => m.id === messageId);
+      if (index === -1) return null;
+      // The tool steps before a reply are replaced along with it
+      while (index > 0 && ['tool_call', 'tool_result'].includes(state.messages[index - 1].content_type)) {
+        index--;
+      }
+
+      return branchFrom(index, null, (requestId, handlers, options) => chatService.regenerateMessage(
+        messageId,
+        { model: state.selectedModel, requestId, ...state.generationParams },
+        handlers,
+        options
+      ));
+    },
+
+    // Edit the image of an image message with a prompt. mask is an optional PNG data URL the size
+    // of the image whose transparent areas are the ones to change.
+    editImage: async (messageId, prompt, mask = null) => {
+      const message = state.messages.find(m => m.id === messageId);
+      return requestImages(prompt, (requestId, handlers, options) => chatService.editImage(
+        messageId,
+        { model: imageModelFor('edit', message), prompt, mask: mask || undefined, count: state.imageCount, requestId },
+        handlers,
+        options
+      ));
+    },
+
+    // Make variations of the image of an image message
+    createImageVariations: async (messageId) => {
+      const message = state.messages.find(m => m.id === messageId);
+      return requestImages('Make variations of this image', (requestId, handlers, options) => chatService.createImageVariations(
+        messageId,
+        { model: imageModelFor('variation', message), count: state.imageCount, requestId },
+        handlers,
+        options
+      ));
+    },
+
+    // Show another of the images generated for an image message
+    selectImageCandidate: async (messageId, index) => {
+      try {
+        const response = await chatService.selectImageCandidate(messageId, index);
+        dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, updates: response.message } });
+      } catch (error) {
+        console.error('Select image candidate error:', error);
+        dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+      }
+    },
+
+    // Show the latest state of a message, such as a pending image reply once its job has finished
+    updateMessage: (message) => {
+      dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: message.id, updates: message } });
+    },
+
+    setImageCount: (count) => {
+      dispatch({ type: actionTypes.SET_IMAGE_COUNT, payload: count });
+    },
+
+    // Models to send each message to; fewer than two turns compare mode off
+    setCompareModels: (models) => {
+      dispatch({ type: actionTypes.SET_COMPARE_MODELS, payload: models });
+    },
+
+    // Continue the conversation with one of the comparison's replies; the choice is recorded for the report
+    pickComparisonWinner: async (messageId) => {
+      try {
+        const response = await chatService.pickComparisonWinner(state.comparison.id, messageId);
+        dispatch({ type: actionTypes.SET_MESSAGES, payload: response.messages });
+        dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: null });
+        dispatch({ type: actionTypes.SET_COMPARISON, payload: null });
+      } catch (error) {
+        console.error('Pick comparison winner error:', error);
+        dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+      }
+    },
+
+    // Show the branch of the current conversation that goes through messageId
+    selectBranch: async (messageId) => {
+      try {
+        const response = await chatService.selectBranch(state.currentSession.id, messageId);
+        dispatch({ type: actionTypes.SET_MESSAGES, payload: response.messages });
+        dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: null });
+        dispatch({ type: actionTypes.SET_COMPARISON, payload: null });
+      } catch (error) {
+        console.error('Select branch error:', error);
+        dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+      }
+    },
+
+    // Stop the generation in progress. The server saves the partial reply and finishes
+    // the original request with it; if it does not know the request yet, drop the request instead.
+    stopGeneration: async () => {
+      const activeRequest = activeRequestRef.current;
+      if (!activeRequest) return;
+
+      try {
+        await chatService.cancelGeneration(activeRequest.requestId);
+      } catch (error) {
+        activeRequest.controller.abort();
+      }
+    },
+
     loadSession: async (sessionId) => {
       try {
         dispatch({ type: actionTypes.SET_LOADING, payload: true });
@@ -214,6 +704,8 @@ export function ChatProvider({ children }) {
         const response = await chatService.getSession(sessionId);
         dispatch({ type: actionTypes.SET_CURRENT_SESSION, payload: response.session });
         dispatch({ type: actionTypes.SET_MESSAGES, payload: response.messages });
+        dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: response.pagination });
+        dispatch({ type: actionTypes.SET_COMPARISON, payload: null });
       } catch (error) {
         console.error('Load session error:', error);
         dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
@@ -222,15 +714,132 @@ export function ChatProvider({ children }) {
       }
     },
 
+    // Open a conversation at one of its messages, showing the branch the message is on
+    openMessage: async (sessionId, messageId) => {
+      try {
+        dispatch({ type: actionTypes.SET_LOADING, payload: true });
+        dispatch({ type: actionTypes.CLEAR_ERROR });
+
+        await chatService.selectBranch(sessionId, messageId);
+        const response = await chatService.getSession(sessionId, { include: messageId });
+        dispatch({ type: actionTypes.SET_FOCUSED_MESSAGE, payload: messageId });
+        dispatch({ type: actionTypes.SET_CURRENT_SESSION, payload: response.session });
+        dispatch({ type: actionTypes.SET_MESSAGES, payload: response.messages });
+        dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: response.pagination });
+        dispatch({ type: actionTypes.SET_COMPARISON, payload: null });
+      } catch (error) {
+        console.error('Open message error:', error);
+        dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+      } finally {
+        dispatch({ type: actionTypes.SET_LOADING, payload: false });
+      }
+    },
+
+    clearFocusedMessage: () => {
+      dispatch({ type: actionTypes.SET_FOCUSED_MESSAGE, payload: null });
+    },
+
+    // Load the messages before the ones shown, for scrolling back through a long conversation.
+    // Resolves with whether any were added.
+    loadOlderMessages: async () => {
+      const pagination = state.messagesPagination;
+      if (!state.currentSession || !pagination?.has_more) return false;
+
+      try {
+        const sessionId = state.currentSession.id;
+        const response = await chatService.getSessionMessages(sessionId, { before: pagination.next_cursor });
+        dispatch({
+          type: actionTypes.PREPEND_MESSAGES,
+          payload: { sessionId, messages: response.messages, pagination: response.pagination }
+        });
+        return response.messages.length > 0;
+      } catch (error) {
+        console.error('Load older messages error:', error);
+        dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+        return false;
+      }
+    },
+
     startNewSession: () => {
       dispatch({ type: actionTypes.SET_CURRENT_SESSION, payload: null });
       dispatch({ type: actionTypes.SET_MESSAGES, payload: [] });
+      dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: null });
+      dispatch({ type: actionTypes.SET_COMPARISON, payload: null });
     },
 
     setSelectedModel: (model) => {
       dispatch({ type: actionTypes.SET_SELECTED_MODEL, payload: model });
     },
 
+    // Choose the persona for the next new conversation and switch to its default model
+    selectPersona: (personaId) => {
+      dispatch({ type: actionTypes.SET_SELECTED_PERSONA, payload: personaId });
+
+      const persona = state.personas.find(p => p.id === personaId);
+      if (persona?.default_model && state.availableModels.some(m => m.id === persona.default_model)) {
+        dispatch({ type: actionTypes.SET_SELECTED_MODEL, payload: persona.default_model });
+      }
+    },
+
+    refreshPersonas: async () => {
+      try {
+        const response = await personaService.getPersonas();
+        dispatch({ type: actionTypes.SET_PERSONAS, payload: response.personas });
+
+        // Forget a selection whose persona was deleted
+        if (state.selectedPersonaId && !response.personas.some(p => p.id === state.selectedPersonaId)) {
+          dispatch({ type: actionTypes.SET_SELECTED_PERSONA, payload: null });
+        }
+        return response.personas;
+      } catch (error) {
+        console.error('Refresh personas error:', error);
+        throw error;
+      }
+    },
+
+    refreshTemplates: async () => {
+      try {
+        const response = await templateService.getTemplates();
+        dispatch({ type: actionTypes.SET_TEMPLATES, payload: response.templates });
+        return response.templates;
+      } catch (error) {
+        console.error('Refresh templates error:', error);
+        throw error;
+      }
+    },
+
+    setGenerationParams: (params) => {
+      dispatch({ type: actionTypes.SET_GENERATION_PARAMS, payload: params });
+    },
+
+    // Save generation parameters as the current conversation's defaults; null values clear them
+    saveSessionParams: async (params) => {
+      try {
+        const response = await chatService.updateSessionParams(state.currentSession.id, params);
+        dispatch({ type: actionTypes.SET_CURRENT_SESSION, payload: response.session });
+        return response.session;
+      } catch (error) {
+        console.error('Save session params error:', error);
+        throw error;
+      }
+    },
+
+    // Turn summarization of older messages on or off for the current conversation;
+    // resolves with its memory: { enabled, memory }
+    setSummarizeHistory: async (enabled) => {
+      try {
+        const response = await chatService.updateSessionMemory(state.currentSession.id, { enabled });
+        dispatch({
+          type: actionTypes.SET_CURRENT_SESSION,
+          payload: { ...state.currentSession, summarize_history: response.enabled }
+        });
+        return response;
+      } catch (error) {
+        console.error('Set summarize history error:', error);
+        throw error;
+      }
+    },
+
     updateSettings: async (newSettings, newApiKeys = null) => {
       try {
         dispatch({ type: actionTypes.SET_LOADING, payload: true });
@@ -259,12 +868,27 @@ export function ChatProvider({ children }) {
       try {
         const response = await chatService.getSessions();
         dispatch({ type: actionTypes.SET_SESSIONS, payload: response.sessions });
+        dispatch({ type: actionTypes.SET_SESSIONS_PAGINATION, payload: response.pagination });
       } catch (error) {
         console.error('Refresh sessions error:', error);
         dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
       }
     },
 
+    // Load the next page of sessions, for scrolling down the conversation list
+    loadMoreSessions: async () => {
+      const pagination = state.sessionsPagination;
+      if (!pagination?.has_more) return;
+
+      try {
+        const response = await chatService.getSessions({ cursor: pagination.next_cursor });
+        dispatch({ type: actionTypes.APPEND_SESSIONS, payload: response });
+      } catch (error) {
+        console.error('Load more sessions error:', error);
+        dispatch({ type: actionTypes.SET_ERROR, payload: error.message });
+      }
+    },
+
     deleteSession: async (sessionId) => {
       try {
         await chatService.deleteSession(sessionId);
@@ -272,11 +896,18 @@ export function ChatProvider({ children }) {
         // Remove from sessions list
         const updatedSessions = state.sessions.filter(s => s.id !== sessionId);
         dispatch({ type: actionTypes.SET_SESSIONS, payload: updatedSessions });
+        if (state.sessionsPagination) {
+          dispatch({
+            type: actionTypes.SET_SESSIONS_PAGINATION,
+            payload: { ...state.sessionsPagination, total: state.sessionsPagination.total - 1 }
+          });
+        }
         
         // Clear current session if it was deleted
         if (state.currentSession?.id === sessionId) {
           dispatch({ type: actionTypes.SET_CURRENT_SESSION, payload: null });
           dispatch({ type: actionTypes.SET_MESSAGES, payload: [] });
+          dispatch({ type: actionTypes.SET_MESSAGES_PAGINATION, payload: null });
         }
       } catch (error) {
         console.error('Delete session error:', error);
@@ -291,7 +922,7 @@ export function ChatProvider({ children }) {
 
     refreshModels: async () => {
       try {
-        const modelsResponse = await chatService.getModels();
+        const modelsResponse = await chatService.getModels(true);
         dispatch({ type: actionTypes.SET_AVAILABLE_MODELS, payload: modelsResponse.models });
         return modelsResponse.models;
       } catch (error) {
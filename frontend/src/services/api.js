@@ -1,9 +1,38 @@
 import axios from 'axios';
 
-// Create axios instance with default config
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Sent with every request: the server refuses changes signed in by cookie without it, so other
+// sites cannot make them
+const REQUESTED_WITH = { 'X-Requested-With': 'XMLHttpRequest' };
+
+// Called when a request is refused because the sign-in has expired or was revoked
+let onUnauthorized = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+// A 401 from anywhere but the sign-in endpoints themselves means the user is signed out
+const handleUnauthorized = (status, path = '') => {
+  if (status === 401 && !path.startsWith('/auth/')) {
+    onUnauthorized?.();
+  }
+};
+
+// Called when an admin-only request is refused because admin mode has locked (it expires)
+let onAdminLocked = null;
+
+export const setAdminLockedHandler = (handler) => {
+  onAdminLocked = handler;
+};
+
+// Create axios instance with default config. The sign-in is an HttpOnly cookie, sent along
+// when the API is on another origin too.
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || '/api',
+  baseURL: API_BASE_URL,
   timeout: 30000, // 30 seconds timeout for AI requests
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -12,7 +41,9 @@ const api = axios.create({
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add any auth headers or other common headers here
+    Object.entries(REQUESTED_WITH).forEach(([name, value]) => {
+      config.headers[name] = value;
+    });
     return config;
   },
   (error) => {
@@ -31,6 +62,10 @@ api.interceptors.response.use(
     
     if (error.response) {
       // Server responded with error status
+      handleUnauthorized(error.response.status, error.config?.url);
+      if (error.response.status === 403 && error.response.data?.adminLocked) {
+        onAdminLocked?.();
+      }
       errorMessage = error.response.data?.error || error.response.data?.message || errorMessage;
     } else if (error.request) {
       // Request was made but no response received
@@ -46,43 +81,234 @@ api.interceptors.response.use(
     const enhancedError = new Error(errorMessage);
     enhancedError.response = error.response;
     enhancedError.status = error.response?.status;
+    enhancedError.code = error.code;
     
     return Promise.reject(enhancedError);
   }
 );
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) for each event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatchEvent = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    });
+
+    if (dataLines.length) {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      dispatchEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatchEvent(buffer);
+  }
+};
+
+// POST to an endpoint that streams a reply as Server-Sent Events (start, delta, tool, result, done, error).
+// handlers.onStart receives the session and the user message being answered, handlers.onDelta each piece of text
+// (and the whole event), and handlers.onTool each tool call or result saved on the way to the reply.
+// Comparisons send one result event per model, passed to handlers.onResult.
+// Resolves with the done event's data. options.signal aborts the request.
+const streamRequest = async (path, data, handlers = {}, options = {}) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...REQUESTED_WITH },
+      credentials: 'include',
+      body: JSON.stringify(data),
+      signal: options.signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    throw new Error('No response from server. Please check your connection.');
+  }
+
+  if (!response.ok) {
+    handleUnauthorized(response.status, path);
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || 'An unexpected error occurred');
+    error.status = response.status;
+    throw error;
+  }
+
+  let result = null;
+  let streamError = null;
+
+  await readEventStream(response, (event, payload) => {
+    switch (event) {
+      case 'start':
+        handlers.onStart?.(payload);
+        break;
+      case 'delta':
+        handlers.onDelta?.(payload.content, payload);
+        break;
+      case 'tool':
+        handlers.onTool?.(payload);
+        break;
+      case 'result':
+        handlers.onResult?.(payload);
+        break;
+      case 'done':
+        result = payload;
+        break;
+      case 'error':
+        streamError = new Error(payload.error || 'An unexpected error occurred');
+        streamError.type = payload.type;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (streamError) {
+    throw streamError;
+  }
+  if (!result) {
+    throw new Error('The response stream ended unexpectedly.');
+  }
+
+  return result;
+};
+
 // Chat service
 export const chatService = {
-  // Send message to AI
-  sendMessage: async (data) => {
-    // Use longer timeout for image models
-    const isImageModel = data.model && (
-      data.model.includes('dall-e') || 
-      data.model.includes('gpt-image')
-    );
-    const timeout = isImageModel ? 300000 : 30000; // 5 minutes for images, 30 seconds for text
-    
-    return await api.post('/chat', data, { timeout });
+  // Send message to AI. options.signal aborts the request.
+  // Image replies come back pending; jobService.watchJob follows the job (jobId) that makes them.
+  sendMessage: async (data, options = {}) => {
+    return await api.post('/chat', data, { signal: options.signal });
+  },
+
+  // Send message to AI and stream the reply.
+  // Resolves with the same shape as sendMessage once the reply has been saved (see streamRequest).
+  streamMessage: async (data, handlers = {}, options = {}) => {
+    return await streamRequest('/chat/stream', data, handlers, options);
+  },
+
+  // Send a message to 2-4 models at once (data.models) and stream their replies side by side.
+  // Deltas, tool steps and results carry the index of the model they belong to; resolves with
+  // { session, comparison } once every model has answered.
+  compareMessage: async (data, handlers = {}, options = {}) => {
+    return await streamRequest('/chat/compare', data, handlers, options);
+  },
+
+  // Continue the conversation with one of a comparison's replies; resolves with the branch it is on
+  pickComparisonWinner: async (comparisonId, messageId) => {
+    return await api.put(`/comparisons/${comparisonId}/winner`, { messageId });
+  },
+
+  // Edit an earlier user message and stream the reply to the edit. The original stays on its own branch.
+  editMessage: async (messageId, data, handlers = {}, options = {}) => {
+    return await streamRequest(`/messages/${messageId}/edit`, data, handlers, options);
+  },
+
+  // Stream a new reply alongside an existing one; data.model picks a different model
+  regenerateMessage: async (messageId, data, handlers = {}, options = {}) => {
+    return await streamRequest(`/messages/${messageId}/regenerate`, data, handlers, options);
+  },
+
+  // Edit the image of an image message. data is { model, prompt, mask, count, requestId }: mask is
+  // a PNG data URL the size of the image whose transparent areas are changed. Streamed like a reply.
+  editImage: async (messageId, data, handlers = {}, options = {}) => {
+    return await streamRequest(`/messages/${messageId}/image-edits`, data, handlers, options);
+  },
+
+  // Make variations of the image of an image message; data is { model, count, requestId }
+  createImageVariations: async (messageId, data, handlers = {}, options = {}) => {
+    return await streamRequest(`/messages/${messageId}/image-variations`, data, handlers, options);
+  },
+
+  // Show another of the images generated for an image message; resolves with the updated message
+  selectImageCandidate: async (messageId, index) => {
+    return await api.put(`/messages/${messageId}/candidate`, { index });
+  },
+
+  // Stop a generation started with the given requestId; its partial reply is still saved
+  cancelGeneration: async (requestId) => {
+    return await api.post('/chat/cancel', { requestId });
+  },
+
+  // Get available models. refresh re-lists the models of a self-hosted server instead of using the cache.
+  getModels: async (refresh = false) => {
+    return await api.get(`/models${refresh ? '?refresh=true' : ''}`);
+  },
+
+  // Get the registered LLM providers: name, key placeholder and any extra settings they need
+  getProviders: async () => {
+    return await api.get('/providers');
+  },
+
+  // Get a page of chat sessions, most recently updated first. cursor is the pagination.next_cursor
+  // of the page before; leave it out for the first page.
+  getSessions: async ({ cursor, limit = 50 } = {}) => {
+    return await api.get('/sessions', { params: { cursor, limit } });
+  },
+
+  // Get specific session with the latest page of its messages; include extends the page back to
+  // that message
+  getSession: async (sessionId, { include, limit } = {}) => {
+    return await api.get(`/sessions/${sessionId}`, { params: { include, limit } });
+  },
+
+  // Get a page of a session's messages: those before the message before (the latest when not given)
+  getSessionMessages: async (sessionId, { before, include, limit = 50 } = {}) => {
+    return await api.get(`/sessions/${sessionId}/messages`, { params: { before, include, limit } });
+  },
+
+  // Set a session's default generation parameters; null values clear them
+  updateSessionParams: async (sessionId, params) => {
+    return await api.put(`/sessions/${sessionId}/params`, params);
+  },
+
+  // How much of a model's context window the conversation takes: { contextWindow, promptTokens, droppedCount, ... }
+  getSessionContext: async (sessionId, model) => {
+    return await api.get(`/sessions/${sessionId}/context?model=${encodeURIComponent(model)}`);
   },
 
-  // Get available models
-  getModels: async () => {
-    return await api.get('/models');
+  // Whether a session summarizes its older messages, and its current summary: { enabled, memory }
+  getSessionMemory: async (sessionId) => {
+    return await api.get(`/sessions/${sessionId}/memory`);
   },
 
-  // Get chat sessions
-  getSessions: async (limit = 50) => {
-    return await api.get(`/sessions?limit=${limit}`);
+  // data is { enabled, summary }; either may be left out
+  updateSessionMemory: async (sessionId, data) => {
+    return await api.put(`/sessions/${sessionId}/memory`, data);
   },
 
-  // Get specific session
-  getSession: async (sessionId) => {
-    return await api.get(`/sessions/${sessionId}`);
+  // Forget a session's summary; its full history is sent again until it is summarized anew
+  clearSessionMemory: async (sessionId) => {
+    return await api.delete(`/sessions/${sessionId}/memory`);
   },
 
-  // Get messages for a session
-  getSessionMessages: async (sessionId, limit = 100) => {
-    return await api.get(`/sessions/${sessionId}/messages?limit=${limit}`);
+  // Show the branch of a conversation that goes through messageId; resolves with its messages
+  selectBranch: async (sessionId, messageId) => {
+    return await api.put(`/sessions/${sessionId}/branch`, { messageId });
   },
 
   // Delete session
@@ -111,8 +337,9 @@ export const chatService = {
     return await api.delete(`/settings/${key}`);
   },
 
-  testApiKey: async (provider, apiKey) => {
-    return await api.post('/settings/test-api-key', { provider, apiKey });
+  // settings holds unsaved values of the provider's extra settings fields, such as a base URL
+  testApiKey: async (provider, apiKey, settings = {}) => {
+    return await api.post('/settings/test-api-key', { provider, apiKey, settings });
   },
 };
 
@@ -142,14 +369,236 @@ export const reportService = {
     
     const response = await axios({
       method: 'GET',
-      url: `${process.env.REACT_APP_API_URL || '/api'}/report/export?${params}`,
+      url: `${API_BASE_URL}/report/export?${params}`,
       responseType: 'blob',
+      withCredentials: true,
     });
     
     return response;
   },
 };
 
+// Persona service
+export const personaService = {
+  getPersonas: async () => {
+    return await api.get('/personas');
+  },
+
+  // persona is { name, systemPrompt, defaultModel, generationParams, avatar }
+  createPersona: async (persona) => {
+    return await api.post('/personas', persona);
+  },
+
+  updatePersona: async (personaId, updates) => {
+    return await api.put(`/personas/${personaId}`, updates);
+  },
+
+  deletePersona: async (personaId) => {
+    return await api.delete(`/personas/${personaId}`);
+  },
+};
+
+// Prompt template service
+export const templateService = {
+  getTemplates: async () => {
+    return await api.get('/templates');
+  },
+
+  // template is { name, description, content }
+  createTemplate: async (template) => {
+    return await api.post('/templates', template);
+  },
+
+  updateTemplate: async (templateId, updates) => {
+    return await api.put(`/templates/${templateId}`, updates);
+  },
+
+  deleteTemplate: async (templateId) => {
+    return await api.delete(`/templates/${templateId}`);
+  },
+
+  // Resolves with the export file's contents: { version, exported_at, templates }
+  exportTemplates: async () => {
+    return await api.get('/templates/export');
+  },
+
+  // data is an export file's contents; overwrite replaces templates with the same name
+  importTemplates: async (data, overwrite = false) => {
+    return await api.post(`/templates/import${overwrite ? '?overwrite=true' : ''}`, data);
+  },
+};
+
+// Attachment service
+export const attachmentService = {
+  // Upload files (File objects) to send with the next message; resolves with { attachments }
+  upload: async (files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    return await api.post('/attachments', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    });
+  },
+
+  // Remove an upload that has not been sent
+  remove: async (attachmentId) => {
+    return await api.delete(`/attachments/${attachmentId}`);
+  },
+
+  // URL of an attachment's file, for thumbnails and downloads
+  getContentUrl: (attachmentId) => `${API_BASE_URL}/attachments/${attachmentId}/content`,
+};
+
+// Media service: generated images kept by the server
+export const mediaService = {
+  getUrl: (mediaId) => `${API_BASE_URL}/media/${mediaId}`,
+  getThumbnailUrl: (mediaId) => `${API_BASE_URL}/media/${mediaId}/thumbnail`,
+};
+
+// Background jobs, such as generating the images of a pending image reply
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export const jobService = {
+  getJob: async (jobId) => {
+    return await api.get(`/jobs/${jobId}`);
+  },
+
+  cancelJob: async (jobId) => {
+    return await api.post(`/jobs/${jobId}/cancel`);
+  },
+
+  // Follow a job: onUpdate(job) is called with its status now and whenever it changes. A finished
+  // job comes with the message it filled in. Returns a function that stops following it.
+  watchJob: (jobId, onUpdate) => {
+    const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`, { withCredentials: true });
+    source.addEventListener('job', (event) => {
+      const job = JSON.parse(event.data);
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        source.close();
+      }
+      onUpdate(job);
+    });
+    return () => source.close();
+  },
+};
+
+// Document service: files whose passages are retrieved into the prompt
+export const documentService = {
+  // A session's documents, or the shared knowledge base's when sessionId is null
+  getDocuments: async (sessionId = null) => {
+    return await api.get(`/documents${sessionId ? `?sessionId=${sessionId}` : ''}`);
+  },
+
+  // Add PDF, Markdown or text files (File objects) to a session, or to the knowledge base when sessionId is null
+  upload: async (files, sessionId = null) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    if (sessionId) {
+      formData.append('sessionId', sessionId);
+    }
+
+    return await api.post('/documents', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    });
+  },
+
+  deleteDocument: async (documentId) => {
+    return await api.delete(`/documents/${documentId}`);
+  },
+
+  // A passage cited by a reply: { chunk, document }
+  getChunk: async (chunkId) => {
+    return await api.get(`/documents/chunks/${chunkId}`);
+  },
+};
+
+// Conversation search
+export const searchService = {
+  // Search titles and messages of every conversation. filters are { model, role, from, to, sessionId, limit };
+  // resolves with { query, sessions, messages }, the matched text split into { text, match } segments.
+  // options.signal aborts the request.
+  search: async (query, filters = {}, options = {}) => {
+    const params = Object.fromEntries(Object.entries({ q: query, ...filters }).filter(([, value]) => value));
+    return await api.get('/search', { params, signal: options.signal });
+  },
+};
+
+// Signing in and out. Signing in sets the cookie that signs in the requests that follow.
+export const authService = {
+  // Whether the app needs setting up, who is signed in and how one signs in:
+  // { setupRequired, user, passwordLogin, ssoProviders }
+  getStatus: async () => {
+    return await api.get('/auth/status');
+  },
+
+  // Where to send the browser to sign in with a single sign-on provider ('oidc' or 'saml'); the
+  // server sends it back to the app. purpose 'unlock' unlocks admin mode instead.
+  getSsoLoginUrl: (providerId, purpose = 'login') => {
+    const query = purpose === 'unlock' ? '?purpose=unlock' : '';
+    return `${API_BASE_URL}/auth/${providerId}/login${query}`;
+  },
+
+  // Create the first admin account with the setup token from the server log; signs it in
+  setup: async (setupToken, username, password) => {
+    return await api.post('/auth/setup', { setupToken, username, password });
+  },
+
+  login: async (username, password) => {
+    return await api.post('/auth/login', { username, password });
+  },
+
+  logout: async () => {
+    return await api.post('/auth/logout');
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    return await api.put('/auth/password', { currentPassword, newPassword });
+  },
+};
+
+// Admin mode, which admins unlock to change settings, read the reports and manage accounts. The
+// admin session is a cookie, like the sign-in.
+export const adminService = {
+  // { available, unlocked, expires_at, method }, method 'secret', 'password' or 'sso' (unlocked
+  // through authService.getSsoLoginUrl('oidc', 'unlock'))
+  getStatus: async () => {
+    return await api.get('/admin/status');
+  },
+
+  // credential is { secret } or { password }, as getStatus's method says
+  unlock: async (credential) => {
+    return await api.post('/admin/unlock', credential);
+  },
+
+  lock: async () => {
+    return await api.post('/admin/lock');
+  },
+};
+
+// User accounts, managed by admins in admin mode
+export const userService = {
+  getUsers: async () => {
+    return await api.get('/users');
+  },
+
+  // user is { username, password, role }
+  createUser: async (user) => {
+    return await api.post('/users', user);
+  },
+
+  // updates is { role, password }; either may be left out
+  updateUser: async (userId, updates) => {
+    return await api.put(`/users/${userId}`, updates);
+  },
+
+  // Deletes their conversations too
+  deleteUser: async (userId) => {
+    return await api.delete(`/users/${userId}`);
+  },
+};
+
 // Health check
 export const healthService = {
   check: async () => {
@@ -164,6 +613,11 @@ export const apiUtils = {
     return !error.response && error.request;
   },
 
+  // Check if the request was aborted on purpose
+  isAbortError: (error) => {
+    return error.name === 'AbortError' || error.code === 'ERR_CANCELED';
+  },
+
   // Check if error is timeout
   isTimeoutError: (error) => {
     return error.code === 'ECONNABORTED';
@@ -25,6 +25,14 @@ export const formatDistanceToNow = (date, options = {}) => {
   }
 };
 
+// The server's timestamps are UTC; SQLite's CURRENT_TIMESTAMP ('2024-01-31 12:00:00') leaves the zone out
+export const parseServerDate = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+};
+
 export const formatDateTime = (date) => {
   return date.toLocaleString();
 };
@@ -0,0 +1,65 @@
+// Generation parameters that can be set per message or as conversation defaults.
+// key is the name sent to the chat API; settingsKey is the name stored on sessions and messages.
+export const GENERATION_PARAMS = [
+  { key: 'temperature', settingsKey: 'temperature', label: 'Temperature', shortLabel: 'Temp', min: 0, max: 2, step: 0.1 },
+  { key: 'maxTokens', settingsKey: 'max_tokens', label: 'Max Tokens', shortLabel: 'Max', min: 1, max: 8000, step: 1 },
+  { key: 'topP', settingsKey: 'top_p', label: 'Top P', shortLabel: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'presencePenalty', settingsKey: 'presence_penalty', label: 'Presence Penalty', shortLabel: 'Presence', min: -2, max: 2, step: 0.1 },
+  { key: 'frequencyPenalty', settingsKey: 'frequency_penalty', label: 'Frequency Penalty', shortLabel: 'Frequency', min: -2, max: 2, step: 0.1 }
+];
+
+// Convert form values (strings, stop sequences one per line) into the chat API's parameters,
+// leaving out anything that is empty
+export const toRequestParams = (form) => {
+  const params = {};
+
+  GENERATION_PARAMS.forEach(({ key }) => {
+    const value = form[key];
+    if (value === undefined || value === null || value === '') return;
+    const number = Number(value);
+    if (!Number.isNaN(number)) {
+      params[key] = number;
+    }
+  });
+
+  const stop = (form.stop || '')
+    .split('\n')
+    .filter(sequence => sequence.length > 0);
+  if (stop.length > 0) {
+    params.stop = stop;
+  }
+
+  return params;
+};
+
+// Convert stored (snake_case) parameters into form values
+export const fromStoredParams = (stored) => {
+  const form = {};
+  if (!stored) return form;
+
+  GENERATION_PARAMS.forEach(({ key, settingsKey }) => {
+    if (stored[settingsKey] !== undefined && stored[settingsKey] !== null) {
+      form[key] = String(stored[settingsKey]);
+    }
+  });
+  if (Array.isArray(stored.stop)) {
+    form.stop = stored.stop.join('\n');
+  }
+
+  return form;
+};
+
+// One-line summary of stored parameters, e.g. "Temp 0.2 · Max 500 · Stop: END"
+export const describeParams = (stored) => {
+  if (!stored) return '';
+
+  const parts = GENERATION_PARAMS
+    .filter(({ settingsKey }) => stored[settingsKey] !== undefined && stored[settingsKey] !== null)
+    .map(({ settingsKey, shortLabel }) => `${shortLabel} ${stored[settingsKey]}`);
+
+  if (Array.isArray(stored.stop) && stored.stop.length > 0) {
+    parts.push(`Stop: ${stored.stop.join(', ')}`);
+  }
+
+  return parts.join(' · ');
+};
@@ -0,0 +1,27 @@
+// Helpers for prompt templates with {{variable}} placeholders
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+// Names of the variables in a template, in order of first appearance
+export const extractVariables = (content = '') => {
+  const variables = [];
+  for (const match of content.matchAll(VARIABLE_PATTERN)) {
+    if (!variables.includes(match[1])) {
+      variables.push(match[1]);
+    }
+  }
+  return variables;
+};
+
+// Replace each placeholder with its value; placeholders without a value are left as they are
+export const fillTemplate = (content = '', values = {}) => {
+  return content.replace(VARIABLE_PATTERN, (placeholder, name) => (
+    values[name] !== undefined && values[name] !== '' ? values[name] : placeholder
+  ));
+};
+
+// "code_snippet" -> "Code snippet"
+export const formatVariableName = (name) => {
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
@@ -500,6 +500,12 @@ HOST=0.0.0.0
 # Database
 DATABASE_PATH=${APP_DIR}/data/database.sqlite
 
+# Files attached to messages
+UPLOAD_DIR=${APP_DIR}/data/uploads
+
+# Generated images and their thumbnails
+MEDIA_DIR=${APP_DIR}/data/media
+
 # CORS Origins
 FRONTEND_URL=http://localhost:${FRONTEND_PORT}
 CORS_ORIGIN=http://localhost:${FRONTEND_PORT}
@@ -130,20 +130,17 @@ EOF
     print_success "Dependencies updated"
 }
 
-# Function to run database migrations (if any)
+# Function to run database migrations
 run_migrations() {
     print_status "Running database migrations..."
     
-    # Check if there's a migrations script
-    if [[ -f "${APP_DIR}/backend/scripts/migrate.js" ]]; then
-        sudo -u ${SERVICE_USER} bash -c "
-            cd ${APP_DIR}/backend
-            node scripts/migrate.js
-        "
-        print_success "Database migrations completed"
-    else
-        print_status "No migration script found, skipping"
-    fi
+    # Each migration runs in a transaction; if one fails the update is rolled back to the backup
+    sudo -u ${SERVICE_USER} bash -c "
+        cd ${APP_DIR}/backend
+        npm run migrate:status
+        npm run migrate
+    "
+    print_success "Database migrations completed"
 }
 
 # Function to update configuration